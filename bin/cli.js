@@ -32,24 +32,40 @@ COMMANDS:
   accounts remove       Remove accounts interactively
   accounts verify       Verify account tokens are valid
   accounts clear        Remove all accounts
+  keys list             List client API keys
+  keys create <name>    Create a client API key (--models, --endpoints)
+  keys update <id>      Change a key's allowed models/endpoints
+  keys enable <id>      Enable a client API key
+  keys disable <id>     Disable a client API key
+  keys remove <id>      Revoke a client API key
+  mock-upstream         Run a local fake Cloud Code server (--port, --scenario)
 
 OPTIONS:
   --help, -h            Show this help message
   --version, -v         Show version number
   --debug               Enable debug logging
   --fallback            Enable model fallback on quota exhaustion
+  --record <file>       Record Cloud Code traffic to a cassette file
+  --replay <file>       Serve Cloud Code traffic from a cassette file (offline)
 
 ENVIRONMENT:
   PORT                  Server port (default: 8080)
   DEBUG                 Enable debug mode (true/false)
   FALLBACK              Enable model fallback (true/false)
+  CASSETTE_MODE         Cassette mode (off/record/replay)
+  CASSETTE_FILE         Cassette file for record/replay
+  CLOUDCODE_ENDPOINTS   Cloud Code base URLs, comma-separated (e.g. a mock upstream)
+  OAUTH_TOKEN_URL       OAuth token endpoint
 
 EXAMPLES:
   antigravity-gateway start
   agw start --debug
+  agw start --replay cassettes/session.json
+  agw mock-upstream --scenario scenario.json
   PORT=3000 agw start
   agw accounts add
   agw accounts add --no-browser
+  agw keys create ci-runner --models "claude-*" --endpoints /v1/messages
 
 SUPPORTED CLIENTS:
   Works with any OpenAI or Anthropic-compatible client:
@@ -60,7 +76,7 @@ SUPPORTED CLIENTS:
 
 QUICK START:
   Base URL: http://localhost:8080/v1
-  API Key:  any-value (not validated)
+  API Key:  any-value (validated once keys are created with "agw keys")
 `);
 }
 
@@ -92,6 +108,18 @@ async function main() {
       break;
     }
 
+    case 'keys': {
+      const subCommand = args[1] || 'list';
+      process.argv = ['node', 'keys-cli.js', subCommand, ...args.slice(2)];
+      await import('../src/cli/keys.js');
+      break;
+    }
+
+    case 'mock-upstream':
+      process.argv = ['node', 'mock-upstream-cli.js', ...args.slice(1)];
+      await import('../src/cli/mock-upstream.js');
+      break;
+
     case 'help':
       showHelp();
       break;
@@ -0,0 +1,112 @@
+/**
+ * API Keys Component
+ * Registers itself to window.Components for Alpine.js to consume
+ */
+window.Components = window.Components || {};
+
+window.Components.apiKeys = () => ({
+    keys: [],
+    enforced: false,
+    loading: false,
+    newKey: { name: '', allowedModels: '', allowedEndpoints: '' },
+    createdKey: '',
+
+    init() {
+        this.fetchKeys();
+    },
+
+    async fetchKeys() {
+        const password = Alpine.store('global').webuiPassword;
+        try {
+            const { response, newPassword } = await window.utils.request('/api/keys', {}, password);
+            if (newPassword) Alpine.store('global').webuiPassword = newPassword;
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.keys = data.keys || [];
+            this.enforced = !!data.enforced;
+        } catch (e) {
+            console.error('Failed to fetch API keys:', e);
+        }
+    },
+
+    async createKey() {
+        if (!this.newKey.name.trim()) {
+            Alpine.store('global').showToast('Key name is required', 'error');
+            return;
+        }
+
+        this.loading = true;
+        const password = Alpine.store('global').webuiPassword;
+        try {
+            const { response, newPassword } = await window.utils.request('/api/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.newKey)
+            }, password);
+            if (newPassword) Alpine.store('global').webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.createdKey = data.key;
+                this.newKey = { name: '', allowedModels: '', allowedEndpoints: '' };
+                Alpine.store('global').showToast(`Key "${data.record.name}" created`, 'success');
+                await this.fetchKeys();
+            } else {
+                Alpine.store('global').showToast(data.error || 'Failed to create key', 'error');
+            }
+        } catch (e) {
+            Alpine.store('global').showToast('Failed to create key: ' + e.message, 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    async updateKey(id, updates) {
+        const password = Alpine.store('global').webuiPassword;
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/keys/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(updates)
+            }, password);
+            if (newPassword) Alpine.store('global').webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                Alpine.store('global').showToast(`Key "${data.record.name}" updated`, 'success');
+                await this.fetchKeys();
+            } else {
+                Alpine.store('global').showToast(data.error || 'Update failed', 'error');
+            }
+        } catch (e) {
+            Alpine.store('global').showToast('Update failed: ' + e.message, 'error');
+        }
+    },
+
+    async deleteKey(id, name) {
+        if (!confirm(`Revoke API key "${name}"? Clients using it will be rejected.`)) return;
+        const password = Alpine.store('global').webuiPassword;
+        try {
+            const { response, newPassword } = await window.utils.request(`/api/keys/${encodeURIComponent(id)}`, { method: 'DELETE' }, password);
+            if (newPassword) Alpine.store('global').webuiPassword = newPassword;
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                Alpine.store('global').showToast(`Key "${name}" revoked`, 'success');
+                await this.fetchKeys();
+            } else {
+                Alpine.store('global').showToast(data.error || 'Delete failed', 'error');
+            }
+        } catch (e) {
+            Alpine.store('global').showToast('Delete failed: ' + e.message, 'error');
+        }
+    },
+
+    copyCreatedKey() {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(this.createdKey)
+                .then(() => Alpine.store('global').showToast('Copied!', 'success'));
+        }
+    }
+});
@@ -15,6 +15,7 @@ import { refreshAccessToken } from '../auth/oauth.js';
 import { getAuthStatus } from '../auth/database.js';
 import { logger } from '../utils/logger.js';
 import { isNetworkError } from '../utils/helpers.js';
+import { endpointHealth, isEndpointFailure } from '../cloudcode/endpoint-health.js';
 
 /**
  * Get OAuth token for an account
@@ -116,8 +117,9 @@ export async function getProjectForAccount(account, token, projectCache) {
  * @returns {Promise<string>} Project ID
  */
 export async function discoverProject(token) {
-    for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
         try {
+            const startedAt = Date.now();
             const response = await fetch(`${endpoint}/v1internal:loadCodeAssist`, {
                 method: 'POST',
                 headers: {
@@ -133,6 +135,7 @@ export async function discoverProject(token) {
                     }
                 })
             });
+            endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -151,6 +154,7 @@ export async function discoverProject(token) {
                 return data.cloudaicompanionProject.id;
             }
         } catch (error) {
+            if (isEndpointFailure(error)) endpointHealth.recordFailure(endpoint, error.message);
             logger.warn(`[AccountManager] Project discovery failed at ${endpoint}:`, error.message);
         }
     }
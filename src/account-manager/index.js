@@ -28,6 +28,8 @@ import {
     shouldWaitForCurrentAccount as shouldWait,
     pickStickyAccount as selectSticky
 } from './selection.js';
+import { config } from '../config.js';
+import { metrics } from '../metrics/index.js';
 import { logger } from '../utils/logger.js';
 
 export class AccountManager {
@@ -41,6 +43,9 @@ export class AccountManager {
     #tokenCache = new Map(); // email -> { token, extractedAt }
     #projectCache = new Map(); // email -> projectId
 
+    // Upstream requests in flight per account (not persisted)
+    #inFlight = new Map(); // email -> count
+
     constructor(configPath = ACCOUNT_CONFIG_PATH) {
         this.#configPath = configPath;
     }
@@ -171,7 +176,74 @@ export class AccountManager {
     pickStickyAccount(modelId = null) {
         const { account, waitMs, newIndex } = selectSticky(this.#accounts, this.#currentIndex, () => this.saveToDisk(), modelId);
         this.#currentIndex = newIndex;
-        return { account, waitMs };
+        return { account: this.#preferIdle(account, modelId), waitMs };
+    }
+
+    /**
+     * Use an idle account instead of one at its concurrency limit
+     * (admission.maxConcurrentPerAccount). The sticky index does not move, so
+     * requests return to the sticky account once it has capacity again.
+     * Admission holds requests back while every account is at the limit, so
+     * the selected account is only kept when none is idle for requests that
+     * skip admission (embeddings).
+     * @param {Object|null} account - Selected account
+     * @param {string} [modelId] - Model ID
+     * @returns {Object|null} Account to use
+     */
+    #preferIdle(account, modelId) {
+        const limit = config.admission?.maxConcurrentPerAccount;
+        if (!account || !(limit > 0) || this.getInFlightCount(account.email) < limit) return account;
+
+        const idle = this.getAvailableAccounts(modelId)
+            .filter(candidate => this.getInFlightCount(candidate.email) < limit)
+            .sort((a, b) => this.getInFlightCount(a.email) - this.getInFlightCount(b.email))[0];
+        if (!idle) return account;
+
+        logger.debug(`[AccountManager] ${account.email} at concurrency limit, using ${idle.email}`);
+        return idle;
+    }
+
+    /**
+     * Get an available account under its concurrency limit without changing
+     * the selection state (for side requests such as token counting, which
+     * should neither move the sticky account nor save to disk)
+     * @param {string} [modelId] - Model ID
+     * @returns {Object|null} Account, or null if every account is busy or unavailable
+     */
+    getIdleAccount(modelId = null) {
+        const limit = config.admission?.maxConcurrentPerAccount;
+        return this.getAvailableAccounts(modelId)
+            .find(account => !(limit > 0) || this.getInFlightCount(account.email) < limit) || null;
+    }
+
+    /**
+     * Count an upstream request against an account until it finishes
+     * @param {string} email - Account email
+     * @returns {Function} Call once the request has finished
+     */
+    beginRequest(email) {
+        metrics.setAccount(email);
+        this.#inFlight.set(email, this.getInFlightCount(email) + 1);
+        let finished = false;
+        return () => {
+            if (finished) return;
+            finished = true;
+            const remaining = this.getInFlightCount(email) - 1;
+            if (remaining > 0) {
+                this.#inFlight.set(email, remaining);
+            } else {
+                this.#inFlight.delete(email);
+            }
+        };
+    }
+
+    /**
+     * Get the number of upstream requests in flight on an account
+     * @param {string} email - Account email
+     * @returns {number}
+     */
+    getInFlightCount(email) {
+        return this.#inFlight.get(email) || 0;
     }
 
     /**
@@ -182,6 +254,7 @@ export class AccountManager {
      */
     markRateLimited(email, resetMs = null, modelId = null) {
         markLimited(this.#accounts, email, resetMs, this.#settings, modelId);
+        metrics.recordRateLimit(email, modelId);
         this.saveToDisk();
     }
 
@@ -192,6 +265,7 @@ export class AccountManager {
      */
     markInvalid(email, reason = 'Unknown error') {
         markAccountInvalid(this.#accounts, email, reason);
+        metrics.recordInvalidAccount(email);
         this.saveToDisk();
     }
 
@@ -281,7 +355,8 @@ export class AccountManager {
                 modelRateLimits: a.modelRateLimits || {},
                 isInvalid: a.isInvalid || false,
                 invalidReason: a.invalidReason || null,
-                lastUsed: a.lastUsed
+                lastUsed: a.lastUsed,
+                inFlight: this.getInFlightCount(a.email)
             }))
         };
     }
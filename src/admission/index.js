@@ -0,0 +1,361 @@
+/**
+ * Admission Controller
+ * Decides when a generation request may start: per-model and per-account
+ * concurrency limits, with a bounded priority queue in front of them.
+ *
+ * Limits are read from the `admission` section of config.json:
+ *
+ *   "admission": {
+ *     "maxConcurrentPerModel": 8,
+ *     "models": { "claude-opus-4-5-thinking": 2 },
+ *     "maxConcurrentPerAccount": 2,
+ *     "maxQueueSize": 100,
+ *     "queueTimeoutMs": 120000,
+ *     "defaultPriority": 0,
+ *     "priorities": { "key_1a2b3c4d5e6f": 10 }
+ *   }
+ *
+ * A limit of 0 (the default) means unlimited. The per-account limit counts
+ * every upstream request an account has in flight, whatever the model: a
+ * request is only admitted while the accounts usable for its model have a
+ * free slot left after the requests already admitted but not yet sent, and
+ * waits in the queue when every account is at the limit. Account selection
+ * then puts it on an account with a free slot. Models served by other
+ * providers (see providers/registry.js) only have the per-model limit. Requests also
+ * wait here, rather than in the handlers, while every account is
+ * rate-limited for the model and a reset is due within the queue timeout.
+ *
+ * Waiting requests are admitted highest priority first, then in arrival
+ * order. A request that cannot be admitted within queueTimeoutMs, or that
+ * finds the queue full, is rejected with 503 overloaded_error.
+ */
+
+import { config } from '../config.js';
+import { MAX_WAIT_BEFORE_ERROR_MS } from '../constants.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { providerRegistry } from '../providers/registry.js';
+
+const DEFAULT_SETTINGS = {
+    maxConcurrentPerModel: 0,
+    models: {},
+    maxConcurrentPerAccount: 0,
+    maxQueueSize: 100,
+    queueTimeoutMs: MAX_WAIT_BEFORE_ERROR_MS,
+    defaultPriority: 0,
+    priorities: {}
+};
+
+// Request header a client can use to lower its own priority
+export const PRIORITY_HEADER = 'x-gateway-priority';
+
+// How often waiting requests are re-checked for rate limits that have expired
+const RECHECK_INTERVAL_MS = 1000;
+
+/**
+ * Turn a configured limit into a number of slots
+ * @param {number|undefined} limit - Configured limit (0 or missing = unlimited)
+ * @returns {number} Slot count (Infinity when unlimited)
+ */
+function toSlots(limit) {
+    return Number.isInteger(limit) && limit > 0 ? limit : Infinity;
+}
+
+export class AdmissionController {
+    #accountManager;
+    #getAdmissionConfig;
+    #queue = [];
+    #inFlight = new Map(); // model -> admitted weight
+    #recheckTimer = null;
+
+    /**
+     * @param {import('../account-manager/index.js').AccountManager} accountManager - Account pool
+     * @param {Object} [options]
+     * @param {Function} [options.getAdmissionConfig] - Returns the admission config section
+     */
+    constructor(accountManager, { getAdmissionConfig = () => config.admission || {} } = {}) {
+        this.#accountManager = accountManager;
+        this.#getAdmissionConfig = getAdmissionConfig;
+    }
+
+    /**
+     * Get the effective settings (config over defaults)
+     * @returns {Object} Settings
+     */
+    getSettings() {
+        return { ...DEFAULT_SETTINGS, ...this.#getAdmissionConfig() };
+    }
+
+    /**
+     * Resolve the priority of a request
+     * The key's configured priority is the ceiling: a client can lower its
+     * own priority with the header but never raise it.
+     * @param {string} budgetId - Registry key ID or credential ID (see getBudgetId)
+     * @param {string|undefined} headerValue - Priority request header
+     * @returns {number} Priority (higher is admitted first)
+     */
+    getPriority(budgetId, headerValue) {
+        const settings = this.getSettings();
+        const keyPriority = Number.isFinite(settings.priorities?.[budgetId])
+            ? settings.priorities[budgetId]
+            : settings.defaultPriority;
+        const requested = Number.parseInt(headerValue, 10);
+        return Number.isFinite(requested) ? Math.min(requested, keyPriority) : keyPriority;
+    }
+
+    /**
+     * Wait until a request for a model may start
+     * @param {string} model - Model ID (aliases already resolved)
+     * @param {Object} [options]
+     * @param {number} [options.priority] - From getPriority()
+     * @param {number} [options.weight] - Concurrent upstream requests this request makes (e.g. n choices)
+     * @param {AbortSignal} [options.signal] - Client disconnect; leaves the queue
+     * @returns {Promise<{admitted: boolean, release?: Function, waitedMs?: number, statusCode?: number,
+     *   errorType?: string, message?: string, retryAfterSeconds?: number}>} Admission result;
+     *   call release() once the request is finished
+     */
+    acquire(model, { priority = 0, weight = 1, signal } = {}) {
+        const entry = {
+            model,
+            priority,
+            weight: Math.max(1, weight),
+            signal,
+            enqueuedAt: Date.now()
+        };
+
+        if (this.#queue.every(waiting => waiting.model !== model) && this.#canAdmit(entry)) {
+            return Promise.resolve(this.#admit(entry));
+        }
+
+        const settings = this.getSettings();
+        if (this.#queue.length >= settings.maxQueueSize) {
+            logger.warn(`[Admission] Queue full (${this.#queue.length}), rejecting ${model} request`);
+            return Promise.resolve(this.#reject(`The gateway is overloaded: ${this.#queue.length} requests are already queued. Please retry shortly.`));
+        }
+
+        return new Promise(resolve => {
+            entry.resolve = resolve;
+            entry.timer = setTimeout(() => {
+                const position = this.#queue.indexOf(entry) + 1;
+                this.#remove(entry);
+                logger.warn(`[Admission] ${model} request timed out in queue at position ${position}`);
+                resolve(this.#reject(
+                    `Request waited ${formatDuration(settings.queueTimeoutMs)} in the admission queue for ${model} without capacity. Please retry shortly.`
+                ));
+            }, settings.queueTimeoutMs);
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.#remove(entry);
+                    resolve({ admitted: false, statusCode: 499, errorType: 'api_error', message: 'Client disconnected' });
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            this.#enqueue(entry);
+            logger.info(`[Admission] Queued ${model} request (priority ${priority}, position ${this.#queue.indexOf(entry) + 1}/${this.#queue.length})`);
+            this.#ensureRecheck();
+        });
+    }
+
+    /**
+     * Get queue and concurrency status for /health
+     * @returns {Object} Status
+     */
+    getStatus() {
+        const now = Date.now();
+        const settings = this.getSettings();
+        return {
+            inFlight: Object.fromEntries(this.#inFlight),
+            queued: this.#queue.length,
+            maxQueueSize: settings.maxQueueSize,
+            queue: this.#queue.map((entry, index) => ({
+                position: index + 1,
+                model: entry.model,
+                priority: entry.priority,
+                waitingMs: now - entry.enqueuedAt
+            }))
+        };
+    }
+
+    /**
+     * Check whether a request fits within the model's limits right now
+     * @param {Object} entry - Queue entry
+     * @returns {boolean}
+     */
+    #canAdmit(entry) {
+        const accountManager = this.#accountManager;
+        const settings = this.getSettings();
+        const modelSlots = toSlots(settings.models?.[entry.model] ?? settings.maxConcurrentPerModel);
+        const inFlight = this.#inFlight.get(entry.model) || 0;
+        // A request wider than the limit still runs once the model is idle
+        const fits = (slots) => inFlight === 0 || inFlight + entry.weight <= slots;
+
+        // Models of other providers do not use the account pool
+        if (providerRegistry.resolve(entry.model)) return fits(modelSlots);
+
+        const validAccounts = accountManager.getAccountCount() - accountManager.getInvalidAccounts().length;
+        // No usable pool at all: let the handler report it
+        if (validAccounts <= 0) return true;
+
+        accountManager.clearExpiredLimits();
+        const usableAccounts = accountManager.getAvailableAccounts(entry.model).length;
+        if (usableAccounts === 0) {
+            // Every account is rate-limited for this model: wait for a reset, unless
+            // it is due after this request would time out (the handler reports the quota error)
+            const remainingMs = settings.queueTimeoutMs - (Date.now() - entry.enqueuedAt);
+            return this.#soonestResetMs(entry.model) > remainingMs;
+        }
+
+        if (!fits(modelSlots)) return false;
+        const accountSlots = toSlots(settings.maxConcurrentPerAccount);
+        return accountSlots === Infinity || this.#fitsAccounts(entry, accountSlots);
+    }
+
+    /**
+     * Check whether the accounts usable for a model have a free slot under the per-account limit
+     * @param {Object} entry - Queue entry
+     * @param {number} limit - Concurrent requests per account
+     * @returns {boolean}
+     */
+    #fitsAccounts(entry, limit) {
+        const accountManager = this.#accountManager;
+        const busy = (account) => accountManager.getInFlightCount(account.email);
+        const accounts = accountManager.getAvailableAccounts(entry.model);
+        const freeSlots = accounts.reduce((sum, account) => sum + Math.max(0, limit - busy(account)), 0);
+
+        // Admitted requests that have not reached an account yet (or are between retries)
+        const started = accountManager.getAllAccounts().reduce((sum, account) => sum + busy(account), 0);
+        const reserved = Math.max(0, this.#poolInFlight() - started);
+
+        // A request wider than the limit still runs once the accounts are idle
+        if (reserved === 0 && accounts.every(account => busy(account) === 0)) return true;
+        return reserved + entry.weight <= freeSlots;
+    }
+
+    /**
+     * Admitted weight of the models served by the account pool
+     * @returns {number}
+     */
+    #poolInFlight() {
+        let total = 0;
+        for (const [model, weight] of this.#inFlight) {
+            if (!providerRegistry.resolve(model)) total += weight;
+        }
+        return total;
+    }
+
+    /**
+     * Time until the first rate-limited account becomes usable for a model again
+     * @param {string} model - Model ID
+     * @returns {number} Milliseconds (Infinity if no reset is known)
+     */
+    #soonestResetMs(model) {
+        const now = Date.now();
+        const resets = this.#accountManager.getAllAccounts()
+            .filter(account => !account.isInvalid && account.modelRateLimits?.[model]?.resetTime > now)
+            .map(account => account.modelRateLimits[model].resetTime - now);
+        return resets.length > 0 ? Math.min(...resets) : Infinity;
+    }
+
+    /**
+     * Count a request as in flight
+     * @param {Object} entry - Queue entry
+     * @returns {Object} Admission result with release()
+     */
+    #admit(entry) {
+        this.#inFlight.set(entry.model, (this.#inFlight.get(entry.model) || 0) + entry.weight);
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            const remaining = (this.#inFlight.get(entry.model) || 0) - entry.weight;
+            if (remaining > 0) {
+                this.#inFlight.set(entry.model, remaining);
+            } else {
+                this.#inFlight.delete(entry.model);
+            }
+            this.#drain();
+        };
+        return { admitted: true, release, waitedMs: Date.now() - entry.enqueuedAt };
+    }
+
+    /**
+     * Build a rejection result
+     * @param {string} message - Error message
+     * @returns {Object} Admission result
+     */
+    #reject(message) {
+        return {
+            admitted: false,
+            statusCode: 503,
+            errorType: 'overloaded_error',
+            message,
+            retryAfterSeconds: 5
+        };
+    }
+
+    /**
+     * Insert an entry after all entries of equal or higher priority
+     * @param {Object} entry - Queue entry
+     */
+    #enqueue(entry) {
+        const index = this.#queue.findIndex(waiting => waiting.priority < entry.priority);
+        if (index < 0) {
+            this.#queue.push(entry);
+        } else {
+            this.#queue.splice(index, 0, entry);
+        }
+    }
+
+    /**
+     * Remove an entry from the queue and clean up its timer and listener
+     * @param {Object} entry - Queue entry
+     */
+    #remove(entry) {
+        const index = this.#queue.indexOf(entry);
+        if (index >= 0) this.#queue.splice(index, 1);
+        clearTimeout(entry.timer);
+        if (entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+        if (this.#queue.length === 0) this.#stopRecheck();
+    }
+
+    /**
+     * Admit waiting requests in queue order
+     * A request that does not fit blocks later requests for the same model
+     * only, so one saturated model does not hold up the others.
+     */
+    #drain() {
+        const blockedModels = new Set();
+        for (const entry of [...this.#queue]) {
+            if (blockedModels.has(entry.model)) continue;
+            if (!this.#canAdmit(entry)) {
+                blockedModels.add(entry.model);
+                continue;
+            }
+            this.#remove(entry);
+            const result = this.#admit(entry);
+            logger.info(`[Admission] Admitted ${entry.model} request after ${formatDuration(result.waitedMs)} in queue`);
+            entry.resolve(result);
+        }
+    }
+
+    /**
+     * Periodically re-check the queue while it is not empty (rate limits expire without an event)
+     */
+    #ensureRecheck() {
+        if (this.#recheckTimer) return;
+        this.#recheckTimer = setInterval(() => this.#drain(), RECHECK_INTERVAL_MS);
+        this.#recheckTimer.unref?.();
+    }
+
+    /**
+     * Stop re-checking once the queue is empty
+     */
+    #stopRecheck() {
+        clearInterval(this.#recheckTimer);
+        this.#recheckTimer = null;
+    }
+}
+
+export default AdmissionController;
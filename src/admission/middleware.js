@@ -0,0 +1,69 @@
+/**
+ * Admission Middleware
+ *
+ * Holds generation requests in the admission queue until their model has
+ * capacity. Runs after the API key and budget middleware so priorities can
+ * be looked up by key and rejected requests never wait.
+ */
+
+import { PRIORITY_HEADER } from './index.js';
+import { getBudgetId } from '../budgets/index.js';
+import { extractClientCredential } from '../api-keys/middleware.js';
+import { resolveModelAlias } from '../models/index.js';
+import { sendDialectError, normalizeApiPath } from '../utils/api-dialect.js';
+import { abortOnClientDisconnect } from '../utils/helpers.js';
+
+// Routes that generate through the account pool
+const ADMITTED_PATHS = ['/v1/messages', '/v1/chat/completions', '/v1/completions', '/v1/responses'];
+const GEMINI_GENERATE_PATH = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)\/?$/i;
+
+/**
+ * Create the admission control middleware
+ * @param {import('./index.js').AdmissionController} admissionController - Admission controller
+ * @param {Object} [options]
+ * @param {Function} [options.ensureInitialized] - Loads the account pool before capacity is checked
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createAdmissionMiddleware(admissionController, { ensureInitialized } = {}) {
+    return async (req, res, next) => {
+        if (req.method !== 'POST') return next();
+        const requestPath = normalizeApiPath(req.path);
+        const geminiMatch = req.path.match(GEMINI_GENERATE_PATH);
+        if (!geminiMatch && !ADMITTED_PATHS.includes(requestPath)) return next();
+
+        // Requests without a model are left to the route's own validation
+        const model = geminiMatch ? geminiMatch[1] : req.body?.model;
+        if (!model) return next();
+
+        try {
+            if (ensureInitialized) await ensureInitialized();
+        } catch {
+            return next(); // The route reports initialization errors
+        }
+
+        const signal = abortOnClientDisconnect(res);
+        const budgetId = req.budgetId || getBudgetId(req.apiKey, extractClientCredential(req));
+        // Chat n>1 runs its choices as parallel upstream requests
+        const weight = requestPath === '/v1/chat/completions' && Number.isInteger(req.body.n) ? req.body.n : 1;
+
+        const result = await admissionController.acquire(resolveModelAlias(model), {
+            priority: admissionController.getPriority(budgetId, req.headers[PRIORITY_HEADER]),
+            weight,
+            signal
+        });
+
+        if (!result.admitted) {
+            if (signal.aborted) return;
+            res.setHeader('Retry-After', String(result.retryAfterSeconds));
+            return sendDialectError(req, res, result.statusCode, result.errorType, result.message);
+        }
+
+        // The slot is held until the response ends or the client goes away
+        if (res.destroyed) {
+            result.release();
+            return;
+        }
+        res.on('close', result.release);
+        next();
+    };
+}
@@ -0,0 +1,263 @@
+/**
+ * API Key Manager
+ * Registry of client API keys with per-key policies (allowed models,
+ * allowed endpoints, enabled flag). Keys are stored hashed next to
+ * accounts.json; the plaintext value is only shown once on creation.
+ */
+
+import crypto from 'crypto';
+import { API_KEYS_CONFIG_PATH } from '../constants.js';
+import { loadApiKeys, saveApiKeys, getApiKeysMtime } from './storage.js';
+import { resolveModelAlias } from '../models/index.js';
+import { normalizeApiPath } from '../utils/api-dialect.js';
+import { logger } from '../utils/logger.js';
+
+// Persist lastUsedAt at most this often (avoid a disk write per request)
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a plaintext API key for storage/lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Check if a value matches a list of glob-style patterns ('*' wildcard)
+ * An empty or missing list matches everything.
+ * @param {Array<string>} patterns - Patterns to match against
+ * @param {string} value - Value to test
+ * @returns {boolean} True if allowed
+ */
+function matchesPatterns(patterns, value) {
+    if (!patterns || patterns.length === 0) return true;
+    return patterns.some(pattern => {
+        if (pattern === '*') return true;
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i').test(value || '');
+    });
+}
+
+/**
+ * Strip secret fields from a key record
+ * @param {Object} record - Stored key record
+ * @returns {Object} Public view of the key
+ */
+function toPublicKey(record) {
+    const { keyHash, ...rest } = record;
+    return { ...rest };
+}
+
+export class ApiKeyManager {
+    #keys = [];
+    #configPath;
+    #mtimeMs = 0;
+    #initialized = false;
+    #lastUsedSaveAt = 0;
+
+    constructor(configPath = API_KEYS_CONFIG_PATH) {
+        this.#configPath = configPath;
+    }
+
+    /**
+     * Initialize the manager by loading the registry
+     */
+    async initialize() {
+        if (this.#initialized) return;
+        const { keys, mtimeMs } = await loadApiKeys(this.#configPath);
+        this.#keys = keys;
+        this.#mtimeMs = mtimeMs;
+        this.#initialized = true;
+    }
+
+    /**
+     * Reload the registry if it was modified on disk (e.g. by `agw keys`)
+     * @returns {Promise<boolean>} True if the registry was reloaded
+     */
+    async reloadIfChanged() {
+        if (!this.#initialized) {
+            await this.initialize();
+            return true;
+        }
+        const mtimeMs = await getApiKeysMtime(this.#configPath);
+        if (mtimeMs === this.#mtimeMs) return false;
+
+        const { keys, mtimeMs: loadedMtime } = await loadApiKeys(this.#configPath);
+        this.#keys = keys;
+        this.#mtimeMs = loadedMtime;
+        return true;
+    }
+
+    /**
+     * Whether key enforcement is active (at least one key is registered)
+     * @returns {boolean}
+     */
+    isEnforced() {
+        return this.#keys.length > 0;
+    }
+
+    /**
+     * List all keys without secrets
+     * @returns {Array<Object>} Public key records
+     */
+    listKeys() {
+        return this.#keys.map(toPublicKey);
+    }
+
+    /**
+     * Get a key by ID
+     * @param {string} id - Key ID
+     * @returns {Object|null} Public key record
+     */
+    getKey(id) {
+        const record = this.#keys.find(k => k.id === id);
+        return record ? toPublicKey(record) : null;
+    }
+
+    /**
+     * Create a new API key
+     * @param {{name: string, allowedModels?: Array<string>, allowedEndpoints?: Array<string>, enabled?: boolean}} options
+     * @returns {Promise<{key: string, record: Object}>} Plaintext key (shown once) and public record
+     */
+    async createKey({ name, allowedModels = [], allowedEndpoints = [], enabled = true }) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Key name is required');
+        }
+        await this.reloadIfChanged();
+
+        const key = `agw-${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            name: name.trim(),
+            keyHash: hashApiKey(key),
+            prefix: key.slice(0, 10),
+            allowedModels: normalizeList(allowedModels),
+            allowedEndpoints: normalizeList(allowedEndpoints),
+            enabled: enabled !== false,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        this.#keys.push(record);
+        await this.saveToDisk();
+        logger.info(`[ApiKeys] Created key "${record.name}" (${record.id})`);
+
+        return { key, record: toPublicKey(record) };
+    }
+
+    /**
+     * Update a key's policy
+     * @param {string} id - Key ID
+     * @param {{name?: string, allowedModels?: Array<string>, allowedEndpoints?: Array<string>, enabled?: boolean}} updates
+     * @returns {Promise<Object|null>} Updated public record or null if not found
+     */
+    async updateKey(id, updates) {
+        await this.reloadIfChanged();
+        const record = this.#keys.find(k => k.id === id);
+        if (!record) return null;
+
+        if (typeof updates.name === 'string' && updates.name.trim()) record.name = updates.name.trim();
+        if (updates.allowedModels !== undefined) record.allowedModels = normalizeList(updates.allowedModels);
+        if (updates.allowedEndpoints !== undefined) record.allowedEndpoints = normalizeList(updates.allowedEndpoints);
+        if (typeof updates.enabled === 'boolean') record.enabled = updates.enabled;
+
+        await this.saveToDisk();
+        logger.info(`[ApiKeys] Updated key "${record.name}" (${record.id})`);
+        return toPublicKey(record);
+    }
+
+    /**
+     * Remove a key
+     * @param {string} id - Key ID
+     * @returns {Promise<boolean>} True if removed
+     */
+    async removeKey(id) {
+        await this.reloadIfChanged();
+        const index = this.#keys.findIndex(k => k.id === id);
+        if (index < 0) return false;
+
+        const [removed] = this.#keys.splice(index, 1);
+        await this.saveToDisk();
+        logger.info(`[ApiKeys] Removed key "${removed.name}" (${removed.id})`);
+        return true;
+    }
+
+    /**
+     * Look up a key record by the plaintext credential a client sent
+     * @param {string} credential - Plaintext key from the request
+     * @returns {Object|null} Public key record or null if unknown
+     */
+    findByCredential(credential) {
+        if (!credential) return null;
+        const hash = hashApiKey(credential);
+        const record = this.#keys.find(k => k.keyHash === hash);
+        return record ? toPublicKey(record) : null;
+    }
+
+    /**
+     * Check whether a key may use a model
+     * Aliases are checked as the model they name.
+     * @param {Object} record - Key record
+     * @param {string} model - Model ID or alias
+     * @returns {boolean}
+     */
+    isModelAllowed(record, model) {
+        return matchesPatterns(record?.allowedModels, resolveModelAlias(model));
+    }
+
+    /**
+     * Check whether a key may call an endpoint
+     * Entries are path prefixes (e.g. '/v1/messages', '/v1beta'), compared case-insensitively
+     * like Express routes.
+     * @param {Object} record - Key record
+     * @param {string} requestPath - Request path
+     * @returns {boolean}
+     */
+    isEndpointAllowed(record, requestPath) {
+        const allowed = record?.allowedEndpoints;
+        if (!allowed || allowed.length === 0) return true;
+        const path = normalizeApiPath(requestPath);
+        return allowed.some(entry => {
+            const prefix = normalizeApiPath(entry);
+            return path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+        });
+    }
+
+    /**
+     * Record that a key was used (persisted lazily)
+     * @param {string} id - Key ID
+     */
+    markUsed(id) {
+        const record = this.#keys.find(k => k.id === id);
+        if (!record) return;
+        record.lastUsedAt = new Date().toISOString();
+
+        if (Date.now() - this.#lastUsedSaveAt > LAST_USED_SAVE_INTERVAL_MS) {
+            this.#lastUsedSaveAt = Date.now();
+            this.saveToDisk().catch(error => logger.warn('[ApiKeys] Failed to persist usage:', error.message));
+        }
+    }
+
+    /**
+     * Save the registry to disk
+     * @returns {Promise<void>}
+     */
+    async saveToDisk() {
+        this.#mtimeMs = await saveApiKeys(this.#configPath, this.#keys);
+    }
+}
+
+/**
+ * Normalize a list input (array or comma-separated string) to a trimmed array
+ * @param {Array<string>|string} value - Input list
+ * @returns {Array<string>} Normalized list
+ */
+function normalizeList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+export default ApiKeyManager;
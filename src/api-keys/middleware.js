@@ -0,0 +1,106 @@
+/**
+ * API Key Middleware
+ *
+ * Enforces the client API key registry on all /v1 and /v1beta routes.
+ * When no keys are registered the gateway stays open (legacy behavior).
+ */
+
+import { sendDialectError, normalizeApiPath } from '../utils/api-dialect.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Extract the client credential from a request
+ * Supports Anthropic (x-api-key), OpenAI (Authorization: Bearer) and
+ * Gemini (x-goog-api-key header or ?key= query) conventions.
+ * @param {import('express').Request} req - Express request
+ * @returns {string|null} The credential or null if none was sent
+ */
+export function extractClientCredential(req) {
+    const apiKey = req.headers['x-api-key'] || req.headers['x-goog-api-key'];
+    if (apiKey) return String(apiKey).trim();
+
+    const authorization = req.headers['authorization'];
+    if (authorization) {
+        const match = String(authorization).match(/^Bearer\s+(.+)$/i);
+        return (match ? match[1] : authorization).trim();
+    }
+
+    if (req.query?.key) return String(req.query.key).trim();
+    return null;
+}
+
+/**
+ * Get the ID of the API key a request was authenticated with
+ * Stored batches, files and responses belong to this key and are not
+ * visible to other keys.
+ * @param {import('express').Request} req - Express request
+ * @returns {string|null} Key ID or null when keys are not enforced
+ */
+export function getApiKeyId(req) {
+    return req.apiKey?.id || null;
+}
+
+/**
+ * Extract the requested model for policy checks
+ * @param {import('express').Request} req - Express request
+ * @returns {string|null} Model ID or null if the route has none
+ */
+function extractRequestedModel(req) {
+    const geminiMatch = req.path.match(/^\/v1beta\/models\/([^:/]+)/i);
+    if (geminiMatch) return geminiMatch[1];
+    return req.body?.model || null;
+}
+
+/**
+ * Create the API key enforcement middleware
+ * Attaches the matched key record to `req.apiKey`.
+ * @param {import('./index.js').ApiKeyManager} apiKeyManager - Key registry
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createApiKeyMiddleware(apiKeyManager) {
+    return async (req, res, next) => {
+        const requestPath = normalizeApiPath(req.path);
+        if (!requestPath.startsWith('/v1/') && !requestPath.startsWith('/v1beta/')) {
+            return next();
+        }
+
+        try {
+            await apiKeyManager.reloadIfChanged();
+        } catch (error) {
+            logger.warn('[ApiKeys] Failed to reload registry:', error.message);
+        }
+
+        if (!apiKeyManager.isEnforced()) return next();
+
+        const credential = extractClientCredential(req);
+        if (!credential) {
+            return sendDialectError(req, res, 401, 'authentication_error', 'Missing API key. Provide it via x-api-key or Authorization: Bearer.');
+        }
+
+        const record = apiKeyManager.findByCredential(credential);
+        if (!record) {
+            logger.warn(`[ApiKeys] Rejected unknown key for ${req.method} ${req.path}`);
+            return sendDialectError(req, res, 401, 'authentication_error', 'Invalid API key.');
+        }
+
+        if (!record.enabled) {
+            logger.warn(`[ApiKeys] Rejected disabled key "${record.name}"`);
+            return sendDialectError(req, res, 403, 'permission_error', 'This API key is disabled.');
+        }
+
+        if (!apiKeyManager.isEndpointAllowed(record, requestPath)) {
+            logger.warn(`[ApiKeys] Key "${record.name}" not allowed on ${req.path}`);
+            return sendDialectError(req, res, 403, 'permission_error', `This API key is not allowed to access ${req.path}.`);
+        }
+
+        const model = extractRequestedModel(req);
+        if (model && !apiKeyManager.isModelAllowed(record, model)) {
+            logger.warn(`[ApiKeys] Key "${record.name}" not allowed to use ${model}`);
+            return sendDialectError(req, res, 403, 'permission_error', `This API key is not allowed to use model ${model}.`);
+        }
+
+        req.apiKey = record;
+        apiKeyManager.markUsed(record.id);
+        next();
+    };
+}
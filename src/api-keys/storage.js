@@ -0,0 +1,85 @@
+/**
+ * API Key Storage
+ *
+ * Handles loading and saving the client API key registry to disk.
+ */
+
+import { readFile, writeFile, mkdir, stat } from 'fs/promises';
+import { dirname } from 'path';
+import { API_KEYS_CONFIG_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Load API keys from the registry file
+ *
+ * @param {string} configPath - Path to the registry file
+ * @returns {Promise<{keys: Array, mtimeMs: number}>}
+ */
+export async function loadApiKeys(configPath = API_KEYS_CONFIG_PATH) {
+    try {
+        const [configData, fileStat] = await Promise.all([
+            readFile(configPath, 'utf-8'),
+            stat(configPath)
+        ]);
+        const config = JSON.parse(configData);
+
+        const keys = (config.keys || []).map(key => ({
+            ...key,
+            allowedModels: key.allowedModels || [],
+            allowedEndpoints: key.allowedEndpoints || [],
+            enabled: key.enabled !== false,
+            lastUsedAt: key.lastUsedAt || null
+        }));
+
+        logger.info(`[ApiKeys] Loaded ${keys.length} API key(s) from registry`);
+        return { keys, mtimeMs: fileStat.mtimeMs };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('[ApiKeys] Failed to load registry:', error.message);
+        }
+        return { keys: [], mtimeMs: 0 };
+    }
+}
+
+/**
+ * Get the modification time of the registry file
+ *
+ * @param {string} configPath - Path to the registry file
+ * @returns {Promise<number>} mtime in ms, or 0 if the file does not exist
+ */
+export async function getApiKeysMtime(configPath = API_KEYS_CONFIG_PATH) {
+    try {
+        const fileStat = await stat(configPath);
+        return fileStat.mtimeMs;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Save the API key registry to disk
+ *
+ * @param {string} configPath - Path to the registry file
+ * @param {Array} keys - Array of key records (hashed, never plaintext)
+ * @returns {Promise<number>} mtime of the written file
+ */
+export async function saveApiKeys(configPath, keys) {
+    await mkdir(dirname(configPath), { recursive: true });
+
+    const config = {
+        keys: keys.map(key => ({
+            id: key.id,
+            name: key.name,
+            keyHash: key.keyHash,
+            prefix: key.prefix,
+            allowedModels: key.allowedModels || [],
+            allowedEndpoints: key.allowedEndpoints || [],
+            enabled: key.enabled !== false,
+            createdAt: key.createdAt,
+            lastUsedAt: key.lastUsedAt || null
+        }))
+    };
+
+    await writeFile(configPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    return getApiKeysMtime(configPath);
+}
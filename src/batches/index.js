@@ -0,0 +1,12 @@
+/**
+ * Batch Processing
+ *
+ * Background batch APIs backed by a shared persisted job queue:
+ * - Anthropic Message Batches API (/v1/messages/batches)
+ * - OpenAI Batch API (/v1/batches)
+ */
+
+// Re-export public API
+export { BatchJobQueue } from './job-queue.js';
+export { MessageBatchQueue, validateBatchRequests } from './message-batches.js';
+export { OpenAIBatchQueue } from './openai-batches.js';
@@ -0,0 +1,428 @@
+/**
+ * Batch Job Queue
+ * Generic persisted background queue shared by the Anthropic Message
+ * Batches API and the OpenAI Batch API. Jobs are drained one request at a
+ * time, pause while the account pool is rate-limited and resume after a
+ * restart. A job whose stored requests can't be read ends as failed so it
+ * doesn't block the jobs behind it. Each request counts against the creator's budget like a request
+ * of its own: the queue pauses while the per-minute limit is hit, and
+ * requests past a token limit are recorded as rate_limit_error results
+ * without running. API-specific behavior (executing a request, result records,
+ * public status fields) is supplied through handlers.
+ *
+ * Job metadata mixes public fields (owned by the handlers) with private
+ * fields prefixed with '_' (owned by the queue):
+ *   _state      'active' | 'canceling' | 'ended'
+ *   _createdAt  ms timestamp when the job was created (queue order)
+ *   _total      number of requests
+ *   _nextIndex  index of the next request to run
+ *   _expiresAt  ms timestamp after which remaining requests expire
+ *   _endedAt    ms timestamp when the job ended
+ *   _budgetId   budget to check and charge each request against
+ *   _ownerId    API key ID that created the job (null when keys are not enforced);
+ *               lookups by another key treat the job as not found
+ */
+
+import { isRateLimitError, isAuthError } from '../errors.js';
+import { formatDuration } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import {
+    loadAllBatches,
+    saveBatchMeta,
+    writeBatchRequests,
+    readBatchRequests,
+    appendBatchResult,
+    readBatchResults,
+    createResultsStream,
+    deleteBatchFiles
+} from './storage.js';
+
+// Pause bounds while the account pool is exhausted
+const MIN_PAUSE_MS = 1000;
+const MAX_PAUSE_MS = 60 * 1000;
+
+/**
+ * Classify an error thrown while executing a batch request
+ * @param {Error} error - Error from sendMessage or a converter
+ * @returns {{type: string, statusCode: number}} Error type and HTTP status
+ */
+export function classifyBatchError(error) {
+    if (isAuthError(error)) return { type: 'authentication_error', statusCode: 401 };
+    const msg = error.message || '';
+    if (msg.startsWith('rate_limit_error:')) {
+        return { type: 'rate_limit_error', statusCode: 429 };
+    }
+    if (msg.includes('invalid_request_error') || msg.includes('API error 400')) {
+        return { type: 'invalid_request_error', statusCode: 400 };
+    }
+    return { type: 'api_error', statusCode: 500 };
+}
+
+/**
+ * Strip queue-private fields (prefixed with '_') from job metadata
+ * @param {Object} meta - Stored job metadata
+ * @returns {Object} Public view
+ */
+export function toPublicJob(meta) {
+    return Object.fromEntries(Object.entries(meta).filter(([key]) => !key.startsWith('_')));
+}
+
+/**
+ * @typedef {Object} BatchJobHandlers
+ * @property {function(Object): string} getModel - Model a request will use
+ * @property {function(Object, Object): Promise<Object>} execute - Run a request, return its result record
+ * @property {function(Object, Error): Object} errorResult - Result record for a failed request
+ * @property {function(Object, 'canceled'|'expired'): Object} skippedResult - Result record for a request that never ran
+ * @property {function(Object): void} initCounts - Reset the public counters of a job
+ * @property {function(Object, Object): void} countResult - Update public counters for one result record
+ * @property {function(Object): void} onCancel - Set public fields when cancellation starts
+ * @property {function(Object, 'completed'|'canceled'|'expired'|'failed', Error=): Promise<void>} onEnd - Set public fields when the job ends
+ *   (for 'failed', the error that stopped the job)
+ */
+
+export class BatchJobQueue {
+    #jobs = new Map();
+    #accountManager;
+    #budgetManager;
+    #baseDir;
+    #name;
+    #retentionMs;
+    #handlers;
+    #initialized = false;
+    #initPromise = null;
+    #draining = false;
+    #activeRequests = null; // { id, requests } cache for the job being drained
+    #wake = null;
+
+    /**
+     * @param {import('../account-manager/index.js').default} accountManager - Account pool
+     * @param {Object} options
+     * @param {string} options.baseDir - Storage directory
+     * @param {string} options.name - Log prefix
+     * @param {BatchJobHandlers} options.handlers - API-specific behavior
+     * @param {number|null} [options.retentionMs] - Delete ended jobs after this long (null = keep)
+     * @param {import('../budgets/index.js').BudgetManager|null} [options.budgetManager] - Budgets to enforce per request
+     */
+    constructor(accountManager, { baseDir, name, handlers, retentionMs = null, budgetManager = null }) {
+        this.#accountManager = accountManager;
+        this.#budgetManager = budgetManager;
+        this.#baseDir = baseDir;
+        this.#name = name;
+        this.#handlers = handlers;
+        this.#retentionMs = retentionMs;
+    }
+
+    /**
+     * Load persisted jobs, drop expired ones and resume unfinished work
+     */
+    async initialize() {
+        if (this.#initialized) return;
+        if (!this.#initPromise) {
+            this.#initPromise = this.#load();
+        }
+        await this.#initPromise;
+    }
+
+    async #load() {
+        const now = Date.now();
+        for (const meta of await loadAllBatches(this.#baseDir)) {
+            if (this.#retentionMs && meta._endedAt && now - meta._endedAt > this.#retentionMs) {
+                await deleteBatchFiles(this.#baseDir, meta.id);
+                continue;
+            }
+
+            if (meta._state !== 'ended') {
+                // Result lines are the source of truth for progress (meta may lag a crash)
+                const results = await readBatchResults(this.#baseDir, meta.id);
+                meta._nextIndex = results.length;
+                this.#handlers.initCounts(meta);
+                for (const result of results) {
+                    this.#handlers.countResult(meta, result);
+                }
+            }
+            this.#jobs.set(meta.id, meta);
+        }
+
+        this.#initialized = true;
+        const pending = [...this.#jobs.values()].filter(j => j._state !== 'ended').length;
+        if (pending > 0) {
+            logger.info(`[${this.#name}] Resuming ${pending} unfinished batch(es)`);
+        }
+        this.#drain();
+    }
+
+    /**
+     * Persist a new job and start processing it in the background
+     * @param {Object} meta - Job metadata (public fields plus optional _budgetId/_ownerId/_expiresAt)
+     * @param {Array<Object>} requests - Requests to run
+     * @returns {Promise<Object>} The stored metadata
+     */
+    async create(meta, requests) {
+        await this.initialize();
+
+        Object.assign(meta, {
+            _state: 'active',
+            _createdAt: Date.now(),
+            _total: requests.length,
+            _nextIndex: 0,
+            _endedAt: null,
+            _budgetId: meta._budgetId || null,
+            _ownerId: meta._ownerId || null,
+            _expiresAt: meta._expiresAt || null
+        });
+        this.#handlers.initCounts(meta);
+
+        await writeBatchRequests(this.#baseDir, meta.id, requests);
+        await saveBatchMeta(this.#baseDir, meta);
+        this.#jobs.set(meta.id, meta);
+        logger.info(`[${this.#name}] Created ${meta.id} with ${requests.length} request(s)`);
+
+        this.#drain();
+        return meta;
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} Stored metadata or null if missing or owned by another key
+     */
+    async get(id, ownerId = null) {
+        await this.initialize();
+        const meta = this.#jobs.get(id);
+        return meta && (meta._ownerId || null) === ownerId ? meta : null;
+    }
+
+    /**
+     * List the jobs of an owner, newest first
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Array<Object>>} Stored metadata
+     */
+    async list(ownerId = null) {
+        await this.initialize();
+        return [...this.#jobs.values()]
+            .filter(j => (j._ownerId || null) === ownerId)
+            .sort((a, b) => b._createdAt - a._createdAt);
+    }
+
+    /**
+     * Request cancellation; remaining requests are skipped by the drain loop
+     * @param {string} id - Job ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} Stored metadata or null if not found
+     */
+    async cancel(id, ownerId = null) {
+        const meta = await this.get(id, ownerId);
+        if (!meta) return null;
+
+        if (meta._state === 'active') {
+            meta._state = 'canceling';
+            this.#handlers.onCancel(meta);
+            await saveBatchMeta(this.#baseDir, meta);
+            logger.info(`[${this.#name}] Canceling ${id}`);
+            this.#wakeUp();
+            this.#drain();
+        }
+        return meta;
+    }
+
+    /**
+     * Delete an ended job and its files
+     * @param {string} id - Job ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<'deleted'|'not_found'|'not_ended'>} Outcome
+     */
+    async delete(id, ownerId = null) {
+        const meta = await this.get(id, ownerId);
+        if (!meta) return 'not_found';
+        if (meta._state !== 'ended') return 'not_ended';
+
+        this.#jobs.delete(id);
+        await deleteBatchFiles(this.#baseDir, id);
+        logger.info(`[${this.#name}] Deleted ${id}`);
+        return 'deleted';
+    }
+
+    /**
+     * Read all result records of a job
+     * @param {string} id - Job ID
+     * @returns {Promise<Array<Object>>} Result records in request order
+     */
+    async readResults(id) {
+        return readBatchResults(this.#baseDir, id);
+    }
+
+    /**
+     * Open a read stream over a job's JSONL results
+     * @param {string} id - Job ID
+     * @returns {import('fs').ReadStream} Results stream
+     */
+    createResultsStream(id) {
+        return createResultsStream(this.#baseDir, id);
+    }
+
+    /**
+     * Get a summary of queue state (for /health)
+     * @returns {{pending: number, processing: number}} Unfinished jobs and their remaining requests
+     */
+    getStatus() {
+        const active = [...this.#jobs.values()].filter(j => j._state !== 'ended');
+        return {
+            pending: active.length,
+            processing: active.reduce((sum, j) => sum + (j._total - j._nextIndex), 0)
+        };
+    }
+
+    #nextJob() {
+        return [...this.#jobs.values()]
+            .filter(j => j._state !== 'ended')
+            .sort((a, b) => a._createdAt - b._createdAt)[0] || null;
+    }
+
+    /**
+     * Sleep that cancel() can interrupt
+     */
+    #pause(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.#wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).finally(() => {
+            this.#wake = null;
+        });
+    }
+
+    #wakeUp() {
+        if (this.#wake) this.#wake();
+    }
+
+    async #drain() {
+        if (this.#draining || !this.#initialized) return;
+        this.#draining = true;
+
+        try {
+            let meta;
+            while ((meta = this.#nextJob())) {
+                try {
+                    await this.#processNext(meta);
+                } catch (error) {
+                    await this.#failJob(meta, error);
+                }
+            }
+        } finally {
+            this.#draining = false;
+            this.#activeRequests = null;
+        }
+    }
+
+    async #getRequests(meta) {
+        if (this.#activeRequests?.id !== meta.id) {
+            const requests = await readBatchRequests(this.#baseDir, meta.id);
+            if (requests.length !== meta._total) {
+                throw new Error(`Stored requests are incomplete (${requests.length} of ${meta._total})`);
+            }
+            this.#activeRequests = { id: meta.id, requests };
+        }
+        return this.#activeRequests.requests;
+    }
+
+    /**
+     * Run the next request of a job (or close out the job)
+     */
+    async #processNext(meta) {
+        const requests = await this.#getRequests(meta);
+
+        if (meta._nextIndex >= requests.length) {
+            return this.#endJob(meta, meta._state === 'canceling' ? 'canceled' : 'completed');
+        }
+
+        const isExpired = meta._expiresAt && Date.now() > meta._expiresAt;
+        if (meta._state === 'canceling' || isExpired) {
+            const reason = meta._state === 'canceling' ? 'canceled' : 'expired';
+            for (const request of requests.slice(meta._nextIndex)) {
+                await this.#recordResult(meta, this.#handlers.skippedResult(request, reason));
+            }
+            return this.#endJob(meta, reason);
+        }
+
+        const request = requests[meta._nextIndex];
+        const model = this.#handlers.getModel(request);
+
+        if (this.#accountManager.isAllRateLimited(model)) {
+            const waitMs = Math.min(Math.max(this.#accountManager.getMinWaitTimeMs(model), MIN_PAUSE_MS), MAX_PAUSE_MS);
+            logger.info(`[${this.#name}] Account pool exhausted for ${model}, pausing ${meta.id} for ${formatDuration(waitMs)}`);
+            await this.#pause(waitMs);
+            this.#accountManager.clearExpiredLimits();
+            return;
+        }
+
+        if (meta._budgetId && this.#budgetManager?.isEnabled()) {
+            const budget = this.#budgetManager.checkRequest(meta._budgetId);
+            if (!budget.allowed && budget.limit === 'requestsPerMinute') {
+                const waitMs = Math.min(budget.retryAfterSeconds * 1000, MAX_PAUSE_MS);
+                logger.info(`[${this.#name}] Budget ${meta._budgetId} at its request limit, pausing ${meta.id} for ${formatDuration(waitMs)}`);
+                await this.#pause(waitMs);
+                return;
+            }
+            if (!budget.allowed) {
+                // Token limits reset after a day or month; don't hold up the queue that long
+                logger.warn(`[${this.#name}] ${meta.id} request ${request.custom_id} over budget: ${budget.limit}`);
+                return this.#recordResult(meta, this.#handlers.errorResult(request, new Error(`rate_limit_error: ${budget.message}`)));
+            }
+            this.#budgetManager.recordRequest(meta._budgetId);
+        }
+
+        let result;
+        try {
+            result = await this.#handlers.execute(request, meta);
+        } catch (error) {
+            if (isRateLimitError(error) || error.message === 'No accounts available') {
+                // Not the request's fault - retry it once the pool recovers
+                logger.warn(`[${this.#name}] ${meta.id} paused on ${request.custom_id}: ${error.message}`);
+                await this.#pause(MAX_PAUSE_MS);
+                this.#accountManager.clearExpiredLimits();
+                return;
+            }
+
+            logger.warn(`[${this.#name}] ${meta.id} request ${request.custom_id} errored: ${error.message}`);
+            result = this.#handlers.errorResult(request, error);
+        }
+        await this.#recordResult(meta, result);
+    }
+
+    async #recordResult(meta, result) {
+        await appendBatchResult(this.#baseDir, meta.id, result);
+        meta._nextIndex++;
+        this.#handlers.countResult(meta, result);
+        await saveBatchMeta(this.#baseDir, meta);
+    }
+
+    async #endJob(meta, reason) {
+        meta._state = 'ended';
+        meta._endedAt = Date.now();
+        this.#activeRequests = null;
+        await this.#handlers.onEnd(meta, reason);
+        await saveBatchMeta(this.#baseDir, meta);
+        logger.info(`[${this.#name}] ${meta.id} ended (${reason})`);
+    }
+
+    /**
+     * End a job that can't be processed any further; never throws
+     */
+    async #failJob(meta, error) {
+        logger.error(`[${this.#name}] ${meta.id} failed: ${error.message}`);
+        meta._state = 'ended';
+        meta._endedAt = Date.now();
+        this.#activeRequests = null;
+        try {
+            await this.#handlers.onEnd(meta, 'failed', error);
+            await saveBatchMeta(this.#baseDir, meta);
+        } catch (saveError) {
+            logger.error(`[${this.#name}] Could not save failed ${meta.id}:`, saveError.message);
+        }
+    }
+}
+
+export default BatchJobQueue;
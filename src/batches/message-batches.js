@@ -0,0 +1,238 @@
+/**
+ * Message Batch Queue
+ * Local implementation of Anthropic's Message Batches API on top of the
+ * shared batch job queue. Each request runs through sendMessage (which
+ * handles account rotation and failover).
+ */
+
+import crypto from 'crypto';
+import { MESSAGE_BATCHES_DIR } from '../constants.js';
+import { sendMessage } from '../cloudcode/index.js';
+import { BatchJobQueue, classifyBatchError, toPublicJob } from './job-queue.js';
+
+// Anthropic limits and lifetimes
+export const MAX_BATCH_REQUESTS = 100000;
+const BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const RESULTS_RETENTION_MS = 29 * 24 * 60 * 60 * 1000;
+
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validate the `requests` array of a batch creation request
+ * @param {Array} requests - Batch requests ({ custom_id, params })
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateBatchRequests(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return 'requests is required and must be a non-empty array';
+    }
+    if (requests.length > MAX_BATCH_REQUESTS) {
+        return `A batch may contain at most ${MAX_BATCH_REQUESTS} requests`;
+    }
+
+    const seen = new Set();
+    for (const [index, request] of requests.entries()) {
+        if (!CUSTOM_ID_PATTERN.test(request?.custom_id || '')) {
+            return `requests.${index}.custom_id must be 1-64 characters of letters, digits, '_' or '-'`;
+        }
+        if (seen.has(request.custom_id)) {
+            return `requests.${index}.custom_id "${request.custom_id}" is not unique`;
+        }
+        seen.add(request.custom_id);
+
+        const params = request.params;
+        if (!params || typeof params !== 'object') {
+            return `requests.${index}.params is required`;
+        }
+        if (!params.model || !params.max_tokens || !Array.isArray(params.messages)) {
+            return `requests.${index}.params requires model, max_tokens and messages`;
+        }
+        if (params.stream) {
+            return `requests.${index}.params.stream is not supported in batches`;
+        }
+    }
+    return null;
+}
+
+export class MessageBatchQueue {
+    #queue;
+
+    /**
+     * @param {import('../account-manager/index.js').default} accountManager - Account pool
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Batches directory
+     * @param {boolean} [options.fallbackEnabled] - Passed through to sendMessage
+     * @param {Function} [options.onUsage] - Called with (budgetId, usage, model) after each succeeded request
+     * @param {import('../budgets/index.js').BudgetManager} [options.budgetManager] - Budgets checked before each request
+     * @param {Function} [options.sendMessage] - Override for the message sender
+     */
+    constructor(accountManager, { baseDir = MESSAGE_BATCHES_DIR, fallbackEnabled = false, onUsage = null, budgetManager = null, sendMessage: send = sendMessage } = {}) {
+        this.#queue = new BatchJobQueue(accountManager, {
+            baseDir,
+            name: 'Batches',
+            retentionMs: RESULTS_RETENTION_MS,
+            budgetManager,
+            handlers: {
+                getModel: (request) => request.params.model,
+
+                execute: async ({ custom_id, params }, meta) => {
+                    const message = await send({ ...params, stream: false }, accountManager, fallbackEnabled);
+                    if (onUsage) onUsage(meta._budgetId, message.usage, params.model);
+                    return { custom_id, result: { type: 'succeeded', message } };
+                },
+
+                errorResult: ({ custom_id }, error) => ({
+                    custom_id,
+                    result: {
+                        type: 'errored',
+                        error: { type: 'error', error: { type: classifyBatchError(error).type, message: error.message } }
+                    }
+                }),
+
+                skippedResult: ({ custom_id }, reason) => ({ custom_id, result: { type: reason } }),
+
+                initCounts: (meta) => {
+                    meta.request_counts = { processing: meta._total, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+                },
+
+                countResult: (meta, { result }) => {
+                    meta.request_counts.processing--;
+                    meta.request_counts[result.type]++;
+                },
+
+                onCancel: (meta) => {
+                    meta.processing_status = 'canceling';
+                    meta.cancel_initiated_at = new Date().toISOString();
+                },
+
+                onEnd: async (meta, reason) => {
+                    // Requests of a failed batch that never ran count as errored
+                    if (reason === 'failed') {
+                        meta.request_counts.errored += meta.request_counts.processing;
+                        meta.request_counts.processing = 0;
+                    }
+                    meta.processing_status = 'ended';
+                    meta.ended_at = new Date(meta._endedAt).toISOString();
+                    meta.results_url = `/v1/messages/batches/${meta.id}/results`;
+                }
+            }
+        });
+    }
+
+    /**
+     * Load persisted batches and resume unfinished work
+     */
+    async initialize() {
+        await this.#queue.initialize();
+    }
+
+    /**
+     * Create a batch and start processing it in the background
+     * @param {Array<Object>} requests - Validated batch requests ({ custom_id, params })
+     * @param {Object} [options]
+     * @param {string} [options.budgetId] - Budget to check and charge each request against
+     * @param {string} [options.ownerId] - API key ID of the creator
+     * @returns {Promise<Object>} MessageBatch object
+     */
+    async createBatch(requests, { budgetId = null, ownerId = null } = {}) {
+        const createdAt = Date.now();
+        const meta = await this.#queue.create({
+            id: `msgbatch_${crypto.randomBytes(12).toString('hex')}`,
+            type: 'message_batch',
+            processing_status: 'in_progress',
+            request_counts: null,
+            ended_at: null,
+            created_at: new Date(createdAt).toISOString(),
+            expires_at: new Date(createdAt + BATCH_EXPIRY_MS).toISOString(),
+            archived_at: null,
+            cancel_initiated_at: null,
+            results_url: null,
+            _budgetId: budgetId,
+            _ownerId: ownerId,
+            _expiresAt: createdAt + BATCH_EXPIRY_MS
+        }, requests);
+        return toPublicJob(meta);
+    }
+
+    /**
+     * Get a batch by ID
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} MessageBatch object or null
+     */
+    async getBatch(id, ownerId = null) {
+        const meta = await this.#queue.get(id, ownerId);
+        return meta ? toPublicJob(meta) : null;
+    }
+
+    /**
+     * List an owner's batches, newest first, with Anthropic-style cursor pagination
+     * @param {{limit?: number, before_id?: string, after_id?: string}} options
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<{data: Array, has_more: boolean, first_id: string|null, last_id: string|null}>}
+     */
+    async listBatches({ limit = 20, before_id = null, after_id = null } = {}, ownerId = null) {
+        let batches = await this.#queue.list(ownerId);
+
+        if (after_id) {
+            const index = batches.findIndex(b => b.id === after_id);
+            batches = index >= 0 ? batches.slice(index + 1) : batches;
+        } else if (before_id) {
+            const index = batches.findIndex(b => b.id === before_id);
+            batches = index >= 0 ? batches.slice(0, index) : batches;
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 1000);
+        const page = before_id && !after_id ? batches.slice(-pageSize) : batches.slice(0, pageSize);
+        return {
+            data: page.map(toPublicJob),
+            has_more: batches.length > page.length,
+            first_id: page[0]?.id || null,
+            last_id: page[page.length - 1]?.id || null
+        };
+    }
+
+    /**
+     * Request cancellation of a batch
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} MessageBatch object or null if not found
+     */
+    async cancelBatch(id, ownerId = null) {
+        const meta = await this.#queue.cancel(id, ownerId);
+        return meta ? toPublicJob(meta) : null;
+    }
+
+    /**
+     * Delete an ended batch and its results
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<'deleted'|'not_found'|'not_ended'>} Outcome
+     */
+    async deleteBatch(id, ownerId = null) {
+        return this.#queue.delete(id, ownerId);
+    }
+
+    /**
+     * Open the JSONL results of an ended batch
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<import('fs').ReadStream|'not_found'|'not_ended'>} Results stream or outcome
+     */
+    async getResultsStream(id, ownerId = null) {
+        const meta = await this.#queue.get(id, ownerId);
+        if (!meta) return 'not_found';
+        if (meta._state !== 'ended') return 'not_ended';
+        return this.#queue.createResultsStream(id);
+    }
+
+    /**
+     * Get a summary of queue state (for /health)
+     * @returns {{pending: number, processing: number}}
+     */
+    getStatus() {
+        return this.#queue.getStatus();
+    }
+}
+
+export default MessageBatchQueue;
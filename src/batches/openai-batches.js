@@ -0,0 +1,377 @@
+/**
+ * OpenAI Batch Queue
+ * Local implementation of the OpenAI Batch API on top of the shared batch
+ * job queue. Input and output are JSONL files from the FileStore; each
+ * line runs through the same conversion path as the matching endpoint
+ * (e.g. convertOpenAIToAnthropic → sendMessage → convertAnthropicToOpenAI).
+ */
+
+import crypto from 'crypto';
+import { OPENAI_BATCHES_DIR } from '../constants.js';
+import { sendMessage, embedContents } from '../cloudcode/index.js';
+import { getModelCapabilities } from '../models/index.js';
+import { convertOpenAIToAnthropic, convertAnthropicToOpenAI } from '../format/openai-compat.js';
+import {
+    validateEmbeddingsRequest,
+    convertOpenAIToGoogleEmbeddings,
+    convertGoogleEmbeddingsToOpenAI
+} from '../format/openai-embeddings.js';
+import { BatchJobQueue, classifyBatchError, toPublicJob } from './job-queue.js';
+
+// OpenAI limits
+export const MAX_OPENAI_BATCH_REQUESTS = 50000;
+const COMPLETION_WINDOW_MS = { '24h': 24 * 60 * 60 * 1000 };
+
+/**
+ * Current time as a Unix timestamp in seconds
+ * @returns {number}
+ */
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Parse and validate the lines of a batch input file
+ * @param {string} content - JSONL file content
+ * @param {string} endpoint - Endpoint every line must target
+ * @param {function(string): boolean} isModelAllowed - Model policy of the caller's API key
+ * @returns {{requests: Array<Object>, errors: Array<Object>}} Parsed requests and validation errors
+ */
+function parseBatchInput(content, endpoint, isModelAllowed) {
+    const requests = [];
+    const errors = [];
+    const seen = new Set();
+
+    content.split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        if (!rawLine.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(rawLine);
+        } catch {
+            errors.push({ code: 'invalid_json_line', message: 'This line is not parseable as valid JSON.', param: null, line });
+            return;
+        }
+
+        if (typeof entry.custom_id !== 'string' || !entry.custom_id) {
+            errors.push({ code: 'missing_required_parameter', message: 'custom_id is required.', param: 'custom_id', line });
+        } else if (seen.has(entry.custom_id)) {
+            errors.push({ code: 'duplicate_custom_id', message: `The custom_id "${entry.custom_id}" is not unique.`, param: 'custom_id', line });
+        } else if (entry.method !== 'POST') {
+            errors.push({ code: 'invalid_request', message: 'method must be POST.', param: 'method', line });
+        } else if (entry.url !== endpoint) {
+            errors.push({ code: 'mismatched_endpoint', message: `url must match the batch endpoint ${endpoint}.`, param: 'url', line });
+        } else if (!entry.body || typeof entry.body !== 'object') {
+            errors.push({ code: 'missing_required_parameter', message: 'body is required.', param: 'body', line });
+        } else if (!isModelAllowed(entry.body.model)) {
+            errors.push({ code: 'model_not_allowed', message: `This API key is not allowed to use model ${entry.body.model}.`, param: 'body.model', line });
+        } else {
+            seen.add(entry.custom_id);
+            requests.push({ custom_id: entry.custom_id, url: entry.url, body: entry.body });
+        }
+    });
+
+    if (requests.length + errors.length === 0) {
+        errors.push({ code: 'empty_file', message: 'The input file contains no requests.', param: null, line: null });
+    }
+    if (requests.length > MAX_OPENAI_BATCH_REQUESTS) {
+        errors.push({ code: 'too_many_requests', message: `A batch may contain at most ${MAX_OPENAI_BATCH_REQUESTS} requests.`, param: null, line: null });
+    }
+    return { requests, errors };
+}
+
+export class OpenAIBatchQueue {
+    #queue;
+    #fileStore;
+    #executors;
+
+    /**
+     * @param {import('../account-manager/index.js').default} accountManager - Account pool
+     * @param {import('../files/index.js').FileStore} fileStore - Input/output file storage
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Batches directory
+     * @param {boolean} [options.fallbackEnabled] - Passed through to sendMessage
+     * @param {Function} [options.onUsage] - Called with (budgetId, usage, model) after each succeeded request
+     * @param {import('../budgets/index.js').BudgetManager} [options.budgetManager] - Budgets checked before each request
+     * @param {Function} [options.sendMessage] - Override for the message sender
+     * @param {Function} [options.embedContents] - Override for the embedding sender
+     */
+    constructor(accountManager, fileStore, {
+        baseDir = OPENAI_BATCHES_DIR,
+        fallbackEnabled = false,
+        onUsage = null,
+        budgetManager = null,
+        sendMessage: send = sendMessage,
+        embedContents: embed = embedContents
+    } = {}) {
+        this.#fileStore = fileStore;
+
+        // Per-endpoint execution: body → { body, usage }
+        this.#executors = {
+            '/v1/chat/completions': async (body) => {
+                const anthropicRequest = convertOpenAIToAnthropic({ ...body, stream: false });
+                const anthropicResponse = await send(anthropicRequest, accountManager, fallbackEnabled);
+                return {
+                    body: convertAnthropicToOpenAI(anthropicResponse, anthropicResponse.model),
+                    usage: anthropicResponse.usage
+                };
+            },
+            '/v1/embeddings': async (body) => {
+                const validationError = validateEmbeddingsRequest(body);
+                if (validationError || !getModelCapabilities(body.model).embedding) {
+                    throw new Error(`invalid_request_error: ${validationError || `${body.model} is not an embedding model.`}`);
+                }
+                const { model, requests } = convertOpenAIToGoogleEmbeddings(body);
+                const { embeddings, promptTokens } = await embed(model, requests, accountManager);
+                return {
+                    body: convertGoogleEmbeddingsToOpenAI(embeddings, model, promptTokens, body.encoding_format),
+                    usage: { input_tokens: promptTokens, output_tokens: 0 }
+                };
+            }
+        };
+
+        this.#queue = new BatchJobQueue(accountManager, {
+            baseDir,
+            name: 'OpenAIBatches',
+            budgetManager,
+            handlers: {
+                getModel: (request) => request.body.model,
+
+                execute: async (request, meta) => {
+                    const { body, usage } = await this.#executors[request.url](request.body);
+                    if (onUsage) onUsage(meta._budgetId, usage, request.body.model);
+                    return {
+                        id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+                        custom_id: request.custom_id,
+                        response: { status_code: 200, request_id: crypto.randomUUID(), body },
+                        error: null
+                    };
+                },
+
+                errorResult: (request, error) => {
+                    const { type, statusCode } = classifyBatchError(error);
+                    return {
+                        id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+                        custom_id: request.custom_id,
+                        response: {
+                            status_code: statusCode,
+                            request_id: crypto.randomUUID(),
+                            body: { error: { message: error.message, type, code: type } }
+                        },
+                        error: null
+                    };
+                },
+
+                skippedResult: (request, reason) => ({
+                    id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+                    custom_id: request.custom_id,
+                    response: null,
+                    error: reason === 'expired'
+                        ? { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+                        : { code: 'batch_cancelled', message: 'This request was not executed because the batch was cancelled.' }
+                }),
+
+                initCounts: (meta) => {
+                    meta.request_counts = { total: meta._total, completed: 0, failed: 0 };
+                },
+
+                countResult: (meta, result) => {
+                    if (result.response?.status_code === 200) {
+                        meta.request_counts.completed++;
+                    } else {
+                        meta.request_counts.failed++;
+                    }
+                },
+
+                onCancel: (meta) => {
+                    meta.status = 'cancelling';
+                    meta.cancelling_at = nowSeconds();
+                },
+
+                onEnd: (meta, reason, error) => this.#finalize(meta, reason, error)
+            }
+        });
+    }
+
+    /**
+     * Write output/error files and set the final status
+     */
+    async #finalize(meta, reason, error) {
+        // Batches that failed validation never ran
+        if (meta.status === 'failed') return;
+
+        if (reason === 'failed') {
+            meta.request_counts.failed = meta.request_counts.total - meta.request_counts.completed;
+            Object.assign(meta, {
+                status: 'failed',
+                failed_at: nowSeconds(),
+                errors: { object: 'list', data: [{ code: 'batch_failed', message: error.message, param: null, line: null }] }
+            });
+            return;
+        }
+
+        meta.finalizing_at = nowSeconds();
+        const results = await this.#queue.readResults(meta.id);
+        const succeeded = results.filter(r => r.response?.status_code === 200);
+        const failed = results.filter(r => r.response?.status_code !== 200);
+
+        const toJsonl = (lines) => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+        if (succeeded.length > 0) {
+            const file = await this.#fileStore.createFile({
+                filename: `${meta.id}_output.jsonl`,
+                purpose: 'batch_output',
+                content: toJsonl(succeeded),
+                ownerId: meta._ownerId
+            });
+            meta.output_file_id = file.id;
+        }
+        if (failed.length > 0) {
+            const file = await this.#fileStore.createFile({
+                filename: `${meta.id}_error.jsonl`,
+                purpose: 'batch_output',
+                content: toJsonl(failed),
+                ownerId: meta._ownerId
+            });
+            meta.error_file_id = file.id;
+        }
+
+        if (reason === 'canceled') {
+            meta.status = 'cancelled';
+            meta.cancelled_at = nowSeconds();
+        } else if (reason === 'expired') {
+            meta.status = 'expired';
+            meta.expired_at = nowSeconds();
+        } else {
+            meta.status = 'completed';
+            meta.completed_at = nowSeconds();
+        }
+    }
+
+    /**
+     * Endpoints a batch may target
+     * @returns {Array<string>}
+     */
+    getSupportedEndpoints() {
+        return Object.keys(this.#executors);
+    }
+
+    /**
+     * Load persisted batches and resume unfinished work
+     */
+    async initialize() {
+        await this.#queue.initialize();
+    }
+
+    /**
+     * Create a batch from an uploaded input file
+     * Input lines that fail validation fail the whole batch (status "failed"
+     * with line-level `errors`), matching OpenAI's validation step.
+     * @param {{input_file_id: string, endpoint: string, completion_window: string, metadata?: Object}} params
+     * @param {Object} [options]
+     * @param {string} [options.budgetId] - Budget to check and charge each request against
+     * @param {string} [options.ownerId] - API key ID of the creator (also owns the output files)
+     * @param {function(string): boolean} [options.isModelAllowed] - Model policy of the caller's API key
+     * @returns {Promise<Object>} OpenAI batch object
+     */
+    async createBatch({ input_file_id, endpoint, completion_window, metadata = null }, { budgetId = null, ownerId = null, isModelAllowed = () => true } = {}) {
+        const content = (await this.#fileStore.readContent(input_file_id)).toString('utf-8');
+        const { requests, errors } = parseBatchInput(content, endpoint, isModelAllowed);
+
+        const createdAt = nowSeconds();
+        const windowMs = COMPLETION_WINDOW_MS[completion_window];
+        const meta = {
+            id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+            object: 'batch',
+            endpoint,
+            errors: null,
+            input_file_id,
+            completion_window,
+            status: 'in_progress',
+            output_file_id: null,
+            error_file_id: null,
+            created_at: createdAt,
+            in_progress_at: createdAt,
+            expires_at: createdAt + windowMs / 1000,
+            finalizing_at: null,
+            completed_at: null,
+            failed_at: null,
+            expired_at: null,
+            cancelling_at: null,
+            cancelled_at: null,
+            request_counts: null,
+            metadata,
+            _budgetId: budgetId,
+            _ownerId: ownerId,
+            _expiresAt: Date.now() + windowMs
+        };
+
+        if (errors.length > 0) {
+            Object.assign(meta, {
+                status: 'failed',
+                in_progress_at: null,
+                failed_at: createdAt,
+                errors: { object: 'list', data: errors }
+            });
+            return toPublicJob(await this.#queue.create(meta, []));
+        }
+
+        return toPublicJob(await this.#queue.create(meta, requests));
+    }
+
+    /**
+     * Get a batch by ID
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} OpenAI batch object or null
+     */
+    async getBatch(id, ownerId = null) {
+        const meta = await this.#queue.get(id, ownerId);
+        return meta ? toPublicJob(meta) : null;
+    }
+
+    /**
+     * List an owner's batches, newest first, with OpenAI-style cursor pagination
+     * @param {{limit?: number, after?: string}} options
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<{object: string, data: Array, first_id: string|null, last_id: string|null, has_more: boolean}>}
+     */
+    async listBatches({ limit = 20, after = null } = {}, ownerId = null) {
+        let batches = await this.#queue.list(ownerId);
+        if (after) {
+            const index = batches.findIndex(b => b.id === after);
+            if (index >= 0) batches = batches.slice(index + 1);
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const page = batches.slice(0, pageSize);
+        return {
+            object: 'list',
+            data: page.map(toPublicJob),
+            first_id: page[0]?.id || null,
+            last_id: page[page.length - 1]?.id || null,
+            has_more: batches.length > page.length
+        };
+    }
+
+    /**
+     * Cancel a batch; requests already completed stay in the output file
+     * @param {string} id - Batch ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} OpenAI batch object or null if not found
+     */
+    async cancelBatch(id, ownerId = null) {
+        const meta = await this.#queue.cancel(id, ownerId);
+        return meta ? toPublicJob(meta) : null;
+    }
+
+    /**
+     * Get a summary of queue state (for /health)
+     * @returns {{pending: number, processing: number}}
+     */
+    getStatus() {
+        return this.#queue.getStatus();
+    }
+}
+
+export default OpenAIBatchQueue;
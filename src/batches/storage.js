@@ -0,0 +1,143 @@
+/**
+ * Message Batch Storage
+ *
+ * Each batch lives in its own directory:
+ *   batch.json      - batch metadata (status, counts, cursor)
+ *   requests.jsonl  - submitted requests, written once
+ *   results.jsonl   - results, appended as each request finishes
+ *
+ * Results are appended in request order, so the number of result lines
+ * is the resume cursor after a restart.
+ */
+
+import { createReadStream } from 'fs';
+import { readFile, writeFile, appendFile, mkdir, readdir, rename, rm } from 'fs/promises';
+import { join } from 'path';
+import { MESSAGE_BATCHES_DIR } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+const META_FILE = 'batch.json';
+const REQUESTS_FILE = 'requests.jsonl';
+const RESULTS_FILE = 'results.jsonl';
+
+/**
+ * Read a JSONL file into an array (missing file = empty)
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<Object>>} Parsed lines
+ */
+async function readJsonLines(filePath) {
+    try {
+        const content = await readFile(filePath, 'utf-8');
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Load metadata for all stored batches
+ * @param {string} baseDir - Batches directory
+ * @returns {Promise<Array<Object>>} Batch metadata
+ */
+export async function loadAllBatches(baseDir = MESSAGE_BATCHES_DIR) {
+    let entries;
+    try {
+        entries = await readdir(baseDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('[Batches] Failed to read batches directory:', error.message);
+        }
+        return [];
+    }
+
+    const batches = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        try {
+            const meta = JSON.parse(await readFile(join(baseDir, entry.name, META_FILE), 'utf-8'));
+            batches.push(meta);
+        } catch (error) {
+            logger.warn(`[Batches] Skipping unreadable batch ${entry.name}: ${error.message}`);
+        }
+    }
+    return batches;
+}
+
+/**
+ * Save batch metadata (atomic replace)
+ * @param {string} baseDir - Batches directory
+ * @param {Object} meta - Batch metadata
+ * @returns {Promise<void>}
+ */
+export async function saveBatchMeta(baseDir, meta) {
+    const dir = join(baseDir, meta.id);
+    await mkdir(dir, { recursive: true });
+    const tmpPath = join(dir, `${META_FILE}.tmp`);
+    await writeFile(tmpPath, JSON.stringify(meta, null, 2));
+    await rename(tmpPath, join(dir, META_FILE));
+}
+
+/**
+ * Write the submitted requests of a batch
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @param {Array<Object>} requests - Batch requests ({ custom_id, params })
+ * @returns {Promise<void>}
+ */
+export async function writeBatchRequests(baseDir, id, requests) {
+    const dir = join(baseDir, id);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, REQUESTS_FILE), requests.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+/**
+ * Read the submitted requests of a batch
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @returns {Promise<Array<Object>>} Batch requests
+ */
+export async function readBatchRequests(baseDir, id) {
+    return readJsonLines(join(baseDir, id, REQUESTS_FILE));
+}
+
+/**
+ * Append one result line to a batch
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @param {Object} result - Result line ({ custom_id, result })
+ * @returns {Promise<void>}
+ */
+export async function appendBatchResult(baseDir, id, result) {
+    await appendFile(join(baseDir, id, RESULTS_FILE), JSON.stringify(result) + '\n');
+}
+
+/**
+ * Read all results of a batch
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @returns {Promise<Array<Object>>} Result lines
+ */
+export async function readBatchResults(baseDir, id) {
+    return readJsonLines(join(baseDir, id, RESULTS_FILE));
+}
+
+/**
+ * Open a read stream over a batch's results file
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @returns {import('fs').ReadStream} Results stream
+ */
+export function createResultsStream(baseDir, id) {
+    return createReadStream(join(baseDir, id, RESULTS_FILE));
+}
+
+/**
+ * Delete all files of a batch
+ * @param {string} baseDir - Batches directory
+ * @param {string} id - Batch ID
+ * @returns {Promise<void>}
+ */
+export async function deleteBatchFiles(baseDir, id) {
+    await rm(join(baseDir, id), { recursive: true, force: true });
+}
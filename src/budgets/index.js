@@ -0,0 +1,343 @@
+/**
+ * Budget Manager
+ * Per-credential request and token budgets with soft (warn) and hard
+ * (reject) limits over fixed UTC windows: requests per minute, tokens
+ * per day and tokens per month.
+ *
+ * Limits are read from the `budgets` section of config.json:
+ *
+ *   "budgets": {
+ *     "default": { "requestsPerMinute": 60, "tokensPerDay": { "soft": 800000, "hard": 1000000 } },
+ *     "keys": { "key_1a2b3c4d5e6f": { "tokensPerMonth": 20000000 } }
+ *   }
+ *
+ * A limit is either a number (hard limit) or { soft, hard }. Entries under
+ * `keys` are matched by registry key ID or by credential ID (see getBudgetId).
+ */
+
+import crypto from 'crypto';
+import { BUDGET_USAGE_PATH } from '../constants.js';
+import { config } from '../config.js';
+import { loadBudgetUsage, saveBudgetUsage, saveBudgetUsageSync } from './storage.js';
+import { logger } from '../utils/logger.js';
+
+// Debounce disk writes (counters change on every request)
+const SAVE_DEBOUNCE_MS = 1000;
+
+const LIMIT_NAMES = ['requestsPerMinute', 'tokensPerDay', 'tokensPerMonth'];
+
+/**
+ * Derive the budget ID for a request
+ * Registry keys are tracked by key ID; other credentials by a hash so the
+ * raw secret is never written to disk or logs.
+ * @param {Object|null} apiKey - Matched registry record (req.apiKey)
+ * @param {string|null} credential - Raw client credential
+ * @returns {string} Budget ID
+ */
+export function getBudgetId(apiKey, credential) {
+    if (apiKey?.id) return apiKey.id;
+    if (!credential) return 'anonymous';
+    return `cred_${crypto.createHash('sha256').update(credential).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Normalize usage from an Anthropic-format usage object
+ * @param {Object} usage - { input_tokens, output_tokens, cache_read_input_tokens }
+ * @returns {{inputTokens: number, outputTokens: number, cachedTokens: number}} inputTokens includes cachedTokens
+ */
+export function usageFromAnthropic(usage) {
+    return {
+        inputTokens: (usage?.input_tokens || 0) + (usage?.cache_read_input_tokens || 0),
+        outputTokens: usage?.output_tokens || 0,
+        cachedTokens: usage?.cache_read_input_tokens || 0
+    };
+}
+
+/**
+ * Normalize usage from a Google usageMetadata object
+ * @param {Object} usageMetadata - { promptTokenCount, candidatesTokenCount, cachedContentTokenCount }
+ * @returns {{inputTokens: number, outputTokens: number, cachedTokens: number}} inputTokens includes cachedTokens
+ */
+export function usageFromGemini(usageMetadata) {
+    return {
+        inputTokens: usageMetadata?.promptTokenCount || 0,
+        outputTokens: usageMetadata?.candidatesTokenCount || 0,
+        cachedTokens: usageMetadata?.cachedContentTokenCount || 0
+    };
+}
+
+/**
+ * Accumulate usage from an Anthropic stream event
+ * Input tokens arrive in message_start, output tokens in message_delta.
+ * @param {Object} usage - Accumulator ({} initially), mutated in place
+ * @param {Object} event - Anthropic SSE event
+ * @returns {Object} The accumulator
+ */
+export function accumulateStreamUsage(usage, event) {
+    if (event?.type === 'message_start' && event.message?.usage) {
+        usage.input_tokens = event.message.usage.input_tokens || 0;
+        usage.cache_read_input_tokens = event.message.usage.cache_read_input_tokens || 0;
+    } else if (event?.type === 'message_delta' && event.usage) {
+        usage.output_tokens = event.usage.output_tokens || 0;
+    }
+    return usage;
+}
+
+/**
+ * Normalize a limit value to { soft, hard }
+ * @param {number|Object|undefined} limit - Configured limit
+ * @returns {{soft: number|null, hard: number|null}}
+ */
+function normalizeLimit(limit) {
+    if (typeof limit === 'number') return { soft: null, hard: limit > 0 ? limit : null };
+    return {
+        soft: limit?.soft > 0 ? limit.soft : null,
+        hard: limit?.hard > 0 ? limit.hard : null
+    };
+}
+
+/**
+ * Get the current window labels and their reset times (UTC)
+ * @param {number} now - Timestamp in ms
+ * @returns {{minute: Object, day: Object, month: Object}} Window label + resetAt per period
+ */
+function getWindows(now) {
+    const d = new Date(now);
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth();
+    const day = d.getUTCDate();
+    return {
+        minute: {
+            label: d.toISOString().slice(0, 16),
+            resetAt: Math.floor(now / 60000) * 60000 + 60000
+        },
+        day: {
+            label: d.toISOString().slice(0, 10),
+            resetAt: Date.UTC(y, m, day + 1)
+        },
+        month: {
+            label: d.toISOString().slice(0, 7),
+            resetAt: Date.UTC(y, m + 1, 1)
+        }
+    };
+}
+
+export class BudgetManager {
+    #usage = {};
+    #usagePath;
+    #getBudgetConfig;
+    #now;
+    #initialized = false;
+    #saveTimer = null;
+    #prunedMonth = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.usagePath] - Counters file path
+     * @param {Function} [options.getBudgetConfig] - Returns the budgets config section
+     * @param {Function} [options.now] - Clock (for tests)
+     */
+    constructor({ usagePath = BUDGET_USAGE_PATH, getBudgetConfig = () => config.budgets || {}, now = Date.now } = {}) {
+        this.#usagePath = usagePath;
+        this.#getBudgetConfig = getBudgetConfig;
+        this.#now = now;
+    }
+
+    /**
+     * Initialize the manager by loading persisted counters
+     */
+    async initialize() {
+        if (this.#initialized) return;
+        this.#usage = await loadBudgetUsage(this.#usagePath);
+        this.#initialized = true;
+        this.#pruneExpired(getWindows(this.#now()));
+    }
+
+    /**
+     * Drop credentials with no usage in the current month
+     * Their minute and day windows have expired too, so nothing is lost;
+     * without this every credential ever seen would stay in memory and on disk.
+     * Runs when the month rolls over (and on load).
+     * @param {Object} windows - Current windows from getWindows()
+     */
+    #pruneExpired(windows) {
+        if (this.#prunedMonth === windows.month.label) return;
+        this.#prunedMonth = windows.month.label;
+
+        const expired = Object.keys(this.#usage).filter(budgetId => this.#usage[budgetId].month?.window !== windows.month.label);
+        if (expired.length === 0) return;
+        for (const budgetId of expired) delete this.#usage[budgetId];
+        logger.debug(`[Budgets] Pruned counters of ${expired.length} credential(s) from past months`);
+        this.#scheduleSave();
+    }
+
+    /**
+     * Resolve the effective limits for a budget ID
+     * Per-key entries override the default limit by limit.
+     * @param {string} budgetId - Budget ID
+     * @returns {Object} Limits keyed by limit name, each { soft, hard }
+     */
+    getLimits(budgetId) {
+        const budgetConfig = this.#getBudgetConfig();
+        const merged = { ...(budgetConfig.default || {}), ...(budgetConfig.keys?.[budgetId] || {}) };
+        return Object.fromEntries(LIMIT_NAMES.map(name => [name, normalizeLimit(merged[name])]));
+    }
+
+    /**
+     * Whether any limit is configured at all
+     * @returns {boolean}
+     */
+    isEnabled() {
+        const budgetConfig = this.#getBudgetConfig();
+        return !!(budgetConfig.default && Object.keys(budgetConfig.default).length) ||
+            !!(budgetConfig.keys && Object.keys(budgetConfig.keys).length);
+    }
+
+    /**
+     * Get (and roll over) the counters for a budget ID
+     * @param {string} budgetId - Budget ID
+     * @param {number} now - Timestamp in ms
+     * @returns {Object} Counters with minute/day/month windows
+     */
+    #getCounters(budgetId, now = this.#now()) {
+        const windows = getWindows(now);
+        this.#pruneExpired(windows);
+        const counters = this.#usage[budgetId] || (this.#usage[budgetId] = {});
+
+        for (const period of ['minute', 'day', 'month']) {
+            if (counters[period]?.window !== windows[period].label) {
+                counters[period] = { window: windows[period].label, requests: 0, inputTokens: 0, outputTokens: 0 };
+            }
+        }
+        return counters;
+    }
+
+    /**
+     * Check whether a new request is within the hard limits
+     * @param {string} budgetId - Budget ID
+     * @returns {{allowed: boolean, limit?: string, message?: string, retryAfterSeconds?: number}}
+     */
+    checkRequest(budgetId) {
+        const now = this.#now();
+        const limits = this.getLimits(budgetId);
+        const counters = this.#getCounters(budgetId, now);
+        const windows = getWindows(now);
+
+        const checks = [
+            ['requestsPerMinute', counters.minute.requests, windows.minute.resetAt, 'requests per minute'],
+            ['tokensPerDay', counters.day.inputTokens + counters.day.outputTokens, windows.day.resetAt, 'tokens per day'],
+            ['tokensPerMonth', counters.month.inputTokens + counters.month.outputTokens, windows.month.resetAt, 'tokens per month']
+        ];
+
+        for (const [name, used, resetAt, label] of checks) {
+            const { hard } = limits[name];
+            if (hard && used >= hard) {
+                return {
+                    allowed: false,
+                    limit: name,
+                    retryAfterSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+                    message: `Budget exceeded: ${used}/${hard} ${label}. Resets at ${new Date(resetAt).toISOString()}.`
+                };
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Count a request against the budget (call once admitted)
+     * @param {string} budgetId - Budget ID
+     */
+    recordRequest(budgetId) {
+        const counters = this.#getCounters(budgetId);
+        const before = counters.minute.requests;
+        for (const period of ['minute', 'day', 'month']) {
+            counters[period].requests++;
+        }
+
+        this.#warnOnSoftLimit(budgetId, 'requestsPerMinute', before, counters.minute.requests, 'requests per minute');
+        this.#scheduleSave();
+    }
+
+    /**
+     * Add token usage for a completed request
+     * @param {string} budgetId - Budget ID
+     * @param {{inputTokens: number, outputTokens: number}} usage - Normalized usage
+     */
+    recordUsage(budgetId, { inputTokens = 0, outputTokens = 0 } = {}) {
+        if (!inputTokens && !outputTokens) return;
+        const counters = this.#getCounters(budgetId);
+
+        const dayBefore = counters.day.inputTokens + counters.day.outputTokens;
+        const monthBefore = counters.month.inputTokens + counters.month.outputTokens;
+        for (const period of ['minute', 'day', 'month']) {
+            counters[period].inputTokens += inputTokens;
+            counters[period].outputTokens += outputTokens;
+        }
+
+        const total = inputTokens + outputTokens;
+        this.#warnOnSoftLimit(budgetId, 'tokensPerDay', dayBefore, dayBefore + total, 'tokens per day');
+        this.#warnOnSoftLimit(budgetId, 'tokensPerMonth', monthBefore, monthBefore + total, 'tokens per month');
+        this.#scheduleSave();
+    }
+
+    /**
+     * Log a warning the first time usage crosses a soft limit in a window
+     */
+    #warnOnSoftLimit(budgetId, name, before, after, label) {
+        const { soft } = this.getLimits(budgetId)[name];
+        if (soft && before < soft && after >= soft) {
+            logger.warn(`[Budgets] ${budgetId} passed soft limit: ${after}/${soft} ${label}`);
+        }
+    }
+
+    /**
+     * Get current usage and limits for all tracked budget IDs
+     * @returns {Object} Usage keyed by budget ID
+     */
+    getStatus() {
+        const now = this.#now();
+        return Object.fromEntries(Object.keys(this.#usage).map(budgetId => {
+            const counters = this.#getCounters(budgetId, now);
+            return [budgetId, {
+                limits: this.getLimits(budgetId),
+                minute: { requests: counters.minute.requests },
+                day: { ...counters.day },
+                month: { ...counters.month }
+            }];
+        }));
+    }
+
+    #scheduleSave() {
+        if (this.#saveTimer) return;
+        this.#saveTimer = setTimeout(() => {
+            this.#saveTimer = null;
+            this.saveToDisk().catch(error => logger.warn('[Budgets] Failed to persist counters:', error.message));
+        }, SAVE_DEBOUNCE_MS);
+        this.#saveTimer.unref?.();
+    }
+
+    /**
+     * Save counters to disk
+     * @returns {Promise<void>}
+     */
+    async saveToDisk() {
+        await saveBudgetUsage(this.#usagePath, this.#usage);
+    }
+
+    /**
+     * Write pending counter changes synchronously
+     * For process exit, when the debounced save would never run.
+     */
+    flushSync() {
+        if (!this.#saveTimer) return;
+        clearTimeout(this.#saveTimer);
+        this.#saveTimer = null;
+        try {
+            saveBudgetUsageSync(this.#usagePath, this.#usage);
+        } catch (error) {
+            logger.warn('[Budgets] Failed to persist counters:', error.message);
+        }
+    }
+}
+
+export default BudgetManager;
@@ -0,0 +1,47 @@
+/**
+ * Budget Middleware
+ *
+ * Enforces per-credential request/token budgets on API calls. Runs after
+ * the API key middleware so registry keys are budgeted by key ID.
+ */
+
+import { getBudgetId } from './index.js';
+import { extractClientCredential } from '../api-keys/middleware.js';
+import { sendDialectError, normalizeApiPath } from '../utils/api-dialect.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Create the budget enforcement middleware
+ * Attaches the budget ID to `req.budgetId` so handlers can record usage.
+ * @param {import('./index.js').BudgetManager} budgetManager - Budget manager
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createBudgetMiddleware(budgetManager) {
+    return async (req, res, next) => {
+        const requestPath = normalizeApiPath(req.path);
+        if (req.method !== 'POST' || (!requestPath.startsWith('/v1/') && !requestPath.startsWith('/v1beta/'))) {
+            return next();
+        }
+        // Token counting is a preflight that never generates; don't spend budget on it
+        if (requestPath === '/v1/messages/count_tokens') return next();
+        if (!budgetManager.isEnabled()) return next();
+
+        try {
+            await budgetManager.initialize();
+        } catch (error) {
+            logger.warn('[Budgets] Failed to load counters:', error.message);
+        }
+
+        const budgetId = getBudgetId(req.apiKey, extractClientCredential(req));
+        const check = budgetManager.checkRequest(budgetId);
+        if (!check.allowed) {
+            logger.warn(`[Budgets] Rejected ${req.path} for ${budgetId}: ${check.limit} exceeded`);
+            res.setHeader('Retry-After', String(check.retryAfterSeconds));
+            return sendDialectError(req, res, 429, 'rate_limit_error', check.message);
+        }
+
+        budgetManager.recordRequest(budgetId);
+        req.budgetId = budgetId;
+        next();
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * Budget Usage Storage
+ *
+ * Handles loading and saving per-credential budget counters to disk
+ * so that daily/monthly windows survive restarts.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { BUDGET_USAGE_PATH } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Load budget counters from disk
+ *
+ * @param {string} usagePath - Path to the counters file
+ * @returns {Promise<Object>} Counters keyed by budget ID
+ */
+export async function loadBudgetUsage(usagePath = BUDGET_USAGE_PATH) {
+    try {
+        const data = JSON.parse(await readFile(usagePath, 'utf-8'));
+        const usage = data.usage || {};
+        logger.info(`[Budgets] Loaded counters for ${Object.keys(usage).length} credential(s)`);
+        return usage;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('[Budgets] Failed to load counters:', error.message);
+        }
+        return {};
+    }
+}
+
+/**
+ * Save budget counters to disk
+ *
+ * @param {string} usagePath - Path to the counters file
+ * @param {Object} usage - Counters keyed by budget ID
+ * @returns {Promise<void>}
+ */
+export async function saveBudgetUsage(usagePath, usage) {
+    await mkdir(dirname(usagePath), { recursive: true });
+    await writeFile(usagePath, JSON.stringify({ usage }, null, 2));
+}
+
+/**
+ * Save budget counters to disk synchronously (on process exit)
+ *
+ * @param {string} usagePath - Path to the counters file
+ * @param {Object} usage - Counters keyed by budget ID
+ */
+export function saveBudgetUsageSync(usagePath, usage) {
+    mkdirSync(dirname(usagePath), { recursive: true });
+    writeFileSync(usagePath, JSON.stringify({ usage }, null, 2));
+}
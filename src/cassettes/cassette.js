@@ -0,0 +1,187 @@
+/**
+ * Cassette
+ * A file of recorded upstream request/response pairs ("interactions").
+ *
+ * File format:
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2026-01-01T00:00:00.000Z",
+ *     "interactions": [{
+ *       "request": { "method": "POST", "path": "/v1internal:streamGenerateContent?alt=sse",
+ *                    "key": "<sha256>", "body": { ...normalized request body } },
+ *       "response": { "status": 200, "headers": { "content-type": "text/event-stream" },
+ *                     "headersMs": 412, "chunks": [{ "delayMs": 0, "data": "data: {...}\n\n" }] }
+ *     }]
+ *   }
+ *
+ * Requests are matched on method, path and normalized body: the host is
+ * ignored (any Cloud Code endpoint can serve a recorded response) and
+ * per-request fields such as requestId and project are dropped, so a replay
+ * with other accounts matches the recording.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import crypto from 'crypto';
+
+export const CASSETTE_VERSION = 1;
+
+// Top-level request fields that differ on every request or per account
+export const DEFAULT_IGNORE_FIELDS = ['requestId', 'project'];
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads give equal strings
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Remove a dot-separated path (e.g. "request.sessionId") from an object in place
+ * @param {Object} object - Parsed request body
+ * @param {string} path - Field path
+ */
+function deletePath(object, path) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    let target = object;
+    for (const part of parts) {
+        target = target?.[part];
+        if (!target || typeof target !== 'object') return;
+    }
+    delete target[last];
+}
+
+/**
+ * Normalize an upstream request for matching
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL
+ * @param {string} [request.body] - Request body
+ * @param {Array<string>} [ignoreFields] - Body field paths left out of the match
+ * @returns {{method: string, path: string, key: string, body: *}} Normalized request
+ */
+export function normalizeRequest({ method = 'GET', url, body }, ignoreFields = DEFAULT_IGNORE_FIELDS) {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+
+    let normalizedBody = body ?? null;
+    if (typeof body === 'string' && body) {
+        try {
+            normalizedBody = JSON.parse(body);
+            if (normalizedBody && typeof normalizedBody === 'object') {
+                for (const field of ignoreFields) deletePath(normalizedBody, field);
+            }
+        } catch {
+            // Not JSON: match on the raw body
+        }
+    }
+
+    method = method.toUpperCase();
+    const key = crypto.createHash('sha256')
+        .update(`${method} ${path}\n${stableStringify(normalizedBody)}`)
+        .digest('hex');
+
+    return { method, path, key, body: normalizedBody };
+}
+
+export class Cassette {
+    #file;
+    #ignoreFields;
+    #interactions = [];
+    #replayed = new Map(); // key -> number of interactions served
+    #saving = Promise.resolve();
+
+    /**
+     * @param {string} file - Cassette file path
+     * @param {Object} [options]
+     * @param {Array<string>} [options.ignoreFields] - Body field paths left out of the match
+     */
+    constructor(file, { ignoreFields = DEFAULT_IGNORE_FIELDS } = {}) {
+        this.#file = file;
+        this.#ignoreFields = ignoreFields;
+    }
+
+    get file() {
+        return this.#file;
+    }
+
+    get size() {
+        return this.#interactions.length;
+    }
+
+    /**
+     * Normalize a request with this cassette's ignored fields
+     * @param {Object} request - { method, url, body }
+     * @returns {{method: string, path: string, key: string, body: *}}
+     */
+    normalize(request) {
+        return normalizeRequest(request, this.#ignoreFields);
+    }
+
+    /**
+     * Load the interactions from the cassette file
+     * @returns {Promise<void>}
+     * @throws {Error} If the file is missing or not a cassette
+     */
+    async load() {
+        const data = JSON.parse(await readFile(this.#file, 'utf-8'));
+        if (!Array.isArray(data.interactions)) {
+            throw new Error(`${this.#file} is not a cassette (no "interactions" list)`);
+        }
+        this.#interactions = data.interactions;
+        this.#replayed.clear();
+    }
+
+    /**
+     * Add a recorded interaction and write the cassette file
+     * Writes are serialized so the file always holds a complete cassette.
+     * @param {Object} request - Normalized request
+     * @param {Object} response - { status, headers, headersMs, chunks }
+     * @returns {Promise<void>}
+     */
+    record(request, response) {
+        this.#interactions.push({ request, response });
+        const contents = JSON.stringify({
+            version: CASSETTE_VERSION,
+            recordedAt: new Date().toISOString(),
+            interactions: this.#interactions
+        }, null, 2);
+        this.#saving = this.#saving
+            .catch(() => {})
+            .then(async () => {
+                await mkdir(dirname(this.#file), { recursive: true });
+                await writeFile(this.#file, contents);
+            });
+        return this.#saving;
+    }
+
+    /**
+     * Find the recorded response for a request
+     * Repeated requests get their recorded responses in order (e.g. a 503
+     * then the retry's 200); once those run out the last one is reused.
+     * @param {Object} request - Normalized request
+     * @returns {Object|null} Recorded response, or null if the request was never recorded
+     */
+    match(request) {
+        const matches = this.#interactions.filter(interaction => interaction.request.key === request.key);
+        if (matches.length === 0) return null;
+
+        const served = this.#replayed.get(request.key) || 0;
+        this.#replayed.set(request.key, served + 1);
+        return matches[Math.min(served, matches.length - 1)].response;
+    }
+}
+
+export default Cassette;
@@ -0,0 +1,15 @@
+/**
+ * Cassettes
+ *
+ * Record/replay of upstream Cloud Code traffic, so client integrations and
+ * the format converters can be tested offline and deterministically.
+ * Enabled with --record <file> / --replay <file>, CASSETTE_MODE and
+ * CASSETTE_FILE, or the "cassette" section of config.json.
+ */
+
+export { installCassette, isCloudCodeUrl, CASSETTE_MODES } from './recorder.js';
+export { Cassette, normalizeRequest, CASSETTE_VERSION, DEFAULT_IGNORE_FIELDS } from './cassette.js';
+
+import { installCassette } from './recorder.js';
+
+export default installCassette;
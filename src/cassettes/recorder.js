@@ -0,0 +1,221 @@
+/**
+ * Cassette Recorder
+ * Records Cloud Code traffic into a cassette, or replays it from one, by
+ * wrapping the global fetch. Requests to other hosts (providers, the OAuth
+ * user info endpoint) are passed through unchanged.
+ *
+ * - record: requests go upstream as usual; each completed response is added
+ *   to the cassette with its status, headers and body chunks, and the time
+ *   to the headers and between chunks. Request headers (access tokens) are
+ *   not recorded.
+ * - replay: nothing is sent to Cloud Code. Responses come from the cassette,
+ *   with the recorded delays scaled by `speed` (0 replays instantly). OAuth
+ *   token refreshes get a placeholder token, so any accounts file works.
+ *   A request missing from the cassette fails with a 400 naming it.
+ */
+
+import { ANTIGRAVITY_ENDPOINT_FALLBACKS, ANTIGRAVITY_LOAD_ENDPOINTS, OAUTH_CONFIG } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { Cassette, DEFAULT_IGNORE_FIELDS } from './cassette.js';
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Response headers that describe the encoded body, not the decoded chunks we store
+const SKIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'set-cookie'];
+
+const REPLAY_ACCESS_TOKEN = 'cassette-replay-token';
+
+/**
+ * Check whether a URL is a Cloud Code endpoint
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+export function isCloudCodeUrl(url) {
+    return [...ANTIGRAVITY_ENDPOINT_FALLBACKS, ...ANTIGRAVITY_LOAD_ENDPOINTS].some(endpoint => url.startsWith(`${endpoint}/`));
+}
+
+/**
+ * Read the method, URL and body of a fetch call
+ * @param {string|URL|Request} input - fetch input
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<{method: string, url: string, body: string|undefined, signal: AbortSignal|undefined}>}
+ */
+async function readFetchArgs(input, init = {}) {
+    if (input instanceof Request) {
+        return {
+            method: init.method || input.method,
+            url: input.url,
+            body: init.body ?? (input.body ? await input.clone().text() : undefined),
+            signal: init.signal || input.signal
+        };
+    }
+    return { method: init.method || 'GET', url: String(input), body: init.body, signal: init.signal };
+}
+
+/**
+ * Pass a response through while capturing its body chunks and their timing
+ * @param {Response} response - Upstream response
+ * @param {Function} onComplete - Called with the chunks once the body has been read to the end
+ * @returns {Response} Response with the same status, headers and body
+ */
+function captureResponse(response, onComplete) {
+    if (!response.body) {
+        onComplete([]);
+        return response;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const chunks = [];
+    let lastAt = Date.now();
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read();
+                const now = Date.now();
+                if (done) {
+                    const rest = decoder.decode();
+                    if (rest) chunks.push({ delayMs: 0, data: rest });
+                    controller.close();
+                    onComplete(chunks);
+                    return;
+                }
+                chunks.push({ delayMs: now - lastAt, data: decoder.decode(value, { stream: true }) });
+                lastAt = now;
+                controller.enqueue(value);
+            } catch (error) {
+                // Incomplete responses are not recorded
+                controller.error(error);
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+/**
+ * Build a response from a recorded one, waiting out the recorded delays
+ * @param {Object} recorded - { status, headers, headersMs, chunks }
+ * @param {number} speed - Delay divisor (0 = no delays)
+ * @param {AbortSignal} [signal] - Aborts the replay
+ * @returns {Promise<Response>}
+ */
+async function replayResponse(recorded, speed, signal) {
+    const delay = (ms) => (speed > 0 && ms > 0 ? sleep(ms / speed, signal) : Promise.resolve());
+
+    await delay(recorded.headersMs || 0);
+    if (signal?.aborted) throw signal.reason;
+
+    const encoder = new TextEncoder();
+    const chunks = [...(recorded.chunks || [])];
+    const body = new ReadableStream({
+        async pull(controller) {
+            const chunk = chunks.shift();
+            if (!chunk) {
+                controller.close();
+                return;
+            }
+            try {
+                await delay(chunk.delayMs);
+            } catch (error) {
+                controller.error(error);
+                return;
+            }
+            controller.enqueue(encoder.encode(chunk.data));
+        }
+    });
+
+    return new Response(body, { status: recorded.status, headers: recorded.headers || {} });
+}
+
+/**
+ * Response for a Cloud Code request that is not in the cassette
+ * @param {Object} request - Normalized request
+ * @param {string} file - Cassette file
+ * @returns {Response}
+ */
+function unmatchedResponse(request, file) {
+    // The key stays out of the error text: the handlers look for status codes in it
+    const message = `No recorded response in cassette ${file} for ${request.method} ${request.path}`;
+    logger.warn(`[Cassette] ${message} (key ${request.key})`);
+    return Response.json(
+        { error: { code: 400, message, status: 'FAILED_PRECONDITION' } },
+        { status: 400 }
+    );
+}
+
+/**
+ * Start recording or replaying Cloud Code traffic
+ * @param {Object} options
+ * @param {string} options.mode - 'off', 'record' or 'replay'
+ * @param {string} options.file - Cassette file path
+ * @param {number} [options.speed=1] - Replay delay divisor (0 = no delays)
+ * @param {Array<string>} [options.ignoreFields] - Request body field paths left out of the match
+ * @returns {Promise<Function>} Restores the original fetch
+ * @throws {Error} On an unknown mode, a missing file, or (replay) an unreadable cassette
+ */
+export async function installCassette({ mode, file, speed = 1, ignoreFields = DEFAULT_IGNORE_FIELDS }) {
+    if (!CASSETTE_MODES.includes(mode)) {
+        throw new Error(`Unknown cassette mode "${mode}" (expected ${CASSETTE_MODES.join(', ')})`);
+    }
+    if (mode === 'off') return () => {};
+    if (!file) throw new Error(`Cassette mode "${mode}" needs a cassette file`);
+
+    const cassette = new Cassette(file, { ignoreFields });
+    const originalFetch = globalThis.fetch;
+
+    if (mode === 'record') {
+        globalThis.fetch = async (input, init) => {
+            const args = await readFetchArgs(input, init);
+            if (!isCloudCodeUrl(args.url)) return originalFetch(input, init);
+
+            const startedAt = Date.now();
+            const response = await originalFetch(input, init);
+            const headersMs = Date.now() - startedAt;
+            const request = cassette.normalize(args);
+
+            return captureResponse(response, (chunks) => {
+                const headers = {};
+                response.headers.forEach((value, name) => {
+                    if (!SKIPPED_RESPONSE_HEADERS.includes(name)) headers[name] = value;
+                });
+                cassette.record(request, { status: response.status, headers, headersMs, chunks })
+                    .then(() => logger.debug(`[Cassette] Recorded ${request.method} ${request.path} -> ${response.status}`))
+                    .catch(error => logger.error(`[Cassette] Failed to write ${file}: ${error.message}`));
+            });
+        };
+        logger.info(`[Cassette] Recording Cloud Code traffic to ${file}`);
+    } else {
+        await cassette.load();
+        globalThis.fetch = async (input, init) => {
+            const args = await readFetchArgs(input, init);
+            if (args.url === OAUTH_CONFIG.tokenUrl) {
+                return Response.json({ access_token: REPLAY_ACCESS_TOKEN, expires_in: 3599, token_type: 'Bearer' });
+            }
+            if (!isCloudCodeUrl(args.url)) return originalFetch(input, init);
+
+            const request = cassette.normalize(args);
+            const recorded = cassette.match(request);
+            if (!recorded) return unmatchedResponse(request, file);
+
+            logger.debug(`[Cassette] Replaying ${request.method} ${request.path} -> ${recorded.status}`);
+            return replayResponse(recorded, speed, args.signal);
+        };
+        logger.info(`[Cassette] Replaying ${cassette.size} interaction(s) from ${file}`);
+    }
+
+    return () => {
+        globalThis.fetch = originalFetch;
+    };
+}
+
+export default installCassette;
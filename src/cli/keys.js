@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Management CLI
+ *
+ * Manage client API keys for the gateway. The running server picks up
+ * changes automatically, so it does not need to be stopped.
+ *
+ * Usage:
+ *   node src/cli/keys.js list                          # List all keys
+ *   node src/cli/keys.js create <name> [options]       # Create a key
+ *   node src/cli/keys.js update <id> [options]         # Change a key's policy
+ *   node src/cli/keys.js enable <id>                   # Enable a key
+ *   node src/cli/keys.js disable <id>                  # Disable a key
+ *   node src/cli/keys.js remove <id>                   # Revoke a key
+ */
+
+import { ApiKeyManager } from '../api-keys/index.js';
+import { API_KEYS_CONFIG_PATH } from '../constants.js';
+
+/**
+ * Read the value of a --flag option from argv
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|undefined} Flag value
+ */
+function getOption(args, flag) {
+    const index = args.indexOf(flag);
+    if (index >= 0 && index + 1 < args.length) return args[index + 1];
+    const inline = args.find(a => a.startsWith(`${flag}=`));
+    return inline ? inline.slice(flag.length + 1) : undefined;
+}
+
+/**
+ * Print keys as a table
+ * @param {Array<Object>} keys - Public key records
+ */
+function printKeys(keys) {
+    if (keys.length === 0) {
+        console.log('\nNo API keys registered. The gateway accepts any API key.');
+        return;
+    }
+
+    console.log(`\n${keys.length} API key(s) (enforcement active):\n`);
+    for (const key of keys) {
+        const status = key.enabled ? '' : ' (disabled)';
+        console.log(`  ${key.id}  ${key.name}${status}`);
+        console.log(`      prefix:    ${key.prefix}…`);
+        console.log(`      models:    ${key.allowedModels.length ? key.allowedModels.join(', ') : 'all'}`);
+        console.log(`      endpoints: ${key.allowedEndpoints.length ? key.allowedEndpoints.join(', ') : 'all'}`);
+        console.log(`      last used: ${key.lastUsedAt || 'never'}`);
+    }
+}
+
+function showHelp() {
+    console.log('\nUsage:');
+    console.log('  node src/cli/keys.js list                 List all keys');
+    console.log('  node src/cli/keys.js create <name>        Create a key (prints it once)');
+    console.log('  node src/cli/keys.js update <id>          Change a key\'s policy');
+    console.log('  node src/cli/keys.js enable <id>          Enable a key');
+    console.log('  node src/cli/keys.js disable <id>         Disable a key');
+    console.log('  node src/cli/keys.js remove <id>          Revoke a key');
+    console.log('\nOptions (create/update):');
+    console.log('  --models <list>       Allowed models, comma-separated, * wildcard (e.g. "claude-*")');
+    console.log('  --endpoints <list>    Allowed path prefixes, comma-separated (e.g. "/v1/messages")');
+    console.log(`\nRegistry: ${API_KEYS_CONFIG_PATH}`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0] || 'list';
+    const target = args[1];
+
+    const manager = new ApiKeyManager();
+    await manager.initialize();
+
+    switch (command) {
+        case 'list':
+            printKeys(manager.listKeys());
+            break;
+        case 'create': {
+            if (!target || target.startsWith('--')) {
+                console.log('Key name is required: keys create <name>');
+                process.exit(1);
+            }
+            const { key, record } = await manager.createKey({
+                name: target,
+                allowedModels: getOption(args, '--models'),
+                allowedEndpoints: getOption(args, '--endpoints')
+            });
+            console.log(`\n✓ Created key "${record.name}" (${record.id})`);
+            console.log(`\n  ${key}\n`);
+            console.log('Copy this key now. It will not be shown again.');
+            break;
+        }
+        case 'update':
+        case 'enable':
+        case 'disable': {
+            if (!target) {
+                console.log(`Key ID is required: keys ${command} <id>`);
+                process.exit(1);
+            }
+            const updates = {};
+            if (command !== 'update') updates.enabled = command === 'enable';
+            const models = getOption(args, '--models');
+            const endpoints = getOption(args, '--endpoints');
+            if (models !== undefined) updates.allowedModels = models;
+            if (endpoints !== undefined) updates.allowedEndpoints = endpoints;
+
+            const record = await manager.updateKey(target, updates);
+            if (!record) {
+                console.log(`Key not found: ${target}`);
+                process.exit(1);
+            }
+            console.log(`✓ Updated key "${record.name}" (${record.id})`);
+            break;
+        }
+        case 'remove': {
+            if (!target) {
+                console.log('Key ID is required: keys remove <id>');
+                process.exit(1);
+            }
+            const removed = await manager.removeKey(target);
+            if (!removed) {
+                console.log(`Key not found: ${target}`);
+                process.exit(1);
+            }
+            console.log(`✓ Revoked key ${target}`);
+            break;
+        }
+        case 'help':
+            showHelp();
+            break;
+        default:
+            console.log(`Unknown command: ${command}`);
+            console.log('Run with "help" for usage information.');
+            process.exit(1);
+    }
+}
+
+main().catch((err) => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
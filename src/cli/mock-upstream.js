@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Upstream CLI
+ *
+ * Runs a local fake of Cloud Code and the OAuth token endpoint, so account
+ * rotation and retries can be exercised end-to-end without Google accounts.
+ *
+ * Usage:
+ *   node src/cli/mock-upstream.js [--port 9400] [--scenario scenario.json]
+ */
+
+import { readFileSync } from 'fs';
+import { createMockUpstream, MOCK_UPSTREAM_PORT } from '../mock-upstream/index.js';
+
+/**
+ * Read the value of a --flag option from argv
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|undefined} Flag value
+ */
+function getOption(args, flag) {
+    const index = args.indexOf(flag);
+    if (index >= 0 && index + 1 < args.length) return args[index + 1];
+    const inline = args.find(a => a.startsWith(`${flag}=`));
+    return inline ? inline.slice(flag.length + 1) : undefined;
+}
+
+function showHelp() {
+    console.log('\nUsage:');
+    console.log('  node src/cli/mock-upstream.js [options]');
+    console.log('\nOptions:');
+    console.log(`  --port <port>         Port to listen on (default: ${MOCK_UPSTREAM_PORT})`);
+    console.log('  --scenario <file>     Scenario JSON with scripted behaviors (see docs)');
+    console.log('\nRuntime control:');
+    console.log('  GET  /mock/requests   Requests received so far');
+    console.log('  PUT  /mock/scenario   Replace the scenario');
+    console.log('  POST /mock/reset      Clear the request log and rule counters');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('help')) {
+        showHelp();
+        return;
+    }
+
+    const port = Number(getOption(args, '--port') || MOCK_UPSTREAM_PORT);
+    const scenarioFile = getOption(args, '--scenario');
+
+    let scenario = {};
+    if (scenarioFile) {
+        try {
+            scenario = JSON.parse(readFileSync(scenarioFile, 'utf-8'));
+        } catch (error) {
+            console.error(`Failed to read scenario ${scenarioFile}: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    let app;
+    try {
+        app = createMockUpstream({ scenario });
+    } catch (error) {
+        console.error(`Invalid scenario ${scenarioFile}: ${error.message}`);
+        process.exit(1);
+    }
+
+    app.listen(port, () => {
+        const url = `http://localhost:${port}`;
+        console.log(`\nMock Cloud Code upstream running at ${url}`);
+        if (scenarioFile) console.log(`Scenario: ${scenarioFile}`);
+        console.log('\nStart the gateway against it with:');
+        console.log(`  CLOUDCODE_ENDPOINTS=${url} OAUTH_TOKEN_URL=${url}/token agw start`);
+        console.log('\nAccounts: any refresh token or API key is accepted; scenario rules match it as "account".');
+        console.log(`Requests log: ${url}/mock/requests\n`);
+    });
+}
+
+main();
@@ -0,0 +1,56 @@
+/**
+ * Embeddings for Cloud Code
+ *
+ * Sends embedding requests for Gemini embedding models through the same
+ * account pool as chat requests.
+ */
+
+import { logger } from '../utils/logger.js';
+import { resolveModelAlias } from '../models/index.js';
+import { sendPooledRequest } from './pooled-request.js';
+import { estimateTextTokens } from './token-counter.js';
+
+/**
+ * Count the text characters of a Google Content object as tokens
+ * The embedding endpoints do not report usage, so it is estimated.
+ * @param {Object} content - Google Content ({ parts: [{ text }] })
+ * @returns {number} Estimated token count
+ */
+function estimateContentTokens(content) {
+    const text = (content?.parts || []).map(part => part.text || '').join('');
+    return estimateTextTokens(text);
+}
+
+/**
+ * Embed one or more contents with a Gemini embedding model
+ *
+ * @param {string} requestedModel - Embedding model name or alias (e.g. "gemini-embedding-001")
+ * @param {Array<{content: Object, taskType?: string, title?: string, outputDimensionality?: number}>} requests - Google EmbedContentRequest objects (without model)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @returns {Promise<{embeddings: Array<{values: Array<number>}>, promptTokens: number}>} One embedding per request, in order
+ * @throws {Error} If max retries exceeded or no accounts available
+ */
+export async function embedContents(requestedModel, requests, accountManager) {
+    const model = resolveModelAlias(requestedModel);
+    logger.debug(`[CloudCode] Embedding ${requests.length} input(s) with ${model}`);
+
+    const response = await sendPooledRequest(model, accountManager, {
+        method: 'batchEmbedContents',
+        buildPayload: (project) => ({
+            project,
+            model,
+            request: {
+                requests: requests.map(r => ({ model: `models/${model}`, ...r }))
+            }
+        })
+    });
+
+    const data = await response.json();
+    const embeddings = (data.response || data).embeddings || [];
+    if (embeddings.length !== requests.length) {
+        throw new Error(`Expected ${requests.length} embedding(s), received ${embeddings.length}`);
+    }
+
+    const promptTokens = requests.reduce((sum, r) => sum + estimateContentTokens(r.content), 0);
+    return { embeddings, promptTokens };
+}
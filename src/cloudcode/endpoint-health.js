@@ -0,0 +1,282 @@
+/**
+ * Endpoint Health
+ * Tracks latency and errors per Cloud Code endpoint and keeps a circuit
+ * breaker for each, so requests try healthy endpoints first instead of
+ * paying a flaky endpoint's failure latency on every call.
+ *
+ * Settings are read from the `circuitBreaker` section of config.json:
+ *
+ *   "circuitBreaker": {
+ *     "failureThreshold": 3,
+ *     "openMs": 30000,
+ *     "windowSize": 20
+ *   }
+ *
+ * Circuit states:
+ * - closed: normal; endpoints are ordered by recent error rate, then latency
+ * - open: opened after failureThreshold consecutive failures; the endpoint
+ *   is only tried after every other endpoint, as a last resort
+ * - half_open: openMs after opening, the next request tries the endpoint
+ *   first as a trial; success closes the circuit with a clean error history,
+ *   failure reopens it
+ *
+ * Only failures of the endpoint itself count: 5xx responses and network
+ * errors. Rate limits, auth errors and other 4xx responses mean the endpoint
+ * answered, so they count as successes.
+ */
+
+import { config } from '../config.js';
+import { isNetworkError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_SETTINGS = {
+    failureThreshold: 3,
+    openMs: 30000,
+    windowSize: 20
+};
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+// Error rates are compared in steps of this size so small differences don't reshuffle endpoints
+const ERROR_RATE_STEP = 0.1;
+
+export const CIRCUIT_STATE = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Check whether an error thrown while talking to an endpoint is the endpoint's fault
+ * (network failure, or a 5xx error reported inside the response stream)
+ * @param {Error} error - Error thrown by fetch or while reading the response
+ * @returns {boolean}
+ */
+export function isEndpointFailure(error) {
+    return isNetworkError(error) || /^API error 5\d\d/.test(error.message);
+}
+
+export class EndpointHealth {
+    #endpoints = new Map(); // endpoint -> stats
+    #getSettings;
+    #now;
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getSettings] - Returns the circuitBreaker config section
+     * @param {Function} [options.now] - Clock (for tests)
+     */
+    constructor({ getSettings = () => config.circuitBreaker || {}, now = Date.now } = {}) {
+        this.#getSettings = getSettings;
+        this.#now = now;
+    }
+
+    /**
+     * Get the effective settings (config over defaults)
+     * @returns {Object} Settings
+     */
+    getSettings() {
+        return { ...DEFAULT_SETTINGS, ...this.#getSettings() };
+    }
+
+    /**
+     * Order endpoints for a request: healthy endpoints first (lowest error
+     * rate, then lowest latency), open circuits last. Endpoints without
+     * samples keep their configured position behind measured ones with the
+     * same error rate, so the configured order holds until there is data.
+     * A half-open endpoint whose trial is due goes first and is claimed by
+     * this request.
+     * @param {string[]} endpoints - Endpoints in configured order
+     * @returns {string[]} Endpoints in the order to try them
+     */
+    order(endpoints) {
+        const ranked = endpoints.map((endpoint, index) => {
+            const stats = this.#getStats(endpoint);
+            const available = this.#isAvailable(endpoint, stats);
+            return {
+                endpoint,
+                index,
+                available,
+                trial: available && stats.state === CIRCUIT_STATE.HALF_OPEN,
+                errorBucket: Math.round(this.#errorRate(stats) / ERROR_RATE_STEP),
+                latency: stats.latencyMs ?? Infinity,
+                retryAt: stats.openedAt + this.getSettings().openMs
+            };
+        });
+
+        ranked.sort((a, b) => {
+            if (a.available !== b.available) return a.available ? -1 : 1;
+            if (!a.available) return a.retryAt - b.retryAt;
+            if (a.trial !== b.trial) return a.trial ? -1 : 1;
+            if (a.errorBucket !== b.errorBucket) return a.errorBucket - b.errorBucket;
+            if (a.latency !== b.latency) return a.latency - b.latency;
+            return a.index - b.index;
+        });
+
+        // This request runs the trial: concurrent requests try the endpoint last until it reports back
+        for (const { endpoint, trial } of ranked) {
+            if (trial) this.#getStats(endpoint).trialStartedAt = this.#now();
+        }
+
+        return ranked.map(r => r.endpoint);
+    }
+
+    /**
+     * Record an upstream HTTP response
+     * @param {string} endpoint - Endpoint base URL
+     * @param {number} status - HTTP status code
+     * @param {number} latencyMs - Time until the response headers arrived
+     */
+    recordResponse(endpoint, status, latencyMs) {
+        if (status >= 500) {
+            this.recordFailure(endpoint, `HTTP ${status}`);
+        } else {
+            this.recordSuccess(endpoint, latencyMs);
+        }
+    }
+
+    /**
+     * Record a request the endpoint handled
+     * @param {string} endpoint - Endpoint base URL
+     * @param {number} [latencyMs] - Time until the response headers arrived
+     */
+    recordSuccess(endpoint, latencyMs) {
+        const stats = this.#getStats(endpoint);
+        if (stats.state !== CIRCUIT_STATE.CLOSED) {
+            // Recovered: drop the failures that opened the circuit
+            stats.outcomes = [];
+            stats.state = CIRCUIT_STATE.CLOSED;
+            logger.info(`[EndpointHealth] Circuit closed for ${endpoint}`);
+        }
+        this.#pushOutcome(stats, true);
+        stats.consecutiveFailures = 0;
+        stats.trialStartedAt = null;
+        if (Number.isFinite(latencyMs)) {
+            stats.latencyMs = stats.latencyMs === null
+                ? latencyMs
+                : Math.round(stats.latencyMs + LATENCY_SMOOTHING * (latencyMs - stats.latencyMs));
+        }
+    }
+
+    /**
+     * Record a failure of the endpoint itself (5xx or network error)
+     * @param {string} endpoint - Endpoint base URL
+     * @param {string} reason - Short description for logs and /health
+     */
+    recordFailure(endpoint, reason) {
+        const stats = this.#getStats(endpoint);
+        this.#pushOutcome(stats, false);
+        stats.consecutiveFailures++;
+        stats.lastError = reason;
+        stats.trialStartedAt = null;
+
+        const { failureThreshold } = this.getSettings();
+        const trialFailed = stats.state === CIRCUIT_STATE.HALF_OPEN;
+        if (trialFailed || (stats.state === CIRCUIT_STATE.CLOSED && stats.consecutiveFailures >= failureThreshold)) {
+            stats.state = CIRCUIT_STATE.OPEN;
+            stats.openedAt = this.#now();
+            logger.warn(`[EndpointHealth] Circuit opened for ${endpoint} after ${trialFailed ? 'a failed trial request' : `${stats.consecutiveFailures} consecutive failures`} (${reason})`);
+        }
+    }
+
+    /**
+     * Get per-endpoint health for /health
+     * @returns {Array<Object>} One entry per endpoint seen so far
+     */
+    getStatus() {
+        const now = this.#now();
+        const { openMs } = this.getSettings();
+        return [...this.#endpoints.entries()].map(([endpoint, stats]) => {
+            this.#isAvailable(endpoint, stats); // Refresh open -> half_open
+            return {
+                endpoint,
+                state: stats.state,
+                errorRate: Math.round(this.#errorRate(stats) * 100) / 100,
+                latencyMs: stats.latencyMs,
+                requests: stats.outcomes.length,
+                consecutiveFailures: stats.consecutiveFailures,
+                lastError: stats.lastError,
+                retryInMs: stats.state === CIRCUIT_STATE.OPEN ? Math.max(0, stats.openedAt + openMs - now) : null
+            };
+        });
+    }
+
+    /**
+     * Forget all recorded health (for tests)
+     */
+    reset() {
+        this.#endpoints.clear();
+    }
+
+    /**
+     * Get or create the stats for an endpoint
+     * @param {string} endpoint - Endpoint base URL
+     * @returns {Object} Stats
+     */
+    #getStats(endpoint) {
+        let stats = this.#endpoints.get(endpoint);
+        if (!stats) {
+            stats = {
+                state: CIRCUIT_STATE.CLOSED,
+                outcomes: [], // true = success, newest last
+                consecutiveFailures: 0,
+                latencyMs: null,
+                lastError: null,
+                openedAt: 0,
+                trialStartedAt: null
+            };
+            this.#endpoints.set(endpoint, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Whether an endpoint may be tried in its normal position
+     * Moves an open circuit to half-open once openMs has passed. A half-open
+     * endpoint is available while no trial is running; a claimed trial that
+     * never reports back is given up after openMs.
+     * @param {string} endpoint - Endpoint base URL
+     * @param {Object} stats - Endpoint stats
+     * @returns {boolean}
+     */
+    #isAvailable(endpoint, stats) {
+        const now = this.#now();
+        const { openMs } = this.getSettings();
+        if (stats.state === CIRCUIT_STATE.OPEN && now - stats.openedAt >= openMs) {
+            stats.state = CIRCUIT_STATE.HALF_OPEN;
+            logger.info(`[EndpointHealth] Circuit half-open for ${endpoint}, allowing a trial request`);
+        }
+        if (stats.state === CIRCUIT_STATE.CLOSED) return true;
+        if (stats.state === CIRCUIT_STATE.OPEN) return false;
+        return stats.trialStartedAt === null || now - stats.trialStartedAt >= openMs;
+    }
+
+    /**
+     * Add an outcome to the sliding window
+     * @param {Object} stats - Endpoint stats
+     * @param {boolean} success - Outcome
+     */
+    #pushOutcome(stats, success) {
+        stats.outcomes.push(success);
+        const { windowSize } = this.getSettings();
+        if (stats.outcomes.length > windowSize) {
+            stats.outcomes.splice(0, stats.outcomes.length - windowSize);
+        }
+    }
+
+    /**
+     * Share of failures in the sliding window
+     * @param {Object} stats - Endpoint stats
+     * @returns {number} 0-1
+     */
+    #errorRate(stats) {
+        if (stats.outcomes.length === 0) return 0;
+        return stats.outcomes.filter(success => !success).length / stats.outcomes.length;
+    }
+}
+
+// Shared by every code path that calls Cloud Code endpoints
+export const endpointHealth = new EndpointHealth();
+
+export default endpointHealth;
@@ -0,0 +1,145 @@
+/**
+ * Image Generator for Cloud Code
+ *
+ * Generates images with Gemini image models (e.g. gemini-3-pro-image).
+ * Requests are sent as `image_gen` requests through the account pool and
+ * the generated images are collected from the `inlineData` parts of the
+ * upstream SSE stream.
+ */
+
+import crypto from 'crypto';
+import { getSystemInstruction } from '../gateway-config.js';
+import { logger } from '../utils/logger.js';
+import { resolveModelAlias } from '../models/index.js';
+import { sendPooledRequest } from './pooled-request.js';
+
+/**
+ * Build the wrapped Cloud Code payload for one image generation
+ * @param {Object} request - Image request (see generateImages)
+ * @param {string} projectId - Project ID
+ * @returns {Object} Cloud Code API request payload
+ */
+function buildImagePayload(request, projectId) {
+    const parts = [
+        ...(request.images || []).map(image => ({
+            inlineData: { mimeType: image.mimeType, data: image.data }
+        })),
+        { text: request.prompt }
+    ];
+
+    const imageConfig = {};
+    if (request.aspectRatio) imageConfig.aspectRatio = request.aspectRatio;
+    if (request.imageSize) imageConfig.imageSize = request.imageSize;
+
+    return {
+        project: projectId,
+        model: request.model,
+        request: {
+            contents: [{ role: 'user', parts }],
+            systemInstruction: {
+                role: 'user',
+                parts: [{ text: getSystemInstruction() }]
+            },
+            generationConfig: {
+                responseModalities: ['TEXT', 'IMAGE'],
+                ...(Object.keys(imageConfig).length > 0 ? { imageConfig } : {})
+            }
+        },
+        userAgent: 'antigravity',
+        requestId: 'image-' + crypto.randomUUID(),
+        requestType: 'image_gen'
+    };
+}
+
+/**
+ * Collect image and text parts from an upstream SSE response
+ * @param {Response} response - The HTTP response with SSE body
+ * @returns {Promise<{images: Array<{mimeType: string, data: string}>, text: string, usageMetadata: Object|null}>}
+ */
+async function collectImageParts(response) {
+    const images = [];
+    let text = '';
+    let usageMetadata = null;
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const jsonText = line.slice(5).trim();
+            if (!jsonText) continue;
+
+            try {
+                const data = JSON.parse(jsonText);
+                const innerResponse = data.response || data;
+                if (innerResponse.usageMetadata) {
+                    usageMetadata = innerResponse.usageMetadata;
+                }
+                for (const part of innerResponse.candidates?.[0]?.content?.parts || []) {
+                    if (part.inlineData?.data) {
+                        images.push({ mimeType: part.inlineData.mimeType || 'image/png', data: part.inlineData.data });
+                    } else if (part.text && !part.thought) {
+                        text += part.text;
+                    }
+                }
+            } catch (e) {
+                logger.debug('[CloudCode] SSE parse warning:', e.message, 'Raw:', jsonText.slice(0, 100));
+            }
+        }
+    }
+
+    return { images, text, usageMetadata };
+}
+
+/**
+ * Generate images from a prompt and optional input images
+ * The upstream returns one image per generation, so `n` images take `n`
+ * sequential requests.
+ *
+ * @param {Object} request - Image request
+ * @param {string} request.model - Image model name or alias
+ * @param {string} request.prompt - Text prompt
+ * @param {number} [request.n] - Number of images to generate
+ * @param {Array<{mimeType: string, data: string}>} [request.images] - Base64 input images (for edits)
+ * @param {string} [request.aspectRatio] - Aspect ratio (e.g. "16:9")
+ * @param {string} [request.imageSize] - Output size ("1K", "2K" or "4K")
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @returns {Promise<{images: Array<{mimeType: string, data: string}>, text: string, usage: {promptTokenCount: number, candidatesTokenCount: number}}>}
+ * @throws {Error} If the upstream returns no image or no accounts are available
+ */
+export async function generateImages(request, accountManager) {
+    request = { ...request, model: resolveModelAlias(request.model) };
+    const images = [];
+    const texts = [];
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0 };
+
+    for (let i = 0; i < (request.n || 1); i++) {
+        const response = await sendPooledRequest(request.model, accountManager, {
+            method: 'streamGenerateContent?alt=sse',
+            buildPayload: (project) => buildImagePayload(request, project),
+            accept: 'text/event-stream'
+        });
+
+        const result = await collectImageParts(response);
+        if (result.images.length === 0) {
+            throw new Error(`invalid_request_error: ${request.model} returned no image${result.text ? `: ${result.text}` : ''}`);
+        }
+
+        images.push(...result.images);
+        if (result.text) texts.push(result.text);
+        usage.promptTokenCount += result.usageMetadata?.promptTokenCount || 0;
+        usage.candidatesTokenCount += result.usageMetadata?.candidatesTokenCount || 0;
+    }
+
+    logger.debug(`[CloudCode] Generated ${images.length} image(s) with ${request.model}`);
+    return { images, text: texts.join('\n'), usage };
+}
@@ -13,16 +13,26 @@
 export { sendMessage } from './message-handler.js';
 export { sendMessageStream } from './streaming-handler.js';
 export { listModels, fetchAvailableModels, getModelQuotas } from './model-api.js';
+export { countTokens } from './token-counter.js';
+export { embedContents } from './embeddings.js';
+export { generateImages } from './image-generator.js';
+export { endpointHealth, isEndpointFailure } from './endpoint-health.js';
 
 // Default export for backwards compatibility
 import { sendMessage } from './message-handler.js';
 import { sendMessageStream } from './streaming-handler.js';
 import { listModels, fetchAvailableModels, getModelQuotas } from './model-api.js';
+import { countTokens } from './token-counter.js';
+import { embedContents } from './embeddings.js';
+import { generateImages } from './image-generator.js';
 
 export default {
     sendMessage,
     sendMessageStream,
     listModels,
     fetchAvailableModels,
-    getModelQuotas
+    getModelQuotas,
+    countTokens,
+    embedContents,
+    generateImages
 };
@@ -8,34 +8,113 @@
 import {
     ANTIGRAVITY_ENDPOINT_FALLBACKS,
     MAX_RETRIES,
-    MAX_WAIT_BEFORE_ERROR_MS,
-    isThinkingModel
+    MAX_WAIT_BEFORE_ERROR_MS
 } from '../constants.js';
-import { convertGoogleToAnthropic } from '../format/index.js';
+import { convertGoogleToAnthropic, ToolNameMap } from '../format/index.js';
+import { modelRegistry, getModelCapabilities, assertModelCapabilities, resolveModelAlias } from '../models/index.js';
 import { isRateLimitError, isAuthError } from '../errors.js';
 import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
+import { endpointHealth, isEndpointFailure } from './endpoint-health.js';
 import { parseThinkingSSEResponse } from './sse-parser.js';
-import { getFallbackModel } from '../fallback-config.js';
+import { getFallbackChain, getFallbackTrigger, canFallBackTo } from '../fallback-config.js';
+import { providerRegistry } from '../providers/registry.js';
+import { metrics } from '../metrics/index.js';
 
 /**
  * Send a non-streaming request to Cloud Code with multi-account support
  * Uses SSE endpoint for thinking models (non-streaming doesn't return thinking blocks)
  *
+ * Models served by a configured provider (see providers/registry.js) are
+ * sent there instead; fallback chains can cross providers.
+ *
+ * With fallback enabled, failures configured as fallback triggers move on
+ * through the model's fallback chain. The response `model` is the requested
+ * name, or the fallback model that answered.
+ *
  * @param {Object} anthropicRequest - The Anthropic-format request
  * @param {Object} anthropicRequest.model - Model name to use
  * @param {Array} anthropicRequest.messages - Array of message objects
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled] - Whether to try fallback models
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits (client disconnected)
+ * @returns {Promise<Object>} Anthropic-format response object
+ * @throws {Error} If the model cannot serve the request, max retries exceeded or no accounts available
+ */
+export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false, { signal } = {}) {
+    assertModelCapabilities(anthropicRequest);
+    // Aliases are sent upstream as the model they name; the response keeps the requested name
+    const requestedModel = anthropicRequest.model;
+    const request = { ...anthropicRequest, model: resolveModelAlias(requestedModel) };
+
+    try {
+        const response = await sendToProvider(request, accountManager, { signal });
+        response.model = requestedModel;
+        return response;
+    } catch (error) {
+        if (!fallbackEnabled || signal?.aborted) throw error;
+
+        let lastError = error;
+        let failedModel = request.model;
+        for (const fallbackModel of getFallbackChain(request.model)) {
+            const trigger = getFallbackTrigger(lastError);
+            if (!trigger) break;
+            if (!canFallBackTo(trigger, failedModel, fallbackModel)) continue;
+
+            const fallbackRequest = { ...request, model: fallbackModel };
+            if (modelRegistry.validate(fallbackRequest)) continue;
+
+            logger.warn(`[CloudCode] ${trigger} on ${failedModel}. Attempting fallback to ${fallbackModel}`);
+            metrics.recordFallback(failedModel, fallbackModel, trigger);
+            try {
+                return await sendToProvider(fallbackRequest, accountManager, { signal });
+            } catch (fallbackError) {
+                lastError = fallbackError;
+                failedModel = fallbackModel;
+            }
+        }
+        throw lastError;
+    }
+}
+
+/**
+ * Send a non-streaming request for a single model to the provider that serves it
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request (model already resolved)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits
+ * @returns {Promise<Object>} Anthropic-format response
+ */
+async function sendToProvider(anthropicRequest, accountManager, { signal } = {}) {
+    metrics.setModel(anthropicRequest.model);
+    const provider = providerRegistry.resolve(anthropicRequest.model);
+    if (!provider) return sendMessageToModel(anthropicRequest, accountManager, { signal });
+
+    logger.debug(`[CloudCode] Sending ${anthropicRequest.model} request to provider ${provider.name}`);
+    const response = await provider.sendMessage(anthropicRequest, { signal });
+    response.model = anthropicRequest.model;
+    return response;
+}
+
+/**
+ * Send a non-streaming request for a single model, retrying across accounts and endpoints
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request (model already resolved)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits
  * @returns {Promise<Object>} Anthropic-format response object
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false) {
+async function sendMessageToModel(anthropicRequest, accountManager, { signal } = {}) {
     const model = anthropicRequest.model;
-    const isThinking = isThinkingModel(model);
+    const isThinking = getModelCapabilities(model).thinking;
 
     // Retry loop with account failover
     // Ensure we try at least as many times as there are accounts to cycle through everyone
@@ -43,6 +122,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        signal?.throwIfAborted();
         // Use sticky account selection for cache continuity
         const { account: stickyAccount, waitMs } = accountManager.pickStickyAccount(model);
         let account = stickyAccount;
@@ -50,7 +130,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
         // Handle waiting for sticky account
         if (!account && waitMs > 0) {
             logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for sticky account...`);
-            await sleep(waitMs);
+            await sleep(waitMs, signal);
             accountManager.clearExpiredLimits();
             account = accountManager.getCurrentStickyAccount(model);
         }
@@ -71,26 +151,18 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                 // Wait for reset (applies to both single and multi-account modes)
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(allWaitMs)}...`);
-                await sleep(allWaitMs);
+                await sleep(allWaitMs, signal);
                 accountManager.clearExpiredLimits();
                 account = accountManager.pickNext(model);
             }
 
             if (!account) {
-                // Check if fallback is enabled and available
-                if (fallbackEnabled) {
-                    const fallbackModel = getFallbackModel(model);
-                    if (fallbackModel) {
-                        logger.warn(`[CloudCode] All accounts exhausted for ${model}. Attempting fallback to ${fallbackModel}`);
-                        // Retry with fallback model
-                        const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                        return await sendMessage(fallbackRequest, accountManager, false); // Disable fallback for recursive call
-                    }
-                }
                 throw new Error('No accounts available');
             }
         }
 
+        // Counts toward the account's concurrency limit until this attempt ends
+        const finishRequest = accountManager.beginRequest(account.email);
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -102,19 +174,22 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
             logger.debug(`[CloudCode] Sending request for model: ${model}`);
 
-            // Try each endpoint
+            // Try each endpoint, healthiest first
             let lastError = null;
-            for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+            for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
                 try {
                     // [FIX] Always use streamGenerateContent for better quota (like Antigravity-Manager)
                     // Their code comment: "Auto-converting non-stream request to stream for more lenient quota"
                     const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
 
+                    const startedAt = Date.now();
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, 'text/event-stream'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
+                    endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
 
                     if (!response.ok) {
                         const errorText = await response.text();
@@ -144,19 +219,27 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                             // If it's a 5xx error, wait a bit before trying the next endpoint
                             if (response.status >= 500) {
                                 logger.warn(`[CloudCode] ${response.status} error, waiting 1s before retry...`);
-                                await sleep(1000);
+                                await sleep(1000, signal);
                             }
                             continue;
                         }
                     }
 
                     // [FIX] Always parse SSE response since we always use streaming endpoint
-                    return await parseThinkingSSEResponse(response, anthropicRequest.model);
+                    const anthropicResponse = await parseThinkingSSEResponse(response, anthropicRequest.model, {
+                        parallelToolCalls: !anthropicRequest.tool_choice?.disable_parallel_tool_use,
+                        structuredOutput: Boolean(anthropicRequest.output_format)
+                    });
+                    // Restore tool names rewritten for the upstream
+                    anthropicResponse.content = new ToolNameMap(anthropicRequest.tools).restoreContent(anthropicResponse.content);
+                    return anthropicResponse;
 
                 } catch (endpointError) {
+                    if (signal?.aborted) throw endpointError; // Client disconnected
                     if (isRateLimitError(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
+                    if (isEndpointFailure(endpointError)) endpointHealth.recordFailure(endpoint, endpointError.message);
                     logger.warn(`[CloudCode] Error at ${endpoint}:`, endpointError.message);
                     lastError = endpointError;
                 }
@@ -174,6 +257,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             }
 
         } catch (error) {
+            if (signal?.aborted) throw error; // Client disconnected: stop retrying
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, continue to next account
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
@@ -194,12 +278,14 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
             if (isNetworkError(error)) {
                 logger.warn(`[CloudCode] Network error for ${account.email}, trying next account... (${error.message})`);
-                await sleep(1000); // Brief pause before retry
+                await sleep(1000, signal); // Brief pause before retry
                 accountManager.pickNext(model); // Advance to next account
                 continue;
             }
 
             throw error;
+        } finally {
+            finishRequest();
         }
     }
 
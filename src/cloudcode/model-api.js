@@ -4,25 +4,29 @@
  * Handles model listing and quota retrieval from the Cloud Code API.
  */
 
-import { ANTIGRAVITY_ENDPOINT_FALLBACKS, ANTIGRAVITY_HEADERS, getModelFamily } from '../constants.js';
+import { ANTIGRAVITY_ENDPOINT_FALLBACKS, ANTIGRAVITY_HEADERS, getModelFamily, isEmbeddingModel } from '../constants.js';
 import { logger } from '../utils/logger.js';
+import { modelRegistry, getModelMetadata, applyModelMapping } from '../models/index.js';
+import { endpointHealth, isEndpointFailure } from './endpoint-health.js';
 
 /**
- * Check if a model is supported (Claude or Gemini)
+ * Check if a model is supported (Claude, Gemini or an embedding model)
  * @param {string} modelId - Model ID to check
  * @returns {boolean} True if model is supported
  */
 function isSupportedModel(modelId) {
     const family = getModelFamily(modelId);
-    return family === 'claude' || family === 'gemini';
+    return family === 'claude' || family === 'gemini' || isEmbeddingModel(modelId);
 }
 
 /**
  * List available models in Anthropic API format
- * Fetches models dynamically from the Cloud Code API
+ * Fetches models dynamically from the Cloud Code API and describes each one
+ * with its capabilities from the model registry. Models hidden in the WebUI
+ * are left out and pinned models come first.
  *
  * @param {string} token - OAuth access token
- * @returns {Promise<{object: string, data: Array<{id: string, object: string, created: number, owned_by: string, description: string}>}>} List of available models
+ * @returns {Promise<{object: string, data: Array<Object>}>} List of available models
  */
 export async function listModels(token) {
     const data = await fetchAvailableModels(token);
@@ -30,6 +34,8 @@ export async function listModels(token) {
         return { object: 'list', data: [] };
     }
 
+    modelRegistry.updateFromUpstream(data.models);
+
     const modelList = Object.entries(data.models)
         .filter(([modelId]) => isSupportedModel(modelId))
         .map(([modelId, modelData]) => ({
@@ -37,12 +43,13 @@ export async function listModels(token) {
             object: 'model',
             created: Math.floor(Date.now() / 1000),
             owned_by: 'anthropic',
-            description: modelData.displayName || modelId
+            description: modelData.displayName || modelId,
+            ...getModelMetadata(modelId)
         }));
 
     return {
         object: 'list',
-        data: modelList
+        data: applyModelMapping(modelList)
     };
 }
 
@@ -65,14 +72,16 @@ export async function fetchAvailableModels(token, projectId) {
     // Without it, API returns incorrect quotas (always 100%)
     const body = projectId ? { project: projectId } : {};
 
-    for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+    for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
         try {
             const url = `${endpoint}/v1internal:fetchAvailableModels`;
+            const startedAt = Date.now();
             const response = await fetch(url, {
                 method: 'POST',
                 headers,
                 body: JSON.stringify(body)
             });
+            endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
 
             if (!response.ok) {
                 const errorText = await response.text();
@@ -82,6 +91,7 @@ export async function fetchAvailableModels(token, projectId) {
 
             return await response.json();
         } catch (error) {
+            if (isEndpointFailure(error)) endpointHealth.recordFailure(endpoint, error.message);
             logger.warn(`[CloudCode] fetchAvailableModels failed at ${endpoint}:`, error.message);
         }
     }
@@ -100,10 +110,11 @@ export async function fetchAvailableModels(token, projectId) {
 export async function getModelQuotas(token, projectId) {
     const data = await fetchAvailableModels(token, projectId);
     if (!data || !data.models) return {};
+    modelRegistry.updateFromUpstream(data.models);
 
     const quotas = {};
     for (const [modelId, modelData] of Object.entries(data.models)) {
-        // Only include Claude and Gemini models
+        // Only include Claude, Gemini and embedding models
         if (!isSupportedModel(modelId)) continue;
 
         if (modelData.quotaInfo) {
@@ -0,0 +1,125 @@
+/**
+ * Pooled Requests for Cloud Code
+ *
+ * Sends a single v1internal request through the account pool with the same
+ * account handling as chat requests: sticky account selection, token and
+ * project caches, rate-limit marking and endpoint failover. Used by the
+ * endpoints that do not go through the Anthropic conversion path
+ * (embeddings, image generation).
+ */
+
+import {
+    ANTIGRAVITY_ENDPOINT_FALLBACKS,
+    MAX_RETRIES,
+    MAX_WAIT_BEFORE_ERROR_MS
+} from '../constants.js';
+import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { parseResetTime } from './rate-limit-parser.js';
+import { buildHeaders } from './request-builder.js';
+import { endpointHealth, isEndpointFailure } from './endpoint-health.js';
+
+/**
+ * Send a v1internal request using the first account/endpoint that accepts it
+ *
+ * @param {string} model - Model name (used for account selection and rate limits)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {Object} options
+ * @param {string} options.method - v1internal method, including any query string (e.g. "batchEmbedContents")
+ * @param {function(string): Object} options.buildPayload - Builds the request body for a project ID
+ * @param {string} [options.accept] - Accept header value
+ * @returns {Promise<Response>} Successful upstream response (body not yet consumed)
+ * @throws {Error} If max retries exceeded, no accounts are available or the upstream rejects the request
+ */
+export async function sendPooledRequest(model, accountManager, { method, buildPayload, accept = 'application/json' }) {
+    const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const { account: stickyAccount, waitMs } = accountManager.pickStickyAccount(model);
+        let account = stickyAccount;
+
+        if (!account && waitMs > 0) {
+            logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for sticky account...`);
+            await sleep(waitMs);
+            accountManager.clearExpiredLimits();
+            account = accountManager.getCurrentStickyAccount(model);
+        }
+
+        if (!account) {
+            if (accountManager.isAllRateLimited(model)) {
+                const allWaitMs = accountManager.getMinWaitTimeMs(model);
+                if (allWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
+                    throw new Error(
+                        `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(allWaitMs)}.`
+                    );
+                }
+                logger.warn(`[CloudCode] All account(s) rate-limited for ${model}. Waiting ${formatDuration(allWaitMs)}...`);
+                await sleep(allWaitMs);
+                accountManager.clearExpiredLimits();
+                account = accountManager.pickNext(model);
+            }
+            if (!account) {
+                throw new Error('No accounts available');
+            }
+        }
+
+        try {
+            const token = await accountManager.getTokenForAccount(account);
+            const project = await accountManager.getProjectForAccount(account, token);
+            const body = JSON.stringify(buildPayload(project));
+
+            let lastError = null;
+            for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
+                try {
+                    const startedAt = Date.now();
+                    const response = await fetch(`${endpoint}/v1internal:${method}`, {
+                        method: 'POST',
+                        headers: buildHeaders(token, model, accept),
+                        body
+                    });
+                    endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
+
+                    if (response.ok) return response;
+
+                    const errorText = await response.text();
+                    logger.warn(`[CloudCode] ${method} error at ${endpoint}: ${response.status} - ${errorText}`);
+
+                    if (response.status === 401) {
+                        accountManager.clearTokenCache(account.email);
+                        accountManager.clearProjectCache(account.email);
+                        continue;
+                    }
+                    if (response.status === 429) {
+                        const resetMs = parseResetTime(response, errorText);
+                        if (!lastError?.is429 || (resetMs && (!lastError.resetMs || resetMs < lastError.resetMs))) {
+                            lastError = { is429: true, errorText, resetMs };
+                        }
+                        continue;
+                    }
+                    lastError = new Error(`API error ${response.status}: ${errorText}`);
+                } catch (endpointError) {
+                    if (isEndpointFailure(endpointError)) endpointHealth.recordFailure(endpoint, endpointError.message);
+                    logger.warn(`[CloudCode] ${method} error at ${endpoint}:`, endpointError.message);
+                    lastError = endpointError;
+                }
+            }
+
+            if (lastError?.is429) {
+                logger.warn(`[CloudCode] All endpoints rate-limited for ${account.email}`);
+                accountManager.markRateLimited(account.email, lastError.resetMs, model);
+                continue;
+            }
+            if (lastError) throw lastError;
+
+        } catch (error) {
+            if (error.message.includes('API error 5') || isNetworkError(error)) {
+                logger.warn(`[CloudCode] Account ${account.email} failed (${error.message}), trying next...`);
+                accountManager.pickNext(model);
+                continue;
+            }
+            throw error;
+        }
+    }
+
+    throw new Error('Max retries exceeded');
+}
@@ -7,10 +7,10 @@
 import crypto from 'crypto';
 import {
     ANTIGRAVITY_HEADERS,
-    getModelFamily,
-    isThinkingModel
+    getModelFamily
 } from '../constants.js';
 import { convertAnthropicToGoogle } from '../format/index.js';
+import { getModelCapabilities } from '../models/index.js';
 import { deriveSessionId } from './session-manager.js';
 
 /**
@@ -91,7 +91,7 @@ export function buildHeaders(token, model, accept = 'application/json') {
     const modelFamily = getModelFamily(model);
 
     // Add interleaved thinking header only for Claude thinking models
-    if (modelFamily === 'claude' && isThinkingModel(model)) {
+    if (modelFamily === 'claude' && getModelCapabilities(model).thinking) {
         headers['anthropic-beta'] = 'interleaved-thinking-2025-05-14';
     }
 
@@ -5,7 +5,7 @@
  * Accumulates all parts and returns a single response.
  */
 
-import { convertGoogleToAnthropic } from '../format/index.js';
+import { convertGoogleToAnthropic, unwrapStructuredOutputPart } from '../format/index.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -13,9 +13,12 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options]
+ * @param {boolean} [options.parallelToolCalls] - False to keep only the first tool call
+ * @param {boolean} [options.structuredOutput] - The request had an output_format
  * @returns {Promise<Object>} Anthropic-format response object
  */
-export async function parseThinkingSSEResponse(response, originalModel) {
+export async function parseThinkingSSEResponse(response, originalModel, { parallelToolCalls = true, structuredOutput = false } = {}) {
     let accumulatedThinkingText = '';
     let accumulatedThinkingSignature = '';
     let accumulatedText = '';
@@ -74,14 +77,24 @@ export async function parseThinkingSSEResponse(response, originalModel) {
                 }
 
                 const parts = firstCandidate.content?.parts || [];
-                for (const part of parts) {
-                    if (part.thought === true) {
+                for (const part of structuredOutput ? parts.map(unwrapStructuredOutputPart) : parts) {
+                    if (part.inlineData) {
+                        // Generated image (interim thought images are dropped)
+                        if (part.thought) continue;
+                        flushThinking();
+                        flushText();
+                        finalParts.push(part);
+                    } else if (part.thought === true) {
                         flushText();
                         accumulatedThinkingText += (part.text || '');
                         if (part.thoughtSignature) {
                             accumulatedThinkingSignature = part.thoughtSignature;
                         }
                     } else if (part.functionCall) {
+                        if (!parallelToolCalls && finalParts.some(p => p.functionCall)) {
+                            logger.debug(`[CloudCode] Dropping extra tool call ${part.functionCall.name} (parallel tool calls disabled)`);
+                            continue;
+                        }
                         flushThinking();
                         flushText();
                         finalParts.push(part);
@@ -105,7 +118,7 @@ export async function parseThinkingSSEResponse(response, originalModel) {
         usageMetadata
     };
 
-    const partTypes = finalParts.map(p => p.thought ? 'thought' : (p.functionCall ? 'functionCall' : 'text'));
+    const partTypes = finalParts.map(p => p.thought ? 'thought' : (p.functionCall ? 'functionCall' : (p.inlineData ? 'inlineData' : 'text')));
     logger.debug('[CloudCode] Response received (SSE), part types:', partTypes);
     if (finalParts.some(p => p.thought)) {
         const thinkingPart = finalParts.find(p => p.thought);
@@ -2,12 +2,13 @@
  * SSE Streamer for Cloud Code
  *
  * Streams SSE events in real-time, converting Google format to Anthropic format.
- * Handles thinking blocks, text blocks, and tool use blocks.
+ * Handles thinking blocks, text blocks, tool use blocks and generated images.
  */
 
 import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { unwrapStructuredOutputPart } from '../format/structured-output.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -15,11 +16,16 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options]
+ * @param {boolean} [options.parallelToolCalls] - False to keep only the first tool call
+ * @param {boolean} [options.structuredOutput] - The request had an output_format
  * @yields {Object} Anthropic-format SSE events
+ * @throws {Error} "API error <code>: ..." if the upstream reports an error inside the stream
  */
-export async function* streamSSEResponse(response, originalModel) {
+export async function* streamSSEResponse(response, originalModel, { parallelToolCalls = true, structuredOutput = false } = {}) {
     const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
     let hasEmittedStart = false;
+    let hasEmittedToolUse = false;
     let blockIndex = 0;
     let currentBlockType = null;
     let currentThinkingSignature = '';
@@ -39,6 +45,7 @@ export async function* streamSSEResponse(response, originalModel) {
         buffer += decoder.decode(value, { stream: true });
         const lines = buffer.split('\n');
         buffer = lines.pop() || '';
+        let streamError = null;
 
         for (const line of lines) {
             if (!line.startsWith('data:')) continue;
@@ -48,6 +55,11 @@ export async function* streamSSEResponse(response, originalModel) {
 
             try {
                 const data = JSON.parse(jsonText);
+                // Errors can arrive inside a 200 stream (e.g. quota exhausted after headers)
+                if (data.error) {
+                    streamError = data.error;
+                    break;
+                }
                 const innerResponse = data.response || data;
 
                 // Extract usage metadata (including cache tokens)
@@ -87,9 +99,43 @@ export async function* streamSSEResponse(response, originalModel) {
                     };
                 }
 
-                // Process each part
-                for (const part of parts) {
-                    if (part.thought === true) {
+                // Process each part (structured output tool calls arrive as JSON text)
+                for (const part of structuredOutput ? parts.map(unwrapStructuredOutputPart) : parts) {
+                    if (part.inlineData) {
+                        // Generated images arrive whole; emit each as a complete image block
+                        // (interim thought images are dropped)
+                        if (part.thought) continue;
+
+                        if (currentBlockType === 'thinking' && currentThinkingSignature) {
+                            yield {
+                                type: 'content_block_delta',
+                                index: blockIndex,
+                                delta: { type: 'signature_delta', signature: currentThinkingSignature }
+                            };
+                            currentThinkingSignature = '';
+                        }
+                        if (currentBlockType !== null) {
+                            yield { type: 'content_block_stop', index: blockIndex };
+                            blockIndex++;
+                        }
+
+                        yield {
+                            type: 'content_block_start',
+                            index: blockIndex,
+                            content_block: {
+                                type: 'image',
+                                source: {
+                                    type: 'base64',
+                                    media_type: part.inlineData.mimeType || 'image/png',
+                                    data: part.inlineData.data
+                                }
+                            }
+                        };
+                        yield { type: 'content_block_stop', index: blockIndex };
+                        blockIndex++;
+                        currentBlockType = null;
+
+                    } else if (part.thought === true) {
                         // Handle thinking block
                         const text = part.text || '';
                         const signature = part.thoughtSignature || '';
@@ -156,6 +202,12 @@ export async function* streamSSEResponse(response, originalModel) {
                         };
 
                     } else if (part.functionCall) {
+                        if (!parallelToolCalls && hasEmittedToolUse) {
+                            logger.debug(`[CloudCode] Dropping extra tool call ${part.functionCall.name} (parallel tool calls disabled)`);
+                            continue;
+                        }
+                        hasEmittedToolUse = true;
+
                         // Handle tool use
                         // For Gemini 3+, capture thoughtSignature from the functionCall part
                         // The signature is a sibling to functionCall, not inside it
@@ -224,6 +276,10 @@ export async function* streamSSEResponse(response, originalModel) {
                 logger.warn('[CloudCode] SSE parse error:', parseError.message);
             }
         }
+
+        if (streamError) {
+            throw new Error(`API error ${streamError.code || 500}: ${JSON.stringify(streamError)}`);
+        }
     }
 
     // Handle no content received
@@ -10,29 +10,150 @@ import {
     MAX_RETRIES,
     MAX_WAIT_BEFORE_ERROR_MS
 } from '../constants.js';
-import { isRateLimitError, isAuthError } from '../errors.js';
+import { isRateLimitError, isAuthError, StreamInterruptedError } from '../errors.js';
 import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
+import { endpointHealth, isEndpointFailure } from './endpoint-health.js';
 import { streamSSEResponse } from './sse-streamer.js';
-import { getFallbackModel } from '../fallback-config.js';
+import { ToolNameMap } from '../format/index.js';
+import { modelRegistry, assertModelCapabilities, resolveModelAlias } from '../models/index.js';
+import { getFallbackChain, getFallbackTrigger, canFallBackTo } from '../fallback-config.js';
+import { providerRegistry } from '../providers/registry.js';
+import { metrics } from '../metrics/index.js';
 
 
 /**
  * Send a streaming request to Cloud Code with multi-account support
  * Streams events in real-time as they arrive from the server
  *
+ * Models served by a configured provider (see providers/registry.js) are
+ * streamed from there instead; fallback chains can cross providers.
+ *
+ * With fallback enabled, failures configured as fallback triggers move on
+ * through the model's fallback chain, as long as no event has been yielded
+ * yet. message_start carries the requested name, or the fallback model that
+ * answered.
+ *
+ * Upstream failures before the first content event (a 429, a reset
+ * connection) move on to the next endpoint or account without the client
+ * noticing; once content has been sent they surface as a
+ * StreamInterruptedError.
+ *
  * @param {Object} anthropicRequest - The Anthropic-format request
  * @param {string} anthropicRequest.model - Model name to use
  * @param {Array} anthropicRequest.messages - Array of message objects
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled] - Whether to try fallback models
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits (client disconnected)
  * @yields {Object} Anthropic-format SSE events (message_start, content_block_start, content_block_delta, etc.)
+ * @throws {Error} If the model cannot serve the request, max retries exceeded or no accounts available
+ */
+export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, { signal } = {}) {
+    assertModelCapabilities(anthropicRequest);
+    // Aliases are sent upstream as the model they name; the response keeps the requested name
+    const requestedModel = anthropicRequest.model;
+    const request = { ...anthropicRequest, model: resolveModelAlias(requestedModel) };
+
+    // Once an event has reached the client, failures are no longer retried on another model
+    let started = false;
+    let lastError;
+    try {
+        for await (const event of streamFromProvider(request, accountManager, { signal })) {
+            started = true;
+            if (event.type === 'message_start') event.message.model = requestedModel;
+            yield event;
+        }
+        return;
+    } catch (error) {
+        if (!fallbackEnabled || started || signal?.aborted) throw error;
+        lastError = error;
+    }
+
+    let failedModel = request.model;
+    for (const fallbackModel of getFallbackChain(request.model)) {
+        const trigger = getFallbackTrigger(lastError);
+        if (!trigger) break;
+        if (!canFallBackTo(trigger, failedModel, fallbackModel)) continue;
+
+        const fallbackRequest = { ...request, model: fallbackModel };
+        if (modelRegistry.validate(fallbackRequest)) continue;
+
+        logger.warn(`[CloudCode] ${trigger} on ${failedModel}. Attempting fallback to ${fallbackModel} (streaming)`);
+        metrics.recordFallback(failedModel, fallbackModel, trigger);
+        try {
+            for await (const event of streamFromProvider(fallbackRequest, accountManager, { signal })) {
+                started = true;
+                yield event;
+            }
+            return;
+        } catch (fallbackError) {
+            if (started) throw fallbackError;
+            lastError = fallbackError;
+            failedModel = fallbackModel;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Stream a request for a single model from the provider that serves it
+ * As with Cloud Code, message_start is held back until the first content
+ * event, so a provider failing before any content can still fall back.
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request (model already resolved)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits
+ * @yields {Object} Anthropic-format SSE events
+ */
+async function* streamFromProvider(anthropicRequest, accountManager, { signal } = {}) {
+    metrics.setModel(anthropicRequest.model);
+    const provider = providerRegistry.resolve(anthropicRequest.model);
+    if (!provider) {
+        yield* streamFromModel(anthropicRequest, accountManager, { signal });
+        return;
+    }
+
+    logger.debug(`[CloudCode] Streaming ${anthropicRequest.model} from provider ${provider.name}`);
+    const pending = [];
+    let delivered = false;
+    try {
+        for await (const event of provider.sendMessageStream(anthropicRequest, { signal })) {
+            if (!delivered && event.type === 'message_start') {
+                event.message.model = anthropicRequest.model;
+                pending.push(event);
+                continue;
+            }
+            delivered = true;
+            yield* pending.splice(0);
+            yield event;
+        }
+    } catch (error) {
+        if (delivered && !signal?.aborted) {
+            logger.warn(`[CloudCode] Stream from provider ${provider.name} interrupted after content was sent: ${error.message}`);
+            throw new StreamInterruptedError(error.message, error);
+        }
+        throw error;
+    }
+    yield* pending;
+}
+
+/**
+ * Stream a request for a single model, retrying across accounts and endpoints
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request (model already resolved)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts upstream requests and retry waits
+ * @yields {Object} Anthropic-format SSE events
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false) {
+async function* streamFromModel(anthropicRequest, accountManager, { signal } = {}) {
     const model = anthropicRequest.model;
 
     // Retry loop with account failover
@@ -41,6 +162,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        signal?.throwIfAborted();
         // Use sticky account selection for cache continuity
         const { account: stickyAccount, waitMs } = accountManager.pickStickyAccount(model);
         let account = stickyAccount;
@@ -48,7 +170,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
         // Handle waiting for sticky account
         if (!account && waitMs > 0) {
             logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for sticky account...`);
-            await sleep(waitMs);
+            await sleep(waitMs, signal);
             accountManager.clearExpiredLimits();
             account = accountManager.getCurrentStickyAccount(model);
         }
@@ -69,27 +191,18 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                 // Wait for reset (applies to both single and multi-account modes)
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(allWaitMs)}...`);
-                await sleep(allWaitMs);
+                await sleep(allWaitMs, signal);
                 accountManager.clearExpiredLimits();
                 account = accountManager.pickNext(model);
             }
 
             if (!account) {
-                // Check if fallback is enabled and available
-                if (fallbackEnabled) {
-                    const fallbackModel = getFallbackModel(model);
-                    if (fallbackModel) {
-                        logger.warn(`[CloudCode] All accounts exhausted for ${model}. Attempting fallback to ${fallbackModel} (streaming)`);
-                        // Retry with fallback model
-                        const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                        yield* sendMessageStream(fallbackRequest, accountManager, false); // Disable fallback for recursive call
-                        return;
-                    }
-                }
                 throw new Error('No accounts available');
             }
         }
 
+        // Counts toward the account's concurrency limit until this attempt ends
+        const finishRequest = accountManager.beginRequest(account.email);
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -98,17 +211,20 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
             logger.debug(`[CloudCode] Starting stream for model: ${model}`);
 
-            // Try each endpoint for streaming
+            // Try each endpoint for streaming, healthiest first
             let lastError = null;
-            for (const endpoint of ANTIGRAVITY_ENDPOINT_FALLBACKS) {
+            for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
                 try {
                     const url = `${endpoint}/v1internal:streamGenerateContent?alt=sse`;
 
+                    const startedAt = Date.now();
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, 'text/event-stream'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
+                    endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
 
                     if (!response.ok) {
                         const errorText = await response.text();
@@ -137,21 +253,56 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                         // If it's a 5xx error, wait a bit before trying the next endpoint
                         if (response.status >= 500) {
                             logger.warn(`[CloudCode] ${response.status} stream error, waiting 1s before retry...`);
-                            await sleep(1000);
+                            await sleep(1000, signal);
                         }
 
                         continue;
                     }
 
                     // Stream the response - yield events as they arrive
-                    yield* streamSSEResponse(response, anthropicRequest.model);
+                    // (with tool names rewritten for the upstream restored).
+                    // message_start is held back until the first content event: if the
+                    // upstream dies before then, the client has seen nothing and the
+                    // next endpoint or account takes over transparently.
+                    const toolNames = new ToolNameMap(anthropicRequest.tools);
+                    const pending = [];
+                    let delivered = false;
+                    try {
+                        for await (const event of streamSSEResponse(response, anthropicRequest.model, {
+                            parallelToolCalls: !anthropicRequest.tool_choice?.disable_parallel_tool_use,
+                            structuredOutput: Boolean(anthropicRequest.output_format)
+                        })) {
+                            if (!delivered && event.type === 'message_start') {
+                                pending.push(event);
+                                continue;
+                            }
+                            delivered = true;
+                            yield* pending.splice(0);
+                            yield toolNames.restoreEvent(event);
+                        }
+                    } catch (streamError) {
+                        if (delivered && !signal?.aborted) {
+                            logger.warn(`[CloudCode] Stream interrupted after content was sent: ${streamError.message}`);
+                            throw new StreamInterruptedError(streamError.message, streamError);
+                        }
+                        throw streamError;
+                    }
+                    yield* pending;
 
                     logger.debug('[CloudCode] Stream completed');
                     return;
 
                 } catch (endpointError) {
+                    if (signal?.aborted) throw endpointError; // Client disconnected
+                    if (isEndpointFailure(endpointError)) endpointHealth.recordFailure(endpoint, endpointError.message);
+                    if (endpointError instanceof StreamInterruptedError) throw endpointError;
                     if (isRateLimitError(endpointError)) {
-                        throw endpointError; // Re-throw to trigger account switch
+                        // Rate limited inside the stream, before any content: same as a 429 response
+                        logger.debug(`[CloudCode] Stream rate limited at ${endpoint} before content, trying next endpoint...`);
+                        if (!lastError?.is429) {
+                            lastError = { is429: true, errorText: endpointError.message, resetMs: null };
+                        }
+                        continue;
                     }
                     logger.warn(`[CloudCode] Stream error at ${endpoint}:`, endpointError.message);
                     lastError = endpointError;
@@ -170,6 +321,8 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             }
 
         } catch (error) {
+            if (signal?.aborted) throw error; // Client disconnected: stop retrying
+            if (error instanceof StreamInterruptedError) throw error; // Content already sent: cannot replay
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, continue to next account
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
@@ -190,12 +343,14 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
             if (isNetworkError(error)) {
                  logger.warn(`[CloudCode] Network error for ${account.email} (stream), trying next account... (${error.message})`);
-                 await sleep(1000); // Brief pause before retry
+                 await sleep(1000, signal); // Brief pause before retry
                  accountManager.pickNext(model); // Advance to next account
                  continue;
             }
 
             throw error;
+        } finally {
+            finishRequest();
         }
     }
 
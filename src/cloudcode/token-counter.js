@@ -0,0 +1,171 @@
+/**
+ * Token Counter for Cloud Code
+ *
+ * Counts input tokens for an Anthropic-format request. The request goes
+ * through the same conversion as /v1/messages (including the injected
+ * system instruction and tool declarations), is counted upstream via
+ * v1internal:countTokens, and falls back to a local estimate when the
+ * upstream count is unavailable (e.g. for Claude models or no accounts).
+ */
+
+import { ANTIGRAVITY_ENDPOINT_FALLBACKS } from '../constants.js';
+import { convertAnthropicToGoogle } from '../format/index.js';
+import { logger } from '../utils/logger.js';
+import { resolveModelAlias } from '../models/index.js';
+import { buildHeaders } from './request-builder.js';
+import { endpointHealth, isEndpointFailure } from './endpoint-health.js';
+
+// Preflight counts should be fast; give up on upstream quickly
+const COUNT_TOKENS_TIMEOUT_MS = 10000;
+
+// Rough average for mixed prose/code across Claude and Gemini tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Flat per-image cost (Anthropic caps a full-size image at ~1600 tokens)
+const IMAGE_TOKENS = 1600;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of input tokens in a Google-format request
+ * @param {Object} googleRequest - Request from convertAnthropicToGoogle()
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(googleRequest) {
+    let chars = 0;
+    let images = 0;
+
+    const countParts = (parts = []) => {
+        for (const part of parts) {
+            if (part.text) chars += part.text.length;
+            if (part.functionCall) chars += JSON.stringify(part.functionCall).length;
+            if (part.functionResponse) chars += JSON.stringify(part.functionResponse).length;
+            if (part.inlineData || part.fileData) images++;
+        }
+    };
+
+    countParts(googleRequest.systemInstruction?.parts);
+    for (const content of googleRequest.contents || []) {
+        countParts(content.parts);
+    }
+    if (googleRequest.tools) {
+        chars += JSON.stringify(googleRequest.tools).length;
+    }
+
+    return Math.ceil(chars / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+/**
+ * Build the v1internal:countTokens payload
+ * The upstream only counts `contents`, so the system instruction and tool
+ * declarations are folded into a leading user turn to be included.
+ * @param {string} model - Model name
+ * @param {Object} googleRequest - Request from convertAnthropicToGoogle()
+ * @returns {Object} countTokens payload
+ */
+export function buildCountTokensPayload(model, googleRequest) {
+    const preamble = [...(googleRequest.systemInstruction?.parts || [])];
+    if (googleRequest.tools) {
+        preamble.push({ text: JSON.stringify(googleRequest.tools) });
+    }
+
+    const contents = preamble.length > 0
+        ? [{ role: 'user', parts: preamble }, ...googleRequest.contents]
+        : googleRequest.contents;
+
+    return {
+        request: {
+            model: `models/${model}`,
+            contents
+        }
+    };
+}
+
+/**
+ * Ask the upstream for a token count using one idle account
+ * The account is picked without touching the sticky selection, and the
+ * count holds one of its concurrency slots while it runs.
+ * @param {string} model - Model name
+ * @param {Object} googleRequest - Google-format request
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @returns {Promise<number|null>} Token count, or null if upstream counting failed
+ */
+async function countTokensUpstream(model, googleRequest, accountManager) {
+    const account = accountManager.getIdleAccount(model);
+    if (!account) return null;
+
+    const finishRequest = accountManager.beginRequest(account.email);
+    try {
+        const token = await accountManager.getTokenForAccount(account);
+        return await requestCount(model, buildCountTokensPayload(model, googleRequest), token);
+    } finally {
+        finishRequest();
+    }
+}
+
+/**
+ * Send a countTokens payload, healthiest endpoint first
+ * @param {string} model - Model name
+ * @param {Object} payload - countTokens payload
+ * @param {string} token - OAuth access token
+ * @returns {Promise<number|null>} Token count, or null if every endpoint failed
+ */
+async function requestCount(model, payload, token) {
+    for (const endpoint of endpointHealth.order(ANTIGRAVITY_ENDPOINT_FALLBACKS)) {
+        try {
+            const startedAt = Date.now();
+            const response = await fetch(`${endpoint}/v1internal:countTokens`, {
+                method: 'POST',
+                headers: buildHeaders(token, model),
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(COUNT_TOKENS_TIMEOUT_MS)
+            });
+            endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
+
+            if (!response.ok) {
+                logger.debug(`[CloudCode] countTokens error at ${endpoint}: ${response.status}`);
+                continue;
+            }
+
+            const data = await response.json();
+            if (typeof data.totalTokens === 'number') {
+                return data.totalTokens;
+            }
+        } catch (error) {
+            if (isEndpointFailure(error)) endpointHealth.recordFailure(endpoint, error.message);
+            logger.debug(`[CloudCode] countTokens failed at ${endpoint}:`, error.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Count input tokens for an Anthropic-format request
+ *
+ * @param {Object} anthropicRequest - The Anthropic-format request (model, messages, system, tools, ...)
+ * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @returns {Promise<{input_tokens: number, source: 'upstream'|'estimate'}>} Token count and how it was obtained
+ */
+export async function countTokens(anthropicRequest, accountManager) {
+    const model = resolveModelAlias(anthropicRequest.model);
+    const googleRequest = convertAnthropicToGoogle(anthropicRequest);
+
+    try {
+        const upstreamCount = await countTokensUpstream(model, googleRequest, accountManager);
+        if (upstreamCount !== null) {
+            return { input_tokens: upstreamCount, source: 'upstream' };
+        }
+    } catch (error) {
+        logger.debug('[CloudCode] Upstream token count unavailable:', error.message);
+    }
+
+    logger.debug(`[CloudCode] Using local token estimate for ${model}`);
+    return { input_tokens: estimateTokens(googleRequest), source: 'estimate' };
+}
@@ -12,7 +12,17 @@ const DEFAULT_CONFIG = {
     retryBaseMs: 1000,
     retryMaxMs: 30000,
     persistTokenCache: false,
-    modelMapping: {}
+    modelMapping: {},
+    budgets: {},
+    admission: {},
+    circuitBreaker: {},
+    providers: {},
+    cassette: {},
+    upstream: {},
+    metrics: {},
+    responsesRetentionDays: 30,
+    modelCapabilities: {},
+    chatImageOutput: 'markdown'
 };
 
 // Config locations
@@ -64,7 +74,15 @@ function loadConfig() {
 loadConfig();
 
 export function getPublicConfig() {
-    return { ...config };
+    const publicConfig = { ...config };
+    // Provider API keys are secrets: report only whether one is set
+    if (config.providers) {
+        publicConfig.providers = Object.fromEntries(Object.entries(config.providers).map(([name, provider]) => [
+            name,
+            provider?.apiKey ? { ...provider, apiKey: '********' } : provider
+        ]));
+    }
+    return publicConfig;
 }
 
 export function saveConfig(updates) {
@@ -4,7 +4,7 @@
  */
 
 import { homedir, platform, arch } from 'os';
-import { join } from 'path';
+import { join, dirname } from 'path';
 import { config } from './config.js';
 
 /**
@@ -41,8 +41,25 @@ const ANTIGRAVITY_ENDPOINT_DAILY = 'https://daily-cloudcode-pa.sandbox.googleapi
 const ANTIGRAVITY_ENDPOINT_AUTOPUSH = 'https://autopush-cloudcode-pa.sandbox.googleapis.com';
 const ANTIGRAVITY_ENDPOINT_PROD = 'https://cloudcode-pa.googleapis.com';
 
+/**
+ * Read a list of upstream base URLs from an env var (comma-separated) or config value
+ * @param {string|Array<string>|undefined} value - Env var value or config list
+ * @returns {Array<string>|null} Base URLs without trailing slashes, or null if not set
+ */
+function parseUrlList(value) {
+    const urls = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(url => String(url).trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+    return urls.length > 0 ? urls : null;
+}
+
+// Upstream URL overrides (e.g. to point at "agw mock-upstream"): env vars take
+// precedence over the "upstream" section of config.json
+const UPSTREAM_CONFIG = config?.upstream || {};
+const ENDPOINT_OVERRIDE = parseUrlList(process.env.CLOUDCODE_ENDPOINTS) || parseUrlList(UPSTREAM_CONFIG.cloudCodeEndpoints);
+
 // Endpoint fallback order (daily → autopush → prod, matching CLIProxy reference)
-export const ANTIGRAVITY_ENDPOINT_FALLBACKS = [
+export const ANTIGRAVITY_ENDPOINT_FALLBACKS = ENDPOINT_OVERRIDE || [
     ANTIGRAVITY_ENDPOINT_DAILY,
     ANTIGRAVITY_ENDPOINT_AUTOPUSH,
     ANTIGRAVITY_ENDPOINT_PROD
@@ -50,7 +67,7 @@ export const ANTIGRAVITY_ENDPOINT_FALLBACKS = [
 
 // Endpoints for v1internal API calls (prod first, then daily - matches Antigravity-Manager)
 // Note: AUTOPUSH removed - Antigravity-Manager only uses these 2 endpoints
-export const ANTIGRAVITY_LOAD_ENDPOINTS = [
+export const ANTIGRAVITY_LOAD_ENDPOINTS = parseUrlList(UPSTREAM_CONFIG.loadEndpoints) || ENDPOINT_OVERRIDE || [
     ANTIGRAVITY_ENDPOINT_PROD,
     ANTIGRAVITY_ENDPOINT_DAILY
 ];
@@ -77,6 +94,55 @@ export const ACCOUNT_CONFIG_PATH = config?.accountConfigPath || join(
     '.config/antigravity-gateway/accounts.json'
 );
 
+// Client API key registry (stored next to accounts.json)
+export const API_KEYS_CONFIG_PATH = config?.apiKeysConfigPath || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'api-keys.json'
+);
+
+// Per-credential budget counters (survive restarts)
+export const BUDGET_USAGE_PATH = config?.budgetUsagePath || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'budget-usage.json'
+);
+
+// Message Batches API job storage (one directory per batch)
+export const MESSAGE_BATCHES_DIR = config?.messageBatchesDir || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'batches'
+);
+
+// OpenAI Files API and Batch API storage
+export const FILES_DIR = config?.filesDir || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'files'
+);
+export const OPENAI_BATCHES_DIR = config?.openaiBatchesDir || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'openai-batches'
+);
+
+// Stored Responses API conversations (store / previous_response_id)
+export const RESPONSES_DIR = config?.responsesDir || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'responses'
+);
+export const RESPONSES_RETENTION_MS = (config?.responsesRetentionDays || 30) * 24 * 60 * 60 * 1000;
+
+// Generated images served for response_format "url"
+export const GENERATED_IMAGES_DIR = config?.generatedImagesDir || join(
+    dirname(ACCOUNT_CONFIG_PATH),
+    'images'
+);
+export const GENERATED_IMAGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Default model for the OpenAI Images API
+export const DEFAULT_IMAGE_MODEL = 'gemini-3-pro-image';
+
+// How /v1/chat/completions returns generated images:
+// 'markdown' (data URI), 'markdown_url' (link to a served copy) or 'content_parts' (image_url parts)
+export const CHAT_IMAGE_OUTPUT = config?.chatImageOutput || 'markdown';
+
 // Antigravity app database path (for legacy single-account token extraction)
 // Uses platform-specific path detection
 export const ANTIGRAVITY_DB_PATH = getAntigravityDbPath();
@@ -133,13 +199,22 @@ export function isThinkingModel(modelName) {
     return false;
 }
 
+/**
+ * Check if a model is an embedding model (e.g. gemini-embedding-001, text-embedding-004).
+ * @param {string} modelName - The model name from the request
+ * @returns {boolean} True if the model produces embeddings instead of text
+ */
+export function isEmbeddingModel(modelName) {
+    return (modelName || '').toLowerCase().includes('embedding');
+}
+
 // Google OAuth configuration (from opencode-antigravity-auth)
 export const OAUTH_CONFIG = {
     clientId: '1071006060591-tmhssin2h21lcre235vtolojh4g403ep.apps.googleusercontent.com',
     clientSecret: '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',
-    authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
-    tokenUrl: 'https://oauth2.googleapis.com/token',
-    userInfoUrl: 'https://www.googleapis.com/oauth2/v2/userinfo',
+    authUrl: process.env.OAUTH_AUTH_URL || UPSTREAM_CONFIG.oauthAuthUrl || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: process.env.OAUTH_TOKEN_URL || UPSTREAM_CONFIG.oauthTokenUrl || 'https://oauth2.googleapis.com/token',
+    userInfoUrl: process.env.OAUTH_USERINFO_URL || UPSTREAM_CONFIG.oauthUserInfoUrl || 'https://www.googleapis.com/oauth2/v2/userinfo',
     callbackPort: 51121,
     scopes: [
         'https://www.googleapis.com/auth/cloud-platform',
@@ -170,6 +245,17 @@ export default {
     ANTIGRAVITY_AUTH_PORT,
     DEFAULT_PORT,
     ACCOUNT_CONFIG_PATH,
+    API_KEYS_CONFIG_PATH,
+    BUDGET_USAGE_PATH,
+    MESSAGE_BATCHES_DIR,
+    FILES_DIR,
+    OPENAI_BATCHES_DIR,
+    RESPONSES_DIR,
+    RESPONSES_RETENTION_MS,
+    GENERATED_IMAGES_DIR,
+    GENERATED_IMAGE_TTL_MS,
+    DEFAULT_IMAGE_MODEL,
+    CHAT_IMAGE_OUTPUT,
     ANTIGRAVITY_DB_PATH,
     DEFAULT_COOLDOWN_MS,
     MAX_RETRIES,
@@ -181,6 +267,7 @@ export default {
     GEMINI_SIGNATURE_CACHE_TTL_MS,
     getModelFamily,
     isThinkingModel,
+    isEmbeddingModel,
     OAUTH_CONFIG,
     OAUTH_REDIRECT_URI,
     MODEL_FALLBACK_MAP
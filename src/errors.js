@@ -118,6 +118,23 @@ export class ApiError extends AntigravityError {
     }
 }
 
+/**
+ * Upstream stream failed after content had already reached the client
+ * The response cannot be replayed on another account or endpoint, so the
+ * failure is surfaced instead of retried.
+ */
+export class StreamInterruptedError extends AntigravityError {
+    /**
+     * @param {string} message - Error message
+     * @param {Error} [cause] - The upstream failure
+     */
+    constructor(message, cause = null) {
+        super(message, 'STREAM_INTERRUPTED', false);
+        this.name = 'StreamInterruptedError';
+        this.cause = cause;
+    }
+}
+
 /**
  * Check if an error is a rate limit error
  * Works with both custom error classes and legacy string-based errors
@@ -154,6 +171,7 @@ export default {
     NoAccountsError,
     MaxRetriesError,
     ApiError,
+    StreamInterruptedError,
     isRateLimitError,
     isAuthError
 };
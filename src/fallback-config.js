@@ -1,22 +1,83 @@
 /**
  * Model Fallback Configuration
  *
- * Defines fallback mappings for when a model's quota is exhausted across all accounts.
+ * Defines ordered fallback chains for when a model cannot answer a request.
  * Enables graceful degradation to alternative models with similar capabilities.
+ *
+ * config.json "fallback" (all optional):
+ *   enabled  - Turn fallback on (as do --fallback and FALLBACK=true)
+ *   chains   - { "<model>": ["<first fallback>", "<second fallback>", ...] },
+ *              replacing the built-in single-step MODEL_FALLBACK_MAP entry for that model
+ *   triggers - Failures that move on to the next model in the chain:
+ *              "quota" (all accounts exhausted), "server_error" (upstream 5xx
+ *              that outlasted account retries) and "context_length" (prompt
+ *              too long; only models with a larger context window are tried)
+ *
+ * Clients can opt out per request with the header "x-gateway-fallback: off".
  */
 
 import { MODEL_FALLBACK_MAP } from './constants.js';
+import { config } from './config.js';
+import { isRateLimitError } from './errors.js';
+import { getModelCapabilities, resolveModelAlias } from './models/index.js';
 
 // Re-export for convenience
 export { MODEL_FALLBACK_MAP };
 
+export const FALLBACK_TRIGGERS = ['quota', 'server_error', 'context_length'];
+
+// Request header that turns fallback off for a single request
+export const FALLBACK_OPT_OUT_HEADER = 'x-gateway-fallback';
+
+// Response header naming the model that actually answered
+export const ANSWERED_MODEL_HEADER = 'x-gateway-model';
+
+const CONTEXT_LENGTH_PATTERN = /prompt is too long|context length|context window|too many tokens|exceeds the maximum number of tokens|input token count/i;
+
 /**
- * Get fallback model for a given model ID
+ * Check whether model fallback is enabled globally
+ * @param {boolean} [flagEnabled] - --fallback flag or FALLBACK=true
+ * @returns {boolean}
+ */
+export function isFallbackEnabled(flagEnabled = false) {
+    return flagEnabled || config?.fallback?.enabled === true;
+}
+
+/**
+ * Check whether a request opted out of fallback with the opt-out header
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {boolean}
+ */
+export function isFallbackOptOut(headers = {}) {
+    const value = String(headers[FALLBACK_OPT_OUT_HEADER] || '').trim().toLowerCase();
+    return ['off', 'false', '0', 'none', 'disabled'].includes(value);
+}
+
+/**
+ * Get the ordered fallback chain for a model
+ * @param {string} model - Primary model ID or alias
+ * @returns {Array<string>} Fallback model IDs, without the model itself or repeats
+ */
+export function getFallbackChain(model) {
+    const modelId = resolveModelAlias(model);
+    const configured = config?.fallback?.chains?.[modelId];
+    const chain = Array.isArray(configured)
+        ? configured
+        : (MODEL_FALLBACK_MAP[modelId] ? [MODEL_FALLBACK_MAP[modelId]] : []);
+
+    const seen = new Set([modelId]);
+    return chain
+        .map(resolveModelAlias)
+        .filter(fallback => typeof fallback === 'string' && !seen.has(fallback) && seen.add(fallback));
+}
+
+/**
+ * Get the first fallback model for a given model ID
  * @param {string} model - Primary model ID
  * @returns {string|null} Fallback model ID or null if no fallback exists
  */
 export function getFallbackModel(model) {
-    return MODEL_FALLBACK_MAP[model] || null;
+    return getFallbackChain(model)[0] || null;
 }
 
 /**
@@ -25,5 +86,43 @@ export function getFallbackModel(model) {
  * @returns {boolean} True if fallback exists
  */
 export function hasFallback(model) {
-    return model in MODEL_FALLBACK_MAP;
+    return getFallbackChain(model).length > 0;
+}
+
+/**
+ * Classify a failed request as a fallback trigger
+ * @param {Error} error - Error thrown for the request
+ * @returns {'quota'|'server_error'|'context_length'|null} Enabled trigger, or null if the error should surface
+ */
+export function getFallbackTrigger(error) {
+    const message = error?.message || '';
+    let trigger = null;
+
+    if (message.startsWith('invalid_request_error:')) {
+        trigger = null; // Gateway-side validation: another model will not help
+    } else if (CONTEXT_LENGTH_PATTERN.test(message)) {
+        trigger = 'context_length';
+    } else if (isRateLimitError(error) || message.includes('No accounts available')) {
+        trigger = 'quota';
+    } else if (/API error 5\d\d/.test(message) || message.includes('Max retries exceeded')) {
+        trigger = 'server_error';
+    }
+
+    const enabled = config?.fallback?.triggers || FALLBACK_TRIGGERS;
+    return trigger && enabled.includes(trigger) ? trigger : null;
+}
+
+/**
+ * Check whether a fallback model can take over a request after a trigger
+ * A context_length failure only moves to a model with a larger context window.
+ * @param {string} trigger - From getFallbackTrigger()
+ * @param {string} fromModel - Model that failed
+ * @param {string} toModel - Candidate fallback model
+ * @returns {boolean}
+ */
+export function canFallBackTo(trigger, fromModel, toModel) {
+    if (trigger !== 'context_length') return true;
+    const fromWindow = getModelCapabilities(fromModel).contextWindow;
+    const toWindow = getModelCapabilities(toModel).contextWindow;
+    return Boolean(fromWindow && toWindow && toWindow > fromWindow);
 }
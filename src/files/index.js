@@ -0,0 +1,153 @@
+/**
+ * File Store
+ * Local implementation of the OpenAI Files API. Files are kept on disk
+ * under the gateway config directory and are used as batch inputs and
+ * outputs.
+ *
+ * Files belong to the API key that uploaded them (or to the batch that
+ * wrote them). The owner is kept in a private `_ownerId` field of the
+ * stored metadata; lookups by another key treat the file as not found.
+ */
+
+import crypto from 'crypto';
+import { FILES_DIR } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import {
+    loadAllFiles,
+    saveFile,
+    readFileContent,
+    createFileContentStream,
+    deleteFileEntries
+} from './storage.js';
+
+/**
+ * Strip private fields (prefixed with '_') from stored file metadata
+ * @param {Object} file - Stored file metadata
+ * @returns {Object} OpenAI file object
+ */
+function toPublicFile(file) {
+    return Object.fromEntries(Object.entries(file).filter(([key]) => !key.startsWith('_')));
+}
+
+export class FileStore {
+    #files = new Map();
+    #baseDir;
+    #initialized = false;
+
+    constructor(baseDir = FILES_DIR) {
+        this.#baseDir = baseDir;
+    }
+
+    /**
+     * Initialize the store by loading file metadata
+     */
+    async initialize() {
+        if (this.#initialized) return;
+        for (const file of await loadAllFiles(this.#baseDir)) {
+            this.#files.set(file.id, file);
+        }
+        this.#initialized = true;
+    }
+
+    /**
+     * Store a new file
+     * @param {{filename: string, purpose: string, content: Buffer|string, ownerId?: string|null}} options
+     * @returns {Promise<Object>} OpenAI file object
+     */
+    async createFile({ filename, purpose, content, ownerId = null }) {
+        await this.initialize();
+
+        const file = {
+            id: `file-${crypto.randomBytes(12).toString('hex')}`,
+            object: 'file',
+            bytes: Buffer.byteLength(content),
+            created_at: Math.floor(Date.now() / 1000),
+            filename,
+            purpose,
+            status: 'processed',
+            status_details: null,
+            _ownerId: ownerId
+        };
+
+        await saveFile(this.#baseDir, file, content);
+        this.#files.set(file.id, file);
+        logger.info(`[Files] Stored ${file.id} (${filename}, ${file.bytes} bytes, purpose: ${purpose})`);
+        return toPublicFile(file);
+    }
+
+    /**
+     * Get a file object by ID
+     * @param {string} id - File ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} File object or null if missing or owned by another key
+     */
+    async getFile(id, ownerId = null) {
+        await this.initialize();
+        const file = this.#files.get(id);
+        return file && (file._ownerId || null) === ownerId ? toPublicFile(file) : null;
+    }
+
+    /**
+     * List an owner's files with OpenAI-style cursor pagination
+     * @param {{purpose?: string, limit?: number, after?: string, order?: 'asc'|'desc'}} options
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<{object: string, data: Array, first_id: string|null, last_id: string|null, has_more: boolean}>}
+     */
+    async listFiles({ purpose = null, limit = 10000, after = null, order = 'desc' } = {}, ownerId = null) {
+        await this.initialize();
+        let files = [...this.#files.values()]
+            .filter(f => (f._ownerId || null) === ownerId)
+            .filter(f => !purpose || f.purpose === purpose)
+            .sort((a, b) => order === 'asc' ? a.created_at - b.created_at : b.created_at - a.created_at);
+
+        if (after) {
+            const index = files.findIndex(f => f.id === after);
+            if (index >= 0) files = files.slice(index + 1);
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10000, 1), 10000);
+        const page = files.slice(0, pageSize);
+        return {
+            object: 'list',
+            data: page.map(toPublicFile),
+            first_id: page[0]?.id || null,
+            last_id: page[page.length - 1]?.id || null,
+            has_more: files.length > page.length
+        };
+    }
+
+    /**
+     * Read a file's content
+     * @param {string} id - File ID
+     * @returns {Promise<Buffer>} File content
+     */
+    async readContent(id) {
+        return readFileContent(this.#baseDir, id);
+    }
+
+    /**
+     * Open a read stream over a file's content
+     * @param {string} id - File ID
+     * @returns {import('fs').ReadStream} Content stream
+     */
+    createContentStream(id) {
+        return createFileContentStream(this.#baseDir, id);
+    }
+
+    /**
+     * Delete a file
+     * @param {string} id - File ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteFile(id, ownerId = null) {
+        if (!await this.getFile(id, ownerId)) return false;
+
+        this.#files.delete(id);
+        await deleteFileEntries(this.#baseDir, id);
+        logger.info(`[Files] Deleted ${id}`);
+        return true;
+    }
+}
+
+export default FileStore;
@@ -0,0 +1,85 @@
+/**
+ * File Storage
+ *
+ * Stores uploaded files for the OpenAI Files API. Each file is kept as
+ * two entries in the files directory:
+ *   <id>.json  - file object (metadata)
+ *   <id>.data  - raw content
+ */
+
+import { createReadStream } from 'fs';
+import { readFile, writeFile, mkdir, readdir, rm } from 'fs/promises';
+import { join } from 'path';
+import { FILES_DIR } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Load metadata for all stored files
+ * @param {string} baseDir - Files directory
+ * @returns {Promise<Array<Object>>} File objects
+ */
+export async function loadAllFiles(baseDir = FILES_DIR) {
+    let names;
+    try {
+        names = await readdir(baseDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error('[Files] Failed to read files directory:', error.message);
+        }
+        return [];
+    }
+
+    const files = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+        try {
+            files.push(JSON.parse(await readFile(join(baseDir, name), 'utf-8')));
+        } catch (error) {
+            logger.warn(`[Files] Skipping unreadable file ${name}: ${error.message}`);
+        }
+    }
+    return files;
+}
+
+/**
+ * Save a file's metadata and content
+ * @param {string} baseDir - Files directory
+ * @param {Object} file - File object
+ * @param {Buffer|string} content - File content
+ * @returns {Promise<void>}
+ */
+export async function saveFile(baseDir, file, content) {
+    await mkdir(baseDir, { recursive: true });
+    await writeFile(join(baseDir, `${file.id}.data`), content);
+    await writeFile(join(baseDir, `${file.id}.json`), JSON.stringify(file, null, 2));
+}
+
+/**
+ * Read a file's content
+ * @param {string} baseDir - Files directory
+ * @param {string} id - File ID
+ * @returns {Promise<Buffer>} File content
+ */
+export async function readFileContent(baseDir, id) {
+    return readFile(join(baseDir, `${id}.data`));
+}
+
+/**
+ * Open a read stream over a file's content
+ * @param {string} baseDir - Files directory
+ * @param {string} id - File ID
+ * @returns {import('fs').ReadStream} Content stream
+ */
+export function createFileContentStream(baseDir, id) {
+    return createReadStream(join(baseDir, `${id}.data`));
+}
+
+/**
+ * Delete a file's metadata and content
+ * @param {string} baseDir - Files directory
+ * @param {string} id - File ID
+ * @returns {Promise<void>}
+ */
+export async function deleteFileEntries(baseDir, id) {
+    await rm(join(baseDir, `${id}.data`), { force: true });
+    await rm(join(baseDir, `${id}.json`), { force: true });
+}
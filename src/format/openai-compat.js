@@ -4,6 +4,11 @@
  */
 
 import crypto from 'crypto';
+import { convertResponseFormat } from './structured-output.js';
+import { getModelCapabilities } from '../models/index.js';
+
+// Upper bound on n (each choice is a separate upstream request)
+export const MAX_CHAT_CHOICES = 8;
 
 /**
  * Convert OpenAI Chat Completions request to Anthropic Messages format
@@ -23,6 +28,7 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         stream,
         tools,
         tool_choice,
+        parallel_tool_calls,
         response_format,
         reasoning_effort
     } = openaiRequest;
@@ -147,9 +153,16 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         }
     }
 
-    const modelLower = (model || '').toLowerCase();
-    const isThinkingModel = modelLower.includes('thinking') || 
-        (modelLower.includes('gemini') && /gemini-(\d+)/.test(modelLower) && parseInt(modelLower.match(/gemini-(\d+)/)[1]) >= 3);
+    if (parallel_tool_calls === false && anthropicRequest.tools) {
+        anthropicRequest.tool_choice = { type: 'auto', ...anthropicRequest.tool_choice, disable_parallel_tool_use: true };
+    }
+
+    const outputFormat = convertResponseFormat(response_format);
+    if (outputFormat) {
+        anthropicRequest.output_format = outputFormat;
+    }
+
+    const isThinkingModel = getModelCapabilities(model).thinking;
     
     if (isThinkingModel) {
         let budgetTokens = 10000;
@@ -164,14 +177,36 @@ export function convertOpenAIToAnthropic(openaiRequest) {
     return anthropicRequest;
 }
 
+/**
+ * Get the URL of an Anthropic image block (a data URI for base64 sources)
+ * @param {Object} block - Anthropic image block
+ * @returns {string} Image URL
+ */
+function imageBlockUrl(block) {
+    const source = block.source || {};
+    return source.type === 'url' ? source.url : `data:${source.media_type};base64,${source.data}`;
+}
+
+/**
+ * Render an Anthropic image block as markdown for clients that only render text
+ * @param {Object} block - Anthropic image block
+ * @returns {string} Markdown image
+ */
+function imageBlockMarkdown(block) {
+    return `\n\n![image](${imageBlockUrl(block)})\n\n`;
+}
+
 /**
  * Convert Anthropic Messages response to OpenAI Chat Completions format
  * 
  * @param {Object} anthropicResponse - Anthropic format response
  * @param {string} model - Model name
+ * @param {Object} [options]
+ * @param {'markdown'|'markdown_url'|'content_parts'} [options.imageOutput] - How generated images are returned:
+ *   markdown images in the text, or image_url content parts
  * @returns {Object} OpenAI format response
  */
-export function convertAnthropicToOpenAI(anthropicResponse, model) {
+export function convertAnthropicToOpenAI(anthropicResponse, model, { imageOutput = 'markdown' } = {}) {
     const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
     const created = Math.floor(Date.now() / 1000);
 
@@ -179,10 +214,20 @@ export function convertAnthropicToOpenAI(anthropicResponse, model) {
     let thinkingContent = '';
     const toolCalls = [];
     let toolCallIndex = 0;
+    const contentParts = [];
+    let hasImages = false;
 
     for (const block of anthropicResponse.content || []) {
         if (block.type === 'text') {
             textContent += block.text;
+            contentParts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+            hasImages = true;
+            if (imageOutput === 'content_parts') {
+                contentParts.push({ type: 'image_url', image_url: { url: imageBlockUrl(block) } });
+            } else {
+                textContent += imageBlockMarkdown(block);
+            }
         } else if (block.type === 'thinking') {
             thinkingContent += block.thinking;
         } else if (block.type === 'tool_use') {
@@ -209,14 +254,13 @@ export function convertAnthropicToOpenAI(anthropicResponse, model) {
 
     const message = {
         role: 'assistant',
-        content: textContent || null
+        content: imageOutput === 'content_parts' && hasImages
+            ? contentParts.filter(part => part.type !== 'text' || part.text)
+            : textContent || null
     };
 
     if (toolCalls.length > 0) {
         message.tool_calls = toolCalls;
-        if (!textContent) {
-            message.content = null;
-        }
     }
 
     const response = {
@@ -243,27 +287,67 @@ export function convertAnthropicToOpenAI(anthropicResponse, model) {
     return response;
 }
 
+/**
+ * Merge the single-choice responses of an n>1 request into one response
+ * Prompt tokens are reported once, as OpenAI does; completion tokens are summed.
+ *
+ * @param {Array<Object>} responses - Responses from convertAnthropicToOpenAI(), in choice order
+ * @returns {Object} OpenAI format response with one choice per input response
+ */
+export function mergeChatCompletions(responses) {
+    const [first] = responses;
+    const completionTokens = responses.reduce((sum, response) => sum + response.usage.completion_tokens, 0);
+
+    return {
+        ...first,
+        choices: responses.map((response, index) => ({ ...response.choices[0], index })),
+        usage: {
+            prompt_tokens: first.usage.prompt_tokens,
+            completion_tokens: completionTokens,
+            total_tokens: first.usage.prompt_tokens + completionTokens
+        }
+    };
+}
+
+/**
+ * Create streaming states for the choices of one chat completion
+ * All choices share the chunk id and created time.
+ *
+ * @param {number} [n] - Number of choices
+ * @returns {Array<Object>} One state per choice, for convertAnthropicEventToOpenAI()
+ */
+export function createChatStreamStates(n = 1) {
+    const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+    return Array.from({ length: n }, () => ({ id, created, currentToolCall: null, toolCallIndex: 0 }));
+}
+
 /**
  * Convert Anthropic SSE event to OpenAI streaming chunk format
  * 
  * @param {Object} event - Anthropic SSE event
  * @param {string} model - Model name
  * @param {Object} state - Streaming state object
+ * @param {Object} [options]
+ * @param {'markdown'|'markdown_url'|'content_parts'} [options.imageOutput] - How generated images are returned
+ * @param {number} [options.choiceIndex] - Index of the choice this event belongs to (n>1)
  * @returns {Object|null} OpenAI format chunk or null if not applicable
  */
-export function convertAnthropicEventToOpenAI(event, model, state) {
+export function convertAnthropicEventToOpenAI(event, model, state, { imageOutput = 'markdown', choiceIndex = 0 } = {}) {
     if (!state.id) {
         state.id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
         state.created = Math.floor(Date.now() / 1000);
         state.currentToolCall = null;
         state.toolCallIndex = 0;
     }
+    // message_start names the model that answered (a fallback model, if one took over)
+    if (event.type === 'message_start' && event.message?.model) state.model = event.message.model;
 
     const baseChunk = {
         id: state.id,
         object: 'chat.completion.chunk',
         created: state.created,
-        model
+        model: state.model || model
     };
 
     switch (event.type) {
@@ -271,13 +355,25 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
             return {
                 ...baseChunk,
                 choices: [{
-                    index: 0,
+                    index: choiceIndex,
                     delta: { role: 'assistant', content: '' },
                     finish_reason: null
                 }]
             };
 
         case 'content_block_start':
+            if (event.content_block?.type === 'image') {
+                return {
+                    ...baseChunk,
+                    choices: [{
+                        index: choiceIndex,
+                        delta: imageOutput === 'content_parts'
+                            ? { content: [{ type: 'image_url', image_url: { url: imageBlockUrl(event.content_block) } }] }
+                            : { content: imageBlockMarkdown(event.content_block) },
+                        finish_reason: null
+                    }]
+                };
+            }
             if (event.content_block?.type === 'tool_use') {
                 state.currentToolCall = {
                     index: state.toolCallIndex++,
@@ -291,7 +387,7 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
                 return {
                     ...baseChunk,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: {
                             tool_calls: [{ ...state.currentToolCall }]
                         },
@@ -306,7 +402,7 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
                 return {
                     ...baseChunk,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: { content: event.delta.text },
                         finish_reason: null
                     }]
@@ -315,7 +411,7 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
                 return {
                     ...baseChunk,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: { reasoning_content: event.delta.thinking },
                         finish_reason: null
                     }]
@@ -325,7 +421,7 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
                 return {
                     ...baseChunk,
                     choices: [{
-                        index: 0,
+                        index: choiceIndex,
                         delta: {
                             tool_calls: [{
                                 index: state.currentToolCall.index,
@@ -352,7 +448,7 @@ export function convertAnthropicEventToOpenAI(event, model, state) {
             return {
                 ...baseChunk,
                 choices: [{
-                    index: 0,
+                    index: choiceIndex,
                     delta: {},
                     finish_reason: finishReason
                 }],
@@ -0,0 +1,177 @@
+/**
+ * OpenAI Legacy Completions Compatibility Layer
+ * Wraps /v1/completions prompts into single-turn Chat Completions requests
+ * (converted with convertOpenAIToAnthropic) and converts the Anthropic
+ * responses back to text_completion objects.
+ */
+
+import crypto from 'crypto';
+import { convertOpenAIToAnthropic } from './openai-compat.js';
+
+// Chat models answer prompts; these instructions make them continue them instead
+const CONTINUATION_INSTRUCTION = 'Continue the text provided by the user. Output only the continuation, exactly as it should follow the input. Do not repeat the input, and do not add explanations or formatting.';
+const FILL_IN_THE_MIDDLE_INSTRUCTION = 'You are a code completion engine. The user message contains a document with a <FILL_HERE> marker. Output only the text that belongs at the marker so that it connects the text before and after it. Do not repeat the surrounding text, and do not add explanations or code fences.';
+const FILL_MARKER = '<FILL_HERE>';
+
+// Upper bound on prompts × n (each choice is a separate upstream request)
+export const MAX_COMPLETION_CHOICES = 16;
+
+/**
+ * Validate an OpenAI completions request
+ * @param {Object} request - OpenAI completions request
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCompletionsRequest(request) {
+    const { model, prompt, suffix, n } = request || {};
+
+    if (!model) {
+        return 'model is required.';
+    }
+    const prompts = Array.isArray(prompt) ? prompt : [prompt];
+    if (prompt === undefined || prompt === null || prompts.length === 0) {
+        return 'prompt is required.';
+    }
+    if (prompts.some(p => typeof p !== 'string')) {
+        return 'prompt must be a string or an array of strings. Token arrays are not supported.';
+    }
+    if (suffix !== undefined && suffix !== null && typeof suffix !== 'string') {
+        return 'suffix must be a string.';
+    }
+    if (n !== undefined && (!Number.isInteger(n) || n < 1)) {
+        return 'n must be a positive integer.';
+    }
+    if (prompts.length * (n || 1) > MAX_COMPLETION_CHOICES) {
+        return `The number of prompts times n may be at most ${MAX_COMPLETION_CHOICES}.`;
+    }
+    return null;
+}
+
+/**
+ * Wrap one completions prompt into an Anthropic Messages request
+ * With a `suffix`, the request asks for the text between prompt and suffix
+ * (fill-in-the-middle); otherwise it asks for a continuation of the prompt.
+ * @param {Object} request - OpenAI completions request
+ * @param {string} prompt - The prompt to complete
+ * @returns {Object} Anthropic format request
+ */
+export function convertCompletionToAnthropic(request, prompt) {
+    const { model, suffix, max_tokens, temperature, top_p, stop, stream } = request;
+    const isFillInTheMiddle = typeof suffix === 'string' && suffix.length > 0;
+
+    return convertOpenAIToAnthropic({
+        model,
+        messages: [
+            { role: 'system', content: isFillInTheMiddle ? FILL_IN_THE_MIDDLE_INSTRUCTION : CONTINUATION_INSTRUCTION },
+            { role: 'user', content: isFillInTheMiddle ? `${prompt}${FILL_MARKER}${suffix}` : prompt }
+        ],
+        max_tokens,
+        temperature,
+        top_p,
+        stop,
+        stream
+    });
+}
+
+/**
+ * Map an Anthropic stop reason to a completions finish_reason
+ * @param {string} stopReason - Anthropic stop_reason
+ * @returns {'stop'|'length'} finish_reason
+ */
+function toFinishReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'length' : 'stop';
+}
+
+/**
+ * Build a completion choice from an Anthropic response
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {number} index - Choice index
+ * @param {string} [echoPrefix] - Prompt to prepend (echo: true)
+ * @returns {Object} Completion choice
+ */
+export function convertAnthropicToCompletionChoice(anthropicResponse, index, echoPrefix = '') {
+    const text = (anthropicResponse.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+    return {
+        text: echoPrefix + text,
+        index,
+        logprobs: null,
+        finish_reason: toFinishReason(anthropicResponse.stop_reason)
+    };
+}
+
+/**
+ * Build a text_completion response
+ * @param {Array<Object>} choices - Completion choices
+ * @param {string} model - Model name
+ * @param {{input_tokens: number, output_tokens: number}} usage - Summed Anthropic usage
+ * @returns {Object} OpenAI completions response
+ */
+export function buildCompletionResponse(choices, model, usage) {
+    return {
+        id: `cmpl-${crypto.randomBytes(12).toString('hex')}`,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices,
+        usage: {
+            prompt_tokens: usage.input_tokens,
+            completion_tokens: usage.output_tokens,
+            total_tokens: usage.input_tokens + usage.output_tokens
+        }
+    };
+}
+
+/**
+ * Create the shared state for a streamed completion
+ * `model` is filled in from message_start with the model that answered.
+ * @returns {{id: string, created: number, model?: string}}
+ */
+export function createCompletionStreamState() {
+    return {
+        id: `cmpl-${crypto.randomBytes(12).toString('hex')}`,
+        created: Math.floor(Date.now() / 1000)
+    };
+}
+
+/**
+ * Build a streamed text_completion chunk
+ * @param {Object} state - From createCompletionStreamState()
+ * @param {string} model - Requested model name, used until the answering model is known
+ * @param {number} index - Choice index
+ * @param {string} text - Text delta
+ * @param {string|null} [finishReason] - finish_reason for the final chunk of a choice
+ * @returns {Object} Completion chunk
+ */
+export function buildCompletionChunk(state, model, index, text, finishReason = null) {
+    return {
+        id: state.id,
+        object: 'text_completion',
+        created: state.created,
+        model: state.model || model,
+        choices: [{ text, index, logprobs: null, finish_reason: finishReason }]
+    };
+}
+
+/**
+ * Convert an Anthropic SSE event to a streamed text_completion chunk
+ * @param {Object} event - Anthropic SSE event
+ * @param {string} model - Model name
+ * @param {Object} state - From createCompletionStreamState()
+ * @param {number} index - Choice index
+ * @returns {Object|null} Completion chunk, or null if the event carries no completion text
+ */
+export function convertAnthropicEventToCompletionChunk(event, model, state, index) {
+    if (event.type === 'message_start' && event.message?.model) {
+        state.model = event.message.model;
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        return buildCompletionChunk(state, model, index, event.delta.text);
+    }
+    if (event.type === 'message_delta') {
+        return buildCompletionChunk(state, model, index, '', toFinishReason(event.delta?.stop_reason));
+    }
+    return null;
+}
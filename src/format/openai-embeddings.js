@@ -0,0 +1,93 @@
+/**
+ * OpenAI Embeddings Compatibility Layer
+ * Converts between the OpenAI Embeddings API and Google EmbedContentRequest format
+ */
+
+// Matches OpenAI's limit on inputs per request
+export const MAX_EMBEDDING_INPUTS = 2048;
+
+/**
+ * Validate an OpenAI embeddings request
+ * @param {Object} openaiRequest - OpenAI format request
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateEmbeddingsRequest(openaiRequest) {
+    const { model, input, dimensions, encoding_format } = openaiRequest || {};
+
+    if (!model) {
+        return 'model is required.';
+    }
+    const inputs = Array.isArray(input) ? input : [input];
+    if (input === undefined || input === null || inputs.length === 0) {
+        return 'input is required.';
+    }
+    if (inputs.length > MAX_EMBEDDING_INPUTS) {
+        return `input may contain at most ${MAX_EMBEDDING_INPUTS} items.`;
+    }
+    if (inputs.some(item => typeof item !== 'string')) {
+        return 'input must be a string or an array of strings. Token arrays are not supported.';
+    }
+    if (inputs.some(item => item.length === 0)) {
+        return 'input cannot contain empty strings.';
+    }
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+        return 'dimensions must be a positive integer.';
+    }
+    if (encoding_format !== undefined && encoding_format !== 'float' && encoding_format !== 'base64') {
+        return 'encoding_format must be "float" or "base64".';
+    }
+    return null;
+}
+
+/**
+ * Convert an OpenAI embeddings request to Google EmbedContentRequest objects
+ * @param {Object} openaiRequest - Validated OpenAI format request
+ * @returns {{model: string, requests: Array<Object>}} Model and one request per input
+ */
+export function convertOpenAIToGoogleEmbeddings(openaiRequest) {
+    const { model, input, dimensions } = openaiRequest;
+    const inputs = Array.isArray(input) ? input : [input];
+
+    return {
+        model,
+        requests: inputs.map(text => ({
+            content: { parts: [{ text }] },
+            ...(dimensions ? { outputDimensionality: dimensions } : {})
+        }))
+    };
+}
+
+/**
+ * Encode an embedding vector as base64 little-endian float32, like OpenAI
+ * @param {Array<number>} values - Embedding values
+ * @returns {string} Base64 string
+ */
+function encodeBase64Embedding(values) {
+    return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+/**
+ * Convert Google embeddings to an OpenAI embeddings response
+ * @param {Array<{values: Array<number>}>} embeddings - Google embeddings, in input order
+ * @param {string} model - Model name to report
+ * @param {number} promptTokens - Input token count
+ * @param {'float'|'base64'} [encodingFormat] - Requested encoding
+ * @returns {Object} OpenAI format response
+ */
+export function convertGoogleEmbeddingsToOpenAI(embeddings, model, promptTokens, encodingFormat = 'float') {
+    return {
+        object: 'list',
+        data: embeddings.map((embedding, index) => ({
+            object: 'embedding',
+            index,
+            embedding: encodingFormat === 'base64'
+                ? encodeBase64Embedding(embedding.values)
+                : embedding.values
+        })),
+        model,
+        usage: {
+            prompt_tokens: promptTokens,
+            total_tokens: promptTokens
+        }
+    };
+}
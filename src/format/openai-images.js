@@ -0,0 +1,83 @@
+/**
+ * OpenAI Images Compatibility Layer
+ * Converts OpenAI Images API parameters to Gemini image generation settings
+ */
+
+// Matches OpenAI's limit on images per request
+export const MAX_IMAGES_PER_REQUEST = 10;
+
+// Aspect ratios accepted by Gemini image models
+const SUPPORTED_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * Validate OpenAI image generation/edit parameters
+ * @param {Object} params - Request parameters (JSON body or multipart fields)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateImageRequest(params) {
+    const { prompt, n, size, response_format } = params || {};
+
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+        return 'prompt is required.';
+    }
+    if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES_PER_REQUEST)) {
+        return `n must be an integer between 1 and ${MAX_IMAGES_PER_REQUEST}.`;
+    }
+    if (size !== undefined && size !== 'auto' && !sizeToImageConfig(size)) {
+        return 'size must be "auto", WIDTHxHEIGHT (e.g. "1024x1024") or an aspect ratio (e.g. "16:9").';
+    }
+    if (response_format !== undefined && response_format !== 'url' && response_format !== 'b64_json') {
+        return 'response_format must be "url" or "b64_json".';
+    }
+    return null;
+}
+
+/**
+ * Map an OpenAI size to a Gemini aspect ratio and output size
+ * "1536x1024" becomes the closest supported ratio ("3:2") and the
+ * smallest size tier covering the longer side ("2K").
+ * @param {string} size - "WIDTHxHEIGHT" or "W:H"
+ * @returns {{aspectRatio: string, imageSize?: string}|null} Image config, or null if unparseable
+ */
+export function sizeToImageConfig(size) {
+    if (SUPPORTED_ASPECT_RATIOS.includes(size)) {
+        return { aspectRatio: size };
+    }
+
+    const match = /^(\d+)x(\d+)$/.exec(size || '');
+    if (!match) return null;
+    const width = parseInt(match[1], 10);
+    const height = parseInt(match[2], 10);
+    if (!width || !height) return null;
+
+    const target = Math.log(width / height);
+    const ratioOf = (ratio) => {
+        const [w, h] = ratio.split(':').map(Number);
+        return Math.log(w / h);
+    };
+    const aspectRatio = SUPPORTED_ASPECT_RATIOS.reduce((best, ratio) =>
+        Math.abs(ratioOf(ratio) - target) < Math.abs(ratioOf(best) - target) ? ratio : best
+    );
+
+    const longestSide = Math.max(width, height);
+    const imageSize = longestSide <= 1024 ? '1K' : longestSide <= 2048 ? '2K' : '4K';
+    return { aspectRatio, imageSize };
+}
+
+/**
+ * Build an OpenAI Images API response
+ * @param {Array<{url?: string, b64_json?: string}>} data - One entry per image
+ * @param {{promptTokenCount: number, candidatesTokenCount: number}} usage - Upstream token usage
+ * @returns {Object} OpenAI format response
+ */
+export function buildImagesResponse(data, usage) {
+    return {
+        created: Math.floor(Date.now() / 1000),
+        data,
+        usage: {
+            input_tokens: usage.promptTokenCount,
+            output_tokens: usage.candidatesTokenCount,
+            total_tokens: usage.promptTokenCount + usage.candidatesTokenCount
+        }
+    };
+}
@@ -1,6 +1,20 @@
 import crypto from 'crypto';
+import { convertResponseFormat } from './structured-output.js';
+import { getModelCapabilities } from '../models/index.js';
+
+export function normalizeResponsesInput(input) {
+    const items = typeof input === 'string'
+        ? [{ type: 'message', role: 'user', content: [{ type: 'input_text', text: input }] }]
+        : (Array.isArray(input) ? input : []);
+
+    return items.map(item => ({
+        id: `${item.type === 'function_call_output' ? 'fco' : 'msg'}_${crypto.randomBytes(8).toString('hex')}`,
+        ...item,
+        type: item.type || 'message'
+    }));
+}
 
-export function convertResponsesAPIToAnthropic(responsesRequest) {
+export function convertResponsesAPIToAnthropic(responsesRequest, previousMessages = []) {
     const {
         model,
         input,
@@ -10,11 +24,13 @@ export function convertResponsesAPIToAnthropic(responsesRequest) {
         top_p,
         tools,
         tool_choice,
+        parallel_tool_calls,
         stream,
-        reasoning
+        reasoning,
+        text
     } = responsesRequest;
 
-    const anthropicMessages = [];
+    const anthropicMessages = [...previousMessages];
     let systemPrompt = instructions || null;
 
     if (typeof input === 'string') {
@@ -75,9 +91,14 @@ export function convertResponsesAPIToAnthropic(responsesRequest) {
         }
     }
 
-    const modelLower = (model || '').toLowerCase();
-    const isThinkingModel = modelLower.includes('thinking') ||
-        (modelLower.includes('gemini') && /gemini-(\d+)/.test(modelLower) && parseInt(modelLower.match(/gemini-(\d+)/)[1]) >= 3);
+    if (parallel_tool_calls === false && anthropicRequest.tools) {
+        anthropicRequest.tool_choice = { type: 'auto', ...anthropicRequest.tool_choice, disable_parallel_tool_use: true };
+    }
+
+    const outputFormat = convertResponseFormat(text?.format);
+    if (outputFormat) anthropicRequest.output_format = outputFormat;
+
+    const isThinkingModel = getModelCapabilities(model).thinking;
 
     if (isThinkingModel || reasoning) {
         let budgetTokens = 10000;
@@ -143,8 +164,7 @@ function extractTextFromContent(content) {
     return '';
 }
 
-export function convertAnthropicToResponsesAPI(anthropicResponse, model, originalRequest = {}) {
-    const responseId = `resp_${crypto.randomBytes(12).toString('hex')}`;
+export function convertAnthropicToResponsesAPI(anthropicResponse, model, originalRequest = {}, responseId = `resp_${crypto.randomBytes(12).toString('hex')}`) {
     const createdAt = Math.floor(Date.now() / 1000);
 
     const output = [];
@@ -160,6 +180,13 @@ export function convertAnthropicToResponsesAPI(anthropicResponse, model, origina
             });
         } else if (block.type === 'thinking') {
             reasoningContent = block.thinking;
+        } else if (block.type === 'image' && block.source?.type === 'base64') {
+            output.push({
+                type: 'image_generation_call',
+                id: `ig_${crypto.randomBytes(8).toString('hex')}`,
+                status: 'completed',
+                result: block.source.data
+            });
         } else if (block.type === 'tool_use') {
             output.push({
                 type: 'function_call',
@@ -196,13 +223,14 @@ export function convertAnthropicToResponsesAPI(anthropicResponse, model, origina
         status,
         model,
         output,
-        parallel_tool_calls: true,
+        parallel_tool_calls: originalRequest.parallel_tool_calls ?? true,
         tool_choice: originalRequest.tool_choice || 'auto',
         tools: originalRequest.tools || [],
-        text: { format: { type: 'text' } },
+        text: originalRequest.text?.format ? { format: originalRequest.text.format } : { format: { type: 'text' } },
         temperature: originalRequest.temperature ?? 1.0,
         top_p: originalRequest.top_p ?? 1.0,
         truncation: originalRequest.truncation || 'disabled',
+        store: originalRequest.store !== false,
         usage: {
             input_tokens: anthropicResponse.usage?.input_tokens || 0,
             input_tokens_details: {
@@ -242,16 +270,26 @@ export function createResponsesStreamState() {
         currentBlockType: null,
         currentFunctionCall: null,
         messageItemId: null,
-        hasEmittedMessageItem: false
+        messageItemIndex: 0,
+        messageContent: [],
+        hasEmittedMessageItem: false,
+        output: [],
+        stopReason: null,
+        model: null,
+        usage: { input_tokens: 0, cache_read_input_tokens: 0, output_tokens: 0 }
     };
 }
 
 export function convertAnthropicEventToResponsesAPI(event, model, state, originalRequest = {}) {
     const events = [];
     const nextSeq = () => state.sequenceNumber++;
+    // message_start names the model that answered (a fallback model, if one took over)
+    if (event.type === 'message_start' && event.message?.model) state.model = event.message.model;
+    const responseModel = state.model || model;
 
     switch (event.type) {
         case 'message_start': {
+            Object.assign(state.usage, event.message?.usage);
             events.push({
                 type: 'response.created',
                 sequence_number: nextSeq(),
@@ -260,14 +298,15 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                     object: 'response',
                     created_at: state.createdAt,
                     status: 'in_progress',
-                    model,
+                    model: responseModel,
                     output: [],
-                    parallel_tool_calls: true,
+                    parallel_tool_calls: originalRequest.parallel_tool_calls ?? true,
                     tool_choice: originalRequest.tool_choice || 'auto',
                     tools: originalRequest.tools || [],
                     temperature: originalRequest.temperature ?? 1.0,
                     top_p: originalRequest.top_p ?? 1.0,
                     truncation: originalRequest.truncation || 'disabled',
+                    store: originalRequest.store !== false,
                     metadata: originalRequest.metadata || {}
                 }
             });
@@ -280,7 +319,7 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                     object: 'response',
                     created_at: state.createdAt,
                     status: 'in_progress',
-                    model
+                    model: responseModel
                 }
             });
             break;
@@ -294,6 +333,7 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                 if (!state.hasEmittedMessageItem) {
                     state.currentItemIndex++;
                     state.messageItemId = `msg_${crypto.randomBytes(8).toString('hex')}`;
+                    state.messageItemIndex = state.currentItemIndex;
                     state.currentItemId = state.messageItemId;
                     state.hasEmittedMessageItem = true;
 
@@ -312,11 +352,12 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                 }
 
                 state.currentContentIndex++;
+                state.messageContent.push({ type: 'output_text', text: '', annotations: [] });
                 events.push({
                     type: 'response.content_part.added',
                     sequence_number: nextSeq(),
                     item_id: state.messageItemId,
-                    output_index: state.currentItemIndex,
+                    output_index: state.messageItemIndex,
                     content_index: state.currentContentIndex,
                     part: {
                         type: 'output_text',
@@ -326,6 +367,31 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                 });
             } else if (blockType === 'thinking') {
                 state.currentBlockType = 'thinking';
+            } else if (blockType === 'image' && event.content_block.source?.type === 'base64') {
+                // Generated images arrive whole, so the item is added and completed at once
+                state.currentItemIndex++;
+                const igId = `ig_${crypto.randomBytes(8).toString('hex')}`;
+                const item = { type: 'image_generation_call', id: igId, status: 'in_progress', result: null };
+
+                events.push({
+                    type: 'response.output_item.added',
+                    sequence_number: nextSeq(),
+                    output_index: state.currentItemIndex,
+                    item
+                });
+                events.push({
+                    type: 'response.image_generation_call.completed',
+                    sequence_number: nextSeq(),
+                    item_id: igId,
+                    output_index: state.currentItemIndex
+                });
+                state.output[state.currentItemIndex] = { ...item, status: 'completed', result: event.content_block.source.data };
+                events.push({
+                    type: 'response.output_item.done',
+                    sequence_number: nextSeq(),
+                    output_index: state.currentItemIndex,
+                    item: state.output[state.currentItemIndex]
+                });
             } else if (blockType === 'tool_use') {
                 state.currentItemIndex++;
                 const fcId = `fc_${crypto.randomBytes(8).toString('hex')}`;
@@ -356,11 +422,12 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
 
         case 'content_block_delta': {
             if (event.delta?.type === 'text_delta') {
+                state.messageContent[state.currentContentIndex].text += event.delta.text;
                 events.push({
                     type: 'response.output_text.delta',
                     sequence_number: nextSeq(),
                     item_id: state.messageItemId,
-                    output_index: state.currentItemIndex,
+                    output_index: state.messageItemIndex,
                     content_index: state.currentContentIndex,
                     delta: event.delta.text
                 });
@@ -390,9 +457,9 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                     type: 'response.output_text.done',
                     sequence_number: nextSeq(),
                     item_id: state.messageItemId,
-                    output_index: state.currentItemIndex,
+                    output_index: state.messageItemIndex,
                     content_index: state.currentContentIndex,
-                    text: ''
+                    text: state.messageContent[state.currentContentIndex].text
                 });
             } else if (state.currentBlockType === 'tool_use' && state.currentFunctionCall) {
                 events.push({
@@ -405,18 +472,19 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
                     arguments: state.currentFunctionCall.arguments
                 });
 
+                state.output[state.currentItemIndex] = {
+                    type: 'function_call',
+                    id: state.currentFunctionCall.id,
+                    call_id: state.currentFunctionCall.call_id,
+                    name: state.currentFunctionCall.name,
+                    arguments: state.currentFunctionCall.arguments,
+                    status: 'completed'
+                };
                 events.push({
                     type: 'response.output_item.done',
                     sequence_number: nextSeq(),
                     output_index: state.currentItemIndex,
-                    item: {
-                        type: 'function_call',
-                        id: state.currentFunctionCall.id,
-                        call_id: state.currentFunctionCall.call_id,
-                        name: state.currentFunctionCall.name,
-                        arguments: state.currentFunctionCall.arguments,
-                        status: 'completed'
-                    }
+                    item: state.output[state.currentItemIndex]
                 });
 
                 state.currentFunctionCall = null;
@@ -425,38 +493,60 @@ export function convertAnthropicEventToResponsesAPI(event, model, state, origina
             break;
         }
 
+        case 'message_delta': {
+            if (event.delta?.stop_reason) state.stopReason = event.delta.stop_reason;
+            Object.assign(state.usage, event.usage);
+            break;
+        }
+
         case 'message_stop': {
             if (state.hasEmittedMessageItem) {
+                state.output[state.messageItemIndex] = {
+                    type: 'message',
+                    id: state.messageItemId,
+                    status: 'completed',
+                    role: 'assistant',
+                    content: state.messageContent
+                };
                 events.push({
                     type: 'response.output_item.done',
                     sequence_number: nextSeq(),
-                    output_index: 0,
-                    item: {
-                        type: 'message',
-                        id: state.messageItemId,
-                        status: 'completed',
-                        role: 'assistant',
-                        content: []
-                    }
+                    output_index: state.messageItemIndex,
+                    item: state.output[state.messageItemIndex]
                 });
             }
 
+            const incomplete = state.stopReason === 'max_tokens';
+            const response = {
+                id: state.responseId,
+                object: 'response',
+                created_at: state.createdAt,
+                status: incomplete ? 'incomplete' : 'completed',
+                model: responseModel,
+                output: state.output.filter(Boolean),
+                parallel_tool_calls: originalRequest.parallel_tool_calls ?? true,
+                tool_choice: originalRequest.tool_choice || 'auto',
+                tools: originalRequest.tools || [],
+                temperature: originalRequest.temperature ?? 1.0,
+                top_p: originalRequest.top_p ?? 1.0,
+                truncation: originalRequest.truncation || 'disabled',
+                store: originalRequest.store !== false,
+                usage: {
+                    input_tokens: state.usage.input_tokens,
+                    input_tokens_details: { cached_tokens: state.usage.cache_read_input_tokens || 0 },
+                    output_tokens: state.usage.output_tokens,
+                    total_tokens: state.usage.input_tokens + state.usage.output_tokens
+                },
+                metadata: originalRequest.metadata || {}
+            };
+            if (incomplete) response.incomplete_details = { reason: 'max_output_tokens' };
+            if (originalRequest.instructions) response.instructions = originalRequest.instructions;
+            if (originalRequest.previous_response_id) response.previous_response_id = originalRequest.previous_response_id;
+
             events.push({
-                type: 'response.completed',
+                type: incomplete ? 'response.incomplete' : 'response.completed',
                 sequence_number: nextSeq(),
-                response: {
-                    id: state.responseId,
-                    object: 'response',
-                    created_at: state.createdAt,
-                    status: 'completed',
-                    model,
-                    output: [],
-                    usage: {
-                        input_tokens: event.message?.usage?.input_tokens || 0,
-                        output_tokens: event.message?.usage?.output_tokens || 0,
-                        total_tokens: (event.message?.usage?.input_tokens || 0) + (event.message?.usage?.output_tokens || 0)
-                    }
-                }
+                response
             });
             break;
         }
@@ -0,0 +1,317 @@
+/**
+ * OpenAI-Compatible Upstream Format
+ * Converts gateway (Anthropic Messages) requests into OpenAI Chat Completions
+ * requests for OpenAI-compatible providers, and their responses and stream
+ * chunks back into Anthropic format. This is the reverse direction of
+ * openai-compat.js, which serves OpenAI-format clients.
+ */
+
+import crypto from 'crypto';
+
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use',
+    content_filter: 'refusal'
+};
+
+/**
+ * Flatten an Anthropic system prompt (string or text blocks) to a string
+ * @param {string|Array|undefined} system - Anthropic system prompt
+ * @returns {string} System text
+ */
+function systemText(system) {
+    if (Array.isArray(system)) return system.filter(b => b?.type === 'text').map(b => b.text).join('\n\n');
+    return system || '';
+}
+
+/**
+ * Get the URL of an Anthropic image block (a data URI for base64 sources)
+ * @param {Object} block - Anthropic image block
+ * @returns {string} Image URL
+ */
+function imageUrl(block) {
+    const source = block.source || {};
+    return source.type === 'url' ? source.url : `data:${source.media_type};base64,${source.data}`;
+}
+
+/**
+ * Flatten the content of an Anthropic tool_result block to text
+ * @param {Object} block - tool_result block
+ * @returns {string} Result text
+ */
+function toolResultText(block) {
+    if (typeof block.content === 'string') return block.content;
+    return (block.content || []).filter(b => b?.type === 'text').map(b => b.text).join('\n');
+}
+
+/**
+ * Convert an Anthropic message to one or more OpenAI messages
+ * Tool results become `tool` messages placed before the rest of the user turn.
+ * @param {Object} message - Anthropic message
+ * @returns {Array<Object>} OpenAI messages
+ */
+function convertMessage(message) {
+    if (typeof message.content === 'string') {
+        return [{ role: message.role, content: message.content }];
+    }
+    const blocks = message.content || [];
+
+    if (message.role === 'assistant') {
+        const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+        const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => ({
+            id: b.id,
+            type: 'function',
+            function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) }
+        }));
+        const converted = { role: 'assistant', content: text || null };
+        if (toolCalls.length > 0) converted.tool_calls = toolCalls;
+        return [converted];
+    }
+
+    const converted = [];
+    const parts = [];
+    for (const block of blocks) {
+        if (block.type === 'tool_result') {
+            converted.push({ role: 'tool', tool_call_id: block.tool_use_id, content: toolResultText(block) });
+        } else if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+            parts.push({ type: 'image_url', image_url: { url: imageUrl(block) } });
+        }
+    }
+    if (parts.length > 0) converted.push({ role: 'user', content: parts });
+    return converted;
+}
+
+/**
+ * Convert an Anthropic tool_choice to OpenAI
+ * @param {Object} toolChoice - Anthropic tool_choice
+ * @returns {string|Object|undefined} OpenAI tool_choice
+ */
+function convertToolChoice(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'auto': return 'auto';
+        case 'any': return 'required';
+        case 'none': return 'none';
+        case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+        default: return undefined;
+    }
+}
+
+/**
+ * Convert an Anthropic Messages request to an OpenAI Chat Completions request
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {string} model - Model ID to send upstream
+ * @param {boolean} stream - Whether to stream
+ * @returns {Object} OpenAI format request
+ */
+export function convertAnthropicToOpenAIRequest(anthropicRequest, model, stream) {
+    const messages = [];
+    const system = systemText(anthropicRequest.system);
+    if (system) messages.push({ role: 'system', content: system });
+    for (const message of anthropicRequest.messages || []) {
+        messages.push(...convertMessage(message));
+    }
+
+    const openaiRequest = {
+        model,
+        messages,
+        max_tokens: anthropicRequest.max_tokens,
+        stream
+    };
+    if (stream) openaiRequest.stream_options = { include_usage: true };
+
+    if (anthropicRequest.temperature !== undefined) openaiRequest.temperature = anthropicRequest.temperature;
+    if (anthropicRequest.top_p !== undefined) openaiRequest.top_p = anthropicRequest.top_p;
+    if (anthropicRequest.stop_sequences?.length) openaiRequest.stop = anthropicRequest.stop_sequences;
+
+    if (anthropicRequest.tools?.length) {
+        openaiRequest.tools = anthropicRequest.tools.map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.input_schema || { type: 'object' }
+            }
+        }));
+        const toolChoice = convertToolChoice(anthropicRequest.tool_choice);
+        if (toolChoice) openaiRequest.tool_choice = toolChoice;
+        if (anthropicRequest.tool_choice?.disable_parallel_tool_use) openaiRequest.parallel_tool_calls = false;
+    }
+
+    const outputFormat = anthropicRequest.output_format;
+    if (outputFormat?.type === 'json_object') {
+        openaiRequest.response_format = { type: 'json_object' };
+    } else if (outputFormat?.type === 'json_schema') {
+        openaiRequest.response_format = {
+            type: 'json_schema',
+            json_schema: { name: outputFormat.name, schema: outputFormat.schema, strict: outputFormat.strict }
+        };
+    }
+
+    return openaiRequest;
+}
+
+/**
+ * Convert OpenAI usage to Anthropic usage
+ * @param {Object} usage - OpenAI usage
+ * @returns {{input_tokens: number, output_tokens: number}} Anthropic usage
+ */
+function convertUsage(usage) {
+    return {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0
+    };
+}
+
+/**
+ * Convert an OpenAI Chat Completions response to Anthropic Messages format
+ *
+ * @param {Object} openaiResponse - OpenAI format response
+ * @param {string} model - Model name to report
+ * @returns {Object} Anthropic format response
+ */
+export function convertOpenAIResponseToAnthropic(openaiResponse, model) {
+    const choice = openaiResponse.choices?.[0] || {};
+    const message = choice.message || {};
+
+    const content = [];
+    if (message.content) content.push({ type: 'text', text: message.content });
+    for (const toolCall of message.tool_calls || []) {
+        let input = {};
+        try {
+            input = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        } catch {
+            // Keep an empty input for unparseable arguments
+        }
+        content.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input });
+    }
+    if (content.length === 0) content.push({ type: 'text', text: '' });
+
+    return {
+        id: `msg_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content,
+        stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+        stop_sequence: null,
+        usage: convertUsage(openaiResponse.usage)
+    };
+}
+
+/**
+ * Create the state for converting one OpenAI chunk stream
+ * @param {string} model - Model name to report
+ * @returns {Object} Stream state
+ */
+export function createOpenAIChunkState(model) {
+    return {
+        model,
+        started: false,
+        blockIndex: -1,
+        blockType: null,
+        toolCallIndex: null,
+        finishReason: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+    };
+}
+
+/**
+ * Convert one OpenAI chat.completion.chunk into Anthropic SSE events
+ * @param {Object} chunk - Parsed chunk
+ * @param {Object} state - From createOpenAIChunkState()
+ * @returns {Array<Object>} Anthropic events
+ */
+export function convertOpenAIChunkToAnthropic(chunk, state) {
+    const events = [];
+    if (!state.started) {
+        state.started = true;
+        events.push({
+            type: 'message_start',
+            message: {
+                id: `msg_${crypto.randomBytes(12).toString('hex')}`,
+                type: 'message',
+                role: 'assistant',
+                model: state.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        });
+    }
+
+    if (chunk.usage) state.usage = convertUsage(chunk.usage);
+
+    const choice = chunk.choices?.[0];
+    if (!choice) return events;
+    const delta = choice.delta || {};
+
+    if (delta.content) {
+        if (state.blockType !== 'text') {
+            events.push(...startBlock(state, 'text', { type: 'text', text: '' }));
+        }
+        events.push({ type: 'content_block_delta', index: state.blockIndex, delta: { type: 'text_delta', text: delta.content } });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+        const index = toolCall.index ?? 0;
+        if (state.blockType !== 'tool_use' || state.toolCallIndex !== index) {
+            events.push(...startBlock(state, 'tool_use', {
+                type: 'tool_use',
+                id: toolCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`,
+                name: toolCall.function?.name || '',
+                input: {}
+            }));
+            state.toolCallIndex = index;
+        }
+        if (toolCall.function?.arguments) {
+            events.push({
+                type: 'content_block_delta',
+                index: state.blockIndex,
+                delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+            });
+        }
+    }
+
+    if (choice.finish_reason) state.finishReason = choice.finish_reason;
+    return events;
+}
+
+/**
+ * Close an OpenAI chunk stream: end the open block and emit the final message events
+ * @param {Object} state - From createOpenAIChunkState()
+ * @returns {Array<Object>} Anthropic events
+ */
+export function finishOpenAIChunkStream(state) {
+    const events = state.started ? [] : convertOpenAIChunkToAnthropic({}, state);
+    if (state.blockType) events.push({ type: 'content_block_stop', index: state.blockIndex });
+    state.blockType = null;
+    events.push({
+        type: 'message_delta',
+        delta: { stop_reason: STOP_REASONS[state.finishReason] || 'end_turn', stop_sequence: null },
+        usage: state.usage
+    });
+    events.push({ type: 'message_stop' });
+    return events;
+}
+
+/**
+ * Close the open content block and start a new one
+ * @param {Object} state - Stream state
+ * @param {string} type - New block type
+ * @param {Object} contentBlock - content_block of the start event
+ * @returns {Array<Object>} Anthropic events
+ */
+function startBlock(state, type, contentBlock) {
+    const events = [];
+    if (state.blockType) events.push({ type: 'content_block_stop', index: state.blockIndex });
+    state.blockIndex++;
+    state.blockType = type;
+    events.push({ type: 'content_block_start', index: state.blockIndex, content_block: contentBlock });
+    return events;
+}
@@ -3,13 +3,11 @@
  * Converts Anthropic Messages API requests to Google Generative AI format
  */
 
-import {
-    GEMINI_MAX_OUTPUT_TOKENS,
-    getModelFamily,
-    isThinkingModel
-} from '../constants.js';
+import { getModelCapabilities } from '../models/index.js';
 import { convertContentToParts, convertRole } from './content-converter.js';
 import { sanitizeSchema, cleanSchemaForGemini } from './schema-sanitizer.js';
+import { applyOutputFormat } from './structured-output.js';
+import { ToolNameMap } from './tool-names.js';
 import { getSystemInstruction } from '../gateway-config.js';
 import {
     restoreThinkingSignatures,
@@ -22,6 +20,34 @@ import {
 } from './thinking-utils.js';
 import { logger } from '../utils/logger.js';
 
+const SINGLE_TOOL_CALL_HINT = 'Call at most one tool per response.';
+
+// Output tokens left for the answer when max_tokens has to make room for thinking
+const THINKING_OUTPUT_BUFFER = 8192;
+
+/**
+ * Convert an Anthropic tool_choice to a Google functionCallingConfig
+ * @param {Object} toolChoice - Anthropic tool_choice ({type: 'auto'|'any'|'tool'|'none', name?})
+ * @param {ToolNameMap} toolNames - Tool name mapping of the request
+ * @returns {Object|null} functionCallingConfig, or null to use the upstream default
+ */
+function convertToolChoice(toolChoice, toolNames) {
+    switch (toolChoice?.type) {
+        case 'auto':
+            return { mode: 'AUTO' };
+        case 'any':
+            return { mode: 'ANY' };
+        case 'tool':
+            return toolChoice.name
+                ? { mode: 'ANY', allowedFunctionNames: [toolNames.toUpstream(toolChoice.name)] }
+                : null;
+        case 'none':
+            return { mode: 'NONE' };
+        default:
+            return null;
+    }
+}
+
 /**
  * Convert Anthropic Messages API request to the format expected by Cloud Code
  *
@@ -32,12 +58,17 @@ import { logger } from '../utils/logger.js';
  * @returns {Object} Request body for Cloud Code API
  */
 export function convertAnthropicToGoogle(anthropicRequest) {
-    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking } = anthropicRequest;
+    const { system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking, output_format } = anthropicRequest;
     const modelName = anthropicRequest.model || '';
-    const modelFamily = getModelFamily(modelName);
+    const capabilities = getModelCapabilities(modelName);
+    const modelFamily = capabilities.family;
     const isClaudeModel = modelFamily === 'claude';
     const isGeminiModel = modelFamily === 'gemini';
-    const isThinking = isThinkingModel(modelName);
+    const isThinking = capabilities.thinking;
+
+    // Tool names the upstream rejects are rewritten, including in history (restored in responses)
+    const toolNames = new ToolNameMap(tools);
+    const messages = toolNames.toUpstreamMessages(anthropicRequest.messages);
 
     const googleRequest = {
         contents: [],
@@ -180,8 +211,8 @@ export function convertAnthropicToGoogle(anthropicRequest) {
                 const currentMaxTokens = googleRequest.generationConfig.maxOutputTokens;
                 if (currentMaxTokens && currentMaxTokens <= thinkingBudget) {
                     // Bump max_tokens to allow for some response content
-                    // Default to budget + 8192 (standard output buffer)
-                    const adjustedMaxTokens = thinkingBudget + 8192;
+                    // (capped at the model's output limit below)
+                    const adjustedMaxTokens = thinkingBudget + THINKING_OUTPUT_BUFFER;
                     logger.warn(`[RequestConverter] max_tokens (${currentMaxTokens}) <= thinking_budget (${thinkingBudget}). Adjusting to ${adjustedMaxTokens} to satisfy API requirements`);
                     googleRequest.generationConfig.maxOutputTokens = adjustedMaxTokens;
                 }
@@ -229,7 +260,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
             }
 
             return {
-                name: String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64),
+                name: toolNames.toUpstream(name),
                 description: description,
                 parameters
             };
@@ -237,12 +268,45 @@ export function convertAnthropicToGoogle(anthropicRequest) {
 
         googleRequest.tools = [{ functionDeclarations }];
         logger.debug(`[RequestConverter] Tools: ${JSON.stringify(googleRequest.tools).substring(0, 300)}`);
+
+        // Tool choice (auto / any / a specific tool / none)
+        const functionCallingConfig = convertToolChoice(tool_choice, toolNames);
+        if (functionCallingConfig) {
+            googleRequest.toolConfig = { functionCallingConfig };
+            logger.debug(`[RequestConverter] Tool choice: ${JSON.stringify(functionCallingConfig)}`);
+        }
+
+        // There is no upstream switch for parallel calls; ask for one call
+        // (extra calls are also dropped from the response)
+        if (tool_choice?.disable_parallel_tool_use && tool_choice.type !== 'none') {
+            googleRequest.systemInstruction.parts.push({ text: SINGLE_TOOL_CALL_HINT });
+        }
+    }
+
+    // Structured outputs (response_format / text.format)
+    if (output_format) {
+        applyOutputFormat(googleRequest, output_format, { isGeminiModel, isThinking });
+        logger.debug(`[RequestConverter] Structured output: ${output_format.type}`);
+    }
+
+    // Cap max tokens at the model's output limit (clients such as Claude Code
+    // send one max_tokens whatever the model, so this clamps rather than rejects)
+    const maxOutputTokens = capabilities.maxOutputTokens;
+    if (maxOutputTokens && googleRequest.generationConfig.maxOutputTokens > maxOutputTokens) {
+        logger.debug(`[RequestConverter] Capping ${modelName} max_tokens from ${googleRequest.generationConfig.maxOutputTokens} to ${maxOutputTokens}`);
+        googleRequest.generationConfig.maxOutputTokens = maxOutputTokens;
     }
 
-    // Cap max tokens for Gemini models
-    if (isGeminiModel && googleRequest.generationConfig.maxOutputTokens > GEMINI_MAX_OUTPUT_TOKENS) {
-        logger.debug(`[RequestConverter] Capping Gemini max_tokens from ${googleRequest.generationConfig.maxOutputTokens} to ${GEMINI_MAX_OUTPUT_TOKENS}`);
-        googleRequest.generationConfig.maxOutputTokens = GEMINI_MAX_OUTPUT_TOKENS;
+    // The thinking budget must stay below the (capped) max tokens
+    const thinkingConfig = googleRequest.generationConfig.thinkingConfig;
+    const budgetField = isClaudeModel ? 'thinking_budget' : 'thinkingBudget';
+    const cappedMaxTokens = googleRequest.generationConfig.maxOutputTokens;
+    if (thinkingConfig?.[budgetField] && cappedMaxTokens && thinkingConfig[budgetField] >= cappedMaxTokens) {
+        const clampedBudget = cappedMaxTokens > 2 * THINKING_OUTPUT_BUFFER
+            ? cappedMaxTokens - THINKING_OUTPUT_BUFFER
+            : Math.floor(cappedMaxTokens / 2);
+        logger.debug(`[RequestConverter] Clamping ${modelName} thinking budget from ${thinkingConfig[budgetField]} to ${clampedBudget} (max_tokens ${cappedMaxTokens})`);
+        thinkingConfig[budgetField] = clampedBudget;
     }
 
     return googleRequest;
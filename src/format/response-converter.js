@@ -6,15 +6,18 @@
 import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { cacheSignature, cacheThinkingSignature } from './signature-cache.js';
+import { unwrapStructuredOutputPart } from './structured-output.js';
 
 /**
  * Convert Google Generative AI response to Anthropic Messages API format
  *
  * @param {Object} googleResponse - Google format response (the inner response object)
  * @param {string} model - The model name used
+ * @param {Object} [options]
+ * @param {boolean} [options.structuredOutput] - The request had an output_format
  * @returns {Object} Anthropic format response
  */
-export function convertGoogleToAnthropic(googleResponse, model) {
+export function convertGoogleToAnthropic(googleResponse, model, { structuredOutput = false } = {}) {
     // Handle the response wrapper
     const response = googleResponse.response || googleResponse;
 
@@ -27,7 +30,7 @@ export function convertGoogleToAnthropic(googleResponse, model) {
     const anthropicContent = [];
     let hasToolCalls = false;
 
-    for (const part of parts) {
+    for (const part of structuredOutput ? parts.map(unwrapStructuredOutputPart) : parts) {
         if (part.text !== undefined) {
             // Handle thinking blocks
             if (part.thought === true) {
@@ -71,6 +74,16 @@ export function convertGoogleToAnthropic(googleResponse, model) {
 
             anthropicContent.push(toolUseBlock);
             hasToolCalls = true;
+        } else if (part.inlineData && !part.thought) {
+            // Generated image (e.g. gemini-3-pro-image); interim thought images are dropped
+            anthropicContent.push({
+                type: 'image',
+                source: {
+                    type: 'base64',
+                    media_type: part.inlineData.mimeType || 'image/png',
+                    data: part.inlineData.data
+                }
+            });
         }
     }
 
@@ -0,0 +1,85 @@
+/**
+ * Anthropic Stream Accumulator
+ * Rebuilds a complete Anthropic Messages response from the SSE events
+ * yielded by sendMessageStream(), including thinking signatures and
+ * tool_use thoughtSignatures, so streamed turns can be stored and replayed.
+ */
+
+/**
+ * Create an empty message to accumulate stream events into
+ * @returns {Object} Anthropic format message
+ */
+export function createStreamMessage() {
+    return {
+        id: null,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model: null,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+    };
+}
+
+/**
+ * Apply one Anthropic SSE event to an accumulated message
+ * @param {Object} message - From createStreamMessage()
+ * @param {Object} event - Anthropic SSE event
+ * @returns {Object} The same message
+ */
+export function accumulateStreamMessage(message, event) {
+    switch (event.type) {
+        case 'message_start': {
+            const { id, model, usage } = event.message || {};
+            message.id = id || message.id;
+            message.model = model || message.model;
+            if (usage) message.usage = { ...message.usage, ...usage };
+            break;
+        }
+
+        case 'content_block_start': {
+            const block = { ...event.content_block };
+            if (block.type === 'tool_use') block.partialJson = '';
+            message.content[event.index] = block;
+            break;
+        }
+
+        case 'content_block_delta': {
+            const block = message.content[event.index];
+            if (!block) break;
+            const { delta } = event;
+            if (delta?.type === 'text_delta') {
+                block.text = (block.text || '') + delta.text;
+            } else if (delta?.type === 'thinking_delta') {
+                block.thinking = (block.thinking || '') + delta.thinking;
+            } else if (delta?.type === 'signature_delta') {
+                block.signature = delta.signature;
+            } else if (delta?.type === 'input_json_delta') {
+                block.partialJson += delta.partial_json;
+            }
+            break;
+        }
+
+        case 'content_block_stop': {
+            const block = message.content[event.index];
+            if (block?.type === 'tool_use') {
+                try {
+                    block.input = block.partialJson ? JSON.parse(block.partialJson) : {};
+                } catch {
+                    block.input = {};
+                }
+                delete block.partialJson;
+            }
+            break;
+        }
+
+        case 'message_delta': {
+            if (event.delta?.stop_reason) message.stop_reason = event.delta.stop_reason;
+            if (event.usage) message.usage = { ...message.usage, ...event.usage };
+            break;
+        }
+    }
+
+    return message;
+}
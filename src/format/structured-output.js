@@ -0,0 +1,124 @@
+/**
+ * Structured Outputs
+ * Maps OpenAI response formats (json_object / json_schema) onto the request
+ * sent to Cloud Code:
+ * - Gemini models get generationConfig.responseMimeType / responseSchema
+ *   (Gemini rejects JSON mode together with function calling, so requests
+ *   with tools are handled like Claude below)
+ * - Claude models get a single reserved tool whose arguments are the answer;
+ *   the response converters turn that call back into plain JSON text when
+ *   the request had an output_format
+ *
+ * Internally the format travels on the Anthropic request as `output_format`:
+ *   { type: 'json_object' } or { type: 'json_schema', name, schema, strict }
+ *
+ * Schemas are followed on a best-effort basis: keywords Cloud Code does not
+ * support are dropped or moved into descriptions. `strict` is only passed on
+ * to OpenAI-compatible providers (see openai-upstream.js), which enforce it.
+ */
+
+import { sanitizeSchema, cleanSchemaForGemini } from './schema-sanitizer.js';
+
+// Reserved tool name used to force a schema-shaped answer from Claude models
+export const STRUCTURED_OUTPUT_TOOL_NAME = 'structured_output_response';
+
+const JSON_OBJECT_INSTRUCTION = 'Respond only with a single valid JSON object. Do not wrap it in code fences or add any other text.';
+const JSON_SCHEMA_TOOL_INSTRUCTION = `Provide your final answer by calling the ${STRUCTURED_OUTPUT_TOOL_NAME} tool. Its arguments are the answer.`;
+
+/**
+ * Convert an OpenAI response format to an Anthropic-request output_format
+ * Accepts both the Chat Completions shape ({type, json_schema: {name, schema, strict}})
+ * and the Responses API text.format shape ({type, name, schema, strict}).
+ *
+ * @param {Object|undefined} format - OpenAI response_format or text.format
+ * @returns {Object|null} output_format, or null for plain text
+ * @throws {Error} invalid_request_error if a json_schema format has no schema
+ */
+export function convertResponseFormat(format) {
+    if (!format || format.type === 'text') return null;
+
+    if (format.type === 'json_object') {
+        return { type: 'json_object' };
+    }
+
+    if (format.type === 'json_schema') {
+        const { name, schema, strict } = format.json_schema || format;
+        if (!schema || typeof schema !== 'object') {
+            throw new Error('invalid_request_error: response_format json_schema requires a schema.');
+        }
+        return { type: 'json_schema', name: name || 'response', schema, strict: strict === true };
+    }
+
+    throw new Error(`invalid_request_error: Unsupported response_format type: ${format.type}`);
+}
+
+/**
+ * Apply an output_format to a Google-format request
+ *
+ * @param {Object} googleRequest - Request being built by convertAnthropicToGoogle (mutated)
+ * @param {Object} outputFormat - Anthropic request output_format
+ * @param {Object} options
+ * @param {boolean} options.isGeminiModel - Target is a Gemini model
+ * @param {boolean} options.isThinking - Thinking is enabled
+ */
+export function applyOutputFormat(googleRequest, outputFormat, { isGeminiModel, isThinking }) {
+    const functionDeclarations = googleRequest.tools?.[0]?.functionDeclarations || [];
+    const hasOtherTools = functionDeclarations.length > 0;
+
+    // Gemini JSON mode can't be combined with function calling
+    if (isGeminiModel && !hasOtherTools) {
+        googleRequest.generationConfig.responseMimeType = 'application/json';
+        if (outputFormat.type === 'json_schema') {
+            googleRequest.generationConfig.responseSchema = cleanSchemaForGemini(outputFormat.schema);
+        }
+        return;
+    }
+
+    if (outputFormat.type === 'json_object') {
+        appendSystemText(googleRequest, JSON_OBJECT_INSTRUCTION);
+        return;
+    }
+
+    // The schema becomes the parameters of a reserved tool
+    const parameters = sanitizeSchema(outputFormat.schema);
+    functionDeclarations.push({
+        name: STRUCTURED_OUTPUT_TOOL_NAME,
+        description: `Return the final answer (${outputFormat.name || 'response'}) as structured data.`,
+        parameters: isGeminiModel ? cleanSchemaForGemini(parameters) : parameters
+    });
+    googleRequest.tools = [{ functionDeclarations }];
+
+    // Forcing a tool is not allowed with thinking, and would block the caller's own tools
+    if (hasOtherTools || isThinking) {
+        appendSystemText(googleRequest, JSON_SCHEMA_TOOL_INSTRUCTION);
+    } else {
+        googleRequest.toolConfig = {
+            functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [STRUCTURED_OUTPUT_TOOL_NAME] }
+        };
+    }
+}
+
+/**
+ * Turn a call of the reserved structured output tool into a JSON text part
+ * Other parts are returned unchanged. Only used for requests with an
+ * output_format, so a client tool that happens to share the name is kept.
+ *
+ * @param {Object} part - Google response part
+ * @returns {Object} Response part
+ */
+export function unwrapStructuredOutputPart(part) {
+    if (part.functionCall?.name !== STRUCTURED_OUTPUT_TOOL_NAME) return part;
+    return { text: JSON.stringify(part.functionCall.args || {}) };
+}
+
+/**
+ * Append text to the system instruction of a Google-format request
+ * @param {Object} googleRequest - Google format request (mutated)
+ * @param {string} text - Instruction text
+ */
+function appendSystemText(googleRequest, text) {
+    if (!googleRequest.systemInstruction) {
+        googleRequest.systemInstruction = { role: 'user', parts: [] };
+    }
+    googleRequest.systemInstruction.parts.push({ text });
+}
@@ -0,0 +1,142 @@
+/**
+ * Tool Name Mapping
+ * Google function names may only contain letters, digits, "_" and "-", must
+ * start with a letter or "_" and are at most 64 characters long. Tool names
+ * that break these rules (e.g. MCP tools like "github.create-issue") are
+ * rewritten for the upstream request and restored in the response, so
+ * clients only ever see the names they declared.
+ */
+
+import crypto from 'crypto';
+
+const MAX_FUNCTION_NAME_LENGTH = 64;
+const HASH_SUFFIX_LENGTH = 8;
+
+/**
+ * Make a tool name valid as a Google function name
+ * Names that need truncating keep a hash of the original so distinct long
+ * names stay distinct.
+ * @param {string} name - Tool name
+ * @returns {string} Valid function name
+ */
+export function sanitizeFunctionName(name) {
+    let safe = String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    if (!/^[a-zA-Z_]/.test(safe)) safe = `_${safe}`;
+    if (safe.length > MAX_FUNCTION_NAME_LENGTH) {
+        safe = withHashSuffix(safe, name);
+    }
+    return safe;
+}
+
+/**
+ * Replace the end of a function name with a hash of the original tool name
+ * @param {string} safe - Sanitized name
+ * @param {string} original - Original tool name
+ * @returns {string} Name of at most MAX_FUNCTION_NAME_LENGTH characters
+ */
+function withHashSuffix(safe, original) {
+    const hash = crypto.createHash('sha1').update(String(original)).digest('hex').slice(0, HASH_SUFFIX_LENGTH);
+    return `${safe.slice(0, MAX_FUNCTION_NAME_LENGTH - HASH_SUFFIX_LENGTH - 1)}_${hash}`;
+}
+
+/**
+ * Get the declared name of a tool (Anthropic or OpenAI shape)
+ * @param {Object} tool - Tool definition
+ * @returns {string|undefined} Tool name
+ */
+function toolNameOf(tool) {
+    return tool.name || tool.function?.name || tool.custom?.name;
+}
+
+/**
+ * Per-request bidirectional map between declared tool names and upstream function names
+ * Built from the request's tools, so the request converter and the response
+ * handlers derive the same mapping independently.
+ */
+export class ToolNameMap {
+    #toUpstream = new Map();
+    #toOriginal = new Map();
+
+    /**
+     * @param {Array<Object>} [tools] - Anthropic request tools
+     */
+    constructor(tools = []) {
+        const declared = new Set((tools || []).map(toolNameOf).filter(Boolean));
+        for (const name of declared) {
+            let upstream = sanitizeFunctionName(name);
+            // Two declared names that sanitize alike (e.g. "a.b" and "a_b") must not collide
+            if (this.#toOriginal.has(upstream) || (upstream !== name && declared.has(upstream))) {
+                upstream = withHashSuffix(upstream, name);
+            }
+            this.#toUpstream.set(name, upstream);
+            this.#toOriginal.set(upstream, name);
+        }
+    }
+
+    /**
+     * Get the upstream function name for a tool name
+     * @param {string} name - Declared tool name
+     * @returns {string} Upstream function name
+     */
+    toUpstream(name) {
+        return this.#toUpstream.get(name) ?? sanitizeFunctionName(name);
+    }
+
+    /**
+     * Get the declared tool name for an upstream function name
+     * @param {string} name - Upstream function name
+     * @returns {string} Declared tool name (unchanged if unknown)
+     */
+    toOriginal(name) {
+        return this.#toOriginal.get(name) ?? name;
+    }
+
+    /**
+     * Rewrite tool_use names in a conversation history to upstream names
+     * @param {Array<Object>} messages - Anthropic messages
+     * @returns {Array<Object>} Messages (unchanged ones are reused)
+     */
+    toUpstreamMessages(messages) {
+        return (messages || []).map(message => {
+            if (!Array.isArray(message.content) || !message.content.some(block => this.#needsRename(block))) {
+                return message;
+            }
+            return {
+                ...message,
+                content: message.content.map(block =>
+                    this.#needsRename(block) ? { ...block, name: this.toUpstream(block.name) } : block
+                )
+            };
+        });
+    }
+
+    /**
+     * Restore declared names in the tool_use blocks of a response
+     * @param {Array<Object>} content - Anthropic response content blocks
+     * @returns {Array<Object>} Content blocks
+     */
+    restoreContent(content) {
+        return (content || []).map(block =>
+            block.type === 'tool_use' ? { ...block, name: this.toOriginal(block.name) } : block
+        );
+    }
+
+    /**
+     * Restore the declared name in a streamed tool_use content_block_start event
+     * @param {Object} event - Anthropic SSE event
+     * @returns {Object} Event
+     */
+    restoreEvent(event) {
+        if (event.type !== 'content_block_start' || event.content_block?.type !== 'tool_use') return event;
+        return { ...event, content_block: { ...event.content_block, name: this.toOriginal(event.content_block.name) } };
+    }
+
+    /**
+     * Check whether a history block is a tool_use whose name changes upstream
+     * @param {Object} block - Content block
+     * @returns {boolean}
+     */
+    #needsRename(block) {
+        return block?.type === 'tool_use' && this.toUpstream(block.name) !== block.name;
+    }
+}
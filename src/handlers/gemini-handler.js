@@ -10,8 +10,11 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { ANTIGRAVITY_ENDPOINT_FALLBACKS } from '../constants.js';
+import { ANTIGRAVITY_LOAD_ENDPOINTS } from '../constants.js';
 import { getSystemInstruction } from '../gateway-config.js';
+import { resolveModelAlias } from '../models/index.js';
+import { endpointHealth, isEndpointFailure } from '../cloudcode/index.js';
+import { writeWithBackpressure } from '../utils/helpers.js';
 import crypto from 'crypto';
 
 /**
@@ -144,17 +147,24 @@ function wrapGeminiRequest(body, projectId, model) {
 /**
  * Handle Gemini generateContent request
  * Implements peek-and-retry logic from Antigravity-Manager commit b1eb557
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {import('../account-manager/index.js').AccountManager} accountManager - Account manager
+ * @param {Object} [options]
+ * @param {Function} [options.onUsage] - Called with the final usageMetadata of a successful response
+ * @param {AbortSignal} [options.signal] - Client disconnect; aborts the upstream request and stops retrying
  */
-export async function handleGeminiGenerate(req, res, accountManager) {
+export async function handleGeminiGenerate(req, res, accountManager, { onUsage, signal } = {}) {
     const modelAction = req.params[0]; // Capture from wildcard route
-    const { model, method } = parseModelAction(modelAction);
+    const { model: requestedModel, method } = parseModelAction(modelAction);
+    const model = resolveModelAlias(requestedModel);
 
     // Validate method
     if (method !== 'generateContent' && method !== 'streamGenerateContent') {
         return res.status(400).json({
             error: {
                 code: 400,
-                message: `Unsupported method: ${method}. Use generateContent or streamGenerateContent.`,
+                message: `Unsupported method: ${method}. Use generateContent, streamGenerateContent, embedContent or batchEmbedContents.`,
                 status: 'INVALID_ARGUMENT'
             }
         });
@@ -168,16 +178,15 @@ export async function handleGeminiGenerate(req, res, accountManager) {
     const upstream_method = 'streamGenerateContent';
     const query_string = '?alt=sse';
 
-    // Match Antigravity-Manager: PROD first, then DAILY
-    const endpoints = [
-        'https://cloudcode-pa.googleapis.com',
-        'https://daily-cloudcode-pa.sandbox.googleapis.com'
-    ];
-
     const maxAttempts = 3;
     let lastError = null;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        if (signal?.aborted) {
+            logger.info('[Gemini] Client disconnected, upstream request aborted');
+            return;
+        }
+
         // Get account for this attempt
         const account = accountManager.pickNext(model);
         if (!account) {
@@ -190,6 +199,7 @@ export async function handleGeminiGenerate(req, res, accountManager) {
             });
         }
 
+        const finishRequest = accountManager.beginRequest(account.email);
         try {
             // Get token and project for account
             const accessToken = await accountManager.getTokenForAccount(account);
@@ -200,8 +210,8 @@ export async function handleGeminiGenerate(req, res, accountManager) {
             // Wrap request
             const wrappedRequest = wrapGeminiRequest(req.body, projectId, model);
 
-            // Try each endpoint
-            for (const endpoint of endpoints) {
+            // Try each endpoint, healthiest first (PROD then DAILY by default, like Antigravity-Manager)
+            for (const endpoint of endpointHealth.order(ANTIGRAVITY_LOAD_ENDPOINTS)) {
                 const url = `${endpoint}/v1internal:${upstream_method}${query_string}`;
 
                 const headers = {
@@ -211,11 +221,14 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                 };
 
                 try {
+                    const startedAt = Date.now();
                     const response = await fetch(url, {
                         method: 'POST',
                         headers,
-                        body: JSON.stringify(wrappedRequest)
+                        body: JSON.stringify(wrappedRequest),
+                        signal
                     });
+                    endpointHealth.recordResponse(endpoint, response.status, Date.now() - startedAt);
 
                     if (response.status === 429) {
                         const errorBody = await response.text();
@@ -250,6 +263,7 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                         const decoder = new TextDecoder();
                         let buffer = '';
                         let hasData = false;
+                        let lastUsageMetadata = null;
 
                         try {
                             // [FIX #859] Peek first chunk to detect empty response
@@ -279,19 +293,20 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                                 if (line.startsWith('data: ')) {
                                     const dataStr = line.slice(6).trim();
                                     if (dataStr === '[DONE]') {
-                                        res.write('data: [DONE]\n\n');
+                                        await writeWithBackpressure(res, 'data: [DONE]\n\n');
                                     } else {
                                         try {
                                             const parsed = JSON.parse(dataStr);
                                             const unwrapped = unwrapResponse(parsed);
-                                            res.write(`data: ${JSON.stringify(unwrapped)}\n\n`);
+                                            if (unwrapped?.usageMetadata) lastUsageMetadata = unwrapped.usageMetadata;
+                                            await writeWithBackpressure(res, `data: ${JSON.stringify(unwrapped)}\n\n`);
                                             hasData = true;
                                         } catch {
-                                            res.write(`${line}\n\n`);
+                                            await writeWithBackpressure(res, `${line}\n\n`);
                                         }
                                     }
                                 } else if (line.trim()) {
-                                    res.write(`${line}\n\n`);
+                                    await writeWithBackpressure(res, `${line}\n\n`);
                                 }
                             }
 
@@ -310,19 +325,20 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                                     if (line.startsWith('data: ')) {
                                         const dataStr = line.slice(6).trim();
                                         if (dataStr === '[DONE]') {
-                                            res.write('data: [DONE]\n\n');
+                                            await writeWithBackpressure(res, 'data: [DONE]\n\n');
                                         } else {
                                             try {
                                                 const parsed = JSON.parse(dataStr);
                                                 const unwrapped = unwrapResponse(parsed);
-                                                res.write(`data: ${JSON.stringify(unwrapped)}\n\n`);
+                                                if (unwrapped?.usageMetadata) lastUsageMetadata = unwrapped.usageMetadata;
+                                                await writeWithBackpressure(res, `data: ${JSON.stringify(unwrapped)}\n\n`);
                                                 hasData = true;
                                             } catch {
-                                                res.write(`${line}\n\n`);
+                                                await writeWithBackpressure(res, `${line}\n\n`);
                                             }
                                         }
                                     } else if (line.trim()) {
-                                        res.write(`${line}\n\n`);
+                                        await writeWithBackpressure(res, `${line}\n\n`);
                                     }
                                 }
                             }
@@ -332,9 +348,14 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                                 lastError = 'Timeout';
                                 break; // Break endpoint loop to retry with next account
                             }
-                            logger.error('[Gemini] Stream error:', e.message);
+                            if (signal?.aborted) {
+                                logger.info('[Gemini] Client disconnected, upstream request aborted');
+                            } else {
+                                logger.error('[Gemini] Stream error:', e.message);
+                            }
                         } finally {
                             res.end();
+                            if (lastUsageMetadata && onUsage) onUsage(lastUsageMetadata);
                         }
                         return;
                     }
@@ -392,6 +413,10 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                             }
                         }
                     } catch (e) {
+                        if (signal?.aborted) {
+                            logger.info('[Gemini] Client disconnected, upstream request aborted');
+                            return;
+                        }
                         logger.error('[Gemini] Error parsing SSE for non-stream:', e.message);
                     }
 
@@ -402,12 +427,15 @@ export async function handleGeminiGenerate(req, res, accountManager) {
                         }
                         if (usageMetadata) {
                             mergedResponse.usageMetadata = usageMetadata;
+                            if (onUsage) onUsage(usageMetadata);
                         }
                         return res.json(mergedResponse);
                     }
                     return res.status(500).json({ error: 'No response data received' });
 
                 } catch (fetchError) {
+                    if (signal?.aborted) throw fetchError; // Client disconnected: stop retrying
+                    if (isEndpointFailure(fetchError)) endpointHealth.recordFailure(endpoint, fetchError.message);
                     logger.error(`[Gemini] Fetch error for ${endpoint}:`, fetchError.message);
                     lastError = fetchError.message;
                     continue;
@@ -415,8 +443,14 @@ export async function handleGeminiGenerate(req, res, accountManager) {
             }
 
         } catch (error) {
+            if (signal?.aborted) {
+                logger.info('[Gemini] Client disconnected, upstream request aborted');
+                return;
+            }
             logger.error(`[Gemini] Attempt ${attempt + 1} error:`, error.message);
             lastError = error.message;
+        } finally {
+            finishRequest();
         }
     }
 
@@ -0,0 +1,88 @@
+/**
+ * Generated Image Store
+ * Keeps generated images on disk so the Images API can return URLs
+ * (response_format "url"). Files are named with random IDs, served without
+ * authentication like OpenAI's signed URLs, and removed after a TTL.
+ */
+
+import crypto from 'crypto';
+import { writeFile, mkdir, readdir, stat, rm } from 'fs/promises';
+import { join } from 'path';
+import { GENERATED_IMAGES_DIR, GENERATED_IMAGE_TTL_MS } from '../constants.js';
+import { logger } from '../utils/logger.js';
+
+// File extension per MIME type; also the set of servable files
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpeg',
+    'image/webp': 'webp'
+};
+
+const FILE_NAME_PATTERN = /^[a-f0-9]{32}\.(png|jpeg|webp)$/;
+
+export class ImageStore {
+    #baseDir;
+    #ttlMs;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Images directory
+     * @param {number} [options.ttlMs] - How long images are served
+     */
+    constructor({ baseDir = GENERATED_IMAGES_DIR, ttlMs = GENERATED_IMAGE_TTL_MS } = {}) {
+        this.#baseDir = baseDir;
+        this.#ttlMs = ttlMs;
+    }
+
+    /**
+     * Save a base64 image
+     * @param {{mimeType: string, data: string}} image - Base64 image
+     * @returns {Promise<string>} File name to serve it under
+     */
+    async saveImage(image) {
+        await mkdir(this.#baseDir, { recursive: true });
+        const name = `${crypto.randomBytes(16).toString('hex')}.${EXTENSIONS[image.mimeType] || 'png'}`;
+        await writeFile(join(this.#baseDir, name), Buffer.from(image.data, 'base64'));
+
+        this.pruneExpired().catch(error => logger.warn('[Images] Failed to prune images:', error.message));
+        return name;
+    }
+
+    /**
+     * Resolve the path of a servable image
+     * @param {string} name - File name from saveImage()
+     * @returns {string|null} Absolute path, or null if the name is invalid
+     */
+    getImagePath(name) {
+        return FILE_NAME_PATTERN.test(name) ? join(this.#baseDir, name) : null;
+    }
+
+    /**
+     * Delete images older than the TTL
+     * @returns {Promise<number>} Number of deleted images
+     */
+    async pruneExpired() {
+        let names;
+        try {
+            names = await readdir(this.#baseDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.#ttlMs;
+        let deleted = 0;
+        for (const name of names.filter(n => FILE_NAME_PATTERN.test(n))) {
+            const path = join(this.#baseDir, name);
+            const { mtimeMs } = await stat(path);
+            if (mtimeMs < cutoff) {
+                await rm(path, { force: true });
+                deleted++;
+            }
+        }
+        if (deleted > 0) logger.debug(`[Images] Pruned ${deleted} expired image(s)`);
+        return deleted;
+    }
+}
+
+export default ImageStore;
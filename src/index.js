@@ -6,12 +6,15 @@
 import app from './server.js';
 import { DEFAULT_PORT } from './constants.js';
 import { logger } from './utils/logger.js';
+import { isFallbackEnabled as isFallbackConfigured } from './fallback-config.js';
+import { installCassette } from './cassettes/index.js';
+import { config } from './config.js';
 import path from 'path';
 import os from 'os';
 
 const args = process.argv.slice(2);
 const isDebug = args.includes('--debug') || process.env.DEBUG === 'true';
-const isFallbackEnabled = args.includes('--fallback') || process.env.FALLBACK === 'true';
+const isFallbackEnabled = isFallbackConfigured(args.includes('--fallback') || process.env.FALLBACK === 'true');
 
 logger.setDebug(isDebug);
 
@@ -25,11 +28,38 @@ if (isFallbackEnabled) {
 
 export const FALLBACK_ENABLED = isFallbackEnabled;
 
+// Record/replay of Cloud Code traffic: --record <file> / --replay <file>,
+// CASSETTE_MODE + CASSETTE_FILE, or config.json "cassette"
+const cassetteSettings = { mode: 'off', ...config.cassette };
+if (process.env.CASSETTE_MODE) cassetteSettings.mode = process.env.CASSETTE_MODE;
+if (process.env.CASSETTE_FILE) cassetteSettings.file = process.env.CASSETTE_FILE;
+for (const mode of ['record', 'replay']) {
+    if (args.includes(`--${mode}`)) {
+        cassetteSettings.mode = mode;
+        const value = args[args.indexOf(`--${mode}`) + 1];
+        if (value && !value.startsWith('--')) cassetteSettings.file = value;
+    }
+}
+if (cassetteSettings.file) cassetteSettings.file = path.resolve(cassetteSettings.file);
+
+try {
+    await installCassette(cassetteSettings);
+} catch (error) {
+    logger.error(`[Cassette] ${error.message}`);
+    process.exit(1);
+}
+
 const PORT = process.env.PORT || DEFAULT_PORT;
 
 const HOME_DIR = os.homedir();
 const CONFIG_DIR = path.join(HOME_DIR, '.config/antigravity-gateway');
 
+// Leave through process.exit on Ctrl+C and `docker stop` so exit handlers
+// run (the server writes pending budget counters there)
+for (const [signal, exitCode] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+    process.once(signal, () => process.exit(exitCode));
+}
+
 app.listen(PORT, () => {
     console.clear();
 
@@ -47,7 +77,8 @@ app.listen(PORT, () => {
     controlSection += '║    Ctrl+C             Stop server                            ║';
 
     let statusSection = '';
-    if (isDebug || isFallbackEnabled) {
+    const cassetteMode = cassetteSettings.mode !== 'off' ? cassetteSettings.mode : null;
+    if (isDebug || isFallbackEnabled || cassetteMode) {
         statusSection = '║                                                              ║\n';
         statusSection += '║  Active Modes:                                               ║\n';
         if (isDebug) {
@@ -56,6 +87,12 @@ app.listen(PORT, () => {
         if (isFallbackEnabled) {
             statusSection += '║    ✓ Model fallback enabled                                  ║\n';
         }
+        if (cassetteMode === 'record') {
+            statusSection += '║    ✓ Recording Cloud Code traffic to cassette                ║\n';
+        }
+        if (cassetteMode === 'replay') {
+            statusSection += '║    ✓ Replaying Cloud Code traffic from cassette (offline)    ║\n';
+        }
     }
 
     logger.log(`
@@ -0,0 +1,245 @@
+/**
+ * Gateway Metrics
+ *
+ * Prometheus metrics served at GET /metrics:
+ *   agw_http_requests_total / agw_http_request_duration_seconds  per route, model, account, status
+ *   agw_time_to_first_token_seconds                             streamed responses, per route, model, account
+ *   agw_tokens_total                                            input/output/cached tokens per model, account
+ *   agw_rate_limit_events_total                                 markRateLimited calls per account, model
+ *   agw_account_invalidations_total / agw_accounts              invalid accounts, pool state
+ *   agw_fallback_activations_total                              fallbacks per from/to model and trigger
+ *   agw_admission_queue_depth / agw_admission_in_flight         admission queue
+ *   agw_account_quota_remaining_fraction                        per account and model, from cached quotas
+ *
+ * The model and account a request ended up using are only known deep inside
+ * the handlers, so each HTTP request carries a context (AsyncLocalStorage)
+ * that the account manager and the provider dispatch fill in.
+ *
+ * Model labels come from clients, so only models known to the registry are
+ * used as labels; anything else is reported as "other".
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from '../config.js';
+import { modelRegistry, resolveModelAlias } from '../models/index.js';
+import { MetricsRegistry, Counter, Gauge, Histogram, PROMETHEUS_CONTENT_TYPE } from './registry.js';
+
+export { MetricsRegistry, Counter, Gauge, Histogram, PROMETHEUS_CONTENT_TYPE };
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60];
+
+// How long cached quotas are served before a scrape triggers a refresh
+const DEFAULT_QUOTA_REFRESH_MS = 5 * 60 * 1000;
+
+// Model label for models the registry does not know
+export const OTHER_MODEL_LABEL = 'other';
+
+/**
+ * Get the bounded model label of a model
+ * @param {string|null} model - Model ID or alias
+ * @returns {string} Model ID, "other" for unknown models, or '' for none
+ */
+export function getModelLabel(model) {
+    if (!model || typeof model !== 'string') return '';
+    return modelRegistry.isKnown(model) ? resolveModelAlias(model) : OTHER_MODEL_LABEL;
+}
+
+export class GatewayMetrics {
+    #registry = new MetricsRegistry();
+    #context = new AsyncLocalStorage();
+    #quotas = new Map(); // email -> { quotas, refreshedAt }
+    #getSettings;
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getSettings] - Returns the metrics config section
+     */
+    constructor({ getSettings = () => config.metrics || {} } = {}) {
+        this.#getSettings = getSettings;
+        const registry = this.#registry;
+        this.requests = registry.register(new Counter(
+            'agw_http_requests_total', 'HTTP requests by route, model, account and status',
+            ['route', 'model', 'account', 'status']));
+        this.requestDuration = registry.register(new Histogram(
+            'agw_http_request_duration_seconds', 'HTTP request duration in seconds',
+            ['route', 'model', 'account', 'status'], DURATION_BUCKETS));
+        this.timeToFirstToken = registry.register(new Histogram(
+            'agw_time_to_first_token_seconds', 'Time from request to the first streamed event in seconds',
+            ['route', 'model', 'account'], TTFT_BUCKETS));
+        this.tokens = registry.register(new Counter(
+            'agw_tokens_total', 'Tokens by model, account and type (input, output, cached)',
+            ['model', 'account', 'type']));
+        this.rateLimits = registry.register(new Counter(
+            'agw_rate_limit_events_total', 'Accounts marked rate-limited, by account and model',
+            ['account', 'model']));
+        this.invalidations = registry.register(new Counter(
+            'agw_account_invalidations_total', 'Accounts marked invalid (credentials need re-authentication)',
+            ['account']));
+        this.accounts = registry.register(new Gauge(
+            'agw_accounts', 'Accounts in the pool by state (total, available, rate_limited, invalid)',
+            ['state']));
+        this.fallbacks = registry.register(new Counter(
+            'agw_fallback_activations_total', 'Model fallbacks by failed model, fallback model and trigger',
+            ['from', 'to', 'trigger']));
+        this.queueDepth = registry.register(new Gauge(
+            'agw_admission_queue_depth', 'Requests waiting in the admission queue'));
+        this.inFlight = registry.register(new Gauge(
+            'agw_admission_in_flight', 'Admitted requests in flight by model',
+            ['model']));
+        this.quotaRemaining = registry.register(new Gauge(
+            'agw_account_quota_remaining_fraction', 'Remaining quota fraction by account and model (cached)',
+            ['account', 'model']));
+        this.quotaRefreshed = registry.register(new Gauge(
+            'agw_account_quota_refreshed_timestamp_seconds', 'When the cached quotas of an account were fetched',
+            ['account']));
+    }
+
+    /**
+     * Run a function with a fresh request context
+     * @param {Function} fn - Rest of the request handling
+     * @returns {Object} The context ({ model, requestedModel, account }), filled in while the request runs
+     */
+    runWithContext(fn) {
+        const context = { model: null, requestedModel: null, account: null };
+        this.#context.run(context, fn);
+        return context;
+    }
+
+    /**
+     * Note the model being sent upstream for the current request
+     * The last call wins, so after a fallback the answering model is kept.
+     * @param {string} model - Model ID
+     */
+    setModel(model) {
+        const context = this.#context.getStore();
+        if (context) context.model = model;
+    }
+
+    /**
+     * Note the model an authenticated request asked for
+     * Used as the label when no upstream request is made (e.g. rejected by a budget).
+     * @param {string} model - Model ID or alias
+     */
+    setRequestedModel(model) {
+        const context = this.#context.getStore();
+        if (context) context.requestedModel = model;
+    }
+
+    /**
+     * Note the account an upstream request of the current request is sent with
+     * @param {string} email - Account email
+     */
+    setAccount(email) {
+        const context = this.#context.getStore();
+        if (context) context.account = email;
+    }
+
+    /**
+     * Record token usage
+     * @param {{inputTokens: number, outputTokens: number, cachedTokens?: number}} usage - Normalized usage
+     * @param {{model?: string, account?: string}} [source] - Labels for usage outside a request (batches);
+     *   defaults to the current request's model and account
+     */
+    recordTokens(usage, source = this.#context.getStore() || {}) {
+        const labels = { model: getModelLabel(source.model), account: source.account || '' };
+        // inputTokens already includes cache reads (budgets count them); report them apart
+        const cachedTokens = usage.cachedTokens || 0;
+        this.tokens.inc({ ...labels, type: 'input' }, Math.max(0, (usage.inputTokens || 0) - cachedTokens));
+        this.tokens.inc({ ...labels, type: 'output' }, usage.outputTokens || 0);
+        this.tokens.inc({ ...labels, type: 'cached' }, cachedTokens);
+    }
+
+    /**
+     * Record an account being marked rate-limited
+     * @param {string} email - Account email
+     * @param {string|null} model - Model the limit applies to
+     */
+    recordRateLimit(email, model) {
+        this.rateLimits.inc({ account: email, model: getModelLabel(model) });
+    }
+
+    /**
+     * Record an account being marked invalid
+     * @param {string} email - Account email
+     */
+    recordInvalidAccount(email) {
+        this.invalidations.inc({ account: email });
+    }
+
+    /**
+     * Record a model fallback
+     * @param {string} from - Model that failed
+     * @param {string} to - Fallback model
+     * @param {string} trigger - Fallback trigger (quota, server_error, context_length)
+     */
+    recordFallback(from, to, trigger) {
+        this.fallbacks.inc({ from, to, trigger });
+    }
+
+    /**
+     * Cache the quotas of an account (from getModelQuotas)
+     * @param {string} email - Account email
+     * @param {Object} quotas - modelId -> { remainingFraction, resetTime }
+     */
+    setQuotas(email, quotas) {
+        this.#quotas.set(email, { quotas, refreshedAt: Date.now() });
+    }
+
+    /**
+     * Check whether any of the accounts' cached quotas are missing or older than quotaRefreshMs
+     * @param {Array<string>} emails - Accounts that should have quotas
+     * @returns {boolean}
+     */
+    needsQuotaRefresh(emails) {
+        const maxAgeMs = this.#getSettings().quotaRefreshMs ?? DEFAULT_QUOTA_REFRESH_MS;
+        const now = Date.now();
+        return emails.some(email => {
+            const entry = this.#quotas.get(email);
+            return !entry || now - entry.refreshedAt >= maxAgeMs;
+        });
+    }
+
+    /**
+     * Render all metrics
+     * @param {Object} [state] - Point-in-time state for the gauges
+     * @param {Object} [state.accounts] - accountManager.getStatus()
+     * @param {Object} [state.admission] - admissionController.getStatus()
+     * @returns {string} Prometheus text format
+     */
+    render({ accounts, admission } = {}) {
+        if (accounts) {
+            this.accounts.set({ state: 'total' }, accounts.total);
+            this.accounts.set({ state: 'available' }, accounts.available);
+            this.accounts.set({ state: 'rate_limited' }, accounts.rateLimited);
+            this.accounts.set({ state: 'invalid' }, accounts.invalid);
+        }
+        if (admission) {
+            this.queueDepth.set({}, admission.queued);
+            this.inFlight.reset();
+            for (const [model, count] of Object.entries(admission.inFlight)) {
+                this.inFlight.set({ model }, count);
+            }
+        }
+
+        this.quotaRemaining.reset();
+        this.quotaRefreshed.reset();
+        const known = accounts ? new Set(accounts.accounts.map(account => account.email)) : null;
+        for (const [email, { quotas, refreshedAt }] of this.#quotas) {
+            if (known && !known.has(email)) continue; // Removed since
+            this.quotaRefreshed.set({ account: email }, Math.floor(refreshedAt / 1000));
+            for (const [model, { remainingFraction }] of Object.entries(quotas)) {
+                if (remainingFraction !== null && remainingFraction !== undefined) {
+                    this.quotaRemaining.set({ account: email, model }, remainingFraction);
+                }
+            }
+        }
+
+        return this.#registry.render();
+    }
+}
+
+// Shared by the server, account manager and message handlers
+export const metrics = new GatewayMetrics();
+
+export default metrics;
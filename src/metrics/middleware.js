@@ -0,0 +1,100 @@
+/**
+ * Metrics Middleware
+ *
+ * Times every request and counts it once the response has closed. Runs
+ * before the API key, budget and admission middleware so the requests they
+ * reject are counted too. The requested model is only taken as a label once
+ * the request has passed key enforcement (see createModelLabelMiddleware),
+ * so unauthenticated clients can't add series.
+ */
+
+import { getModelLabel } from './index.js';
+import { normalizeApiPath } from '../utils/api-dialect.js';
+
+const GEMINI_MODEL_PATH = /^\/v1beta\/models\/([^/:]+):/i;
+
+// Routes that can be rejected by a middleware before the router matches them.
+// Anything else that never reached a route is labeled "unmatched", so paths
+// with IDs or made-up paths don't add series.
+const UNROUTED_PATHS = new Set([
+    '/v1/messages', '/v1/messages/count_tokens', '/v1/messages/batches',
+    '/v1/chat/completions', '/v1/completions', '/v1/responses', '/v1/embeddings',
+    '/v1/images/generations', '/v1/images/edits', '/v1/files', '/v1/batches', '/v1/models'
+]);
+
+/**
+ * Get the route label of a finished request
+ * @param {import('express').Request} req - Express request
+ * @returns {string} Route pattern, e.g. /v1/files/:id
+ */
+function getRoute(req) {
+    if (req.route) return String(req.route.path);
+    const requestPath = normalizeApiPath(req.path);
+    if (GEMINI_MODEL_PATH.test(requestPath)) return '/v1beta/models/*';
+    return UNROUTED_PATHS.has(requestPath) ? requestPath : 'unmatched';
+}
+
+/**
+ * Get the model a request asked for
+ * @param {import('express').Request} req - Express request
+ * @returns {string|null}
+ */
+function getRequestedModel(req) {
+    const model = req.path.match(GEMINI_MODEL_PATH)?.[1] || req.body?.model;
+    return typeof model === 'string' ? model : null;
+}
+
+/**
+ * Create the request metrics middleware
+ * @param {import('./index.js').GatewayMetrics} metrics - Gateway metrics
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createMetricsMiddleware(metrics) {
+    return (req, res, next) => {
+        if (req.path === '/metrics') return next();
+
+        const start = process.hrtime.bigint();
+        const elapsedSeconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+        let firstWriteAt = null;
+
+        // Time to first token: the first event written to a streamed response
+        const write = res.write;
+        res.write = function (...args) {
+            if (firstWriteAt === null && String(res.getHeader('Content-Type') || '').includes('text/event-stream')) {
+                firstWriteAt = elapsedSeconds();
+            }
+            return write.apply(this, args);
+        };
+
+        const context = metrics.runWithContext(() => next());
+
+        res.on('close', () => {
+            const route = getRoute(req);
+            const model = getModelLabel(context.model || context.requestedModel);
+            const account = context.account || '';
+            const status = String(res.statusCode);
+            metrics.requests.inc({ route, model, account, status });
+            metrics.requestDuration.observe({ route, model, account, status }, elapsedSeconds());
+            if (firstWriteAt !== null) {
+                metrics.timeToFirstToken.observe({ route, model, account }, firstWriteAt);
+            }
+        });
+    };
+}
+
+/**
+ * Create the middleware that notes the requested model for the request metrics
+ * Mounted after the API key middleware: requests it rejects keep an empty
+ * model label.
+ * @param {import('./index.js').GatewayMetrics} metrics - Gateway metrics
+ * @returns {import('express').RequestHandler} Middleware
+ */
+export function createModelLabelMiddleware(metrics) {
+    return (req, res, next) => {
+        const model = getRequestedModel(req);
+        if (model) metrics.setRequestedModel(model);
+        next();
+    };
+}
+
+export default createMetricsMiddleware;
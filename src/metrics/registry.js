@@ -0,0 +1,198 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4).
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Empty string when there are no labels
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    #series = new Map(); // serialized labels -> { labels, ... }
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Array<string>} labelNames - Label names, in output order
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+    }
+
+    /**
+     * Get (or create) the series for a label set
+     * @param {Object} labels - Label values by name; missing labels are empty
+     * @param {Function} create - Returns the initial series state
+     * @returns {Object} Series state
+     */
+    series(labels = {}, create) {
+        const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(values);
+        let series = this.#series.get(key);
+        if (!series) {
+            series = { labels: values, ...create() };
+            this.#series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * All series of this metric
+     * @returns {Array<Object>}
+     */
+    allSeries() {
+        return [...this.#series.values()];
+    }
+
+    /**
+     * Remove all series (gauges that are rebuilt on every scrape)
+     */
+    reset() {
+        this.#series.clear();
+    }
+
+    /**
+     * Render the HELP/TYPE header
+     * @param {string} type - counter, gauge or histogram
+     * @returns {Array<string>} Lines
+     */
+    header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+export class Counter extends Metric {
+    /**
+     * Increase the counter
+     * @param {Object} [labels] - Label values
+     * @param {number} [value=1] - Amount (must not be negative)
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) return;
+        this.series(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        return [
+            ...this.header('counter'),
+            ...this.allSeries().map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+export class Gauge extends Metric {
+    /**
+     * Set the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+        this.series(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        return [
+            ...this.header('gauge'),
+            ...this.allSeries().map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`)
+        ];
+    }
+}
+
+export class Histogram extends Metric {
+    #buckets;
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {Array<string>} labelNames - Label names
+     * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is added)
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.#buckets = buckets;
+    }
+
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.series(labels, () => ({ counts: this.#buckets.map(() => 0), count: 0, sum: 0 }));
+        this.#buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.count++;
+        series.sum += value;
+    }
+
+    render() {
+        const lines = this.header('histogram');
+        for (const series of this.allSeries()) {
+            this.#buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+export class MetricsRegistry {
+    #metrics = [];
+
+    /**
+     * Add a metric to the registry
+     * @template {Metric} T
+     * @param {T} metric
+     * @returns {T} The metric
+     */
+    register(metric) {
+        this.#metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        return this.#metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+export default MetricsRegistry;
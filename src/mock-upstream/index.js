@@ -0,0 +1,14 @@
+/**
+ * Mock Upstream
+ *
+ * A local fake of Cloud Code and the OAuth token endpoint with scriptable
+ * behaviors, started with "agw mock-upstream". Point the gateway at it with
+ * CLOUDCODE_ENDPOINTS and OAUTH_TOKEN_URL (or config.json "upstream").
+ */
+
+export { createMockUpstream, MOCK_UPSTREAM_PORT, MOCK_PROJECT_ID } from './server.js';
+export { MockScenario, MOCK_METHODS } from './scenario.js';
+
+import { createMockUpstream } from './server.js';
+
+export default createMockUpstream;
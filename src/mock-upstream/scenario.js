@@ -0,0 +1,97 @@
+/**
+ * Mock Upstream Scenario
+ * Scriptable behaviors for the mock Cloud Code server.
+ *
+ * A scenario is a list of rules, tried in order for every request. The first
+ * rule whose `when` matches (and has `times` left) decides the response;
+ * requests no rule matches get a normal reply.
+ *
+ *   {
+ *     "rules": [
+ *       { "when": { "method": "streamGenerateContent", "account": "refresh-token-a" },
+ *         "times": 2, "respond": { "status": 429, "resetAfter": "30s" } },
+ *       { "when": { "model": "gemini-3-flash" },
+ *         "respond": { "thinking": "Checking the weather.", "toolCall": { "name": "get_weather", "args": { "city": "Paris" } } } }
+ *     ],
+ *     "quota": { "gemini-3-flash": 0.25 }
+ *   }
+ *
+ * when (all optional):
+ *   method  - streamGenerateContent, fetchAvailableModels, loadCodeAssist or token
+ *   account - Refresh token (OAuth accounts) or API key (manual accounts)
+ *   model   - Model ID in the request
+ * times    - How many requests the rule answers (default: all)
+ * respond:
+ *   status      - Error status: 429 (with resetAfter, e.g. "30s"), 401, 403, 5xx, ...
+ *                 For the token endpoint, 400 answers invalid_grant
+ *   inStream    - Send the error as an event of a 200 stream instead
+ *   text        - Reply text
+ *   thinking    - Thinking text, sent with a thought signature before the reply
+ *   toolCall    - { name, args } (or toolCalls: a list) sent as function calls
+ *   chunkDelayMs - Delay between stream chunks
+ * quota: remainingFraction per model reported by fetchAvailableModels (default 1)
+ */
+
+export const MOCK_METHODS = ['streamGenerateContent', 'fetchAvailableModels', 'loadCodeAssist', 'token'];
+
+export class MockScenario {
+    #rules = [];
+    #quota = {};
+
+    /**
+     * @param {Object} [scenario] - { rules, quota }
+     * @throws {Error} If a rule is malformed
+     */
+    constructor(scenario = {}) {
+        this.load(scenario);
+    }
+
+    get quota() {
+        return this.#quota;
+    }
+
+    /**
+     * Replace the rules and quota
+     * @param {Object} scenario - { rules, quota }
+     * @throws {Error} If a rule is malformed
+     */
+    load({ rules = [], quota = {} } = {}) {
+        if (!Array.isArray(rules)) throw new Error('"rules" must be a list');
+        rules.forEach((rule, index) => {
+            if (!rule?.respond || typeof rule.respond !== 'object') {
+                throw new Error(`Rule ${index + 1} has no "respond" object`);
+            }
+            if (rule.when?.method && !MOCK_METHODS.includes(rule.when.method)) {
+                throw new Error(`Rule ${index + 1}: unknown method "${rule.when.method}" (expected ${MOCK_METHODS.join(', ')})`);
+            }
+        });
+        this.#rules = rules.map(rule => ({ ...rule, used: 0 }));
+        this.#quota = quota || {};
+    }
+
+    /**
+     * Pick the response for a request and count it against the rule
+     * @param {Object} request - { method, account, model }
+     * @returns {Object} The matching rule's respond object, or {} for a normal reply
+     */
+    respond(request) {
+        for (const rule of this.#rules) {
+            if (rule.times !== undefined && rule.used >= rule.times) continue;
+            const when = rule.when || {};
+            const matches = Object.entries(when).every(([field, value]) => request[field] === value);
+            if (!matches) continue;
+            rule.used++;
+            return rule.respond;
+        }
+        return {};
+    }
+
+    /**
+     * Reset how often each rule has answered
+     */
+    reset() {
+        for (const rule of this.#rules) rule.used = 0;
+    }
+}
+
+export default MockScenario;
@@ -0,0 +1,284 @@
+/**
+ * Mock Cloud Code Server
+ * A local fake of the Cloud Code endpoints the gateway calls, so account
+ * rotation, retries and the format converters can be exercised end-to-end
+ * without Google accounts or network access.
+ *
+ * Serves:
+ *   POST /v1internal:streamGenerateContent  SSE reply (text, thinking, tool calls)
+ *   POST /v1internal:fetchAvailableModels   Model list with quota info
+ *   POST /v1internal:loadCodeAssist         Project discovery
+ *   POST /token                             OAuth token refresh
+ *
+ * Behaviors are scripted with a scenario (see scenario.js), loaded at start
+ * or replaced at runtime:
+ *   GET  /mock/requests   Requests received so far (method, account, model, status)
+ *   PUT  /mock/scenario   Replace the scenario (JSON body)
+ *   POST /mock/reset      Clear the request log and rule counters
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { MockScenario } from './scenario.js';
+
+export const MOCK_UPSTREAM_PORT = 9400;
+export const MOCK_PROJECT_ID = 'mock-project';
+
+// Access tokens handed out by the token endpoint carry the refresh token,
+// so rules can match the account on later Cloud Code requests
+const ACCESS_TOKEN_PREFIX = 'mock-access.';
+
+// v1internal methods with a mock implementation (the token endpoint has its own route)
+const MOCK_METHODS_SERVED = ['streamGenerateContent', 'fetchAvailableModels', 'loadCodeAssist'];
+
+const MOCK_MODELS = {
+    'claude-sonnet-4-5-thinking': { displayName: 'Claude Sonnet 4.5 (Thinking)', maxTokens: 200000, maxOutputTokens: 64000, supportsImages: true, supportsThinking: true },
+    'claude-opus-4-5-thinking': { displayName: 'Claude Opus 4.5 (Thinking)', maxTokens: 200000, maxOutputTokens: 64000, supportsImages: true, supportsThinking: true },
+    'claude-sonnet-4-5': { displayName: 'Claude Sonnet 4.5', maxTokens: 200000, maxOutputTokens: 64000, supportsImages: true, supportsThinking: false },
+    'gemini-3-flash': { displayName: 'Gemini 3 Flash', maxTokens: 1048576, maxOutputTokens: 65536, supportsImages: true, supportsThinking: true },
+    'gemini-3-pro-high': { displayName: 'Gemini 3 Pro (High)', maxTokens: 1048576, maxOutputTokens: 65536, supportsImages: true, supportsThinking: true },
+    'gemini-3-pro-low': { displayName: 'Gemini 3 Pro (Low)', maxTokens: 1048576, maxOutputTokens: 65536, supportsImages: true, supportsThinking: true },
+    'gemini-2.5-flash': { displayName: 'Gemini 2.5 Flash', maxTokens: 1048576, maxOutputTokens: 65536, supportsImages: true, supportsThinking: true },
+    'gemini-2.5-pro': { displayName: 'Gemini 2.5 Pro', maxTokens: 1048576, maxOutputTokens: 65536, supportsImages: true, supportsThinking: true }
+};
+
+const ERROR_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE'
+};
+
+/**
+ * Identify the account a Cloud Code request was made for
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} Refresh token (OAuth accounts) or API key (manual accounts)
+ */
+function getAccount(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) return null;
+    return token.startsWith(ACCESS_TOKEN_PREFIX) ? token.slice(ACCESS_TOKEN_PREFIX.length) : token;
+}
+
+/**
+ * Build a Google API error body
+ * @param {number} status - HTTP status
+ * @param {Object} respond - Rule response ({ resetAfter, message })
+ * @param {string} [model] - Model ID
+ * @returns {Object} Error body
+ */
+function errorBody(status, respond, model) {
+    if (status === 429) {
+        const resetAfter = respond.resetAfter || '60s';
+        return {
+            error: {
+                code: 429,
+                message: respond.message || `You have exhausted your capacity on this model. Your quota will reset after ${resetAfter}.`,
+                status: 'RESOURCE_EXHAUSTED',
+                details: [{
+                    '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+                    reason: 'QUOTA_EXHAUSTED',
+                    domain: 'cloudcode-pa.googleapis.com',
+                    metadata: { model, quotaResetDelay: resetAfter }
+                }]
+            }
+        };
+    }
+    return {
+        error: {
+            code: status,
+            message: respond.message || `Mock upstream error ${status}`,
+            status: ERROR_STATUS[status] || (status >= 500 ? 'INTERNAL' : 'FAILED_PRECONDITION')
+        }
+    };
+}
+
+/**
+ * Deterministic thought signature (long enough for the gateway to keep it)
+ * @param {string} model - Model ID
+ * @param {string} text - Content the signature belongs to
+ * @returns {string}
+ */
+function signature(model, text) {
+    return 'mock-sig-' + crypto.createHash('sha256').update(`${model}\n${text}`).digest('base64');
+}
+
+/**
+ * Get the text of the last user turn
+ * @param {Object} body - streamGenerateContent payload
+ * @returns {string}
+ */
+function lastUserText(body) {
+    const contents = body.request?.contents || [];
+    const last = [...contents].reverse().find(content => content.role === 'user');
+    return (last?.parts || []).map(part => part.text).filter(Boolean).join(' ');
+}
+
+/**
+ * Build the SSE chunks of a reply
+ * @param {Object} body - streamGenerateContent payload
+ * @param {Object} respond - Rule response ({ text, thinking, toolCall, toolCalls })
+ * @returns {Array<Object>} Chunks, each a v1internal response wrapper
+ */
+function replyChunks(body, respond) {
+    const model = body.model;
+    const wantsThinking = body.request?.generationConfig?.thinkingConfig !== undefined;
+    const thinking = respond.thinking ?? (wantsThinking ? `Thinking about: ${lastUserText(body).slice(0, 80)}` : null);
+    const toolCalls = respond.toolCalls || (respond.toolCall ? [respond.toolCall] : []);
+    const text = respond.text ?? (toolCalls.length > 0 ? null : `Mock reply from ${model}.`);
+    const isGemini = String(model).startsWith('gemini');
+
+    const parts = [];
+    if (thinking) parts.push({ thought: true, text: thinking, thoughtSignature: signature(model, thinking) });
+    if (text) {
+        // Split the text so clients see more than one delta
+        const middle = Math.ceil(text.length / 2);
+        parts.push({ text: text.slice(0, middle) }, { text: text.slice(middle) });
+    }
+    toolCalls.forEach((call, index) => {
+        const part = { functionCall: { name: call.name, args: call.args || {} } };
+        if (!isGemini) part.functionCall.id = `toolu_mock_${index + 1}`;
+        if (isGemini) part.thoughtSignature = signature(model, call.name);
+        parts.push(part);
+    });
+
+    const promptTokens = Math.ceil(JSON.stringify(body.request?.contents || []).length / 4);
+    const outputTokens = Math.ceil((text || '').length / 4) + toolCalls.length * 10;
+    const usageMetadata = {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: outputTokens,
+        thoughtsTokenCount: thinking ? Math.ceil(thinking.length / 4) : 0,
+        totalTokenCount: promptTokens + outputTokens
+    };
+    const responseId = `mock-${crypto.randomUUID()}`;
+    const chunk = (candidate) => ({
+        response: { candidates: [candidate], usageMetadata, modelVersion: model, responseId }
+    });
+
+    const chunks = parts.map(part => chunk({ content: { role: 'model', parts: [part] } }));
+    chunks.push(chunk({ content: { role: 'model', parts: [] }, finishReason: 'STOP' }));
+    return chunks;
+}
+
+/**
+ * Create the mock Cloud Code app
+ * @param {Object} [options]
+ * @param {Object} [options.scenario] - Initial scenario ({ rules, quota })
+ * @returns {import('express').Express & {scenario: MockScenario, requests: Array<Object>}}
+ */
+export function createMockUpstream({ scenario = {} } = {}) {
+    const app = express();
+    const mockScenario = new MockScenario(scenario);
+    const requests = [];
+
+    app.scenario = mockScenario;
+    app.requests = requests;
+
+    app.use(express.json({ limit: '50mb' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    /**
+     * Log a request and pick its response
+     */
+    function handle(method, { account, model }) {
+        const respond = mockScenario.respond({ method, account, model });
+        const entry = { at: new Date().toISOString(), method, account, model: model || null, status: 200 };
+        requests.push(entry);
+        if (respond.status && !respond.inStream) {
+            entry.status = respond.status;
+        }
+        return { respond, entry };
+    }
+
+    app.post('/token', (req, res) => {
+        const refreshToken = req.body?.refresh_token || null;
+        const { respond, entry } = handle('token', { account: refreshToken });
+        if (respond.status) {
+            return res.status(respond.status).json(respond.status === 400
+                ? { error: 'invalid_grant', error_description: respond.message || 'Token has been expired or revoked.' }
+                : errorBody(respond.status, respond));
+        }
+        if (!refreshToken) {
+            entry.status = 400;
+            return res.status(400).json({ error: 'invalid_request', error_description: 'Missing refresh_token' });
+        }
+        res.json({ access_token: ACCESS_TOKEN_PREFIX + refreshToken, expires_in: 3599, token_type: 'Bearer' });
+    });
+
+    app.post(/^\/v1internal:(\w+)$/, async (req, res) => {
+        const method = req.params[0];
+        const account = getAccount(req);
+        const model = req.body?.model;
+
+        if (!MOCK_METHODS_SERVED.includes(method)) {
+            requests.push({ at: new Date().toISOString(), method, account, model: model || null, status: 404 });
+            return res.status(404).json(errorBody(404, { message: `Method ${method} is not served by the mock upstream` }));
+        }
+
+        const { respond, entry } = handle(method, { account, model });
+        if (!account) {
+            entry.status = 401;
+            return res.status(401).json(errorBody(401, { message: 'Request is missing required authentication credential.' }));
+        }
+        if (respond.status && !respond.inStream) {
+            return res.status(respond.status).json(errorBody(respond.status, respond, model));
+        }
+
+        if (method === 'loadCodeAssist') {
+            return res.json({
+                cloudaicompanionProject: respond.project || MOCK_PROJECT_ID,
+                currentTier: { id: 'standard-tier', name: 'Mock Tier' }
+            });
+        }
+
+        if (method === 'fetchAvailableModels') {
+            const resetTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            const models = Object.fromEntries(Object.entries(MOCK_MODELS).map(([id, info]) => [id, {
+                ...info,
+                quotaInfo: { remainingFraction: mockScenario.quota[id] ?? 1, resetTime }
+            }]));
+            return res.json({ models });
+        }
+
+        // streamGenerateContent
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        if (respond.inStream) {
+            res.write(`data: ${JSON.stringify(errorBody(respond.status, respond, model))}\n\n`);
+            return res.end();
+        }
+        for (const chunk of replyChunks(req.body, respond)) {
+            if (respond.chunkDelayMs) await new Promise(resolve => setTimeout(resolve, respond.chunkDelayMs));
+            if (res.destroyed) return;
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end();
+    });
+
+    app.get('/mock/requests', (req, res) => {
+        res.json({ requests });
+    });
+
+    app.put('/mock/scenario', (req, res) => {
+        try {
+            mockScenario.load(req.body || {});
+            requests.length = 0;
+            res.json({ ok: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.post('/mock/reset', (req, res) => {
+        mockScenario.reset();
+        requests.length = 0;
+        res.json({ ok: true });
+    });
+
+    return app;
+}
+
+export default createMockUpstream;
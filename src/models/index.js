@@ -0,0 +1,258 @@
+/**
+ * Model Capability Registry
+ * Single source of truth for what each model can do: context window, max
+ * output tokens, vision, thinking, tool use, image output and embeddings.
+ *
+ * Capabilities are resolved in layers, later layers winning:
+ *   1. Built-in defaults, by model family and name
+ *   2. Upstream data from fetchAvailableModels (refreshed whenever models are listed)
+ *   3. config.json "modelCapabilities" overrides, keyed by model ID
+ *
+ * Converters and handlers read capabilities from here instead of inferring
+ * them from model name substrings, routes use it to reject requests a model
+ * cannot serve, and /v1/models exposes it as model metadata. Model aliases
+ * (see mapping.js) resolve to the capabilities of the model they name.
+ */
+
+import { config } from '../config.js';
+import {
+    GEMINI_MAX_OUTPUT_TOKENS,
+    DEFAULT_IMAGE_MODEL,
+    MODEL_FALLBACK_MAP,
+    getModelFamily,
+    isThinkingModel,
+    isEmbeddingModel
+} from '../constants.js';
+import { logger } from '../utils/logger.js';
+import { resolveModelAlias } from './mapping.js';
+
+export { resolveModelAlias, applyModelMapping } from './mapping.js';
+
+const CAPABILITY_FIELDS = ['displayName', 'contextWindow', 'maxOutputTokens', 'vision', 'thinking', 'tools', 'imageOutput', 'embedding'];
+
+/**
+ * Built-in capabilities for a model, derived from its name
+ * Unknown models get permissive flags so they are not rejected on a guess.
+ * @param {string} model - Model ID
+ * @returns {Object} Capabilities
+ */
+function builtinCapabilities(model) {
+    const family = getModelFamily(model);
+    const lower = (model || '').toLowerCase();
+
+    if (isEmbeddingModel(model)) {
+        return {
+            contextWindow: 2048,
+            maxOutputTokens: 0,
+            vision: false,
+            thinking: false,
+            tools: false,
+            imageOutput: false,
+            embedding: true
+        };
+    }
+
+    if (family === 'claude') {
+        return {
+            contextWindow: 200000,
+            maxOutputTokens: 64000,
+            vision: true,
+            thinking: isThinkingModel(model),
+            tools: true,
+            imageOutput: false,
+            embedding: false
+        };
+    }
+
+    if (family === 'gemini') {
+        const imageOutput = lower.includes('image');
+        return {
+            contextWindow: imageOutput ? 65536 : 1048576,
+            maxOutputTokens: GEMINI_MAX_OUTPUT_TOKENS,
+            vision: true,
+            thinking: isThinkingModel(model),
+            // Image models answer with pictures and do not call functions
+            tools: !imageOutput,
+            imageOutput,
+            embedding: false
+        };
+    }
+
+    return {
+        contextWindow: null,
+        maxOutputTokens: null,
+        vision: true,
+        thinking: false,
+        tools: true,
+        imageOutput: false,
+        embedding: false
+    };
+}
+
+/**
+ * Pick the capability fields reported by fetchAvailableModels for one model
+ * @param {Object} modelData - Upstream model entry
+ * @returns {Object} Partial capabilities
+ */
+function upstreamCapabilities(modelData) {
+    const capabilities = {};
+    if (modelData.displayName) capabilities.displayName = modelData.displayName;
+    if (Number.isInteger(modelData.maxTokens)) capabilities.contextWindow = modelData.maxTokens;
+    if (Number.isInteger(modelData.maxOutputTokens)) capabilities.maxOutputTokens = modelData.maxOutputTokens;
+    if (typeof modelData.supportsImages === 'boolean') capabilities.vision = modelData.supportsImages;
+    if (typeof modelData.supportsThinking === 'boolean') capabilities.thinking = modelData.supportsThinking;
+    return capabilities;
+}
+
+/**
+ * Keep only known capability fields from a config override
+ * @param {Object} override - config.modelCapabilities entry
+ * @returns {Object} Partial capabilities
+ */
+function pickCapabilityFields(override) {
+    const capabilities = {};
+    for (const field of CAPABILITY_FIELDS) {
+        if (override?.[field] !== undefined) capabilities[field] = override[field];
+    }
+    return capabilities;
+}
+
+export class ModelRegistry {
+    #upstream = new Map();
+
+    /**
+     * Get the resolved capabilities of a model
+     * @param {string} requestedModel - Model ID or alias
+     * @returns {{id: string, family: string, displayName: string, contextWindow: number|null,
+     *   maxOutputTokens: number|null, vision: boolean, thinking: boolean, tools: boolean,
+     *   imageOutput: boolean, embedding: boolean}} Capabilities
+     */
+    get(requestedModel) {
+        const model = resolveModelAlias(requestedModel);
+        return {
+            id: model,
+            family: getModelFamily(model),
+            displayName: model,
+            ...builtinCapabilities(model),
+            ...this.#upstream.get(model),
+            ...pickCapabilityFields(config?.modelCapabilities?.[model])
+        };
+    }
+
+    /**
+     * Check whether a model is one the gateway knows about: reported by
+     * upstream, configured in config.json, or one of the built-in models
+     * Capabilities are still resolved for unknown models (see get); this is
+     * for callers that must not trust arbitrary client strings, such as
+     * metric labels.
+     * @param {string} requestedModel - Model ID or alias
+     * @returns {boolean}
+     */
+    isKnown(requestedModel) {
+        const model = resolveModelAlias(requestedModel);
+        if (!model) return false;
+        return this.#upstream.has(model) ||
+            Object.hasOwn(config?.modelCapabilities || {}, model) ||
+            Object.hasOwn(config?.modelMapping || {}, model) ||
+            Object.hasOwn(MODEL_FALLBACK_MAP, model) ||
+            Object.values(MODEL_FALLBACK_MAP).includes(model) ||
+            model === DEFAULT_IMAGE_MODEL;
+    }
+
+    /**
+     * Record the model data returned by fetchAvailableModels
+     * @param {Object<string, Object>} models - fetchAvailableModels `models` map
+     */
+    updateFromUpstream(models) {
+        for (const [modelId, modelData] of Object.entries(models || {})) {
+            this.#upstream.set(modelId, upstreamCapabilities(modelData || {}));
+        }
+        logger.debug(`[Models] Updated capabilities for ${Object.keys(models || {}).length} upstream model(s)`);
+    }
+
+    /**
+     * Find a reason the model cannot serve an Anthropic-format request
+     * A max_tokens above the model's output limit is not an error: clients
+     * send one max_tokens whatever the model, so the request converter clamps
+     * it to maxOutputTokens. A max_tokens larger than the whole context window
+     * can never be served and is rejected. Prompt length is left to upstream,
+     * whose context-length errors can trigger a fallback to a larger model.
+     * @param {Object} anthropicRequest - Anthropic Messages request
+     * @returns {string|null} Error message, or null if the request is supported
+     */
+    validate(anthropicRequest) {
+        const { model, messages, tools, max_tokens: maxTokens } = anthropicRequest;
+        const capabilities = this.get(model);
+
+        if (capabilities.embedding) {
+            return `${model} is an embedding model and cannot generate messages. Use /v1/embeddings instead.`;
+        }
+        if (capabilities.contextWindow && Number.isInteger(maxTokens) && maxTokens > capabilities.contextWindow) {
+            return `max_tokens: ${maxTokens} > ${capabilities.contextWindow}, which is the context window of ${model}.`;
+        }
+        if (!capabilities.tools && Array.isArray(tools) && tools.length > 0) {
+            return `${model} does not support tools.`;
+        }
+        if (!capabilities.vision && (messages || []).some(hasImageContent)) {
+            return `${model} does not support image input.`;
+        }
+        return null;
+    }
+}
+
+/**
+ * Check whether a message carries image input
+ * @param {Object} message - Anthropic message
+ * @returns {boolean}
+ */
+function hasImageContent(message) {
+    return Array.isArray(message?.content) && message.content.some(block =>
+        block?.type === 'image' ||
+        (block?.type === 'tool_result' && Array.isArray(block.content) && block.content.some(inner => inner?.type === 'image'))
+    );
+}
+
+export const modelRegistry = new ModelRegistry();
+
+/**
+ * Get the resolved capabilities of a model
+ * @param {string} model - Model ID
+ * @returns {Object} Capabilities (see ModelRegistry#get)
+ */
+export function getModelCapabilities(model) {
+    return modelRegistry.get(model);
+}
+
+/**
+ * Reject an Anthropic-format request the model cannot serve
+ * @param {Object} anthropicRequest - Anthropic Messages request
+ * @throws {Error} invalid_request_error describing the unsupported feature
+ */
+export function assertModelCapabilities(anthropicRequest) {
+    const message = modelRegistry.validate(anthropicRequest);
+    if (message) throw new Error(`invalid_request_error: ${message}`);
+}
+
+/**
+ * Describe a model's capabilities as /v1/models metadata
+ * @param {string} model - Model ID
+ * @returns {Object} snake_case metadata fields
+ */
+export function getModelMetadata(model) {
+    const capabilities = modelRegistry.get(model);
+    return {
+        display_name: capabilities.displayName,
+        family: capabilities.family,
+        context_window: capabilities.contextWindow,
+        max_output_tokens: capabilities.maxOutputTokens,
+        capabilities: {
+            vision: capabilities.vision,
+            thinking: capabilities.thinking,
+            tools: capabilities.tools,
+            image_output: capabilities.imageOutput,
+            embedding: capabilities.embedding
+        }
+    };
+}
+
+export default modelRegistry;
@@ -0,0 +1,39 @@
+/**
+ * Model Mapping
+ * Applies the per-model settings saved from the WebUI Models tab
+ * (config.modelMapping[modelId] = { alias, hidden, pinned }):
+ * - alias: an extra name clients can request the model by
+ * - hidden: the model is left out of /v1/models (it can still be requested)
+ * - pinned: the model is listed first in /v1/models
+ */
+
+import { config } from '../config.js';
+
+/**
+ * Resolve a client-facing model name to the model ID sent upstream
+ * @param {string} model - Requested model name (model ID or alias)
+ * @returns {string} Model ID (unchanged if it is not an alias)
+ */
+export function resolveModelAlias(model) {
+    if (!model) return model;
+    for (const [modelId, settings] of Object.entries(config?.modelMapping || {})) {
+        if (typeof settings?.alias === 'string' && settings.alias.trim() === model) {
+            return modelId;
+        }
+    }
+    return model;
+}
+
+/**
+ * Drop hidden models and move pinned models to the front of a model list
+ * @param {Array<{id: string}>} models - Model list entries
+ * @returns {Array<{id: string}>} Visible models, pinned first (otherwise in list order)
+ */
+export function applyModelMapping(models) {
+    const mapping = config?.modelMapping || {};
+    const visible = models.filter(model => mapping[model.id]?.hidden !== true);
+    return [
+        ...visible.filter(model => mapping[model.id]?.pinned === true),
+        ...visible.filter(model => mapping[model.id]?.pinned !== true)
+    ];
+}
@@ -0,0 +1,124 @@
+/**
+ * Anthropic API Provider
+ * Sends requests straight to the Anthropic Messages API with an API key.
+ * Requests and responses are already in Anthropic format, so only the model
+ * name and gateway-internal request fields are translated.
+ */
+
+import { HttpProvider } from './base.js';
+import { readSSE } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const STRUCTURED_OUTPUTS_BETA = 'structured-outputs-2025-11-13';
+
+// Request fields the Messages API accepts (everything else is gateway-internal)
+const REQUEST_FIELDS = [
+    'messages', 'system', 'max_tokens', 'metadata', 'stop_sequences', 'temperature',
+    'top_p', 'top_k', 'tools', 'tool_choice', 'thinking', 'service_tier'
+];
+
+const JSON_OBJECT_INSTRUCTION = 'Respond only with a single valid JSON object. Do not wrap it in code fences or add any other text.';
+
+// Status codes for error events sent inside a stream
+const STREAM_ERROR_STATUS = {
+    rate_limit_error: 429,
+    overloaded_error: 529,
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403
+};
+
+export class AnthropicProvider extends HttpProvider {
+    /**
+     * @param {string} name - Provider name (key in config.providers)
+     * @param {Object} settings - Provider config entry (see HttpProvider)
+     */
+    constructor(name, settings = {}) {
+        super(name, { ...settings, baseUrl: settings.baseUrl || DEFAULT_BASE_URL });
+    }
+
+    get type() {
+        return 'anthropic';
+    }
+
+    /**
+     * Send a non-streaming request
+     * @param {Object} anthropicRequest - Anthropic-format request (gateway model ID)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @returns {Promise<Object>} Anthropic-format response
+     */
+    async sendMessage(anthropicRequest, { signal } = {}) {
+        const { body, headers } = this.#buildRequest(anthropicRequest, false);
+        const response = await this.post('/v1/messages', body, { headers, signal });
+        return response.json();
+    }
+
+    /**
+     * Send a streaming request
+     * @param {Object} anthropicRequest - Anthropic-format request (gateway model ID)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @yields {Object} Anthropic-format SSE events
+     * @throws {Error} "API error <status>: ..." for error events in the stream
+     */
+    async *sendMessageStream(anthropicRequest, { signal } = {}) {
+        const { body, headers } = this.#buildRequest(anthropicRequest, true);
+        const response = await this.post('/v1/messages', body, { headers, signal });
+
+        for await (const { data } of readSSE(response)) {
+            const event = JSON.parse(data);
+            if (event.type === 'ping') continue;
+            if (event.type === 'error') {
+                const status = STREAM_ERROR_STATUS[event.error?.type] || 500;
+                throw new Error(`API error ${status}: ${JSON.stringify(event)} (provider ${this.name})`);
+            }
+            yield event;
+        }
+    }
+
+    /**
+     * Build the Messages API body and headers for a gateway request
+     * The gateway's output_format (see format/structured-output.js) maps to
+     * the structured outputs beta for json_schema, and to a system
+     * instruction for json_object.
+     * @param {Object} anthropicRequest - Anthropic-format request
+     * @param {boolean} stream - Whether to stream
+     * @returns {{body: Object, headers: Object}} Request body and headers
+     */
+    #buildRequest(anthropicRequest, stream) {
+        const body = { model: this.upstreamModel(anthropicRequest.model), stream };
+        for (const field of REQUEST_FIELDS) {
+            if (anthropicRequest[field] !== undefined) body[field] = anthropicRequest[field];
+        }
+
+        const headers = {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+
+        const outputFormat = anthropicRequest.output_format;
+        if (outputFormat?.type === 'json_schema') {
+            body.output_format = { type: 'json_schema', schema: outputFormat.schema };
+            headers['anthropic-beta'] = STRUCTURED_OUTPUTS_BETA;
+        } else if (outputFormat?.type === 'json_object') {
+            body.system = appendSystemText(body.system, JSON_OBJECT_INSTRUCTION);
+        }
+
+        return { body, headers };
+    }
+}
+
+/**
+ * Append an instruction to an Anthropic system prompt (string or text blocks)
+ * @param {string|Array|undefined} system - Existing system prompt
+ * @param {string} text - Instruction to append
+ * @returns {string|Array} System prompt
+ */
+function appendSystemText(system, text) {
+    if (Array.isArray(system)) return [...system, { type: 'text', text }];
+    return system ? `${system}\n\n${text}` : text;
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,105 @@
+/**
+ * Base class for providers reached over plain HTTP with an API key
+ * (Anthropic API, OpenAI-compatible servers). Holds the settings every
+ * such provider shares: base URL, key, extra headers and the models it serves.
+ */
+
+import { getModelMetadata } from '../models/index.js';
+import { providerError, parseRateLimitHeaders } from './http.js';
+
+/**
+ * Normalize a provider's `models` setting to a gateway ID -> upstream ID map
+ * @param {Array<string>|Object<string, string>} models - ["id", ...] or { "gateway-id": "upstream-id" }
+ * @returns {Object<string, string>} Model map
+ */
+function normalizeModels(models) {
+    if (Array.isArray(models)) {
+        return Object.fromEntries(models.filter(id => typeof id === 'string').map(id => [id, id]));
+    }
+    return Object.fromEntries(
+        Object.entries(models || {}).filter(([, upstream]) => typeof upstream === 'string')
+    );
+}
+
+export class HttpProvider {
+    #rateLimits = null;
+
+    /**
+     * @param {string} name - Provider name (key in config.providers)
+     * @param {Object} settings - Provider config entry
+     * @param {string} settings.baseUrl - Base URL of the API
+     * @param {string} [settings.apiKey] - API key
+     * @param {Object<string, string>} [settings.headers] - Extra request headers
+     * @param {Array<string>|Object<string, string>} settings.models - Models served by this provider
+     */
+    constructor(name, { baseUrl, apiKey = '', headers = {}, models } = {}) {
+        this.name = name;
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.headers = headers;
+        this.models = normalizeModels(models);
+    }
+
+    /**
+     * Get the model ID to send upstream for a gateway model ID
+     * @param {string} model - Gateway model ID
+     * @returns {string} Upstream model ID
+     */
+    upstreamModel(model) {
+        return this.models[model] || model;
+    }
+
+    /**
+     * List the models this provider serves, as /v1/models entries
+     * @returns {Promise<Array<Object>>} Model entries
+     */
+    async listModels() {
+        return Object.keys(this.models).map(id => ({
+            id,
+            object: 'model',
+            created: Math.floor(Date.now() / 1000),
+            owned_by: this.name,
+            description: id,
+            ...getModelMetadata(id)
+        }));
+    }
+
+    /**
+     * Get the rate-limit headroom the provider reported on its last response
+     * @returns {Promise<Object|null>} { requests, tokens, updatedAt }, or null if unknown
+     */
+    async getQuota() {
+        return this.#rateLimits;
+    }
+
+    /**
+     * POST a JSON body to the provider
+     * @param {string} path - Path below baseUrl
+     * @param {Object} body - Request body
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.headers] - Provider-specific headers
+     * @param {AbortSignal} [options.signal] - Aborts the request (client disconnected)
+     * @returns {Promise<Response>} Successful response (body not yet consumed)
+     * @throws {Error} "API error <status>: ..." for non-2xx responses
+     */
+    async post(path, body, { headers = {}, signal } = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers,
+                ...this.headers
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        const rateLimits = parseRateLimitHeaders(response.headers);
+        if (rateLimits) this.#rateLimits = { ...rateLimits, updatedAt: new Date().toISOString() };
+
+        if (!response.ok) throw await providerError(this.name, response);
+        return response;
+    }
+}
+
+export default HttpProvider;
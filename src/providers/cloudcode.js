@@ -0,0 +1,72 @@
+/**
+ * Cloud Code Provider
+ * The default provider: Google Cloud Code through the account pool, with
+ * sticky account selection, rate-limit handling and endpoint failover.
+ */
+
+import { sendMessage, sendMessageStream, listModels } from '../cloudcode/index.js';
+
+export class CloudCodeProvider {
+    #accountManager;
+
+    /**
+     * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+     */
+    constructor(accountManager) {
+        this.#accountManager = accountManager;
+    }
+
+    get name() {
+        return 'cloudcode';
+    }
+
+    get type() {
+        return 'cloudcode';
+    }
+
+    /**
+     * Send a non-streaming request (fallback chains are walked by the caller)
+     * @param {Object} anthropicRequest - Anthropic-format request
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts upstream requests
+     * @returns {Promise<Object>} Anthropic-format response
+     */
+    sendMessage(anthropicRequest, { signal } = {}) {
+        return sendMessage(anthropicRequest, this.#accountManager, false, { signal });
+    }
+
+    /**
+     * Send a streaming request (fallback chains are walked by the caller)
+     * @param {Object} anthropicRequest - Anthropic-format request
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts upstream requests
+     * @returns {AsyncGenerator<Object>} Anthropic-format SSE events
+     */
+    sendMessageStream(anthropicRequest, { signal } = {}) {
+        return sendMessageStream(anthropicRequest, this.#accountManager, false, { signal });
+    }
+
+    /**
+     * List Cloud Code models using any available account
+     * @returns {Promise<Array<Object>>} /v1/models entries
+     * @throws {Error} If no account is available
+     */
+    async listModels() {
+        const account = this.#accountManager.pickNext();
+        if (!account) throw new Error('No accounts available');
+        const token = await this.#accountManager.getTokenForAccount(account);
+        const models = await listModels(token);
+        return models.data;
+    }
+
+    /**
+     * Summarize the account pool (per-model quotas are in /health accounts)
+     * @returns {Promise<Object>} Account counts
+     */
+    async getQuota() {
+        const { total, available, rateLimited, invalid } = this.#accountManager.getStatus();
+        return { accounts: total, available, rateLimited, invalid };
+    }
+}
+
+export default CloudCodeProvider;
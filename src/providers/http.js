@@ -0,0 +1,74 @@
+/**
+ * HTTP helpers shared by the upstream providers
+ */
+
+/**
+ * Build the error thrown for a failed provider response
+ * Uses the same "API error <status>: <body>" message as Cloud Code errors so
+ * error mapping and fallback triggers treat all providers alike.
+ * @param {string} providerName - Provider name (for logs)
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<Error>} Error to throw
+ */
+export async function providerError(providerName, response) {
+    const errorText = await response.text().catch(() => '');
+    return new Error(`API error ${response.status}: ${errorText || response.statusText} (provider ${providerName})`);
+}
+
+/**
+ * Read an SSE response body event by event
+ * @param {Response} response - fetch response with an SSE body
+ * @yields {{event: string|null, data: string}} One entry per event (multi-line data joined with \n)
+ */
+export async function* readSSE(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = null;
+    let data = [];
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length > 0) yield { event, data: data.join('\n') };
+                event = null;
+                data = [];
+            } else if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+    }
+
+    if (buffer.startsWith('data:')) data.push(buffer.slice(5).replace(/^ /, ''));
+    if (data.length > 0) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Read the rate-limit headers a provider sent with a response
+ * Understands both the Anthropic (anthropic-ratelimit-*) and the OpenAI
+ * (x-ratelimit-*) header families.
+ * @param {Headers} headers - Response headers
+ * @returns {Object|null} { requests, tokens } with limit/remaining/reset, or null if none were sent
+ */
+export function parseRateLimitHeaders(headers) {
+    const read = (kind) => {
+        const limit = headers.get(`anthropic-ratelimit-${kind}-limit`) ?? headers.get(`x-ratelimit-limit-${kind}`);
+        const remaining = headers.get(`anthropic-ratelimit-${kind}-remaining`) ?? headers.get(`x-ratelimit-remaining-${kind}`);
+        const reset = headers.get(`anthropic-ratelimit-${kind}-reset`) ?? headers.get(`x-ratelimit-reset-${kind}`);
+        if (limit === null && remaining === null) return null;
+        return {
+            limit: limit !== null ? Number(limit) : null,
+            remaining: remaining !== null ? Number(remaining) : null,
+            reset
+        };
+    };
+
+    const requests = read('requests');
+    const tokens = read('tokens');
+    return requests || tokens ? { requests, tokens } : null;
+}
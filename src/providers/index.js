@@ -0,0 +1,16 @@
+/**
+ * Upstream Providers
+ *
+ * Cloud Code is the default provider. Models can also be served by an
+ * Anthropic API key or an OpenAI-compatible server, configured per model in
+ * config.json "providers" (see registry.js).
+ */
+
+export { providerRegistry, ProviderRegistry, PROVIDER_TYPES } from './registry.js';
+export { CloudCodeProvider } from './cloudcode.js';
+export { AnthropicProvider } from './anthropic.js';
+export { OpenAICompatibleProvider } from './openai.js';
+
+import { providerRegistry } from './registry.js';
+
+export default providerRegistry;
@@ -0,0 +1,70 @@
+/**
+ * OpenAI-Compatible Provider
+ * Sends requests to any server implementing the OpenAI Chat Completions API
+ * (vLLM, llama.cpp, Ollama, LiteLLM, ...), converting to and from the
+ * gateway's Anthropic format.
+ */
+
+import {
+    convertAnthropicToOpenAIRequest,
+    convertOpenAIResponseToAnthropic,
+    createOpenAIChunkState,
+    convertOpenAIChunkToAnthropic,
+    finishOpenAIChunkStream
+} from '../format/openai-upstream.js';
+import { HttpProvider } from './base.js';
+import { readSSE } from './http.js';
+
+export class OpenAICompatibleProvider extends HttpProvider {
+    get type() {
+        return 'openai';
+    }
+
+    /**
+     * Send a non-streaming request
+     * @param {Object} anthropicRequest - Anthropic-format request (gateway model ID)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @returns {Promise<Object>} Anthropic-format response
+     */
+    async sendMessage(anthropicRequest, { signal } = {}) {
+        const body = convertAnthropicToOpenAIRequest(anthropicRequest, this.upstreamModel(anthropicRequest.model), false);
+        const response = await this.post('/chat/completions', body, { headers: this.#authHeaders(), signal });
+        return convertOpenAIResponseToAnthropic(await response.json(), anthropicRequest.model);
+    }
+
+    /**
+     * Send a streaming request
+     * @param {Object} anthropicRequest - Anthropic-format request (gateway model ID)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the upstream request
+     * @yields {Object} Anthropic-format SSE events
+     * @throws {Error} "API error <status>: ..." for error chunks in the stream
+     */
+    async *sendMessageStream(anthropicRequest, { signal } = {}) {
+        const body = convertAnthropicToOpenAIRequest(anthropicRequest, this.upstreamModel(anthropicRequest.model), true);
+        const response = await this.post('/chat/completions', body, { headers: this.#authHeaders(), signal });
+
+        const state = createOpenAIChunkState(anthropicRequest.model);
+        for await (const { data } of readSSE(response)) {
+            if (data.trim() === '[DONE]') break;
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                const status = Number.isInteger(chunk.error.code) ? chunk.error.code : 500;
+                throw new Error(`API error ${status}: ${JSON.stringify(chunk.error)} (provider ${this.name})`);
+            }
+            yield* convertOpenAIChunkToAnthropic(chunk, state);
+        }
+        yield* finishOpenAIChunkStream(state);
+    }
+
+    /**
+     * Authorization header (omitted for servers without a key)
+     * @returns {Object<string, string>} Headers
+     */
+    #authHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,173 @@
+/**
+ * Provider Registry
+ * Routes each model to the upstream provider that serves it.
+ *
+ * Providers are configured in the `providers` section of config.json:
+ *
+ *   "providers": {
+ *     "anthropic": {
+ *       "type": "anthropic",
+ *       "apiKey": "sk-ant-...",
+ *       "models": { "direct-claude-sonnet-4-5": "claude-sonnet-4-5" }
+ *     },
+ *     "local": {
+ *       "type": "openai",
+ *       "baseUrl": "http://localhost:8000/v1",
+ *       "models": ["llama-3.3-70b"]
+ *     }
+ *   }
+ *
+ * `models` is a list of model IDs, or a map of gateway model ID to the ID
+ * sent upstream (to expose a model under a name that does not clash with a
+ * Cloud Code model). Models no provider lists go to Cloud Code, the default
+ * provider, through the account pool.
+ *
+ * Every provider implements the same interface:
+ *   name, type
+ *   sendMessage(anthropicRequest, { signal }) -> Anthropic response
+ *   sendMessageStream(anthropicRequest, { signal }) -> Anthropic SSE events
+ *   listModels() -> /v1/models entries
+ *   getQuota() -> remaining quota, or null if unknown
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { applyModelMapping } from '../models/index.js';
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAICompatibleProvider } from './openai.js';
+
+export const PROVIDER_TYPES = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider
+};
+
+export class ProviderRegistry {
+    #getProvidersConfig;
+    #defaultProvider = null;
+    #providers = new Map(); // name -> provider
+    #routes = new Map(); // gateway model ID -> provider
+    #loadedConfig = null; // Serialized config the providers were built from
+
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getProvidersConfig] - Returns the providers config section
+     */
+    constructor({ getProvidersConfig = () => config.providers || {} } = {}) {
+        this.#getProvidersConfig = getProvidersConfig;
+    }
+
+    /**
+     * Set the provider for models no configured provider serves (Cloud Code)
+     * @param {Object} provider - Provider instance
+     */
+    setDefaultProvider(provider) {
+        this.#defaultProvider = provider;
+    }
+
+    /**
+     * Find the configured provider serving a model
+     * @param {string} model - Model ID (aliases already resolved)
+     * @returns {Object|null} Provider, or null for the default provider (Cloud Code)
+     */
+    resolve(model) {
+        this.#sync();
+        return this.#routes.get(model) || null;
+    }
+
+    /**
+     * Get all providers, the default provider first
+     * @returns {Array<Object>} Providers
+     */
+    getProviders() {
+        this.#sync();
+        return [this.#defaultProvider, ...this.#providers.values()].filter(Boolean);
+    }
+
+    /**
+     * List the models of every provider as one /v1/models list
+     * A model served by a configured provider replaces a Cloud Code model of
+     * the same ID, as requests for it are routed there. Providers that fail
+     * to list are left out, unless every provider fails.
+     * @returns {Promise<{object: string, data: Array<Object>}>} Model list
+     * @throws {Error} The first provider's error if no provider could list its models
+     */
+    async listModels() {
+        const providers = this.getProviders();
+        const results = await Promise.allSettled(providers.map(provider => provider.listModels()));
+
+        const failed = results.filter(result => result.status === 'rejected');
+        if (failed.length > 0 && failed.length === results.length) throw failed[0].reason;
+
+        const models = [];
+        results.forEach((result, index) => {
+            const provider = providers[index];
+            if (result.status === 'rejected') {
+                logger.warn(`[Providers] Listing models from ${provider.name} failed: ${result.reason.message}`);
+                return;
+            }
+            for (const model of result.value) {
+                const route = this.#routes.get(model.id);
+                if (route && route !== provider) continue;
+                models.push(model);
+            }
+        });
+
+        return { object: 'list', data: applyModelMapping(models) };
+    }
+
+    /**
+     * Get each provider's type, models and quota for /health
+     * @returns {Promise<Array<Object>>} Provider status
+     */
+    async getStatus() {
+        return Promise.all(this.getProviders().map(async provider => ({
+            name: provider.name,
+            type: provider.type,
+            models: provider === this.#defaultProvider ? null : Object.keys(provider.models),
+            quota: await provider.getQuota().catch(error => ({ error: error.message }))
+        })));
+    }
+
+    /**
+     * Rebuild providers and routes when the providers config has changed
+     */
+    #sync() {
+        const providersConfig = this.#getProvidersConfig() || {};
+        const serialized = JSON.stringify(providersConfig);
+        if (serialized === this.#loadedConfig) return;
+        this.#loadedConfig = serialized;
+
+        this.#providers.clear();
+        this.#routes.clear();
+        for (const [name, settings] of Object.entries(providersConfig)) {
+            const ProviderClass = PROVIDER_TYPES[settings?.type];
+            if (!ProviderClass) {
+                logger.warn(`[Providers] Ignoring provider "${name}": unknown type "${settings?.type}" (expected ${Object.keys(PROVIDER_TYPES).join(' or ')})`);
+                continue;
+            }
+            if (settings.type === 'openai' && !settings.baseUrl) {
+                logger.warn(`[Providers] Ignoring provider "${name}": baseUrl is required`);
+                continue;
+            }
+
+            const provider = new ProviderClass(name, settings);
+            this.#providers.set(name, provider);
+            for (const model of Object.keys(provider.models)) {
+                if (this.#routes.has(model)) {
+                    logger.warn(`[Providers] ${model} is listed by both ${this.#routes.get(model).name} and ${name}; using ${this.#routes.get(model).name}`);
+                    continue;
+                }
+                this.#routes.set(model, provider);
+            }
+        }
+
+        if (this.#providers.size > 0) {
+            logger.info(`[Providers] Loaded ${this.#providers.size} provider(s) serving ${this.#routes.size} model(s)`);
+        }
+    }
+}
+
+// Shared by the message handlers (routing) and the server (/v1/models, /health)
+export const providerRegistry = new ProviderRegistry();
+
+export default providerRegistry;
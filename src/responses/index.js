@@ -0,0 +1,138 @@
+/**
+ * Stored Responses
+ * Keeps Responses API conversations (store: true, the default) so clients
+ * can continue them with previous_response_id and read them back through
+ * GET /v1/responses/:id and /v1/responses/:id/input_items.
+ * Records expire after the configured retention period.
+ *
+ * Each record belongs to the API key that created it; lookups by another
+ * key (including continuing it with previous_response_id) treat it as not
+ * found.
+ */
+
+import { RESPONSES_DIR, RESPONSES_RETENTION_MS } from '../constants.js';
+import { logger } from '../utils/logger.js';
+import {
+    loadStoredResponse,
+    saveStoredResponse,
+    deleteStoredResponse,
+    pruneStoredResponses
+} from './storage.js';
+
+// Minimum time between retention sweeps triggered by saves
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const DEFAULT_INPUT_ITEMS_LIMIT = 20;
+export const MAX_INPUT_ITEMS_LIMIT = 100;
+
+export class ResponseStore {
+    #baseDir;
+    #retentionMs;
+    #lastPruneAt = 0;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseDir] - Responses directory
+     * @param {number} [options.retentionMs] - How long responses are kept
+     */
+    constructor({ baseDir = RESPONSES_DIR, retentionMs = RESPONSES_RETENTION_MS } = {}) {
+        this.#baseDir = baseDir;
+        this.#retentionMs = retentionMs;
+    }
+
+    /**
+     * Get a stored record
+     * @param {string} id - Response ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<{response: Object, inputItems: Array<Object>, messages: Array<Object>, storedAt: number, ownerId: string|null}|null>}
+     *   The record, or null if it does not exist, has expired or belongs to another key
+     */
+    async get(id, ownerId = null) {
+        const record = await loadStoredResponse(this.#baseDir, id);
+        if (!record || record.storedAt < Date.now() - this.#retentionMs) return null;
+        if ((record.ownerId || null) !== ownerId) return null;
+        return record;
+    }
+
+    /**
+     * Store a completed response
+     * @param {Object} record
+     * @param {Object} record.response - Public Responses API object
+     * @param {Array<Object>} record.inputItems - Every input item of the conversation so far
+     * @param {Array<Object>} record.messages - Anthropic-format history, ending with the assistant turn
+     * @param {string|null} [record.ownerId] - API key ID of the creator
+     * @returns {Promise<void>}
+     */
+    async save({ response, inputItems, messages, ownerId = null }) {
+        await saveStoredResponse(this.#baseDir, { response, inputItems, messages, ownerId, storedAt: Date.now() });
+
+        if (Date.now() - this.#lastPruneAt > PRUNE_INTERVAL_MS) {
+            this.#lastPruneAt = Date.now();
+            pruneStoredResponses(this.#baseDir, Date.now() - this.#retentionMs)
+                .then(deleted => {
+                    if (deleted > 0) logger.debug(`[Responses] Pruned ${deleted} expired response(s)`);
+                })
+                .catch(error => logger.warn('[Responses] Failed to prune responses:', error.message));
+        }
+    }
+
+    /**
+     * Delete a stored response
+     * @param {string} id - Response ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<boolean>} True if it existed
+     */
+    async delete(id, ownerId = null) {
+        if (!await this.get(id, ownerId)) return false;
+        return deleteStoredResponse(this.#baseDir, id);
+    }
+
+    /**
+     * Load the conversation to continue from previous_response_id
+     * The next turn sees every earlier input item plus the previous output.
+     * @param {string} id - Previous response ID
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<{messages: Array<Object>, inputItems: Array<Object>}|null>} History, or null if not found
+     */
+    async getHistory(id, ownerId = null) {
+        const record = await this.get(id, ownerId);
+        if (!record) return null;
+        return {
+            messages: record.messages,
+            inputItems: [...record.inputItems, ...record.response.output]
+        };
+    }
+
+    /**
+     * List the input items of a stored response (OpenAI list object)
+     * @param {string} id - Response ID
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Page size (1-100, default 20)
+     * @param {'asc'|'desc'} [options.order] - Item order (default 'desc', newest first)
+     * @param {string} [options.after] - Item ID to start after
+     * @param {string|null} [ownerId] - API key ID of the caller
+     * @returns {Promise<Object|null>} List object, or null if not found
+     */
+    async listInputItems(id, { limit = DEFAULT_INPUT_ITEMS_LIMIT, order = 'desc', after } = {}, ownerId = null) {
+        const record = await this.get(id, ownerId);
+        if (!record) return null;
+
+        let items = order === 'asc' ? record.inputItems : [...record.inputItems].reverse();
+        if (after) {
+            const index = items.findIndex(item => item.id === after);
+            items = index === -1 ? [] : items.slice(index + 1);
+        }
+        const pageSize = Math.min(Math.max(limit, 1), MAX_INPUT_ITEMS_LIMIT);
+        const data = items.slice(0, pageSize);
+
+        return {
+            object: 'list',
+            data,
+            first_id: data[0]?.id ?? null,
+            last_id: data[data.length - 1]?.id ?? null,
+            has_more: items.length > pageSize
+        };
+    }
+}
+
+export default ResponseStore;
@@ -0,0 +1,106 @@
+/**
+ * Stored Response Storage
+ *
+ * Persists Responses API conversations, one JSON file per response:
+ *   <responses dir>/<response id>.json
+ * Each record holds the public response object, its input items and the
+ * Anthropic-format history (including thinking signatures) needed to
+ * continue the conversation with previous_response_id.
+ */
+
+import { readFile, writeFile, rename, mkdir, readdir, stat, rm } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+
+// Response IDs are generated by the gateway; reject anything else as a file name
+const RESPONSE_ID_PATTERN = /^resp_[a-f0-9]+$/;
+
+/**
+ * Resolve the file path of a stored response
+ * @param {string} baseDir - Responses directory
+ * @param {string} id - Response ID
+ * @returns {string|null} File path, or null for an invalid ID
+ */
+function responsePath(baseDir, id) {
+    return RESPONSE_ID_PATTERN.test(id || '') ? join(baseDir, `${id}.json`) : null;
+}
+
+/**
+ * Load a stored response record
+ * @param {string} baseDir - Responses directory
+ * @param {string} id - Response ID
+ * @returns {Promise<Object|null>} Record, or null if not found
+ */
+export async function loadStoredResponse(baseDir, id) {
+    const path = responsePath(baseDir, id);
+    if (!path) return null;
+    try {
+        return JSON.parse(await readFile(path, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`[Responses] Failed to read ${id}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Save a response record (atomically, via a temp file)
+ * @param {string} baseDir - Responses directory
+ * @param {Object} record - Record with `response.id`
+ * @returns {Promise<void>}
+ */
+export async function saveStoredResponse(baseDir, record) {
+    const path = responsePath(baseDir, record.response.id);
+    await mkdir(baseDir, { recursive: true });
+    await writeFile(`${path}.tmp`, JSON.stringify(record));
+    await rename(`${path}.tmp`, path);
+}
+
+/**
+ * Delete a stored response
+ * @param {string} baseDir - Responses directory
+ * @param {string} id - Response ID
+ * @returns {Promise<boolean>} True if a record was deleted
+ */
+export async function deleteStoredResponse(baseDir, id) {
+    const path = responsePath(baseDir, id);
+    if (!path) return false;
+    try {
+        await rm(path);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Delete stored responses last written before a cutoff
+ * @param {string} baseDir - Responses directory
+ * @param {number} cutoffMs - Timestamp; older records are deleted
+ * @returns {Promise<number>} Number of deleted records
+ */
+export async function pruneStoredResponses(baseDir, cutoffMs) {
+    let names;
+    try {
+        names = await readdir(baseDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let deleted = 0;
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+        const path = join(baseDir, name);
+        try {
+            if ((await stat(path)).mtimeMs < cutoffMs) {
+                await rm(path, { force: true });
+                deleted++;
+            }
+        } catch (error) {
+            logger.warn(`[Responses] Could not prune ${name}: ${error.message}`);
+        }
+    }
+    return deleted;
+}
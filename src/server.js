@@ -8,39 +8,132 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { sendMessage, sendMessageStream, listModels, getModelQuotas } from './cloudcode/index.js';
+import {
+    sendMessage,
+    sendMessageStream,
+    getModelQuotas,
+    countTokens,
+    embedContents,
+    generateImages,
+    endpointHealth
+} from './cloudcode/index.js';
 import { mountWebUI } from './webui/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 import { forceRefresh } from './auth/token-extractor.js';
-import { REQUEST_BODY_LIMIT } from './constants.js';
+import { REQUEST_BODY_LIMIT, DEFAULT_IMAGE_MODEL, CHAT_IMAGE_OUTPUT } from './constants.js';
 import { AccountManager } from './account-manager/index.js';
-import { formatDuration } from './utils/helpers.js';
+import { ApiKeyManager } from './api-keys/index.js';
+import { createApiKeyMiddleware, getApiKeyId } from './api-keys/middleware.js';
+import { BudgetManager, usageFromAnthropic, usageFromGemini, accumulateStreamUsage } from './budgets/index.js';
+import { createBudgetMiddleware } from './budgets/middleware.js';
+import { AdmissionController } from './admission/index.js';
+import { createAdmissionMiddleware } from './admission/middleware.js';
+import { providerRegistry, CloudCodeProvider } from './providers/index.js';
+import { metrics, PROMETHEUS_CONTENT_TYPE } from './metrics/index.js';
+import { createMetricsMiddleware, createModelLabelMiddleware } from './metrics/middleware.js';
+import { MessageBatchQueue, OpenAIBatchQueue, validateBatchRequests } from './batches/index.js';
+import { FileStore } from './files/index.js';
+import { ImageStore } from './images/index.js';
+import { ResponseStore } from './responses/index.js';
+import { getModelCapabilities, assertModelCapabilities, resolveModelAlias } from './models/index.js';
+import { ANSWERED_MODEL_HEADER, isFallbackEnabled, isFallbackOptOut } from './fallback-config.js';
+import { isMultipartRequest, parseMultipartForm } from './utils/multipart.js';
+import { formatDialectError } from './utils/api-dialect.js';
+import { formatDuration, mergeAsyncIterables, abortOnClientDisconnect, createLinkedAbortController, writeWithBackpressure } from './utils/helpers.js';
 import { logger } from './utils/logger.js';
 import {
+    MAX_CHAT_CHOICES,
     convertOpenAIToAnthropic,
     convertAnthropicToOpenAI,
-    convertAnthropicEventToOpenAI
+    convertAnthropicEventToOpenAI,
+    createChatStreamStates,
+    mergeChatCompletions
 } from './format/openai-compat.js';
 import {
     convertResponsesAPIToAnthropic,
     convertAnthropicToResponsesAPI,
     convertAnthropicEventToResponsesAPI,
     createResponsesStreamState,
+    normalizeResponsesInput,
     formatResponsesSSE
 } from './format/openai-responses.js';
+import { createStreamMessage, accumulateStreamMessage } from './format/stream-accumulator.js';
+import {
+    validateEmbeddingsRequest,
+    convertOpenAIToGoogleEmbeddings,
+    convertGoogleEmbeddingsToOpenAI
+} from './format/openai-embeddings.js';
+import { validateImageRequest, sizeToImageConfig, buildImagesResponse } from './format/openai-images.js';
+import {
+    validateCompletionsRequest,
+    convertCompletionToAnthropic,
+    convertAnthropicToCompletionChoice,
+    convertAnthropicEventToCompletionChunk,
+    buildCompletionResponse,
+    buildCompletionChunk,
+    createCompletionStreamState
+} from './format/openai-completions.js';
 import { handleGeminiGenerate } from './handlers/gemini-handler.js';
 
 // Parse fallback flag directly from command line args to avoid circular dependency
 const args = process.argv.slice(2);
 const FALLBACK_ENABLED = args.includes('--fallback') || process.env.FALLBACK === 'true';
 
+/**
+ * Check whether model fallback applies to a request
+ * Enabled by --fallback, FALLBACK=true or config "fallback.enabled"; clients
+ * opt out per request with the x-gateway-fallback header.
+ * @param {import('express').Request} req - Express request
+ * @returns {boolean}
+ */
+function isFallbackEnabledFor(req) {
+    return isFallbackEnabled(FALLBACK_ENABLED) && !isFallbackOptOut(req.headers);
+}
+
 const app = express();
 
 // Initialize account manager (will be fully initialized on first request or startup)
 const accountManager = new AccountManager();
 
+// Upstream providers: Cloud Code by default, others per model (config.json "providers")
+providerRegistry.setDefaultProvider(new CloudCodeProvider(accountManager));
+
+// Client API key registry (enforced on /v1 and /v1beta once any key exists)
+const apiKeyManager = new ApiKeyManager();
+
+// Per-credential request/token budgets (configured via config.json "budgets")
+const budgetManager = new BudgetManager();
+// Counters are saved with a short debounce; write what is pending on shutdown
+process.on('exit', () => budgetManager.flushSync());
+
+// Concurrency limits and request queue (configured via config.json "admission")
+const admissionController = new AdmissionController(accountManager);
+
+// Batch APIs (drained in the background, persisted to disk)
+const recordBatchUsage = (budgetId, usage, model) => {
+    if (budgetId) budgetManager.recordUsage(budgetId, usageFromAnthropic(usage));
+    metrics.recordTokens(usageFromAnthropic(usage), { model: resolveModelAlias(model) });
+};
+const messageBatchQueue = new MessageBatchQueue(accountManager, {
+    fallbackEnabled: isFallbackEnabled(FALLBACK_ENABLED),
+    onUsage: recordBatchUsage,
+    budgetManager
+});
+const fileStore = new FileStore();
+const openaiBatchQueue = new OpenAIBatchQueue(accountManager, fileStore, {
+    fallbackEnabled: isFallbackEnabled(FALLBACK_ENABLED),
+    onUsage: recordBatchUsage,
+    budgetManager
+});
+
+// Generated images served for the Images API's response_format "url"
+const imageStore = new ImageStore();
+
+// Stored Responses API conversations (previous_response_id)
+const responseStore = new ResponseStore();
+
 // Track initialization status
 let isInitialized = false;
 let initError = null;
@@ -72,12 +165,17 @@ async function ensureInitialized() {
     return initPromise;
 }
 
+// Resume unfinished batches once the account pool is ready
+ensureInitialized()
+    .then(() => Promise.all([messageBatchQueue.initialize(), openaiBatchQueue.initialize()]))
+    .catch(error => logger.warn('[Batches] Could not resume batches:', error.message));
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: [ANSWERED_MODEL_HEADER] }));
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
 // Mount WebUI (optional web interface for account management)
-mountWebUI(app, __dirname, accountManager);
+mountWebUI(app, __dirname, accountManager, apiKeyManager, budgetManager);
 
 /**
  * Parse error message to extract error type, status code, and user-friendly message
@@ -137,6 +235,76 @@ app.use((req, res, next) => {
     next();
 });
 
+// Request counts and latencies (before key enforcement so rejected requests are counted)
+app.use(createMetricsMiddleware(metrics));
+
+// Client API key enforcement for all API routes
+app.use(createApiKeyMiddleware(apiKeyManager));
+
+// Requested model as a metrics label (after key enforcement so only authenticated requests set it)
+app.use(createModelLabelMiddleware(metrics));
+
+// Per-credential budgets (after key enforcement so keys are budgeted by ID)
+app.use(createBudgetMiddleware(budgetManager));
+
+// Admission control (after budgets so over-budget requests are rejected without queueing)
+app.use(createAdmissionMiddleware(admissionController, { ensureInitialized }));
+
+/**
+ * Record token usage in the metrics and against the caller's budget (when budgets are on)
+ * @param {import('express').Request} req - Express request
+ * @param {{inputTokens: number, outputTokens: number, cachedTokens?: number}} usage - Normalized usage
+ */
+function recordUsage(req, usage) {
+    if (req.budgetId) budgetManager.recordUsage(req.budgetId, usage);
+    metrics.recordTokens(usage);
+}
+
+let quotaRefresh = null;
+
+/**
+ * Refresh the cached model quotas of all accounts for /metrics
+ * Runs in the background once the cache is older than config "metrics.quotaRefreshMs"
+ * (default 5 minutes); scrapes serve the cached values. /health and
+ * /account-limits refresh the cache too.
+ */
+function refreshMetricsQuotas() {
+    const accounts = accountManager.getAllAccounts().filter(account => !account.isInvalid);
+    if (quotaRefresh || !metrics.needsQuotaRefresh(accounts.map(account => account.email))) return;
+
+    quotaRefresh = Promise.allSettled(accounts.map(async (account) => {
+        const token = await accountManager.getTokenForAccount(account);
+        const projectId = await accountManager.getProjectForAccount(account, token);
+        metrics.setQuotas(account.email, await getModelQuotas(token, projectId));
+    })).then(results => {
+        const failed = results.filter(result => result.status === 'rejected');
+        if (failed.length > 0) {
+            logger.warn(`[Metrics] Could not refresh quotas for ${failed.length} account(s): ${failed[0].reason?.message}`);
+        }
+    }).finally(() => {
+        quotaRefresh = null;
+    });
+}
+
+/**
+ * Prometheus metrics endpoint
+ * Unauthenticated like /health; quotas come from the cache, refreshed in the background
+ */
+app.get('/metrics', async (req, res) => {
+    try {
+        await ensureInitialized();
+        refreshMetricsQuotas();
+        res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.send(metrics.render({
+            accounts: accountManager.getStatus(),
+            admission: admissionController.getStatus()
+        }));
+    } catch (error) {
+        logger.error('[API] Metrics failed:', error);
+        res.status(503).type('text/plain').send(`# Metrics unavailable: ${error.message}\n`);
+    }
+});
+
 /**
  * Health check endpoint - Detailed status
  * Returns status of all accounts including rate limits and model quotas
@@ -164,6 +332,7 @@ app.get('/health', async (req, res) => {
                 const baseInfo = {
                     email: account.email,
                     lastUsed: account.lastUsed ? new Date(account.lastUsed).toISOString() : null,
+                    inFlight: accountManager.getInFlightCount(account.email),
                     modelRateLimits: account.modelRateLimits || {},
                     rateLimitCooldownRemaining: soonestReset ? Math.max(0, soonestReset - Date.now()) : 0
                 };
@@ -182,6 +351,7 @@ app.get('/health', async (req, res) => {
                     const token = await accountManager.getTokenForAccount(account);
                     const projectId = await accountManager.getProjectForAccount(account, token);
                     const quotas = await getModelQuotas(token, projectId);
+                    metrics.setQuotas(account.email, quotas);
 
                     // Format quotas for readability
                     const formattedQuotas = {};
@@ -235,6 +405,13 @@ app.get('/health', async (req, res) => {
                 rateLimited: status.rateLimited,
                 invalid: status.invalid
             },
+            batches: {
+                messages: messageBatchQueue.getStatus(),
+                openai: openaiBatchQueue.getStatus()
+            },
+            admission: admissionController.getStatus(),
+            endpoints: endpointHealth.getStatus(),
+            providers: await providerRegistry.getStatus(),
             accounts: detailedAccounts
         });
 
@@ -276,6 +453,7 @@ app.get('/account-limits', async (req, res) => {
                     const token = await accountManager.getTokenForAccount(account);
                     const projectId = await accountManager.getProjectForAccount(account, token);
                     const quotas = await getModelQuotas(token, projectId);
+                    metrics.setQuotas(account.email, quotas);
 
                     return {
                         email: account.email,
@@ -497,8 +675,16 @@ app.post('/refresh-token', async (req, res) => {
 app.get('/v1/models', async (req, res) => {
     try {
         await ensureInitialized();
-        const account = accountManager.pickNext();
-        if (!account) {
+        const models = await providerRegistry.listModels();
+
+        // Only advertise models the calling key is allowed to use
+        if (req.apiKey) {
+            models.data = models.data.filter(m => apiKeyManager.isModelAllowed(req.apiKey, m.id));
+        }
+
+        res.json(models);
+    } catch (error) {
+        if (error.message === 'No accounts available') {
             return res.status(503).json({
                 type: 'error',
                 error: {
@@ -507,10 +693,6 @@ app.get('/v1/models', async (req, res) => {
                 }
             });
         }
-        const token = await accountManager.getTokenForAccount(account);
-        const models = await listModels(token);
-        res.json(models);
-    } catch (error) {
         logger.error('[API] Error listing models:', error);
         res.status(500).json({
             type: 'error',
@@ -523,16 +705,243 @@ app.get('/v1/models', async (req, res) => {
 });
 
 /**
- * Count tokens endpoint (not supported)
+ * Count tokens endpoint - Anthropic Messages API compatible
+ * POST /v1/messages/count_tokens
+ */
+app.post('/v1/messages/count_tokens', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const { model, messages, system, tools, tool_choice, thinking } = req.body;
+
+        if (!messages || !Array.isArray(messages)) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: 'messages is required and must be an array'
+                }
+            });
+        }
+
+        const request = {
+            model: model || 'claude-3-5-sonnet-20241022',
+            messages,
+            system,
+            tools,
+            tool_choice,
+            thinking
+        };
+
+        const { input_tokens, source } = await countTokens(request, accountManager);
+        logger.debug(`[API] count_tokens for ${request.model}: ${input_tokens} (${source})`);
+
+        res.json({ input_tokens });
+    } catch (error) {
+        logger.error('[API] count_tokens error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            type: 'error',
+            error: {
+                type: errorType,
+                message: errorMessage
+            }
+        });
+    }
+});
+
+/**
+ * Message Batches API - Anthropic compatible
+ * Batches are processed locally in the background through sendMessage.
+ */
+
+/**
+ * Send an Anthropic-format not_found_error for an unknown batch
  */
-app.post('/v1/messages/count_tokens', (req, res) => {
-    res.status(501).json({
+function sendBatchNotFound(res, id) {
+    res.status(404).json({
         type: 'error',
         error: {
-            type: 'not_implemented',
-            message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+            type: 'not_found_error',
+            message: `Message batch ${id} not found`
         }
     });
+}
+
+/**
+ * Create a message batch
+ * POST /v1/messages/batches
+ */
+app.post('/v1/messages/batches', async (req, res) => {
+    try {
+        await ensureInitialized();
+        const { requests } = req.body;
+
+        const validationError = validateBatchRequests(requests);
+        if (validationError) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: validationError
+                }
+            });
+        }
+
+        // Per-request models are not visible to the API key middleware
+        if (req.apiKey) {
+            const denied = requests.find(r => !apiKeyManager.isModelAllowed(req.apiKey, r.params.model));
+            if (denied) {
+                return res.status(403).json({
+                    type: 'error',
+                    error: {
+                        type: 'permission_error',
+                        message: `This API key is not allowed to use model ${denied.params.model}.`
+                    }
+                });
+            }
+        }
+
+        const batch = await messageBatchQueue.createBatch(requests, { budgetId: req.budgetId, ownerId: getApiKeyId(req) });
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] Batch create error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * List message batches (newest first)
+ * GET /v1/messages/batches?limit=&before_id=&after_id=
+ */
+app.get('/v1/messages/batches', async (req, res) => {
+    try {
+        const { limit, before_id, after_id } = req.query;
+        res.json(await messageBatchQueue.listBatches({ limit, before_id, after_id }, getApiKeyId(req)));
+    } catch (error) {
+        logger.error('[API] Batch list error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Retrieve a message batch
+ * GET /v1/messages/batches/:id
+ */
+app.get('/v1/messages/batches/:id', async (req, res) => {
+    try {
+        const batch = await messageBatchQueue.getBatch(req.params.id, getApiKeyId(req));
+        if (!batch) return sendBatchNotFound(res, req.params.id);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] Batch retrieve error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Download message batch results as JSONL
+ * GET /v1/messages/batches/:id/results
+ */
+app.get('/v1/messages/batches/:id/results', async (req, res) => {
+    try {
+        const stream = await messageBatchQueue.getResultsStream(req.params.id, getApiKeyId(req));
+        if (stream === 'not_found') return sendBatchNotFound(res, req.params.id);
+        if (stream === 'not_ended') {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: `Message batch ${req.params.id} is still processing. Results are available once processing_status is "ended".`
+                }
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/x-jsonl');
+        stream.on('error', (error) => {
+            logger.error('[API] Batch results stream error:', error.message);
+            res.end();
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('[API] Batch results error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Cancel a message batch
+ * POST /v1/messages/batches/:id/cancel
+ */
+app.post('/v1/messages/batches/:id/cancel', async (req, res) => {
+    try {
+        const batch = await messageBatchQueue.cancelBatch(req.params.id, getApiKeyId(req));
+        if (!batch) return sendBatchNotFound(res, req.params.id);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] Batch cancel error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Delete an ended message batch
+ * DELETE /v1/messages/batches/:id
+ */
+app.delete('/v1/messages/batches/:id', async (req, res) => {
+    try {
+        const outcome = await messageBatchQueue.deleteBatch(req.params.id, getApiKeyId(req));
+        if (outcome === 'not_found') return sendBatchNotFound(res, req.params.id);
+        if (outcome === 'not_ended') {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: `Message batch ${req.params.id} cannot be deleted while processing. Cancel it first.`
+                }
+            });
+        }
+        res.json({ id: req.params.id, type: 'message_batch_deleted' });
+    } catch (error) {
+        logger.error('[API] Batch delete error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
 });
 
 /**
@@ -545,6 +954,8 @@ app.post('/v1/messages/count_tokens', (req, res) => {
  * POST /v1/messages
  */
 app.post('/v1/messages', async (req, res) => {
+    // Aborts the upstream request (and its retries) if the client goes away
+    const signal = abortOnClientDisconnect(res);
     try {
         // Ensure account manager is initialized
         await ensureInitialized();
@@ -559,6 +970,7 @@ app.post('/v1/messages', async (req, res) => {
             tools,
             tool_choice,
             thinking,
+            output_format,
             top_p,
             top_k,
             temperature
@@ -567,7 +979,7 @@ app.post('/v1/messages', async (req, res) => {
         // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
         // If we have some available accounts, we try them first.
         const modelId = model || 'claude-3-5-sonnet-20241022';
-        if (accountManager.isAllRateLimited(modelId)) {
+        if (accountManager.isAllRateLimited(resolveModelAlias(modelId))) {
             logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
             accountManager.resetAllRateLimits();
         }
@@ -593,6 +1005,7 @@ app.post('/v1/messages', async (req, res) => {
             tools,
             tool_choice,
             thinking,
+            output_format,
             top_p,
             top_k,
             temperature
@@ -611,6 +1024,9 @@ app.post('/v1/messages', async (req, res) => {
             });
         }
 
+        // Reject features the model cannot serve before a stream starts
+        assertModelCapabilities(request);
+
         if (stream) {
             // Handle streaming response
             res.setHeader('Content-Type', 'text/event-stream');
@@ -621,34 +1037,47 @@ app.post('/v1/messages', async (req, res) => {
             // Flush headers immediately to start the stream
             res.flushHeaders();
 
+            const streamUsage = {};
             try {
                 // Use the streaming generator with account manager
-                for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED)) {
-                    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                for await (const event of sendMessageStream(request, accountManager, isFallbackEnabledFor(req), { signal })) {
+                    accumulateStreamUsage(streamUsage, event);
+                    await writeWithBackpressure(res, `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                     // Flush after each event for real-time streaming
                     if (res.flush) res.flush();
                 }
                 res.end();
 
             } catch (streamError) {
-                logger.error('[API] Stream error:', streamError);
+                if (signal.aborted) {
+                    logger.info('[API] Client disconnected, upstream request aborted');
+                } else {
+                    logger.error('[API] Stream error:', streamError);
 
-                const { errorType, errorMessage } = parseError(streamError);
+                    const { errorType, errorMessage } = parseError(streamError);
 
-                res.write(`event: error\ndata: ${JSON.stringify({
-                    type: 'error',
-                    error: { type: errorType, message: errorMessage }
-                })}\n\n`);
-                res.end();
+                    res.write(`event: error\ndata: ${JSON.stringify({
+                        type: 'error',
+                        error: { type: errorType, message: errorMessage }
+                    })}\n\n`);
+                    res.end();
+                }
             }
+            recordUsage(req, usageFromAnthropic(streamUsage));
 
         } else {
             // Handle non-streaming response
-            const response = await sendMessage(request, accountManager, FALLBACK_ENABLED);
+            const response = await sendMessage(request, accountManager, isFallbackEnabledFor(req), { signal });
+            recordUsage(req, usageFromAnthropic(response.usage));
+            res.setHeader(ANSWERED_MODEL_HEADER, response.model);
             res.json(response);
         }
 
     } catch (error) {
+        if (signal.aborted) {
+            logger.info('[API] Client disconnected, upstream request aborted');
+            return;
+        }
         logger.error('[API] Error:', error);
 
         let { errorType, statusCode, errorMessage } = parseError(error);
@@ -693,11 +1122,12 @@ app.post('/v1/messages', async (req, res) => {
  * POST /v1/chat/completions
  */
 app.post('/v1/chat/completions', async (req, res) => {
+    const signal = abortOnClientDisconnect(res);
     try {
         await ensureInitialized();
 
         const openaiRequest = req.body;
-        const { model, messages, stream } = openaiRequest;
+        const { model, messages, stream, n = 1 } = openaiRequest;
 
         if (!messages || !Array.isArray(messages)) {
             return res.status(400).json({
@@ -708,16 +1138,29 @@ app.post('/v1/chat/completions', async (req, res) => {
                 }
             });
         }
+        if (!Number.isInteger(n) || n < 1 || n > MAX_CHAT_CHOICES) {
+            return res.status(400).json({
+                error: {
+                    message: `n must be an integer between 1 and ${MAX_CHAT_CHOICES}.`,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
 
         const modelId = model || 'claude-3-5-sonnet-20241022';
-        if (accountManager.isAllRateLimited(modelId)) {
+        if (accountManager.isAllRateLimited(resolveModelAlias(modelId))) {
             logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
             accountManager.resetAllRateLimits();
         }
 
         const anthropicRequest = convertOpenAIToAnthropic(openaiRequest);
-        logger.info(`[API] OpenAI-compat request for model: ${anthropicRequest.model}, stream: ${!!stream}`);
+        logger.info(`[API] OpenAI-compat request for model: ${anthropicRequest.model}, stream: ${!!stream}${n > 1 ? `, n: ${n}` : ''}`);
+        assertModelCapabilities(anthropicRequest);
 
+        // n>1 fans out into parallel upstream requests, one per choice; if
+        // one fails the others are aborted instead of running to completion
+        const choices = createLinkedAbortController(signal);
         if (stream) {
             res.setHeader('Content-Type', 'text/event-stream');
             res.setHeader('Cache-Control', 'no-cache');
@@ -725,32 +1168,69 @@ app.post('/v1/chat/completions', async (req, res) => {
             res.setHeader('X-Accel-Buffering', 'no');
             res.flushHeaders();
 
+            const streamUsages = Array.from({ length: n }, () => ({}));
             try {
-                const streamState = {};
-                for await (const event of sendMessageStream(anthropicRequest, accountManager, FALLBACK_ENABLED)) {
-                    const chunk = convertAnthropicEventToOpenAI(event, anthropicRequest.model, streamState);
+                const streamStates = createChatStreamStates(n);
+                const streams = streamStates.map(() => sendMessageStream(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal: choices.signal }));
+                for await (const { index, value: event } of mergeAsyncIterables(streams)) {
+                    accumulateStreamUsage(streamUsages[index], event);
+                    if (CHAT_IMAGE_OUTPUT === 'markdown_url' && event.type === 'content_block_start') {
+                        await linkGeneratedImages(req, [event.content_block]);
+                    }
+                    const chunk = convertAnthropicEventToOpenAI(event, anthropicRequest.model, streamStates[index], {
+                        imageOutput: CHAT_IMAGE_OUTPUT,
+                        choiceIndex: index
+                    });
                     if (chunk) {
-                        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                        await writeWithBackpressure(res, `data: ${JSON.stringify(chunk)}\n\n`);
                         if (res.flush) res.flush();
                     }
                 }
                 res.write('data: [DONE]\n\n');
                 res.end();
             } catch (streamError) {
-                logger.error('[API] OpenAI stream error:', streamError);
-                const { errorType, errorMessage } = parseError(streamError);
-                res.write(`data: ${JSON.stringify({
-                    error: { type: errorType, message: errorMessage }
-                })}\n\n`);
-                res.end();
+                choices.abort();
+                if (signal.aborted) {
+                    logger.info('[API] Client disconnected, upstream request aborted');
+                } else {
+                    logger.error('[API] OpenAI stream error:', streamError);
+                    const { errorType, errorMessage } = parseError(streamError);
+                    res.write(`data: ${JSON.stringify({
+                        error: { type: errorType, message: errorMessage }
+                    })}\n\n`);
+                    res.end();
+                }
+            }
+            for (const streamUsage of streamUsages) {
+                recordUsage(req, usageFromAnthropic(streamUsage));
             }
         } else {
-            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, FALLBACK_ENABLED);
-            const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, anthropicRequest.model);
-            res.json(openaiResponse);
+            const anthropicResponses = await Promise.all(Array.from({ length: n }, async () => {
+                const anthropicResponse = await sendMessage(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal: choices.signal });
+                recordUsage(req, usageFromAnthropic(anthropicResponse.usage));
+                return anthropicResponse;
+            })).catch(error => {
+                choices.abort();
+                throw error;
+            });
+            const openaiResponses = [];
+            for (const anthropicResponse of anthropicResponses) {
+                if (CHAT_IMAGE_OUTPUT === 'markdown_url') {
+                    await linkGeneratedImages(req, anthropicResponse.content);
+                }
+                openaiResponses.push(convertAnthropicToOpenAI(anthropicResponse, anthropicResponse.model, {
+                    imageOutput: CHAT_IMAGE_OUTPUT
+                }));
+            }
+            res.setHeader(ANSWERED_MODEL_HEADER, openaiResponses[0].model);
+            res.json(n > 1 ? mergeChatCompletions(openaiResponses) : openaiResponses[0]);
         }
 
     } catch (error) {
+        if (signal.aborted) {
+            logger.info('[API] Client disconnected, upstream request aborted');
+            return;
+        }
         logger.error('[API] OpenAI-compat error:', error);
         const { errorType, statusCode, errorMessage } = parseError(error);
 
@@ -772,34 +1252,33 @@ app.post('/v1/chat/completions', async (req, res) => {
 });
 
 /**
- * OpenAI Responses API endpoint
- * POST /v1/responses
+ * OpenAI-compatible legacy Completions endpoint
+ * POST /v1/completions
+ * Each prompt × n choice is a separate single-turn request; a `suffix`
+ * switches to fill-in-the-middle.
  */
-app.post('/v1/responses', async (req, res) => {
+app.post('/v1/completions', async (req, res) => {
+    const signal = abortOnClientDisconnect(res);
     try {
         await ensureInitialized();
 
-        const responsesRequest = req.body;
-        const { model, input, stream } = responsesRequest;
-
-        if (!input) {
+        const completionsRequest = req.body;
+        const validationError = validateCompletionsRequest(completionsRequest);
+        if (validationError) {
             return res.status(400).json({
                 error: {
-                    message: 'input is required',
+                    message: validationError,
                     type: 'invalid_request_error',
-                    code: 'invalid_input'
+                    code: 'invalid_request_error'
                 }
             });
         }
 
-        const modelId = model || 'claude-3-5-sonnet-20241022';
-        if (accountManager.isAllRateLimited(modelId)) {
-            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
-            accountManager.resetAllRateLimits();
-        }
-
-        const anthropicRequest = convertResponsesAPIToAnthropic(responsesRequest);
-        logger.info(`[API] Responses API request for model: ${anthropicRequest.model}, stream: ${!!stream}`);
+        const { model, prompt, echo, stream } = completionsRequest;
+        const prompts = Array.isArray(prompt) ? prompt : [prompt];
+        const n = completionsRequest.n || 1;
+        logger.info(`[API] Completions request for model: ${model}, choices: ${prompts.length * n}, stream: ${!!stream}`);
+        assertModelCapabilities({ model, messages: [] });
 
         if (stream) {
             res.setHeader('Content-Type', 'text/event-stream');
@@ -808,32 +1287,225 @@ app.post('/v1/responses', async (req, res) => {
             res.setHeader('X-Accel-Buffering', 'no');
             res.flushHeaders();
 
+            const streamState = createCompletionStreamState();
+            const totalUsage = { input_tokens: 0, output_tokens: 0 };
             try {
-                const streamState = createResponsesStreamState();
-                for await (const event of sendMessageStream(anthropicRequest, accountManager, FALLBACK_ENABLED)) {
-                    const responseEvents = convertAnthropicEventToResponsesAPI(event, anthropicRequest.model, streamState, responsesRequest);
-                    for (const responseEvent of responseEvents) {
-                        res.write(formatResponsesSSE(responseEvent));
-                        if (res.flush) res.flush();
+                for (const [promptIndex, promptText] of prompts.entries()) {
+                    for (let i = 0; i < n; i++) {
+                        const index = promptIndex * n + i;
+                        const anthropicRequest = convertCompletionToAnthropic(completionsRequest, promptText);
+
+                        const streamUsage = {};
+                        let echoPending = echo;
+                        for await (const event of sendMessageStream(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal })) {
+                            accumulateStreamUsage(streamUsage, event);
+                            const chunk = convertAnthropicEventToCompletionChunk(event, model, streamState, index);
+                            // Echo after message_start so the chunk carries the answering model
+                            if (echoPending) {
+                                echoPending = false;
+                                await writeWithBackpressure(res, `data: ${JSON.stringify(buildCompletionChunk(streamState, model, index, promptText))}\n\n`);
+                            }
+                            if (chunk) {
+                                await writeWithBackpressure(res, `data: ${JSON.stringify(chunk)}\n\n`);
+                                if (res.flush) res.flush();
+                            }
+                        }
+                        recordUsage(req, usageFromAnthropic(streamUsage));
+                        totalUsage.input_tokens += streamUsage.input_tokens || 0;
+                        totalUsage.output_tokens += streamUsage.output_tokens || 0;
                     }
                 }
+
+                if (completionsRequest.stream_options?.include_usage) {
+                    res.write(`data: ${JSON.stringify({
+                        ...buildCompletionChunk(streamState, model, 0, ''),
+                        choices: [],
+                        usage: {
+                            prompt_tokens: totalUsage.input_tokens,
+                            completion_tokens: totalUsage.output_tokens,
+                            total_tokens: totalUsage.input_tokens + totalUsage.output_tokens
+                        }
+                    })}\n\n`);
+                }
+                res.write('data: [DONE]\n\n');
                 res.end();
             } catch (streamError) {
-                logger.error('[API] Responses API stream error:', streamError);
-                const { errorType, errorMessage } = parseError(streamError);
-                res.write(formatResponsesSSE({
-                    type: 'response.failed',
-                    error: { type: errorType, message: errorMessage }
-                }));
-                res.end();
+                if (signal.aborted) {
+                    logger.info('[API] Client disconnected, upstream request aborted');
+                } else {
+                    logger.error('[API] Completions stream error:', streamError);
+                    const { errorType, errorMessage } = parseError(streamError);
+                    res.write(`data: ${JSON.stringify({
+                        error: { type: errorType, message: errorMessage }
+                    })}\n\n`);
+                    res.end();
+                }
             }
         } else {
-            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, FALLBACK_ENABLED);
-            const responsesAPIResponse = convertAnthropicToResponsesAPI(anthropicResponse, anthropicRequest.model, responsesRequest);
-            res.json(responsesAPIResponse);
-        }
+            const choices = [];
+            const totalUsage = { input_tokens: 0, output_tokens: 0 };
+            let answeredModel = model;
+            for (const [promptIndex, promptText] of prompts.entries()) {
+                for (let i = 0; i < n; i++) {
+                    const anthropicRequest = convertCompletionToAnthropic(completionsRequest, promptText);
+                    const anthropicResponse = await sendMessage(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal });
+                    recordUsage(req, usageFromAnthropic(anthropicResponse.usage));
+                    totalUsage.input_tokens += anthropicResponse.usage?.input_tokens || 0;
+                    totalUsage.output_tokens += anthropicResponse.usage?.output_tokens || 0;
+                    choices.push(convertAnthropicToCompletionChoice(anthropicResponse, promptIndex * n + i, echo ? promptText : ''));
+                    answeredModel = anthropicResponse.model;
+                }
+            }
+            res.setHeader(ANSWERED_MODEL_HEADER, answeredModel);
+            res.json(buildCompletionResponse(choices, answeredModel, totalUsage));
+        }
+
+    } catch (error) {
+        if (signal.aborted) {
+            logger.info('[API] Client disconnected, upstream request aborted');
+            return;
+        }
+        logger.error('[API] Completions error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify({
+                error: { type: errorType, message: errorMessage }
+            })}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json({
+                error: {
+                    message: errorMessage,
+                    type: errorType,
+                    code: errorType
+                }
+            });
+        }
+    }
+});
+
+/**
+ * OpenAI Responses API endpoint
+ * POST /v1/responses
+ */
+app.post('/v1/responses', async (req, res) => {
+    const signal = abortOnClientDisconnect(res);
+    try {
+        await ensureInitialized();
+
+        const responsesRequest = req.body;
+        const { model, input, stream, previous_response_id: previousResponseId } = responsesRequest;
+
+        if (!input) {
+            return res.status(400).json({
+                error: {
+                    message: 'input is required',
+                    type: 'invalid_request_error',
+                    code: 'invalid_input'
+                }
+            });
+        }
+
+        // Continue a stored conversation: its messages (with thinking signatures) come first
+        const history = previousResponseId ? await responseStore.getHistory(previousResponseId, getApiKeyId(req)) : { messages: [], inputItems: [] };
+        if (!history) {
+            return res.status(400).json({
+                error: {
+                    message: `Previous response with id '${previousResponseId}' not found.`,
+                    type: 'invalid_request_error',
+                    param: 'previous_response_id',
+                    code: 'previous_response_not_found'
+                }
+            });
+        }
+        const inputItems = normalizeResponsesInput(input);
+        const shouldStore = responsesRequest.store !== false;
+
+        /**
+         * Persist the finished turn so it can be continued or retrieved later
+         */
+        const storeResponse = async (response, assistantMessage) => {
+            if (!shouldStore) return;
+            try {
+                await responseStore.save({
+                    response,
+                    inputItems: [...history.inputItems, ...inputItems],
+                    messages: [
+                        ...anthropicRequest.messages,
+                        { role: 'assistant', content: assistantMessage.content.filter(Boolean) }
+                    ],
+                    ownerId: getApiKeyId(req)
+                });
+            } catch (storeError) {
+                logger.error(`[API] Failed to store response ${response.id}:`, storeError.message);
+            }
+        };
+
+        const modelId = model || 'claude-3-5-sonnet-20241022';
+        if (accountManager.isAllRateLimited(resolveModelAlias(modelId))) {
+            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
+        const anthropicRequest = convertResponsesAPIToAnthropic({ ...responsesRequest, input: inputItems }, history.messages);
+        logger.info(`[API] Responses API request for model: ${anthropicRequest.model}, stream: ${!!stream}`);
+        assertModelCapabilities(anthropicRequest);
+
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.flushHeaders();
+
+            const streamUsage = {};
+            try {
+                const streamState = createResponsesStreamState();
+                const streamMessage = createStreamMessage();
+                let finalResponse = null;
+                for await (const event of sendMessageStream(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal })) {
+                    accumulateStreamUsage(streamUsage, event);
+                    accumulateStreamMessage(streamMessage, event);
+                    const responseEvents = convertAnthropicEventToResponsesAPI(event, anthropicRequest.model, streamState, responsesRequest);
+                    for (const responseEvent of responseEvents) {
+                        if (responseEvent.type === 'response.completed' || responseEvent.type === 'response.incomplete') {
+                            finalResponse = responseEvent.response;
+                        }
+                        await writeWithBackpressure(res, formatResponsesSSE(responseEvent));
+                        if (res.flush) res.flush();
+                    }
+                }
+                res.end();
+                if (finalResponse) await storeResponse(finalResponse, streamMessage);
+            } catch (streamError) {
+                if (signal.aborted) {
+                    logger.info('[API] Client disconnected, upstream request aborted');
+                } else {
+                    logger.error('[API] Responses API stream error:', streamError);
+                    const { errorType, errorMessage } = parseError(streamError);
+                    res.write(formatResponsesSSE({
+                        type: 'response.failed',
+                        error: { type: errorType, message: errorMessage }
+                    }));
+                    res.end();
+                }
+            }
+            recordUsage(req, usageFromAnthropic(streamUsage));
+        } else {
+            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, isFallbackEnabledFor(req), { signal });
+            recordUsage(req, usageFromAnthropic(anthropicResponse.usage));
+            const responsesAPIResponse = convertAnthropicToResponsesAPI(anthropicResponse, anthropicResponse.model, responsesRequest);
+            await storeResponse(responsesAPIResponse, anthropicResponse);
+            res.setHeader(ANSWERED_MODEL_HEADER, anthropicResponse.model);
+            res.json(responsesAPIResponse);
+        }
 
     } catch (error) {
+        if (signal.aborted) {
+            logger.info('[API] Client disconnected, upstream request aborted');
+            return;
+        }
         logger.error('[API] Responses API error:', error);
         const { errorType, statusCode, errorMessage } = parseError(error);
 
@@ -855,6 +1527,644 @@ app.post('/v1/responses', async (req, res) => {
     }
 });
 
+/**
+ * Retrieve a stored response
+ * GET /v1/responses/:id
+ */
+app.get('/v1/responses/:id', async (req, res) => {
+    try {
+        const record = await responseStore.get(req.params.id, getApiKeyId(req));
+        if (!record) return sendOpenAINotFound(res, 'response', req.params.id);
+        res.json(record.response);
+    } catch (error) {
+        logger.error('[API] Retrieve response error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * List the input items of a stored response
+ * GET /v1/responses/:id/input_items?limit=&order=&after=
+ */
+app.get('/v1/responses/:id/input_items', async (req, res) => {
+    try {
+        const { limit, order, after } = req.query;
+        if (order !== undefined && order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({
+                error: {
+                    message: 'order must be "asc" or "desc".',
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+        const list = await responseStore.listInputItems(req.params.id, {
+            limit: limit !== undefined ? parseInt(limit, 10) || undefined : undefined,
+            order,
+            after
+        }, getApiKeyId(req));
+        if (!list) return sendOpenAINotFound(res, 'response', req.params.id);
+        res.json(list);
+    } catch (error) {
+        logger.error('[API] List response input items error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Delete a stored response
+ * DELETE /v1/responses/:id
+ */
+app.delete('/v1/responses/:id', async (req, res) => {
+    try {
+        const deleted = await responseStore.delete(req.params.id, getApiKeyId(req));
+        if (!deleted) return sendOpenAINotFound(res, 'response', req.params.id);
+        res.json({ id: req.params.id, object: 'response', deleted: true });
+    } catch (error) {
+        logger.error('[API] Delete response error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * OpenAI-compatible Embeddings endpoint
+ * POST /v1/embeddings
+ */
+app.post('/v1/embeddings', async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        const validationError = validateEmbeddingsRequest(req.body);
+        if (validationError || !getModelCapabilities(req.body.model).embedding) {
+            return res.status(400).json({
+                error: {
+                    message: validationError || `${req.body.model} is not an embedding model.`,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        const { model, requests } = convertOpenAIToGoogleEmbeddings(req.body);
+        logger.info(`[API] Embeddings request for ${model} (${requests.length} input(s))`);
+
+        const { embeddings, promptTokens } = await embedContents(model, requests, accountManager);
+        recordUsage(req, { inputTokens: promptTokens, outputTokens: 0 });
+        res.json(convertGoogleEmbeddingsToOpenAI(embeddings, model, promptTokens, req.body.encoding_format));
+    } catch (error) {
+        logger.error('[API] Embeddings error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            error: {
+                message: errorMessage,
+                type: errorType,
+                code: errorType
+            }
+        });
+    }
+});
+
+/**
+ * Images API - OpenAI compatible
+ * Images are generated with Gemini image models (gemini-3-pro-image by default).
+ */
+
+/**
+ * Save a generated image and return the URL it is served from
+ * @param {import('express').Request} req - Express request (for the host)
+ * @param {{mimeType: string, data: string}} image - Base64 image
+ * @returns {Promise<string>} Absolute image URL
+ */
+async function saveGeneratedImage(req, image) {
+    const name = await imageStore.saveImage(image);
+    return `${req.protocol}://${req.get('host')}/generated-images/${name}`;
+}
+
+/**
+ * Replace base64 image blocks with links to served copies (in place)
+ * Used for chatImageOutput "markdown_url".
+ * @param {import('express').Request} req - Express request (for the host)
+ * @param {Array<Object>} blocks - Anthropic content blocks
+ */
+async function linkGeneratedImages(req, blocks) {
+    for (const block of blocks || []) {
+        if (block?.type === 'image' && block.source?.type === 'base64') {
+            const url = await saveGeneratedImage(req, { mimeType: block.source.media_type, data: block.source.data });
+            block.source = { type: 'url', url };
+        }
+    }
+}
+
+/**
+ * Generate images and send an OpenAI Images API response
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {Object} params - prompt, n, size, response_format, model
+ * @param {Array<{mimeType: string, data: string}>} [inputImages] - Base64 input images (edits)
+ */
+async function handleImageRequest(req, res, params, inputImages = []) {
+    const validationError = validateImageRequest(params);
+    const model = params.model || DEFAULT_IMAGE_MODEL;
+    if (validationError || !getModelCapabilities(model).imageOutput) {
+        return res.status(400).json({
+            error: {
+                message: validationError || `${model} is not an image model.`,
+                type: 'invalid_request_error',
+                code: 'invalid_request_error'
+            }
+        });
+    }
+
+    // Multipart bodies and defaulted models are not visible to the API key middleware
+    if (req.apiKey && !apiKeyManager.isModelAllowed(req.apiKey, model)) {
+        return res.status(403).json({
+            error: {
+                message: `This API key is not allowed to use model ${model}.`,
+                type: 'permission_error',
+                code: 'permission_error'
+            }
+        });
+    }
+
+    const n = params.n || 1;
+    logger.info(`[API] Image request for ${model} (${n} image(s), ${inputImages.length} input image(s))`);
+
+    const result = await generateImages({
+        model,
+        prompt: params.prompt,
+        n,
+        images: inputImages,
+        ...(params.size && params.size !== 'auto' ? sizeToImageConfig(params.size) : {})
+    }, accountManager);
+    recordUsage(req, usageFromGemini(result.usage));
+
+    const data = await Promise.all(result.images.map(async (image) => {
+        if (params.response_format === 'url') {
+            return { url: await saveGeneratedImage(req, image) };
+        }
+        return { b64_json: image.data };
+    }));
+    res.json(buildImagesResponse(data, result.usage));
+}
+
+/**
+ * Create images from a prompt
+ * POST /v1/images/generations
+ */
+app.post('/v1/images/generations', async (req, res) => {
+    try {
+        await ensureInitialized();
+        await handleImageRequest(req, res, req.body || {});
+    } catch (error) {
+        logger.error('[API] Image generation error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            error: {
+                message: errorMessage,
+                type: errorType,
+                code: errorType
+            }
+        });
+    }
+});
+
+/**
+ * Edit images from a prompt and one or more input images
+ * POST /v1/images/edits (multipart/form-data with "image" or "image[]" files)
+ */
+app.post('/v1/images/edits', express.raw({ type: 'multipart/form-data', limit: REQUEST_BODY_LIMIT }), async (req, res) => {
+    try {
+        await ensureInitialized();
+
+        let form = null;
+        if (isMultipartRequest(req)) {
+            try {
+                form = await parseMultipartForm(req);
+            } catch {
+                // Reported below
+            }
+        }
+        if (!form) {
+            return res.status(400).json({
+                error: {
+                    message: 'Image edits must be sent as multipart/form-data.',
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        const files = [...form.getAll('image'), ...form.getAll('image[]')].filter(f => typeof f !== 'string');
+        const unsupported = files.find(f => !['image/png', 'image/jpeg', 'image/webp'].includes(f.type));
+        if (files.length === 0 || unsupported) {
+            return res.status(400).json({
+                error: {
+                    message: unsupported
+                        ? `Unsupported image type ${unsupported.type || 'unknown'} for ${unsupported.name}. Use PNG, JPEG or WebP.`
+                        : "Missing required parameter: 'image'.",
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+        if (form.has('mask')) {
+            logger.debug('[API] Ignoring image edit mask (not supported by Gemini image models)');
+        }
+
+        const inputImages = await Promise.all(files.map(async (file) => ({
+            mimeType: file.type,
+            data: Buffer.from(await file.arrayBuffer()).toString('base64')
+        })));
+
+        const params = Object.fromEntries(
+            ['prompt', 'size', 'response_format', 'model']
+                .filter(field => form.has(field))
+                .map(field => [field, form.get(field)])
+        );
+        if (form.has('n')) params.n = Number(form.get('n'));
+
+        await handleImageRequest(req, res, params, inputImages);
+    } catch (error) {
+        logger.error('[API] Image edit error:', error);
+        const { errorType, statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json({
+            error: {
+                message: errorMessage,
+                type: errorType,
+                code: errorType
+            }
+        });
+    }
+});
+
+/**
+ * Serve a generated image (response_format "url")
+ * GET /generated-images/:name
+ */
+app.get('/generated-images/:name', (req, res) => {
+    const imagePath = imageStore.getImagePath(req.params.name);
+    if (!imagePath) return res.status(404).end();
+    res.sendFile(imagePath, (error) => {
+        if (error && !res.headersSent) res.status(404).end();
+    });
+});
+
+/**
+ * Files and Batch APIs - OpenAI compatible
+ * Files are stored locally; batches run their input lines in the background
+ * through the same conversion path as the target endpoint.
+ */
+
+/**
+ * Send an OpenAI-format not found error for an unknown file, batch or response
+ */
+function sendOpenAINotFound(res, kind, id) {
+    res.status(404).json({
+        error: {
+            message: `No such ${kind}: ${id}`,
+            type: 'invalid_request_error',
+            code: 'not_found'
+        }
+    });
+}
+
+/**
+ * Upload a file
+ * POST /v1/files (multipart/form-data with "file" and "purpose")
+ */
+app.post('/v1/files', express.raw({ type: 'multipart/form-data', limit: REQUEST_BODY_LIMIT }), async (req, res) => {
+    try {
+        if (!isMultipartRequest(req)) {
+            return res.status(400).json({
+                error: {
+                    message: 'Files must be uploaded as multipart/form-data.',
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        let form;
+        try {
+            form = await parseMultipartForm(req);
+        } catch {
+            return res.status(400).json({
+                error: {
+                    message: 'Could not parse multipart form data.',
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        const file = form.get('file');
+        const purpose = form.get('purpose');
+        if (!file || typeof file === 'string' || !purpose) {
+            return res.status(400).json({
+                error: {
+                    message: `Missing required parameter: '${!purpose ? 'purpose' : 'file'}'.`,
+                    type: 'invalid_request_error',
+                    code: 'missing_required_parameter'
+                }
+            });
+        }
+
+        const created = await fileStore.createFile({
+            filename: file.name || 'upload',
+            purpose,
+            content: Buffer.from(await file.arrayBuffer()),
+            ownerId: getApiKeyId(req)
+        });
+        res.json(created);
+    } catch (error) {
+        logger.error('[API] File upload error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * List files
+ * GET /v1/files?purpose=&limit=&after=&order=
+ */
+app.get('/v1/files', async (req, res) => {
+    try {
+        const { purpose, limit, after, order } = req.query;
+        res.json(await fileStore.listFiles({ purpose, limit, after, order }, getApiKeyId(req)));
+    } catch (error) {
+        logger.error('[API] File list error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Retrieve a file object
+ * GET /v1/files/:id
+ */
+app.get('/v1/files/:id', async (req, res) => {
+    try {
+        const file = await fileStore.getFile(req.params.id, getApiKeyId(req));
+        if (!file) return sendOpenAINotFound(res, 'file', req.params.id);
+        res.json(file);
+    } catch (error) {
+        logger.error('[API] File retrieve error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Download a file's content
+ * GET /v1/files/:id/content
+ */
+app.get('/v1/files/:id/content', async (req, res) => {
+    try {
+        const file = await fileStore.getFile(req.params.id, getApiKeyId(req));
+        if (!file) return sendOpenAINotFound(res, 'file', req.params.id);
+
+        res.setHeader('Content-Type', file.filename.endsWith('.jsonl') ? 'application/jsonl' : 'application/octet-stream');
+        res.setHeader('Content-Length', file.bytes);
+        const stream = fileStore.createContentStream(file.id);
+        stream.on('error', (error) => {
+            logger.error('[API] File content stream error:', error.message);
+            res.end();
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('[API] File content error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Delete a file
+ * DELETE /v1/files/:id
+ */
+app.delete('/v1/files/:id', async (req, res) => {
+    try {
+        const deleted = await fileStore.deleteFile(req.params.id, getApiKeyId(req));
+        if (!deleted) return sendOpenAINotFound(res, 'file', req.params.id);
+        res.json({ id: req.params.id, object: 'file', deleted: true });
+    } catch (error) {
+        logger.error('[API] File delete error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Create a batch from an uploaded JSONL input file
+ * POST /v1/batches
+ */
+app.post('/v1/batches', async (req, res) => {
+    try {
+        await ensureInitialized();
+        const { input_file_id, endpoint, completion_window, metadata } = req.body;
+
+        const supportedEndpoints = openaiBatchQueue.getSupportedEndpoints();
+        let validationError = null;
+        if (!input_file_id || !endpoint || !completion_window) {
+            validationError = 'input_file_id, endpoint and completion_window are required.';
+        } else if (!supportedEndpoints.includes(endpoint)) {
+            validationError = `Unsupported endpoint ${endpoint}. Supported endpoints: ${supportedEndpoints.join(', ')}.`;
+        } else if (completion_window !== '24h') {
+            validationError = 'completion_window must be "24h".';
+        }
+        if (validationError) {
+            return res.status(400).json({
+                error: {
+                    message: validationError,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        const inputFile = await fileStore.getFile(input_file_id, getApiKeyId(req));
+        if (!inputFile) return sendOpenAINotFound(res, 'file', input_file_id);
+        if (inputFile.purpose !== 'batch') {
+            return res.status(400).json({
+                error: {
+                    message: `File ${input_file_id} must have purpose "batch".`,
+                    type: 'invalid_request_error',
+                    code: 'invalid_request_error'
+                }
+            });
+        }
+
+        const batch = await openaiBatchQueue.createBatch(
+            { input_file_id, endpoint, completion_window, metadata },
+            {
+                budgetId: req.budgetId,
+                ownerId: getApiKeyId(req),
+                // Per-line models are not visible to the API key middleware
+                isModelAllowed: (model) => !req.apiKey || apiKeyManager.isModelAllowed(req.apiKey, model)
+            }
+        );
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] OpenAI batch create error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * List batches (newest first)
+ * GET /v1/batches?limit=&after=
+ */
+app.get('/v1/batches', async (req, res) => {
+    try {
+        const { limit, after } = req.query;
+        res.json(await openaiBatchQueue.listBatches({ limit, after }, getApiKeyId(req)));
+    } catch (error) {
+        logger.error('[API] OpenAI batch list error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Retrieve a batch
+ * GET /v1/batches/:id
+ */
+app.get('/v1/batches/:id', async (req, res) => {
+    try {
+        const batch = await openaiBatchQueue.getBatch(req.params.id, getApiKeyId(req));
+        if (!batch) return sendOpenAINotFound(res, 'batch', req.params.id);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] OpenAI batch retrieve error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Cancel a batch
+ * POST /v1/batches/:id/cancel
+ */
+app.post('/v1/batches/:id/cancel', async (req, res) => {
+    try {
+        const batch = await openaiBatchQueue.cancelBatch(req.params.id, getApiKeyId(req));
+        if (!batch) return sendOpenAINotFound(res, 'batch', req.params.id);
+        res.json(batch);
+    } catch (error) {
+        logger.error('[API] OpenAI batch cancel error:', error);
+        res.status(500).json({
+            error: {
+                message: error.message,
+                type: 'api_error',
+                code: 'api_error'
+            }
+        });
+    }
+});
+
+/**
+ * Google Generative AI (Gemini) embedding endpoints
+ * POST /v1beta/models/{model}:embedContent
+ * POST /v1beta/models/{model}:batchEmbedContents
+ */
+app.post(/^\/v1beta\/models\/([^/:]+):(embedContent|batchEmbedContents)$/, async (req, res) => {
+    const model = req.params[0];
+    const isBatch = req.params[1] === 'batchEmbedContents';
+
+    try {
+        await ensureInitialized();
+
+        // Per-request model fields are implied by the path
+        const requests = isBatch
+            ? (req.body?.requests || []).map(({ model: _model, ...request }) => request)
+            : [(({ model: _model, ...request }) => request)(req.body || {})];
+
+        let validationError = null;
+        if (!getModelCapabilities(model).embedding) {
+            validationError = `${model} is not an embedding model.`;
+        } else if (requests.length === 0 || requests.some(r => !Array.isArray(r.content?.parts))) {
+            validationError = isBatch ? 'requests[].content is required.' : 'content is required.';
+        }
+        if (validationError) {
+            return res.status(400).json({
+                error: {
+                    code: 400,
+                    message: validationError,
+                    status: 'INVALID_ARGUMENT'
+                }
+            });
+        }
+
+        logger.info(`[Gemini] ${req.params[1]} request for model: ${model}`);
+        const { embeddings, promptTokens } = await embedContents(model, requests, accountManager);
+        recordUsage(req, { inputTokens: promptTokens, outputTokens: 0 });
+        res.json(isBatch ? { embeddings } : { embedding: embeddings[0] });
+    } catch (error) {
+        logger.error('[Gemini] Embedding error:', error);
+        const { statusCode, errorMessage } = parseError(error);
+        res.status(statusCode).json(formatDialectError('gemini', statusCode, null, errorMessage));
+    }
+});
+
 /**
  * Google Generative AI (Gemini) API endpoints
  * POST /v1beta/models/{model}:generateContent
@@ -863,7 +2173,10 @@ app.post('/v1/responses', async (req, res) => {
 app.post('/v1beta/models/*', async (req, res) => {
     try {
         await ensureInitialized();
-        await handleGeminiGenerate(req, res, accountManager);
+        await handleGeminiGenerate(req, res, accountManager, {
+            onUsage: (usageMetadata) => recordUsage(req, usageFromGemini(usageMetadata)),
+            signal: abortOnClientDisconnect(res)
+        });
     } catch (error) {
         logger.error('[Gemini] Route error:', error);
         res.status(500).json({
@@ -0,0 +1,89 @@
+/**
+ * API Dialect Utilities
+ *
+ * The gateway speaks several client dialects (Anthropic, OpenAI Chat,
+ * OpenAI Responses, Gemini). Errors raised before a route handler runs
+ * (auth, budgets, admission control) must still be shaped the way the
+ * calling client expects, so they are formatted here based on the path.
+ */
+
+// Google RPC status names for HTTP status codes used by the gateway
+const GEMINI_STATUS = {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    429: 'RESOURCE_EXHAUSTED',
+    500: 'INTERNAL',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED'
+};
+
+/**
+ * Normalize a request path for prefix checks
+ * Express routes match case-insensitively and ignore a trailing slash, so
+ * /V1/messages/ reaches the same handler as /v1/messages. Checks made on the
+ * path before routing (keys, budgets, admission) must do the same.
+ * @param {string} requestPath - Request path, optionally with a query string
+ * @returns {string} Lowercase path without query string or trailing slash
+ */
+export function normalizeApiPath(requestPath = '') {
+    const pathOnly = requestPath.split('?')[0].toLowerCase();
+    return pathOnly.length > 1 && pathOnly.endsWith('/') ? pathOnly.slice(0, -1) : pathOnly;
+}
+
+/**
+ * Determine the API dialect of a request from its path
+ * @param {string} requestPath - Full request path (e.g. req.originalUrl)
+ * @returns {'anthropic' | 'openai' | 'responses' | 'gemini'} The dialect
+ */
+export function getApiDialect(requestPath = '') {
+    const pathOnly = normalizeApiPath(requestPath);
+    if (pathOnly.startsWith('/v1beta/')) return 'gemini';
+    if (pathOnly.startsWith('/v1/messages')) return 'anthropic';
+    if (pathOnly.startsWith('/v1/responses')) return 'responses';
+    return 'openai';
+}
+
+/**
+ * Build an error response body in the given dialect
+ * @param {string} dialect - Dialect from getApiDialect()
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorType - Anthropic/OpenAI error type (e.g. 'rate_limit_error')
+ * @param {string} message - Human-readable error message
+ * @returns {Object} Error response body
+ */
+export function formatDialectError(dialect, statusCode, errorType, message) {
+    switch (dialect) {
+        case 'anthropic':
+            return {
+                type: 'error',
+                error: { type: errorType, message }
+            };
+        case 'gemini':
+            return {
+                error: {
+                    code: statusCode,
+                    message,
+                    status: GEMINI_STATUS[statusCode] || 'UNKNOWN'
+                }
+            };
+        default:
+            return {
+                error: { message, type: errorType, code: errorType }
+            };
+    }
+}
+
+/**
+ * Send an error response shaped for the dialect of the request
+ * @param {import('express').Request} req - Express request
+ * @param {import('express').Response} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} errorType - Anthropic/OpenAI error type
+ * @param {string} message - Human-readable error message
+ */
+export function sendDialectError(req, res, statusCode, errorType, message) {
+    const dialect = getApiDialect(req.originalUrl || req.path);
+    res.status(statusCode).json(formatDialectError(dialect, statusCode, errorType, message));
+}
@@ -27,10 +27,78 @@ export function formatDuration(ms) {
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Duration to sleep in milliseconds
+ * @param {AbortSignal} [signal] - Ends the sleep early by rejecting with the abort reason
  * @returns {Promise<void>} Resolves after the specified duration
  */
-export function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Create an AbortSignal that fires when the client disconnects before the response is complete
+ * Listens on the response: since Node 16 the request's 'close' event fires as
+ * soon as its body has been read, not when the connection goes away.
+ * @param {import('express').Response} res - Express response
+ * @returns {AbortSignal}
+ */
+export function abortOnClientDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * Create an AbortController that is also aborted when a parent signal aborts
+ * Lets a group of upstream requests be canceled together (e.g. the other
+ * choices of an n>1 request once one has failed) without aborting the parent.
+ * @param {AbortSignal} signal - Parent signal
+ * @returns {AbortController}
+ */
+export function createLinkedAbortController(signal) {
+    const controller = new AbortController();
+    if (signal.aborted) {
+        controller.abort(signal.reason);
+    } else {
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller;
+}
+
+/**
+ * Write a chunk, waiting for the client to drain the socket buffer when it is full
+ * Keeps slow clients from buffering a whole generation in memory. Resolves
+ * early if the connection closes.
+ * @param {import('express').Response} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+export async function writeWithBackpressure(res, chunk) {
+    if (res.write(chunk) || res.destroyed) return;
+    await new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
 }
 
 /**
@@ -78,3 +146,33 @@ export function isRateLimitError(error) {
         msg.includes('quota_exhausted')
     );
 }
+
+/**
+ * Interleave several async iterables, yielding values as soon as any produces one
+ * If one iterable throws, the others are closed and the error is rethrown.
+ * @param {Array<AsyncIterable>} iterables - Sources to merge
+ * @yields {{index: number, value: *}} Value and the index of its source
+ */
+export async function* mergeAsyncIterables(iterables) {
+    const iterators = iterables.map(iterable => iterable[Symbol.asyncIterator]());
+    const pending = new Map();
+    const pull = (index) => iterators[index].next().then(result => ({ index, result }));
+    iterators.forEach((_, index) => pending.set(index, pull(index)));
+
+    try {
+        while (pending.size > 0) {
+            const { index, result } = await Promise.race(pending.values());
+            if (result.done) {
+                pending.delete(index);
+                continue;
+            }
+            pending.set(index, pull(index));
+            yield { index, value: result.value };
+        }
+    } finally {
+        for (const [index, promise] of pending) {
+            promise.catch(() => {});
+            iterators[index].return?.().catch(() => {});
+        }
+    }
+}
@@ -0,0 +1,30 @@
+/**
+ * Multipart Form Utilities
+ *
+ * Parses multipart/form-data uploads (OpenAI Files/Images APIs) using the
+ * WHATWG Response.formData() built into Node, so no upload middleware
+ * dependency is needed. Routes must receive the raw body via
+ * express.raw({ type: 'multipart/form-data' }).
+ */
+
+/**
+ * Check whether a request carries a multipart/form-data body
+ * @param {import('express').Request} req - Express request
+ * @returns {boolean}
+ */
+export function isMultipartRequest(req) {
+    return (req.headers['content-type'] || '').toLowerCase().startsWith('multipart/form-data');
+}
+
+/**
+ * Parse a raw multipart/form-data request body
+ * @param {import('express').Request} req - Express request with a Buffer body
+ * @returns {Promise<FormData>} Parsed form (file fields are File objects)
+ * @throws {Error} If the body is not valid multipart data
+ */
+export async function parseMultipartForm(req) {
+    const response = new Response(req.body, {
+        headers: { 'Content-Type': req.headers['content-type'] }
+    });
+    return response.formData();
+}
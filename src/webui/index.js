@@ -6,10 +6,12 @@
  * - Account management (add via OAuth, enable/disable, refresh, remove)
  * - Live server log streaming with filtering
  * - Claude CLI configuration editor
+ * - Client API key management
+ * - Budget usage reporting
  *
  * Usage in server.js:
  *   import { mountWebUI } from './webui/index.js';
- *   mountWebUI(app, __dirname, accountManager);
+ *   mountWebUI(app, __dirname, accountManager, apiKeyManager, budgetManager);
  */
 
 import path from 'path';
@@ -53,8 +55,10 @@ function createAuthMiddleware() {
  * @param {Express} app - Express application instance
  * @param {string} dirname - __dirname of the calling module (for static file path)
  * @param {AccountManager} accountManager - Account manager instance
+ * @param {ApiKeyManager} apiKeyManager - Client API key registry
+ * @param {BudgetManager} budgetManager - Per-credential budget tracker
  */
-export function mountWebUI(app, dirname, accountManager) {
+export function mountWebUI(app, dirname, accountManager, apiKeyManager, budgetManager) {
     // Apply auth middleware
     app.use(createAuthMiddleware());
 
@@ -158,6 +162,96 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    // ==========================================
+    // Client API Key Management
+    // ==========================================
+
+    /**
+     * GET /api/keys - List client API keys (without secrets)
+     */
+    app.get('/api/keys', async (req, res) => {
+        try {
+            await apiKeyManager.reloadIfChanged();
+            res.json({
+                status: 'ok',
+                enforced: apiKeyManager.isEnforced(),
+                keys: apiKeyManager.listKeys()
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/keys - Create a client API key
+     * Body: { name, allowedModels?, allowedEndpoints?, enabled? }
+     * The plaintext key is only returned in this response.
+     */
+    app.post('/api/keys', async (req, res) => {
+        try {
+            const { name, allowedModels, allowedEndpoints, enabled } = req.body;
+            if (!name || typeof name !== 'string') {
+                return res.status(400).json({ status: 'error', error: 'name is required' });
+            }
+
+            const { key, record } = await apiKeyManager.createKey({ name, allowedModels, allowedEndpoints, enabled });
+            res.json({ status: 'ok', key, record });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /api/keys/:id - Update a key's name, policies or enabled flag
+     */
+    app.patch('/api/keys/:id', async (req, res) => {
+        try {
+            const { name, allowedModels, allowedEndpoints, enabled } = req.body;
+            if (enabled !== undefined && typeof enabled !== 'boolean') {
+                return res.status(400).json({ status: 'error', error: 'enabled must be a boolean' });
+            }
+
+            const record = await apiKeyManager.updateKey(req.params.id, { name, allowedModels, allowedEndpoints, enabled });
+            if (!record) {
+                return res.status(404).json({ status: 'error', error: `Key ${req.params.id} not found` });
+            }
+            res.json({ status: 'ok', record });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/keys/:id - Revoke a key
+     */
+    app.delete('/api/keys/:id', async (req, res) => {
+        try {
+            const removed = await apiKeyManager.removeKey(req.params.id);
+            if (!removed) {
+                return res.status(404).json({ status: 'error', error: `Key ${req.params.id} not found` });
+            }
+            res.json({ status: 'ok', message: `Key ${req.params.id} removed` });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/budgets - Current budget usage and limits per credential
+     */
+    app.get('/api/budgets', async (req, res) => {
+        try {
+            await budgetManager.initialize();
+            res.json({
+                status: 'ok',
+                enabled: budgetManager.isEnabled(),
+                budgets: budgetManager.getStatus()
+            });
+        } catch (error) {
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Gateway Configuration API
     // ==========================================
@@ -15,7 +15,27 @@ const tests = [
     { name: 'Interleaved Thinking', file: 'test-interleaved-thinking.cjs' },
     { name: 'Image Support', file: 'test-images.cjs' },
     { name: 'Prompt Caching', file: 'test-caching-streaming.cjs' },
-    { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' }
+    { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' },
+    { name: 'Tool Choice', file: 'test-tool-choice.cjs' },
+    { name: 'Stream Failover', file: 'test-stream-failover.cjs' },
+    { name: 'Admission Control', file: 'test-admission.cjs' },
+    { name: 'Endpoint Health', file: 'test-endpoint-health.cjs' },
+    { name: 'Upstream Providers', file: 'test-providers.cjs' },
+    { name: 'Cassette Record/Replay', file: 'test-cassettes.cjs' },
+    { name: 'Mock Upstream', file: 'test-mock-upstream.cjs' },
+    { name: 'Metrics', file: 'test-metrics.cjs' },
+    { name: 'API Keys', file: 'test-api-keys.cjs' },
+    { name: 'Budgets', file: 'test-budgets.cjs' },
+    { name: 'Batch Ownership', file: 'test-batches.cjs' },
+    { name: 'Stored Responses', file: 'test-response-store.cjs' },
+    { name: 'Model Limits', file: 'test-model-limits.cjs' },
+    { name: 'Structured Output', file: 'test-structured-output.cjs' },
+    { name: 'Chat Choices', file: 'test-chat-choices.cjs' },
+    { name: 'Tool Names', file: 'test-tool-names.cjs' },
+    { name: 'Token Counter', file: 'test-token-counter.cjs' },
+    { name: 'Fallback Config', file: 'test-fallback-config.cjs' },
+    { name: 'Model Mapping', file: 'test-model-mapping.cjs' },
+    { name: 'Completions', file: 'test-completions.cjs' }
 ];
 
 async function runTest(test) {
@@ -0,0 +1,276 @@
+/**
+ * Admission Control Unit Tests
+ *
+ * Tests the admission queue in front of generation requests: per-model and
+ * per-account concurrency limits, priority then FIFO ordering, queue bounds,
+ * timeouts, client disconnects and waiting out rate limits.
+ *
+ * A fake account pool is used; no server or accounts are needed.
+ *
+ * Run: node tests/test-admission.cjs
+ */
+
+const MODEL = 'gemini-2.5-flash';
+const OTHER_MODEL = 'claude-sonnet-4-5';
+
+/**
+ * Minimal account pool: `count` accounts, optionally rate-limited for a model,
+ * with upstream requests in flight per account (`inFlight`)
+ */
+function createAccountManager(count = 1) {
+    const accounts = Array.from({ length: count }, (_, i) => ({ email: `account${i}@example.com`, modelRateLimits: {} }));
+    const isLimited = (account, model) => account.modelRateLimits[model]?.resetTime > Date.now();
+    const inFlight = new Map();
+    return {
+        accounts,
+        inFlight,
+        getInFlightCount: (email) => inFlight.get(email) || 0,
+        getAccountCount: () => accounts.length,
+        getInvalidAccounts: () => [],
+        getAllAccounts: () => accounts,
+        getAvailableAccounts: (model) => accounts.filter(account => !isLimited(account, model)),
+        clearExpiredLimits: () => 0
+    };
+}
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ADMISSION CONTROL UNIT TESTS');
+    console.log('Testing: concurrency limits, queue ordering, timeouts');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { AdmissionController } = await import('../src/admission/index.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Create a controller over a fake pool with the given admission config
+     */
+    function createController(admissionConfig, accountManager = createAccountManager()) {
+        return new AdmissionController(accountManager, { getAdmissionConfig: () => admissionConfig });
+    }
+
+    console.log('--- Concurrency limits ---');
+
+    await test('Unlimited by default', async () => {
+        const controller = createController({});
+        const admitted = await Promise.all([1, 2, 3].map(() => controller.acquire(MODEL)));
+        return { passed: admitted.every(r => r.admitted), message: `inFlight=${JSON.stringify(controller.getStatus().inFlight)}` };
+    });
+
+    await test('Per-model limit queues the excess until a slot is released', async () => {
+        const controller = createController({ maxConcurrentPerModel: 1 });
+        const first = await controller.acquire(MODEL);
+        let secondResult = null;
+        const second = controller.acquire(MODEL).then(r => (secondResult = r));
+        await tick();
+        const queuedBefore = controller.getStatus().queued;
+        first.release();
+        await second;
+        return {
+            passed: queuedBefore === 1 && secondResult.admitted && controller.getStatus().queued === 0,
+            message: `queued before release=${queuedBefore}, admitted after=${secondResult.admitted}`
+        };
+    });
+
+    await test('Per-model override applies to that model only', async () => {
+        const controller = createController({ models: { [MODEL]: 1 } });
+        await controller.acquire(MODEL);
+        const other = await controller.acquire(OTHER_MODEL);
+        let queued = false;
+        controller.acquire(MODEL).then(() => {});
+        await tick();
+        queued = controller.getStatus().queued === 1;
+        return { passed: other.admitted && queued, message: `other model admitted=${other.admitted}, same model queued=${queued}` };
+    });
+
+    await test('Per-account limit scales with usable accounts', async () => {
+        const controller = createController({ maxConcurrentPerAccount: 2 }, createAccountManager(2));
+        const admitted = await Promise.all([1, 2, 3, 4].map(() => controller.acquire(MODEL)));
+        controller.acquire(MODEL).then(() => {});
+        await tick();
+        return {
+            passed: admitted.every(r => r.admitted) && controller.getStatus().queued === 1,
+            message: `admitted=${admitted.length}, queued=${controller.getStatus().queued}`
+        };
+    });
+
+    await test('Per-account limit counts requests of every model', async () => {
+        const controller = createController({ maxConcurrentPerAccount: 2 }, createAccountManager(1));
+        const admitted = await Promise.all([controller.acquire(MODEL), controller.acquire(MODEL)]);
+        let otherResult = null;
+        controller.acquire(OTHER_MODEL).then(r => (otherResult = r));
+        await tick();
+        const queuedBefore = controller.getStatus().queued;
+        admitted[0].release();
+        await tick();
+        return {
+            passed: queuedBefore === 1 && otherResult?.admitted === true,
+            message: `queued before release=${queuedBefore}, other model admitted after=${otherResult?.admitted}`
+        };
+    });
+
+    await test('Requests wait while every account is saturated', async () => {
+        const accountManager = createAccountManager(2);
+        const controller = createController({ maxConcurrentPerAccount: 1 }, accountManager);
+        // Both accounts are busy with requests that did not go through admission
+        for (const account of accountManager.accounts) accountManager.inFlight.set(account.email, 1);
+        let result = null;
+        controller.acquire(MODEL).then(r => (result = r));
+        await tick(50);
+        const waiting = result === null && controller.getStatus().queued === 1;
+        accountManager.inFlight.delete('account1@example.com');
+        await tick(1100); // Periodic re-check
+        return {
+            passed: waiting && result?.admitted === true && controller.getStatus().queued === 0,
+            message: `waited while saturated=${waiting}, admitted once a slot freed=${result?.admitted}`
+        };
+    });
+
+    await test('Requests admitted but not yet sent hold their account slot', async () => {
+        const accountManager = createAccountManager(2);
+        const controller = createController({ maxConcurrentPerAccount: 1 }, accountManager);
+        const first = await controller.acquire(MODEL);
+        // The first request reaches account0; one slot is left on account1
+        accountManager.inFlight.set('account0@example.com', 1);
+        const second = await controller.acquire(MODEL);
+        controller.acquire(MODEL).then(() => {});
+        await tick();
+        const queued = controller.getStatus().queued;
+        first.release();
+        second.release();
+        return { passed: second.admitted && queued === 1, message: `queued=${queued}` };
+    });
+
+    console.log('\n--- Queue ordering ---');
+
+    await test('Higher priority is admitted first, then arrival order', async () => {
+        const controller = createController({ maxConcurrentPerModel: 1 });
+        const holder = await controller.acquire(MODEL);
+        const order = [];
+        const waiters = [
+            ['low-1', 0], ['high', 5], ['low-2', 0]
+        ].map(([name, priority]) => controller.acquire(MODEL, { priority }).then(r => {
+            order.push(name);
+            r.release();
+        }));
+        await tick();
+        const positions = controller.getStatus().queue.map(q => q.priority).join(',');
+        holder.release();
+        await Promise.all(waiters);
+        return {
+            passed: order.join(',') === 'high,low-1,low-2' && positions === '5,0,0',
+            message: `queue priorities=${positions}, admitted order=${order.join(',')}`
+        };
+    });
+
+    await test('Priority header can lower but not raise the key priority', () => {
+        const controller = createController({ defaultPriority: 0, priorities: { key_vip: 10 } });
+        const values = [
+            controller.getPriority('key_vip', undefined),
+            controller.getPriority('key_vip', '3'),
+            controller.getPriority('key_other', '50'),
+            controller.getPriority('key_other', '-5')
+        ];
+        return { passed: values.join(',') === '10,3,0,-5', message: `priorities=${values.join(',')}` };
+    });
+
+    console.log('\n--- Rejections ---');
+
+    await test('Full queue rejects with 503 overloaded_error', async () => {
+        const controller = createController({ maxConcurrentPerModel: 1, maxQueueSize: 1 });
+        await controller.acquire(MODEL);
+        controller.acquire(MODEL).then(() => {});
+        const rejected = await controller.acquire(MODEL);
+        return {
+            passed: !rejected.admitted && rejected.statusCode === 503 && rejected.errorType === 'overloaded_error' && rejected.retryAfterSeconds > 0,
+            message: `status=${rejected.statusCode}, type=${rejected.errorType}`
+        };
+    });
+
+    await test('Queue timeout rejects with 503 and leaves the queue', async () => {
+        const controller = createController({ maxConcurrentPerModel: 1, queueTimeoutMs: 50 });
+        await controller.acquire(MODEL);
+        const timedOut = await controller.acquire(MODEL);
+        return {
+            passed: !timedOut.admitted && timedOut.statusCode === 503 && controller.getStatus().queued === 0,
+            message: `status=${timedOut.statusCode}, message=${timedOut.message}`
+        };
+    });
+
+    await test('Client disconnect leaves the queue', async () => {
+        const controller = createController({ maxConcurrentPerModel: 1 });
+        await controller.acquire(MODEL);
+        const abortController = new AbortController();
+        const waiting = controller.acquire(MODEL, { signal: abortController.signal });
+        await tick();
+        abortController.abort();
+        const result = await waiting;
+        return { passed: !result.admitted && controller.getStatus().queued === 0, message: `queued=${controller.getStatus().queued}` };
+    });
+
+    console.log('\n--- Rate-limited pools ---');
+
+    await test('Waits for a rate limit that resets within the timeout', async () => {
+        const accountManager = createAccountManager(1);
+        accountManager.accounts[0].modelRateLimits[MODEL] = { isRateLimited: true, resetTime: Date.now() + 1200 };
+        const controller = createController({ queueTimeoutMs: 5000 }, accountManager);
+        const start = Date.now();
+        const result = await controller.acquire(MODEL);
+        const waited = Date.now() - start;
+        return { passed: result.admitted && waited >= 1000, message: `waited=${waited}ms` };
+    });
+
+    await test('Passes through when the reset is later than the timeout', async () => {
+        const accountManager = createAccountManager(1);
+        accountManager.accounts[0].modelRateLimits[MODEL] = { isRateLimited: true, resetTime: Date.now() + 60000 };
+        const controller = createController({ queueTimeoutMs: 1000 }, accountManager);
+        const result = await controller.acquire(MODEL);
+        return { passed: result.admitted && controller.getStatus().queued === 0, message: 'handler reports the quota error' };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
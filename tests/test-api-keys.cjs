@@ -0,0 +1,234 @@
+/**
+ * API Key Tests
+ *
+ * Tests the client API key registry (hashed storage, model patterns,
+ * endpoint prefixes) and the enforcement middleware, including paths whose
+ * case differs from the route (Express matches routes case-insensitively,
+ * so /V1/messages must be checked like /v1/messages).
+ *
+ * The registry lives in a temporary file and requests go to a small
+ * in-process express app; no accounts or network are needed.
+ *
+ * Run: node tests/test-api-keys.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('API KEY TESTS');
+    console.log('Testing: key registry, policies, enforcement middleware');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { ApiKeyManager, hashApiKey } = await import('../src/api-keys/index.js');
+    const { createApiKeyMiddleware } = await import('../src/api-keys/middleware.js');
+    const { getApiDialect } = await import('../src/utils/api-dialect.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agw-api-keys-'));
+    const registryPath = path.join(tmpDir, 'api-keys.json');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const manager = new ApiKeyManager(registryPath);
+    await manager.initialize();
+
+    console.log('--- Registry ---');
+
+    const open = await manager.createKey({ name: 'open' });
+    const limited = await manager.createKey({
+        name: 'limited',
+        allowedModels: 'gemini-*, claude-sonnet-4-5',
+        allowedEndpoints: ['/v1/messages', '/v1beta']
+    });
+    const removed = await manager.createKey({ name: 'removed' });
+
+    await test('Keys are stored hashed, never in plaintext', async () => {
+        const stored = fs.readFileSync(registryPath, 'utf8');
+        const record = JSON.parse(stored).keys.find(k => k.id === open.record.id);
+        return {
+            passed: !stored.includes(open.key) && record.keyHash === hashApiKey(open.key) &&
+                record.keyHash.length === 64 && open.record.keyHash === undefined,
+            message: `prefix=${record.prefix}`
+        };
+    });
+
+    await test('Credentials are looked up by hash', async () => {
+        const found = manager.findByCredential(limited.key);
+        return {
+            passed: found?.id === limited.record.id && manager.findByCredential('agw-unknown') === null &&
+                manager.findByCredential('') === null && found.keyHash === undefined
+        };
+    });
+
+    await test('Registry changes on disk are picked up', async () => {
+        const other = new ApiKeyManager(registryPath);
+        await other.initialize();
+        await other.removeKey(removed.record.id);
+        // Keep the mtime from matching when the write lands in the same tick
+        const later = new Date(Date.now() + 2000);
+        fs.utimesSync(registryPath, later, later);
+        const reloaded = await manager.reloadIfChanged();
+        const ids = manager.listKeys().map(k => k.id);
+        return { passed: reloaded && !ids.includes(removed.record.id) && ids.length === 2 };
+    });
+
+    await test('Model patterns support wildcards, case and aliases', async () => {
+        const record = manager.getKey(limited.record.id);
+        const checks = {
+            'gemini-3-flash': true,
+            'GEMINI-2.5-pro': true,
+            'claude-sonnet-4-5': true,
+            'claude-sonnet-4-5-thinking': false,
+            'claude-opus-4-5-thinking': false
+        };
+        const wrong = Object.entries(checks).filter(([model, expected]) => manager.isModelAllowed(record, model) !== expected);
+        const openRecord = manager.getKey(open.record.id);
+        return {
+            passed: wrong.length === 0 && manager.isModelAllowed(openRecord, 'anything'),
+            message: wrong.length ? `wrong: ${wrong.map(([m]) => m).join(', ')}` : undefined
+        };
+    });
+
+    await test('Endpoint entries are path prefixes on segment boundaries', async () => {
+        const record = manager.getKey(limited.record.id);
+        const checks = {
+            '/v1/messages': true,
+            '/v1/messages/batches': true,
+            '/v1/messages/': true,
+            '/V1/Messages': true,
+            '/v1/messagesx': false,
+            '/v1beta/models/gemini-3-flash:generateContent': true,
+            '/v1/chat/completions': false
+        };
+        const wrong = Object.entries(checks).filter(([p, expected]) => manager.isEndpointAllowed(record, p) !== expected);
+        return { passed: wrong.length === 0, message: wrong.length ? `wrong: ${wrong.map(([p]) => p).join(', ')}` : undefined };
+    });
+
+    await test('Error dialect ignores path case', async () => {
+        const dialects = ['/V1/messages', '/v1/Responses', '/V1BETA/models/x:generateContent', '/v1/Chat/completions'].map(getApiDialect);
+        return { passed: dialects.join(',') === 'anthropic,responses,gemini,openai', message: dialects.join(',') };
+    });
+
+    console.log('\n--- Middleware ---');
+
+    const app = express();
+    app.use(express.json());
+    app.use(createApiKeyMiddleware(manager));
+    app.post('/v1/messages', (req, res) => res.json({ ok: true, key: req.apiKey?.name || null }));
+    app.post('/v1/chat/completions', (req, res) => res.json({ ok: true, key: req.apiKey?.name || null }));
+    app.post('/v1beta/models/:action', (req, res) => res.json({ ok: true, key: req.apiKey?.name || null }));
+    app.get('/health', (req, res) => res.json({ ok: true }));
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, () => resolve(s));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    /**
+     * POST a JSON body with an optional key
+     */
+    async function post(urlPath, { key, body = { model: 'gemini-3-flash' } } = {}) {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(key ? { 'x-api-key': key } : {}) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    await test('Requests without a key are rejected in the client dialect', async () => {
+        const anthropic = await post('/v1/messages');
+        const gemini = await post('/v1beta/models/gemini-3-flash:generateContent');
+        return {
+            passed: anthropic.status === 401 && anthropic.body.type === 'error' &&
+                gemini.status === 401 && gemini.body.error.status === 'UNAUTHENTICATED'
+        };
+    });
+
+    await test('Mixed-case and trailing-slash paths are enforced too', async () => {
+        const statuses = [];
+        for (const urlPath of ['/V1/messages', '/v1/Messages', '/v1/messages/', '/V1BETA/models/gemini-3-flash:generateContent', '/V1/CHAT/COMPLETIONS']) {
+            const result = await post(urlPath);
+            statuses.push(`${urlPath}=${result.status}`);
+            if (result.status !== 401) return { passed: false, message: statuses.join(', ') };
+        }
+        const anthropic = await post('/V1/Messages');
+        return { passed: anthropic.body.type === 'error', message: statuses.join(', ') };
+    });
+
+    await test('Valid keys pass and are attached to the request', async () => {
+        const result = await post('/V1/messages', { key: open.key });
+        return { passed: result.status === 200 && result.body.key === 'open', message: JSON.stringify(result.body) };
+    });
+
+    await test('Unknown and disabled keys are rejected', async () => {
+        const unknown = await post('/v1/messages', { key: 'agw-nope' });
+        const { key } = await manager.createKey({ name: 'off', enabled: false });
+        const off = await post('/v1/messages', { key });
+        return { passed: unknown.status === 401 && off.status === 403 };
+    });
+
+    await test('Endpoint and model policies apply whatever the path case', async () => {
+        const endpoint = await post('/V1/CHAT/completions', { key: limited.key });
+        const model = await post('/V1/Messages', { key: limited.key, body: { model: 'claude-opus-4-5-thinking' } });
+        const geminiModel = await post('/V1BETA/models/claude-opus-4-5-thinking:generateContent', { key: limited.key });
+        const allowed = await post('/v1/messages', { key: limited.key, body: { model: 'claude-sonnet-4-5' } });
+        return {
+            passed: endpoint.status === 403 && model.status === 403 && geminiModel.status === 403 && allowed.status === 200,
+            message: `endpoint=${endpoint.status}, model=${model.status}, gemini=${geminiModel.status}, allowed=${allowed.status}`
+        };
+    });
+
+    await test('Routes outside /v1 and /v1beta stay open', async () => {
+        const response = await fetch(`${baseUrl}/health`);
+        return { passed: response.status === 200 };
+    });
+
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,376 @@
+/**
+ * Batch Ownership Tests
+ *
+ * Tests that message batches, OpenAI batches and files belong to the API
+ * key that created them: other keys (and requests without a key) can't
+ * list, retrieve, download, cancel or delete them. Output files of an
+ * OpenAI batch belong to the batch's owner. Each batch request is checked
+ * against the creator's budget before it runs, and a batch whose stored
+ * requests can't be read fails without blocking the batches behind it.
+ * Embedding batch requests are only run for embedding models.
+ *
+ * Batches and files are stored in a temporary directory and run through a
+ * fake message sender; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-batches.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('BATCH OWNERSHIP TESTS');
+    console.log('Testing: batches and files scoped to the creating API key');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { MessageBatchQueue, OpenAIBatchQueue } = await import('../src/batches/index.js');
+    const { FileStore } = await import('../src/files/index.js');
+    const { BudgetManager } = await import('../src/budgets/index.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agw-batches-'));
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    // Account pool that is never rate-limited
+    const accountManager = {
+        isAllRateLimited: () => false,
+        getMinWaitTimeMs: () => 0,
+        clearExpiredLimits: () => {}
+    };
+
+    // Message sender that answers immediately, or waits until released
+    let release = null;
+    const sendMessage = async (request) => {
+        if (request.messages[0].content === 'hold') {
+            await new Promise(resolve => { release = resolve; });
+        }
+        return {
+            id: 'msg_test', type: 'message', role: 'assistant', model: request.model,
+            content: [{ type: 'text', text: 'ok' }], stop_reason: 'end_turn',
+            usage: { input_tokens: 1, output_tokens: 1 }
+        };
+    };
+
+    const queue = new MessageBatchQueue(accountManager, { baseDir: path.join(tmpDir, 'message-batches'), sendMessage });
+    await queue.initialize();
+
+    const request = (customId, content = 'hi') => ({
+        custom_id: customId,
+        params: { model: 'gemini-3-flash', max_tokens: 16, messages: [{ role: 'user', content }] }
+    });
+
+    /**
+     * Wait until a batch has ended
+     */
+    async function waitForEnd(id, ownerId, batchQueue = queue) {
+        for (let i = 0; i < 100; i++) {
+            const batch = await batchQueue.getBatch(id, ownerId);
+            if (batch?.processing_status === 'ended') return batch;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        throw new Error(`Batch ${id} did not end`);
+    }
+
+    const ownBatch = await queue.createBatch([request('a')], { ownerId: 'key_a' });
+    const otherBatch = await queue.createBatch([request('b')], { ownerId: 'key_b' });
+    const openBatch = await queue.createBatch([request('c')]);
+    await waitForEnd(ownBatch.id, 'key_a');
+    await waitForEnd(otherBatch.id, 'key_b');
+    await waitForEnd(openBatch.id, null);
+
+    console.log('--- Message batches ---');
+
+    await test('Listing only returns the caller\'s batches', async () => {
+        const forA = (await queue.listBatches({}, 'key_a')).data.map(b => b.id);
+        const forB = (await queue.listBatches({}, 'key_b')).data.map(b => b.id);
+        const withoutKey = (await queue.listBatches({})).data.map(b => b.id);
+        return {
+            passed: forA.join() === ownBatch.id && forB.join() === otherBatch.id && withoutKey.join() === openBatch.id,
+            message: `key_a=${forA.length}, key_b=${forB.length}, none=${withoutKey.length}`
+        };
+    });
+
+    await test('Another key\'s batch is not found', async () => {
+        const asOther = await queue.getBatch(ownBatch.id, 'key_b');
+        const withoutKey = await queue.getBatch(ownBatch.id);
+        const asOwner = await queue.getBatch(ownBatch.id, 'key_a');
+        return { passed: asOther === null && withoutKey === null && asOwner?.id === ownBatch.id };
+    });
+
+    await test('Batches are not exposed with their owner', async () => {
+        const batch = await queue.getBatch(ownBatch.id, 'key_a');
+        return { passed: !Object.keys(batch).some(key => key.startsWith('_')) };
+    });
+
+    await test('Another key can\'t read the results', async () => {
+        const asOther = await queue.getResultsStream(ownBatch.id, 'key_b');
+        const asOwner = await queue.getResultsStream(ownBatch.id, 'key_a');
+        const lines = await new Promise((resolve, reject) => {
+            let data = '';
+            asOwner.on('data', chunk => { data += chunk; });
+            asOwner.on('end', () => resolve(data.trim().split('\n')));
+            asOwner.on('error', reject);
+        });
+        return { passed: asOther === 'not_found' && lines.length === 1 && JSON.parse(lines[0]).custom_id === 'a' };
+    });
+
+    await test('Another key can\'t cancel a batch', async () => {
+        const held = await queue.createBatch([request('held', 'hold'), request('next')], { ownerId: 'key_a' });
+        while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+        const asOther = await queue.cancelBatch(held.id, 'key_b');
+        const stillRunning = (await queue.getBatch(held.id, 'key_a')).processing_status;
+        const asOwner = await queue.cancelBatch(held.id, 'key_a');
+        release();
+        const ended = await waitForEnd(held.id, 'key_a');
+        return {
+            passed: asOther === null && stillRunning === 'in_progress' && asOwner.processing_status === 'canceling' &&
+                ended.request_counts.succeeded === 1 && ended.request_counts.canceled === 1,
+            message: JSON.stringify(ended.request_counts)
+        };
+    });
+
+    await test('Another key can\'t delete a batch', async () => {
+        const asOther = await queue.deleteBatch(ownBatch.id, 'key_b');
+        const kept = await queue.getBatch(ownBatch.id, 'key_a');
+        const asOwner = await queue.deleteBatch(ownBatch.id, 'key_a');
+        return { passed: asOther === 'not_found' && kept !== null && asOwner === 'deleted' };
+    });
+
+    await test('Owners survive a restart', async () => {
+        const restarted = new MessageBatchQueue(accountManager, { baseDir: path.join(tmpDir, 'message-batches'), sendMessage });
+        await restarted.initialize();
+        const asOther = await restarted.getBatch(otherBatch.id, 'key_a');
+        const asOwner = await restarted.getBatch(otherBatch.id, 'key_b');
+        return { passed: asOther === null && asOwner?.id === otherBatch.id };
+    });
+
+    console.log('\n--- Budgets ---');
+
+    /**
+     * Queue whose batches are checked against the given budget limits
+     */
+    async function createBudgetedQueue(dir, limits) {
+        const budgetManager = new BudgetManager({ usagePath: path.join(tmpDir, `${dir}.json`), getBudgetConfig: () => ({ default: limits }) });
+        await budgetManager.initialize();
+        let sent = 0;
+        const budgetedQueue = new MessageBatchQueue(accountManager, {
+            baseDir: path.join(tmpDir, dir),
+            budgetManager,
+            onUsage: (budgetId, usage) => budgetManager.recordUsage(budgetId, { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens }),
+            sendMessage: async (request) => {
+                sent++;
+                return sendMessage(request);
+            }
+        });
+        await budgetedQueue.initialize();
+        return { budgetedQueue, budgetManager, getSent: () => sent };
+    }
+
+    await test('A batch stops running at a hard token limit', async () => {
+        const { budgetedQueue, budgetManager, getSent } = await createBudgetedQueue('budget-tokens', { tokensPerDay: 2 });
+        const batch = await budgetedQueue.createBatch([request('one'), request('two'), request('three')], { budgetId: 'key_a' });
+        const ended = await waitForEnd(batch.id, null, budgetedQueue);
+        const stream = await budgetedQueue.getResultsStream(batch.id);
+        const results = await new Promise((resolve, reject) => {
+            let data = '';
+            stream.on('data', chunk => { data += chunk; });
+            stream.on('end', () => resolve(data.trim().split('\n').map(line => JSON.parse(line))));
+            stream.on('error', reject);
+        });
+        budgetManager.flushSync();
+        const errorTypes = results.slice(1).map(r => r.result.error?.error.type);
+        return {
+            passed: getSent() === 1 && ended.request_counts.succeeded === 1 && ended.request_counts.errored === 2 &&
+                errorTypes.every(type => type === 'rate_limit_error'),
+            message: `sent=${getSent()}, counts=${JSON.stringify(ended.request_counts)}`
+        };
+    });
+
+    await test('A batch waits at the hard per-minute request limit', async () => {
+        const { budgetedQueue, budgetManager, getSent } = await createBudgetedQueue('budget-requests', { requestsPerMinute: 1 });
+        const batch = await budgetedQueue.createBatch([request('one'), request('two')], { budgetId: 'key_a' });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const waiting = await budgetedQueue.getBatch(batch.id);
+        const sentWhileWaiting = getSent();
+        await budgetedQueue.cancelBatch(batch.id);
+        const ended = await waitForEnd(batch.id, null, budgetedQueue);
+        budgetManager.flushSync();
+        return {
+            passed: sentWhileWaiting === 1 && waiting.processing_status === 'in_progress' &&
+                ended.request_counts.succeeded === 1 && ended.request_counts.canceled === 1,
+            message: `sent=${sentWhileWaiting}, counts=${JSON.stringify(ended.request_counts)}`
+        };
+    });
+
+    console.log('\n--- Unreadable batches ---');
+
+    await test('Batches with missing or corrupt requests fail and the queue moves on', async () => {
+        const baseDir = path.join(tmpDir, 'unreadable');
+        // Pool that stays exhausted, so the first queue stores the batches without running them
+        const exhausted = { ...accountManager, isAllRateLimited: () => true, getMinWaitTimeMs: () => 60 * 1000 };
+        const stopped = new MessageBatchQueue(exhausted, { baseDir, sendMessage });
+        await stopped.initialize();
+        const corrupt = await stopped.createBatch([request('a'), request('b')]);
+        const missing = await stopped.createBatch([request('c')]);
+        const healthy = await stopped.createBatch([request('d')]);
+        fs.writeFileSync(path.join(baseDir, corrupt.id, 'requests.jsonl'), '{"custom_id": "a", "par');
+        fs.rmSync(path.join(baseDir, missing.id, 'requests.jsonl'));
+
+        const restarted = new MessageBatchQueue(accountManager, { baseDir, sendMessage });
+        await restarted.initialize();
+        const ended = [];
+        for (const batch of [corrupt, missing, healthy]) {
+            ended.push(await waitForEnd(batch.id, null, restarted));
+        }
+        const [corruptEnd, missingEnd, healthyEnd] = ended.map(b => b.request_counts);
+        return {
+            passed: corruptEnd.errored === 2 && corruptEnd.processing === 0 && missingEnd.errored === 1 &&
+                healthyEnd.succeeded === 1,
+            message: ended.map(b => JSON.stringify(b.request_counts)).join(' ')
+        };
+    });
+
+    console.log('\n--- Files ---');
+
+    const fileStore = new FileStore(path.join(tmpDir, 'files'));
+    const input = JSON.stringify({
+        custom_id: 'x', method: 'POST', url: '/v1/chat/completions',
+        body: { model: 'gemini-3-flash', messages: [{ role: 'user', content: 'hi' }] }
+    });
+    const ownFile = await fileStore.createFile({ filename: 'in.jsonl', purpose: 'batch', content: input, ownerId: 'key_a' });
+    const openFile = await fileStore.createFile({ filename: 'open.jsonl', purpose: 'batch', content: input });
+
+    await test('Files are listed and retrieved only by their owner', async () => {
+        const forA = (await fileStore.listFiles({}, 'key_a')).data.map(f => f.id);
+        const forB = (await fileStore.listFiles({}, 'key_b')).data;
+        const withoutKey = (await fileStore.listFiles({})).data.map(f => f.id);
+        const asOther = await fileStore.getFile(ownFile.id, 'key_b');
+        const asOwner = await fileStore.getFile(ownFile.id, 'key_a');
+        return {
+            passed: forA.join() === ownFile.id && forB.length === 0 && withoutKey.join() === openFile.id &&
+                asOther === null && asOwner?.id === ownFile.id && !('_ownerId' in asOwner) && !('_ownerId' in ownFile),
+            message: `key_a=${forA.length}, key_b=${forB.length}, none=${withoutKey.length}`
+        };
+    });
+
+    await test('Another key can\'t delete a file', async () => {
+        const asOther = await fileStore.deleteFile(ownFile.id, 'key_b');
+        const kept = await fileStore.getFile(ownFile.id, 'key_a');
+        const restarted = new FileStore(path.join(tmpDir, 'files'));
+        const afterRestart = await restarted.getFile(ownFile.id, 'key_b');
+        return { passed: asOther === false && kept !== null && afterRestart === null };
+    });
+
+    console.log('\n--- OpenAI batches ---');
+
+    const openaiQueue = new OpenAIBatchQueue(accountManager, fileStore, { baseDir: path.join(tmpDir, 'openai-batches'), sendMessage });
+    await openaiQueue.initialize();
+    const openaiBatch = await openaiQueue.createBatch(
+        { input_file_id: ownFile.id, endpoint: '/v1/chat/completions', completion_window: '24h' },
+        { ownerId: 'key_a' }
+    );
+    let finished = null;
+    for (let i = 0; i < 100 && !finished; i++) {
+        const batch = await openaiQueue.getBatch(openaiBatch.id, 'key_a');
+        if (batch.status === 'completed') finished = batch;
+        else await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    await test('OpenAI batches are listed, retrieved and canceled only by their owner', async () => {
+        const forA = (await openaiQueue.listBatches({}, 'key_a')).data.map(b => b.id);
+        const forB = (await openaiQueue.listBatches({}, 'key_b')).data;
+        const asOther = await openaiQueue.getBatch(openaiBatch.id, 'key_b');
+        const cancelAsOther = await openaiQueue.cancelBatch(openaiBatch.id, 'key_b');
+        return {
+            passed: forA.join() === openaiBatch.id && forB.length === 0 && asOther === null && cancelAsOther === null &&
+                finished?.output_file_id
+        };
+    });
+
+    await test('Output files belong to the batch owner', async () => {
+        const asOwner = await fileStore.getFile(finished.output_file_id, 'key_a');
+        const asOther = await fileStore.getFile(finished.output_file_id, 'key_b');
+        const withoutKey = await fileStore.getFile(finished.output_file_id);
+        const content = (await fileStore.readContent(finished.output_file_id)).toString('utf-8');
+        return {
+            passed: asOwner?.purpose === 'batch_output' && asOther === null && withoutKey === null &&
+                JSON.parse(content).custom_id === 'x'
+        };
+    });
+
+    await test('Embedding batch requests for non-embedding models are rejected', async () => {
+        const embedded = [];
+        const embedContents = async (model, requests) => {
+            embedded.push(model);
+            return { embeddings: requests.map(() => ({ values: [0.1, 0.2] })), promptTokens: 1 };
+        };
+        const lines = ['gemini-embedding-001', 'gemini-3-flash'].map((model, i) => JSON.stringify({
+            custom_id: `e${i}`, method: 'POST', url: '/v1/embeddings', body: { model, input: 'hi' }
+        }));
+        const embeddingFile = await fileStore.createFile({ filename: 'embed.jsonl', purpose: 'batch', content: lines.join('\n') });
+        const embeddingQueue = new OpenAIBatchQueue(accountManager, fileStore, { baseDir: path.join(tmpDir, 'embedding-batches'), embedContents });
+        await embeddingQueue.initialize();
+        const batch = await embeddingQueue.createBatch({ input_file_id: embeddingFile.id, endpoint: '/v1/embeddings', completion_window: '24h' });
+        let ended = null;
+        for (let i = 0; i < 100 && !ended; i++) {
+            const current = await embeddingQueue.getBatch(batch.id);
+            if (current.status === 'completed') ended = current;
+            else await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const [rejected] = (await fileStore.readContent(ended.error_file_id)).toString('utf-8').trim().split('\n').map(line => JSON.parse(line));
+        const { error } = rejected.response.body;
+        return {
+            passed: embedded.join() === 'gemini-embedding-001' && ended.request_counts.completed === 1 &&
+                rejected.custom_id === 'e1' && rejected.response.status_code === 400 &&
+                error.type === 'invalid_request_error' && error.message.endsWith('gemini-3-flash is not an embedding model.'),
+            message: `${JSON.stringify(ended.request_counts)} ${error.message}`
+        };
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,226 @@
+/**
+ * Budget Tests
+ *
+ * Tests per-credential budgets: window rollover, hard and soft limits,
+ * persistence of the counters (including the synchronous flush on exit),
+ * pruning of credentials from past months, and the budget middleware on
+ * paths whose case differs from the route.
+ *
+ * Counters live in a temporary file and the clock is simulated; no server,
+ * accounts or network are needed.
+ *
+ * Run: node tests/test-budgets.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('BUDGET TESTS');
+    console.log('Testing: windows, limits, persistence, middleware');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { BudgetManager } = await import('../src/budgets/index.js');
+    const { createBudgetMiddleware } = await import('../src/budgets/middleware.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agw-budgets-'));
+    let fileIndex = 0;
+    const newUsagePath = () => path.join(tmpDir, `usage-${++fileIndex}.json`);
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Budget manager on a simulated clock
+     */
+    async function createManager(budgets, { usagePath = newUsagePath(), start = Date.UTC(2026, 0, 15, 12, 0, 30) } = {}) {
+        const clock = { now: start };
+        const manager = new BudgetManager({ usagePath, getBudgetConfig: () => budgets, now: () => clock.now });
+        await manager.initialize();
+        return { manager, clock, usagePath };
+    }
+
+    console.log('--- Limits and windows ---');
+
+    await test('Requests over the hard per-minute limit are rejected until the minute rolls over', async () => {
+        const { manager, clock } = await createManager({ default: { requestsPerMinute: 2 } });
+        manager.recordRequest('key_a');
+        manager.recordRequest('key_a');
+        const rejected = manager.checkRequest('key_a');
+        const other = manager.checkRequest('key_b');
+        clock.now += 30 * 1000;
+        const nextMinute = manager.checkRequest('key_a');
+        manager.flushSync();
+        return {
+            passed: !rejected.allowed && rejected.limit === 'requestsPerMinute' && rejected.retryAfterSeconds === 30 &&
+                other.allowed && nextMinute.allowed,
+            message: rejected.message
+        };
+    });
+
+    await test('Token limits count input and output over the day and month', async () => {
+        const { manager, clock } = await createManager({ default: { tokensPerDay: 1000, tokensPerMonth: 1500 } });
+        manager.recordUsage('key_a', { inputTokens: 600, outputTokens: 400 });
+        const sameDay = manager.checkRequest('key_a');
+        clock.now += 24 * 60 * 60 * 1000;
+        const nextDay = manager.checkRequest('key_a');
+        manager.recordUsage('key_a', { inputTokens: 500, outputTokens: 0 });
+        const monthFull = manager.checkRequest('key_a');
+        const status = manager.getStatus().key_a;
+        manager.flushSync();
+        return {
+            passed: sameDay.limit === 'tokensPerDay' && nextDay.allowed && monthFull.limit === 'tokensPerMonth' &&
+                status.day.inputTokens === 500 && status.month.inputTokens === 1100 && status.month.outputTokens === 400,
+            message: `${sameDay.limit}, ${nextDay.allowed}, ${monthFull.limit}`
+        };
+    });
+
+    await test('Soft limits warn without rejecting; per-key limits override the default', async () => {
+        const { manager } = await createManager({
+            default: { requestsPerMinute: { soft: 1, hard: 10 } },
+            keys: { key_vip: { requestsPerMinute: 100 } }
+        });
+        for (let i = 0; i < 5; i++) manager.recordRequest('key_a');
+        const limits = manager.getLimits('key_vip');
+        const result = manager.checkRequest('key_a');
+        manager.flushSync();
+        return { passed: result.allowed && limits.requestsPerMinute.hard === 100 && limits.requestsPerMinute.soft === null };
+    });
+
+    console.log('\n--- Persistence ---');
+
+    await test('Counters survive a restart', async () => {
+        const { manager, usagePath, clock } = await createManager({ default: { tokensPerDay: 1000 } });
+        manager.recordRequest('key_a');
+        manager.recordUsage('key_a', { inputTokens: 700, outputTokens: 300 });
+        await manager.saveToDisk();
+        manager.flushSync();
+        const { manager: restarted } = await createManager({ default: { tokensPerDay: 1000 } }, { usagePath, start: clock.now });
+        const result = restarted.checkRequest('key_a');
+        return { passed: result.limit === 'tokensPerDay' && restarted.getStatus().key_a.day.requests === 1 };
+    });
+
+    await test('Pending counters are written synchronously by flushSync', async () => {
+        const { manager, usagePath } = await createManager({ default: { requestsPerMinute: 10 } });
+        manager.recordRequest('key_a');
+        const before = fs.existsSync(usagePath);
+        manager.flushSync();
+        const saved = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+        return { passed: !before && saved.usage.key_a.month.requests === 1 };
+    });
+
+    await test('Pending counters are flushed when the process exits', async () => {
+        const usagePath = newUsagePath();
+        const script = `
+            import('${path.join(__dirname, '../src/budgets/index.js').replace(/\\/g, '/')}').then(({ BudgetManager }) => {
+                const manager = new BudgetManager({ usagePath: ${JSON.stringify(usagePath)}, getBudgetConfig: () => ({}) });
+                process.on('exit', () => manager.flushSync());
+                manager.initialize().then(() => {
+                    manager.recordUsage('key_a', { inputTokens: 42, outputTokens: 0 });
+                    process.exit(0);
+                });
+            });`;
+        require('child_process').execFileSync(process.execPath, ['-e', script], { stdio: 'ignore', env: { ...process.env, HOME: tmpDir } });
+        const saved = JSON.parse(fs.readFileSync(usagePath, 'utf8'));
+        return { passed: saved.usage.key_a.day.inputTokens === 42 };
+    });
+
+    await test('Credentials from past months are pruned when the month rolls over', async () => {
+        const { manager, clock, usagePath } = await createManager({ default: { requestsPerMinute: 10 } });
+        manager.recordRequest('key_old');
+        clock.now = Date.UTC(2026, 0, 31, 23, 59, 0);
+        manager.recordRequest('key_late');
+        clock.now = Date.UTC(2026, 1, 1, 0, 0, 30);
+        manager.recordRequest('key_new');
+        const tracked = Object.keys(manager.getStatus()).sort();
+        manager.flushSync();
+        const saved = Object.keys(JSON.parse(fs.readFileSync(usagePath, 'utf8')).usage);
+        return { passed: tracked.join(',') === 'key_new' && saved.join(',') === 'key_new', message: `tracked=${tracked.join(',')}` };
+    });
+
+    await test('Expired credentials are pruned on load', async () => {
+        const usagePath = newUsagePath();
+        fs.writeFileSync(usagePath, JSON.stringify({
+            usage: {
+                key_old: { month: { window: '2025-11', requests: 3, inputTokens: 0, outputTokens: 0 } },
+                key_current: { month: { window: '2026-01', requests: 1, inputTokens: 0, outputTokens: 0 } }
+            }
+        }));
+        const { manager } = await createManager({}, { usagePath });
+        const tracked = Object.keys(manager.getStatus());
+        manager.flushSync();
+        return { passed: tracked.join(',') === 'key_current', message: tracked.join(',') };
+    });
+
+    console.log('\n--- Middleware ---');
+
+    await test('Budgets apply to mixed-case and trailing-slash paths', async () => {
+        const { manager } = await createManager({ default: { requestsPerMinute: 1 } }, { start: Date.now() });
+        const app = express();
+        app.use(express.json());
+        app.use(createBudgetMiddleware(manager));
+        app.post('/v1/messages', (req, res) => res.json({ budgetId: req.budgetId }));
+        const server = await new Promise(resolve => {
+            const s = app.listen(0, () => resolve(s));
+        });
+        const statuses = [];
+        for (const urlPath of ['/v1/messages', '/V1/messages', '/v1/Messages/']) {
+            const response = await fetch(`http://localhost:${server.address().port}${urlPath}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-api-key': 'client-secret' },
+                body: '{}'
+            });
+            statuses.push(response.status);
+        }
+        server.close();
+        manager.flushSync();
+        return { passed: statuses.join(',') === '200,429,429', message: statuses.join(',') };
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,378 @@
+/**
+ * Cassette Record/Replay Unit Tests
+ *
+ * Tests recording Cloud Code traffic (with SSE chunk timing) into a cassette
+ * file and replaying it with no network: request normalization, matching,
+ * repeated requests, unrecorded requests, replay timing and aborts, and a
+ * record/replay round trip through sendMessageStream.
+ *
+ * The upstream is faked by replacing global fetch; no server or accounts are
+ * needed. Cassettes are written to a temporary directory.
+ *
+ * Run: node tests/test-cassettes.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MODEL = 'gemini-2.5-flash';
+const REQUEST = { model: MODEL, max_tokens: 256, messages: [{ role: 'user', content: 'hi' }] };
+
+const textChunk = (text) => ({ response: { candidates: [{ content: { parts: [{ text }] } }] } });
+const finishChunk = { response: { candidates: [{ content: { parts: [] }, finishReason: 'STOP' }] } };
+
+/**
+ * Build an SSE body that sends each chunk after a delay
+ */
+function sseBody(chunks, delayMs = 0) {
+    const encoder = new TextEncoder();
+    const queue = [...chunks];
+    return new ReadableStream({
+        async pull(controller) {
+            const chunk = queue.shift();
+            if (chunk === undefined) {
+                controller.close();
+                return;
+            }
+            if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+            controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+        }
+    });
+}
+
+/**
+ * Minimal account manager with one healthy account
+ */
+function createAccountManager() {
+    const account = { email: 'first@example.com' };
+    return {
+        getAccountCount: () => 1,
+        pickStickyAccount: () => ({ account, waitMs: 0 }),
+        getCurrentStickyAccount: () => account,
+        pickNext: () => account,
+        clearExpiredLimits: () => {},
+        isAllRateLimited: () => false,
+        getMinWaitTimeMs: () => 0,
+        getTokenForAccount: async () => 'token',
+        getProjectForAccount: async () => 'project-' + Math.random().toString(36).slice(2),
+        clearTokenCache: () => {},
+        clearProjectCache: () => {},
+        markRateLimited: () => {},
+        beginRequest: () => () => {}
+    };
+}
+
+/**
+ * Wait until a file exists and holds the given number of interactions
+ */
+async function waitForCassette(file, count) {
+    for (let i = 0; i < 50; i++) {
+        if (fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+            if (data.interactions.length >= count) return data;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`${file} was not written`);
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('CASSETTE RECORD/REPLAY UNIT TESTS');
+    console.log('Testing: recording, matching, replay timing, offline round trip');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { installCassette, normalizeRequest } = await import('../src/cassettes/index.js');
+    const { sendMessageStream } = await import('../src/cloudcode/index.js');
+    const { ANTIGRAVITY_ENDPOINT_FALLBACKS, OAUTH_CONFIG } = await import('../src/constants.js');
+
+    const [DAILY, , PROD] = ANTIGRAVITY_ENDPOINT_FALLBACKS;
+    const STREAM_PATH = '/v1internal:streamGenerateContent?alt=sse';
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agw-cassettes-'));
+    const networkFetch = async (url) => {
+        throw new Error(`fetch failed: no network in this test (${url})`);
+    };
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Write a cassette file by hand
+     */
+    function writeCassette(name, interactions) {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, JSON.stringify({ version: 1, interactions }));
+        return file;
+    }
+
+    /**
+     * A recorded interaction for a request body
+     */
+    function interaction(body, response) {
+        const request = normalizeRequest({ method: 'POST', url: PROD + STREAM_PATH, body: JSON.stringify(body) });
+        return { request, response: { status: 200, headers: { 'content-type': 'text/event-stream' }, chunks: [], ...response } };
+    }
+
+    console.log('--- Normalization ---');
+
+    await test('requestId, project and key order do not change the match', async () => {
+        const a = normalizeRequest({ method: 'POST', url: DAILY + STREAM_PATH, body: JSON.stringify({ project: 'a', requestId: 'openai-1', model: MODEL, request: { x: 1, y: 2 } }) });
+        const b = normalizeRequest({ method: 'post', url: PROD + STREAM_PATH, body: JSON.stringify({ request: { y: 2, x: 1 }, model: MODEL, requestId: 'openai-2', project: 'b' }) });
+        return {
+            passed: a.key === b.key && a.path === STREAM_PATH && !('requestId' in a.body),
+            message: `keys ${a.key.slice(0, 8)} / ${b.key.slice(0, 8)}`
+        };
+    });
+
+    await test('Different payloads or paths do not match', async () => {
+        const base = { method: 'POST', url: PROD + STREAM_PATH, body: JSON.stringify({ model: MODEL }) };
+        const a = normalizeRequest(base);
+        const b = normalizeRequest({ ...base, body: JSON.stringify({ model: 'gemini-3-flash' }) });
+        const c = normalizeRequest({ ...base, url: PROD + '/v1internal:generateContent' });
+        return { passed: a.key !== b.key && a.key !== c.key };
+    });
+
+    console.log('\n--- Recording ---');
+
+    await test('Records Cloud Code responses with chunk timing, passes other hosts through', async () => {
+        const file = path.join(tmpDir, 'record.json');
+        const seen = [];
+        globalThis.fetch = async (url) => {
+            seen.push(String(url));
+            if (String(url).startsWith('http://localhost')) return new Response('local');
+            return new Response(sseBody([textChunk('Hi'), finishChunk], 60), {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream', 'x-upstream': 'yes' }
+            });
+        };
+        const uninstall = await installCassette({ mode: 'record', file });
+        try {
+            const response = await fetch(DAILY + STREAM_PATH, {
+                method: 'POST',
+                headers: { Authorization: 'Bearer secret-token' },
+                body: JSON.stringify({ requestId: 'openai-1', model: MODEL })
+            });
+            const text = await response.text();
+            const local = await (await fetch('http://localhost:9/other')).text();
+            const data = await waitForCassette(file, 1);
+            const recorded = data.interactions[0];
+            const raw = fs.readFileSync(file, 'utf-8');
+            return {
+                passed: text.includes('"Hi"') && local === 'local' && data.interactions.length === 1 &&
+                    recorded.request.path === STREAM_PATH && recorded.response.headers['x-upstream'] === 'yes' &&
+                    recorded.response.chunks.length === 2 && recorded.response.chunks[1].delayMs >= 40 &&
+                    recorded.response.chunks.map(c => c.data).join('') === text && !raw.includes('secret-token') &&
+                    seen.length === 2,
+                message: `chunks=${recorded.response.chunks.map(c => c.delayMs).join(',')}ms, interactions=${data.interactions.length}`
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    console.log('\n--- Replay ---');
+
+    await test('Replays a recorded response from any endpoint without network', async () => {
+        const file = writeCassette('replay.json', [
+            interaction({ model: MODEL }, { chunks: [{ delayMs: 0, data: 'data: {"a":1}\n\n' }, { delayMs: 0, data: 'data: {"b":2}\n\n' }] })
+        ]);
+        globalThis.fetch = networkFetch;
+        const uninstall = await installCassette({ mode: 'replay', file, speed: 0 });
+        try {
+            const response = await fetch(DAILY + STREAM_PATH, {
+                method: 'POST',
+                body: JSON.stringify({ requestId: 'openai-9', project: 'other', model: MODEL })
+            });
+            const text = await response.text();
+            return {
+                passed: response.status === 200 && response.headers.get('content-type') === 'text/event-stream' &&
+                    text === 'data: {"a":1}\n\ndata: {"b":2}\n\n',
+                message: `status=${response.status}`
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    await test('Repeated requests get their recorded responses in order, then the last again', async () => {
+        const file = writeCassette('repeat.json', [
+            interaction({ model: MODEL }, { status: 503, chunks: [{ delayMs: 0, data: 'unavailable' }] }),
+            interaction({ model: MODEL }, { chunks: [{ delayMs: 0, data: 'ok' }] })
+        ]);
+        globalThis.fetch = networkFetch;
+        const uninstall = await installCassette({ mode: 'replay', file, speed: 0 });
+        try {
+            const statuses = [];
+            for (let i = 0; i < 3; i++) {
+                const response = await fetch(PROD + STREAM_PATH, { method: 'POST', body: JSON.stringify({ model: MODEL }) });
+                statuses.push(`${response.status}:${await response.text()}`);
+            }
+            return {
+                passed: statuses.join(',') === '503:unavailable,200:ok,200:ok',
+                message: statuses.join(', ')
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    await test('Unrecorded requests fail with 400; token refreshes get a placeholder', async () => {
+        const file = writeCassette('unmatched.json', [interaction({ model: MODEL }, {})]);
+        globalThis.fetch = networkFetch;
+        const uninstall = await installCassette({ mode: 'replay', file, speed: 0 });
+        try {
+            const response = await fetch(PROD + STREAM_PATH, { method: 'POST', body: JSON.stringify({ model: 'gemini-3-flash' }) });
+            const body = await response.json();
+            const token = await (await fetch(OAUTH_CONFIG.tokenUrl, { method: 'POST', body: 'refresh_token=x' })).json();
+            return {
+                passed: response.status === 400 && body.error.message.includes('No recorded response') && !!token.access_token,
+                message: body.error.message
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    await test('Recorded delays are replayed, scaled by speed', async () => {
+        const file = writeCassette('timing.json', [
+            interaction({ model: MODEL }, { headersMs: 100, chunks: [{ delayMs: 0, data: 'a' }, { delayMs: 200, data: 'b' }] })
+        ]);
+        globalThis.fetch = networkFetch;
+        const elapsed = async (speed) => {
+            const uninstall = await installCassette({ mode: 'replay', file, speed });
+            try {
+                const startedAt = Date.now();
+                await (await fetch(PROD + STREAM_PATH, { method: 'POST', body: JSON.stringify({ model: MODEL }) })).text();
+                return Date.now() - startedAt;
+            } finally {
+                uninstall();
+            }
+        };
+        const realTime = await elapsed(1);
+        const doubled = await elapsed(2);
+        const instant = await elapsed(0);
+        return {
+            passed: realTime >= 280 && doubled >= 140 && doubled < realTime && instant < 50,
+            message: `speed 1: ${realTime}ms, speed 2: ${doubled}ms, speed 0: ${instant}ms`
+        };
+    });
+
+    await test('Aborting a replayed stream stops it', async () => {
+        const file = writeCassette('abort.json', [
+            interaction({ model: MODEL }, { chunks: [{ delayMs: 0, data: 'a' }, { delayMs: 5000, data: 'b' }] })
+        ]);
+        globalThis.fetch = networkFetch;
+        const uninstall = await installCassette({ mode: 'replay', file, speed: 1 });
+        try {
+            const controller = new AbortController();
+            const response = await fetch(PROD + STREAM_PATH, { method: 'POST', body: JSON.stringify({ model: MODEL }), signal: controller.signal });
+            setTimeout(() => controller.abort(new Error('client went away')), 50);
+            const startedAt = Date.now();
+            let error = null;
+            try {
+                await response.text();
+            } catch (e) {
+                error = e;
+            }
+            return {
+                passed: error?.message === 'client went away' && Date.now() - startedAt < 1000,
+                message: `error=${error?.message}`
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    await test('Replay without a cassette file fails at startup', async () => {
+        const errors = [];
+        for (const options of [
+            { mode: 'replay', file: path.join(tmpDir, 'missing.json') },
+            { mode: 'replay' },
+            { mode: 'rewind', file: 'x.json' }
+        ]) {
+            await installCassette(options).then(() => errors.push(null), error => errors.push(error.message));
+        }
+        return {
+            passed: errors.every(Boolean),
+            message: errors.join(' | ')
+        };
+    });
+
+    console.log('\n--- Round trip ---');
+
+    await test('A recorded sendMessageStream replays to the same events offline', async () => {
+        const file = path.join(tmpDir, 'roundtrip.json');
+        const collect = async () => {
+            const events = [];
+            for await (const event of sendMessageStream(REQUEST, createAccountManager())) events.push(event);
+            return events;
+        };
+        const summarize = (events) => events.map(e => e.type + (e.delta?.text ? `:${e.delta.text}` : '')).join(',');
+
+        globalThis.fetch = async () => new Response(sseBody([textChunk('Hello'), textChunk(' world'), finishChunk], 10), {
+            status: 200,
+            headers: { 'Content-Type': 'text/event-stream' }
+        });
+        let uninstall = await installCassette({ mode: 'record', file });
+        const recorded = await collect();
+        uninstall();
+        await waitForCassette(file, 1);
+
+        globalThis.fetch = networkFetch;
+        uninstall = await installCassette({ mode: 'replay', file, speed: 0 });
+        try {
+            const replayed = await collect();
+            return {
+                passed: summarize(recorded) === summarize(replayed) && summarize(replayed).includes('content_block_delta: world'),
+                message: summarize(replayed)
+            };
+        } finally {
+            uninstall();
+        }
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * Chat Choices Tests
+ *
+ * Tests n>1 Chat Completions:
+ *   - non-streaming: single-choice responses are merged into one response
+ *     (choice indexes, shared id, usage)
+ *   - streaming: events of interleaved upstream streams are tagged with
+ *     their choice index and keep separate tool call indexes
+ *   - a failed choice aborts the others without aborting the client signal
+ *
+ * Conversion only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-chat-choices.cjs
+ */
+
+const MODEL = 'gemini-3-flash';
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('CHAT CHOICES TESTS');
+    console.log('Testing: n>1 merging, streaming choice indexes, cancellation');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const {
+        convertAnthropicToOpenAI,
+        mergeChatCompletions,
+        createChatStreamStates,
+        convertAnthropicEventToOpenAI
+    } = await import('../src/format/openai-compat.js');
+    const { mergeAsyncIterables, createLinkedAbortController } = await import('../src/utils/helpers.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Anthropic response with one text block
+     */
+    function anthropicResponse(text, outputTokens) {
+        return {
+            id: 'msg_test', type: 'message', role: 'assistant', model: MODEL,
+            content: [{ type: 'text', text }], stop_reason: 'end_turn',
+            usage: { input_tokens: 10, output_tokens: outputTokens }
+        };
+    }
+
+    /**
+     * Anthropic event stream for one choice, pausing between events so
+     * several streams interleave
+     */
+    async function* choiceStream(events, delayMs) {
+        for (const event of events) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            yield event;
+        }
+    }
+
+    const textEvents = (text) => [
+        { type: 'message_start', message: { model: MODEL } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        ...text.split(' ').map(word => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: `${word} ` } })),
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 3 } },
+        { type: 'message_stop' }
+    ];
+    const toolEvents = (city) => [
+        { type: 'message_start', message: { model: MODEL } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: `toolu_${city}`, name: 'get_weather' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: `{"city":"${city}"}` } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' }
+    ];
+
+    /**
+     * Convert merged choice streams the way the chat completions route does
+     */
+    async function convertStreams(eventLists) {
+        const states = createChatStreamStates(eventLists.length);
+        const streams = eventLists.map((events, i) => choiceStream(events, i + 1));
+        const chunks = [];
+        for await (const { index, value: event } of mergeAsyncIterables(streams)) {
+            const chunk = convertAnthropicEventToOpenAI(event, MODEL, states[index], { choiceIndex: index });
+            if (chunk) chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    console.log('--- Non-streaming ---');
+
+    await test('Choices are merged in order with their indexes', async () => {
+        const responses = ['one', 'two', 'three'].map((text, i) => convertAnthropicToOpenAI(anthropicResponse(text, i + 1), MODEL));
+        const merged = mergeChatCompletions(responses);
+        return {
+            passed: merged.choices.map(c => c.index).join() === '0,1,2' &&
+                merged.choices.map(c => c.message.content).join() === 'one,two,three' &&
+                merged.id === responses[0].id && merged.object === 'chat.completion',
+            message: JSON.stringify(merged.choices.map(c => [c.index, c.message.content]))
+        };
+    });
+
+    await test('Prompt tokens are counted once and completion tokens summed', async () => {
+        const responses = [4, 6].map(tokens => convertAnthropicToOpenAI(anthropicResponse('x', tokens), MODEL));
+        const { usage } = mergeChatCompletions(responses);
+        return {
+            passed: usage.prompt_tokens === 10 && usage.completion_tokens === 10 && usage.total_tokens === 20,
+            message: JSON.stringify(usage)
+        };
+    });
+
+    await test('A single response is unchanged by merging', async () => {
+        const response = convertAnthropicToOpenAI(anthropicResponse('only', 2), MODEL);
+        const merged = mergeChatCompletions([response]);
+        return { passed: JSON.stringify(merged) === JSON.stringify(response) };
+    });
+
+    console.log('\n--- Streaming ---');
+
+    await test('Interleaved streams keep their choice index', async () => {
+        const chunks = await convertStreams([textEvents('alpha beta gamma'), textEvents('one two three')]);
+        const texts = ['', ''];
+        let interleaved = false;
+        chunks.forEach((chunk, i) => {
+            const { index, delta } = chunk.choices[0];
+            texts[index] += delta.content || '';
+            if (i > 0 && chunks[i - 1].choices[0].index !== index) interleaved = true;
+        });
+        return {
+            passed: texts[0].trim() === 'alpha beta gamma' && texts[1].trim() === 'one two three' && interleaved,
+            message: JSON.stringify(texts)
+        };
+    });
+
+    await test('All chunks share one id; each choice finishes on its own', async () => {
+        const chunks = await convertStreams([textEvents('a b'), toolEvents('Paris')]);
+        const ids = new Set(chunks.map(c => c.id));
+        const finishes = chunks.filter(c => c.choices[0].finish_reason).map(c => `${c.choices[0].index}:${c.choices[0].finish_reason}`).sort();
+        return { passed: ids.size === 1 && finishes.join() === '0:stop,1:tool_calls', message: finishes.join(', ') };
+    });
+
+    await test('Tool call indexes start at 0 in every choice', async () => {
+        const chunks = await convertStreams([toolEvents('Paris'), toolEvents('Rome')]);
+        const calls = chunks
+            .filter(c => c.choices[0].delta.tool_calls?.[0]?.id)
+            .map(c => `${c.choices[0].index}:${c.choices[0].delta.tool_calls[0].index}:${c.choices[0].delta.tool_calls[0].id}`)
+            .sort();
+        return { passed: calls.join() === '0:0:toolu_Paris,1:0:toolu_Rome', message: calls.join(', ') };
+    });
+
+    console.log('\n--- Cancellation ---');
+
+    await test('A failed choice aborts the others but not the client signal', async () => {
+        const client = new AbortController();
+        const choices = createLinkedAbortController(client.signal);
+        let siblingAborted = false;
+        const sibling = new Promise((resolve, reject) => {
+            choices.signal.addEventListener('abort', () => {
+                siblingAborted = true;
+                reject(new Error('aborted'));
+            });
+        });
+        sibling.catch(() => {});
+        const failing = Promise.reject(new Error('API error 500'));
+        const error = await Promise.all([failing, sibling]).catch(e => {
+            choices.abort();
+            return e;
+        });
+        return {
+            passed: error.message === 'API error 500' && siblingAborted && choices.signal.aborted && !client.signal.aborted
+        };
+    });
+
+    await test('A client disconnect aborts every choice', async () => {
+        const client = new AbortController();
+        const choices = createLinkedAbortController(client.signal);
+        client.abort();
+        const alreadyAborted = createLinkedAbortController(client.signal);
+        return { passed: choices.signal.aborted && alreadyAborted.signal.aborted };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,273 @@
+/**
+ * Completions Tests
+ *
+ * Tests the legacy /v1/completions conversion:
+ *   - request validation, including the prompts × n limit
+ *   - prompts are wrapped as a continuation, or as fill-in-the-middle when a
+ *     suffix is given
+ *   - echo prepends the prompt to the completion
+ *   - streamed text_completion chunks share one id, use choice index
+ *     promptIndex * n + i and carry the model that answered
+ *
+ * Conversion only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-completions.cjs
+ */
+
+const MODEL = 'gemini-3-flash';
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('COMPLETIONS TESTS');
+    console.log('Testing: validation, prompt wrapping, echo, streamed chunks');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const {
+        MAX_COMPLETION_CHOICES,
+        validateCompletionsRequest,
+        convertCompletionToAnthropic,
+        convertAnthropicToCompletionChoice,
+        buildCompletionResponse,
+        createCompletionStreamState,
+        buildCompletionChunk,
+        convertAnthropicEventToCompletionChunk
+    } = await import('../src/format/openai-completions.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Anthropic response with one text block
+     */
+    function anthropicResponse(text, stopReason = 'end_turn') {
+        return {
+            id: 'msg_test', type: 'message', role: 'assistant', model: MODEL,
+            content: [{ type: 'text', text }], stop_reason: stopReason,
+            usage: { input_tokens: 5, output_tokens: 3 }
+        };
+    }
+
+    const textEvents = (text, model = MODEL, stopReason = 'end_turn') => [
+        { type: 'message_start', message: { model } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        ...text.split(' ').map(word => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: `${word} ` } })),
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: stopReason }, usage: { output_tokens: 3 } },
+        { type: 'message_stop' }
+    ];
+    const userText = request => {
+        const { content } = request.messages[0];
+        return typeof content === 'string' ? content : content.map(block => block.text).join('');
+    };
+    const systemText = request => (Array.isArray(request.system) ? request.system.map(b => b.text).join('') : request.system || '');
+
+    console.log('--- Validation ---');
+
+    await test('Valid requests pass', async () => {
+        const valid = [
+            { model: MODEL, prompt: 'Once upon a time' },
+            { model: MODEL, prompt: ['a', 'b'], n: 2, suffix: '}' },
+            { model: MODEL, prompt: 'x', n: MAX_COMPLETION_CHOICES }
+        ];
+        const errors = valid.map(validateCompletionsRequest).filter(Boolean);
+        return { passed: errors.length === 0, message: errors.join(' | ') };
+    });
+
+    await test('Missing or malformed fields are rejected', async () => {
+        const cases = [
+            [{ prompt: 'x' }, 'model is required.'],
+            [{ model: MODEL }, 'prompt is required.'],
+            [{ model: MODEL, prompt: [] }, 'prompt is required.'],
+            [{ model: MODEL, prompt: [1, 2, 3] }, 'Token arrays are not supported.'],
+            [{ model: MODEL, prompt: 'x', suffix: 42 }, 'suffix must be a string.'],
+            [{ model: MODEL, prompt: 'x', n: 0 }, 'n must be a positive integer.'],
+            [{ model: MODEL, prompt: 'x', n: 1.5 }, 'n must be a positive integer.']
+        ];
+        const wrong = cases.filter(([request, expected]) => !validateCompletionsRequest(request)?.endsWith(expected));
+        return { passed: wrong.length === 0, message: wrong.map(([request]) => JSON.stringify(request)).join(' | ') };
+    });
+
+    await test(`Prompts times n may be at most ${MAX_COMPLETION_CHOICES}`, async () => {
+        const tooManyChoices = validateCompletionsRequest({ model: MODEL, prompt: 'x', n: MAX_COMPLETION_CHOICES + 1 });
+        const tooManyPrompts = validateCompletionsRequest({ model: MODEL, prompt: Array(MAX_COMPLETION_CHOICES + 1).fill('x') });
+        const atLimit = validateCompletionsRequest({ model: MODEL, prompt: ['a', 'b', 'c', 'd'], n: 4 });
+        const overLimit = validateCompletionsRequest({ model: MODEL, prompt: ['a', 'b', 'c'], n: 6 });
+        return {
+            passed: MAX_COMPLETION_CHOICES === 16 && atLimit === null &&
+                [tooManyChoices, tooManyPrompts, overLimit].every(error => error?.includes(`at most ${MAX_COMPLETION_CHOICES}`)),
+            message: overLimit
+        };
+    });
+
+    console.log('\n--- Prompt wrapping ---');
+
+    await test('Prompts without a suffix ask for a continuation', async () => {
+        const request = convertCompletionToAnthropic({ model: MODEL, prompt: 'ignored', max_tokens: 32, temperature: 0.2, stop: ['\n'] }, 'Once upon a time');
+        return {
+            passed: userText(request) === 'Once upon a time' && systemText(request).startsWith('Continue the text') &&
+                request.max_tokens === 32 && request.temperature === 0.2 && request.stop_sequences?.join() === '\n',
+            message: systemText(request).slice(0, 40)
+        };
+    });
+
+    await test('A suffix wraps the prompt for fill-in-the-middle', async () => {
+        const request = convertCompletionToAnthropic({ model: MODEL, suffix: '\n}' }, 'function add(a, b) {');
+        return {
+            passed: userText(request) === 'function add(a, b) {<FILL_HERE>\n}' && systemText(request).includes('<FILL_HERE>'),
+            message: JSON.stringify(userText(request))
+        };
+    });
+
+    await test('An empty suffix is a plain continuation', async () => {
+        const request = convertCompletionToAnthropic({ model: MODEL, suffix: '' }, 'abc');
+        return { passed: userText(request) === 'abc' && !systemText(request).includes('<FILL_HERE>') };
+    });
+
+    console.log('\n--- Responses ---');
+
+    await test('Choices carry the completion text, index and finish reason', async () => {
+        const stopped = convertAnthropicToCompletionChoice(anthropicResponse('happily ever after'), 3);
+        const truncated = convertAnthropicToCompletionChoice(anthropicResponse('happily', 'max_tokens'), 4);
+        return {
+            passed: stopped.text === 'happily ever after' && stopped.index === 3 && stopped.finish_reason === 'stop' &&
+                stopped.logprobs === null && truncated.finish_reason === 'length',
+            message: JSON.stringify(stopped)
+        };
+    });
+
+    await test('Echo prepends the prompt', async () => {
+        const choice = convertAnthropicToCompletionChoice(anthropicResponse(' there lived'), 0, 'Once upon a time');
+        return { passed: choice.text === 'Once upon a time there lived', message: JSON.stringify(choice.text) };
+    });
+
+    await test('Responses are text_completion objects with summed usage', async () => {
+        const choices = [0, 1].map(i => convertAnthropicToCompletionChoice(anthropicResponse('x'), i));
+        const response = buildCompletionResponse(choices, MODEL, { input_tokens: 10, output_tokens: 6 });
+        return {
+            passed: response.object === 'text_completion' && response.id.startsWith('cmpl-') && response.model === MODEL &&
+                response.choices.length === 2 && response.usage.total_tokens === 16
+        };
+    });
+
+    console.log('\n--- Streaming ---');
+
+    /**
+     * Convert the streams of several prompts × n choices the way the
+     * completions route does
+     */
+    function convertStreams(prompts, n, { echo = false, answeredBy = MODEL } = {}) {
+        const state = createCompletionStreamState();
+        const chunks = [];
+        for (const [promptIndex, promptText] of prompts.entries()) {
+            for (let i = 0; i < n; i++) {
+                const index = promptIndex * n + i;
+                let echoPending = echo;
+                for (const event of textEvents(`${promptText} answer ${i}`, answeredBy)) {
+                    const chunk = convertAnthropicEventToCompletionChunk(event, 'requested-model', state, index);
+                    if (echoPending) {
+                        echoPending = false;
+                        chunks.push(buildCompletionChunk(state, 'requested-model', index, promptText));
+                    }
+                    if (chunk) chunks.push(chunk);
+                }
+            }
+        }
+        return chunks;
+    }
+
+    await test('Chunks are text_completion objects sharing one id', async () => {
+        const chunks = convertStreams(['a'], 1);
+        const ids = new Set(chunks.map(c => c.id));
+        const [first] = chunks;
+        return {
+            passed: ids.size === 1 && first.id.startsWith('cmpl-') && chunks.every(c => c.object === 'text_completion') &&
+                first.choices.length === 1 && first.choices[0].logprobs === null && first.choices[0].finish_reason === null,
+            message: JSON.stringify(first)
+        };
+    });
+
+    await test('Choice indexes are promptIndex * n + i', async () => {
+        const chunks = convertStreams(['p0', 'p1'], 3);
+        const texts = [];
+        for (const { choices: [choice] } of chunks) {
+            texts[choice.index] = (texts[choice.index] || '') + choice.text;
+        }
+        const expected = ['p0', 'p1'].flatMap(prompt => [0, 1, 2].map(i => `${prompt} answer ${i}`));
+        return {
+            passed: texts.length === 6 && texts.every((text, index) => text.trim() === expected[index]),
+            message: JSON.stringify(texts.map(text => text.trim()))
+        };
+    });
+
+    await test('Each choice ends with its finish reason', async () => {
+        const chunks = convertStreams(['a', 'b'], 2);
+        const finishes = chunks.filter(c => c.choices[0].finish_reason).map(c => `${c.choices[0].index}:${c.choices[0].finish_reason}`);
+        const lastOfEach = [0, 1, 2, 3].map(index => chunks.filter(c => c.choices[0].index === index).pop());
+        return {
+            passed: finishes.join() === '0:stop,1:stop,2:stop,3:stop' && lastOfEach.every(c => c.choices[0].finish_reason === 'stop' && c.choices[0].text === ''),
+            message: finishes.join(', ')
+        };
+    });
+
+    await test('Echo streams the prompt before the completion', async () => {
+        const chunks = convertStreams(['Once upon'], 2, { echo: true });
+        const byChoice = [0, 1].map(index => chunks.filter(c => c.choices[0].index === index).map(c => c.choices[0].text).join(''));
+        return {
+            // The echoed prompt, then the completion
+            passed: byChoice.every((text, i) => text === 'Once upon' + `Once upon answer ${i} `),
+            message: JSON.stringify(byChoice)
+        };
+    });
+
+    await test('Chunks carry the model that answered', async () => {
+        const chunks = convertStreams(['a'], 1, { echo: true, answeredBy: 'claude-sonnet-4-5' });
+        const state = createCompletionStreamState();
+        const beforeStart = buildCompletionChunk(state, 'requested-model', 0, '');
+        return {
+            passed: chunks.every(c => c.model === 'claude-sonnet-4-5') && beforeStart.model === 'requested-model',
+            message: [...new Set(chunks.map(c => c.model))].join(', ')
+        };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
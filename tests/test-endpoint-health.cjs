@@ -0,0 +1,205 @@
+/**
+ * Endpoint Health Unit Tests
+ *
+ * Tests the per-endpoint circuit breaker: opening after consecutive failures,
+ * half-opening after openMs with a single trial request, closing or reopening
+ * on the trial's outcome, and ordering endpoints by error rate and latency.
+ *
+ * A fake clock is used; no server or accounts are needed.
+ *
+ * Run: node tests/test-endpoint-health.cjs
+ */
+
+const DAILY = 'https://daily.example.com';
+const AUTOPUSH = 'https://autopush.example.com';
+const PROD = 'https://prod.example.com';
+const ENDPOINTS = [DAILY, AUTOPUSH, PROD];
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('ENDPOINT HEALTH UNIT TESTS');
+    console.log('Testing: circuit breaker states, endpoint ordering');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { EndpointHealth, isEndpointFailure } = await import('../src/cloudcode/endpoint-health.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Create a tracker with a controllable clock
+     */
+    function createHealth(settings = {}) {
+        const clock = { now: 1_000_000 };
+        const health = new EndpointHealth({
+            getSettings: () => ({ failureThreshold: 3, openMs: 30000, windowSize: 20, ...settings }),
+            now: () => clock.now
+        });
+        return { health, clock };
+    }
+
+    const stateOf = (health, endpoint) => health.getStatus().find(s => s.endpoint === endpoint)?.state;
+
+    console.log('--- Circuit states ---');
+
+    await test('Configured order is kept without data', () => {
+        const { health } = createHealth();
+        const order = health.order(ENDPOINTS);
+        return { passed: order.join() === ENDPOINTS.join(), message: `order=${order.join(' > ')}` };
+    });
+
+    await test('Circuit opens after consecutive failures and the endpoint is tried last', () => {
+        const { health } = createHealth();
+        health.recordFailure(DAILY, 'HTTP 503');
+        health.recordFailure(DAILY, 'HTTP 503');
+        const stillClosed = stateOf(health, DAILY) === 'closed';
+        health.recordFailure(DAILY, 'fetch failed');
+        const order = health.order(ENDPOINTS);
+        return {
+            passed: stillClosed && stateOf(health, DAILY) === 'open' && order.at(-1) === DAILY,
+            message: `state=${stateOf(health, DAILY)}, order=${order.join(' > ')}`
+        };
+    });
+
+    await test('A success resets the consecutive failure count', () => {
+        const { health } = createHealth();
+        health.recordFailure(DAILY, 'HTTP 500');
+        health.recordFailure(DAILY, 'HTTP 500');
+        health.recordSuccess(DAILY, 100);
+        health.recordFailure(DAILY, 'HTTP 500');
+        return { passed: stateOf(health, DAILY) === 'closed', message: `state=${stateOf(health, DAILY)}` };
+    });
+
+    await test('Rate limits and client errors count as successes', () => {
+        const { health } = createHealth();
+        for (const status of [429, 401, 400, 429]) health.recordResponse(DAILY, status, 50);
+        const status = health.getStatus()[0];
+        return { passed: status.state === 'closed' && status.errorRate === 0, message: `errorRate=${status.errorRate}` };
+    });
+
+    await test('Circuit half-opens after openMs and one request gets the trial', () => {
+        const { health, clock } = createHealth();
+        for (let i = 0; i < 3; i++) health.recordFailure(DAILY, 'HTTP 503');
+        clock.now += 30000;
+        const trialOrder = health.order(ENDPOINTS);
+        const concurrentOrder = health.order(ENDPOINTS);
+        return {
+            passed: stateOf(health, DAILY) === 'half_open' && trialOrder[0] === DAILY && concurrentOrder.at(-1) === DAILY,
+            message: `trial order=${trialOrder.join(' > ')}, concurrent order=${concurrentOrder.join(' > ')}`
+        };
+    });
+
+    await test('Successful trial closes the circuit', () => {
+        const { health, clock } = createHealth();
+        for (let i = 0; i < 3; i++) health.recordFailure(DAILY, 'HTTP 503');
+        clock.now += 30000;
+        health.order(ENDPOINTS);
+        health.recordSuccess(DAILY, 120);
+        return { passed: stateOf(health, DAILY) === 'closed', message: `state=${stateOf(health, DAILY)}` };
+    });
+
+    await test('Failed trial reopens the circuit for another openMs', () => {
+        const { health, clock } = createHealth();
+        for (let i = 0; i < 3; i++) health.recordFailure(DAILY, 'HTTP 503');
+        clock.now += 30000;
+        health.order(ENDPOINTS);
+        health.recordFailure(DAILY, 'fetch failed');
+        const status = health.getStatus()[0];
+        return {
+            passed: status.state === 'open' && status.retryInMs === 30000,
+            message: `state=${status.state}, retryInMs=${status.retryInMs}`
+        };
+    });
+
+    await test('An unused trial claim expires after openMs', () => {
+        const { health, clock } = createHealth();
+        for (let i = 0; i < 3; i++) health.recordFailure(DAILY, 'HTTP 503');
+        clock.now += 30000;
+        health.order(ENDPOINTS);
+        clock.now += 30000;
+        const order = health.order(ENDPOINTS);
+        return { passed: order[0] === DAILY, message: `order=${order.join(' > ')}` };
+    });
+
+    console.log('\n--- Ordering ---');
+
+    await test('Endpoints with fewer recent errors go first', () => {
+        const { health } = createHealth();
+        health.recordSuccess(DAILY, 50);
+        health.recordFailure(DAILY, 'HTTP 502');
+        health.recordSuccess(AUTOPUSH, 80);
+        health.recordSuccess(PROD, 90);
+        const order = health.order(ENDPOINTS);
+        return { passed: order.join() === [AUTOPUSH, PROD, DAILY].join(), message: `order=${order.join(' > ')}` };
+    });
+
+    await test('Lower latency goes first at the same error rate', () => {
+        const { health } = createHealth();
+        health.recordSuccess(DAILY, 900);
+        health.recordSuccess(AUTOPUSH, 600);
+        health.recordSuccess(PROD, 150);
+        const order = health.order(ENDPOINTS);
+        return { passed: order.join() === [PROD, AUTOPUSH, DAILY].join(), message: `order=${order.join(' > ')}` };
+    });
+
+    await test('Error rate only covers the last windowSize requests', () => {
+        const { health } = createHealth({ windowSize: 4 });
+        health.recordFailure(DAILY, 'HTTP 500');
+        for (let i = 0; i < 4; i++) health.recordSuccess(DAILY, 100);
+        const status = health.getStatus()[0];
+        return { passed: status.errorRate === 0 && status.requests === 4, message: `errorRate=${status.errorRate}, requests=${status.requests}` };
+    });
+
+    await test('Only network errors and in-stream 5xx errors are endpoint failures', () => {
+        const checks = [
+            isEndpointFailure(new Error('fetch failed')),
+            isEndpointFailure(new Error('read ECONNRESET')),
+            isEndpointFailure(new Error('API error 503: unavailable')),
+            !isEndpointFailure(new Error('API error 429: RESOURCE_EXHAUSTED')),
+            !isEndpointFailure(new Error('API error 400: invalid argument'))
+        ];
+        return { passed: checks.every(Boolean), message: `checks=${checks.join(',')}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
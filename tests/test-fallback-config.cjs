@@ -0,0 +1,189 @@
+/**
+ * Fallback Config Tests
+ *
+ * Tests how a failed request picks its next model:
+ *   - built-in single-step chains and configured multi-hop chains
+ *   - the model itself and repeats are dropped; aliases resolve to model IDs
+ *   - errors are classified as quota, server_error or context_length
+ *     triggers, limited to the configured triggers
+ *   - a context_length failure only moves to a larger context window
+ *
+ * Configuration only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-fallback-config.cjs
+ */
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('FALLBACK CONFIG TESTS');
+    console.log('Testing: fallback chains, aliases, triggers, context window guard');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { config } = await import('../src/config.js');
+    const {
+        getFallbackChain,
+        getFallbackModel,
+        hasFallback,
+        getFallbackTrigger,
+        canFallBackTo
+    } = await import('../src/fallback-config.js');
+    const { RateLimitError } = await import('../src/errors.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        } finally {
+            config.fallback = {};
+            config.modelMapping = {};
+        }
+    }
+
+    console.log('--- Chains ---');
+
+    await test('Built-in chains have a single step', async () => {
+        const chain = getFallbackChain('gemini-3-flash');
+        return {
+            passed: chain.join() === 'claude-sonnet-4-5-thinking' && getFallbackModel('gemini-3-flash') === chain[0],
+            message: chain.join(', ')
+        };
+    });
+
+    await test('Configured chains replace the built-in step and keep their order', async () => {
+        config.fallback = { chains: { 'gemini-3-flash': ['gemini-3-pro-high', 'claude-sonnet-4-5', 'claude-opus-4-5-thinking'] } };
+        const chain = getFallbackChain('gemini-3-flash');
+        return {
+            passed: chain.join() === 'gemini-3-pro-high,claude-sonnet-4-5,claude-opus-4-5-thinking' &&
+                getFallbackModel('gemini-3-flash') === 'gemini-3-pro-high' &&
+                getFallbackChain('claude-sonnet-4-5').join() === 'gemini-3-flash',
+            message: chain.join(', ')
+        };
+    });
+
+    await test('The model itself and repeats are dropped', async () => {
+        config.fallback = { chains: { 'gemini-3-flash': ['gemini-3-flash', 'claude-sonnet-4-5', 'claude-sonnet-4-5', 42, 'gemini-3-pro-low'] } };
+        const chain = getFallbackChain('gemini-3-flash');
+        return { passed: chain.join() === 'claude-sonnet-4-5,gemini-3-pro-low', message: chain.join(', ') };
+    });
+
+    await test('An empty configured chain turns fallback off for the model', async () => {
+        config.fallback = { chains: { 'gemini-3-flash': [] } };
+        return { passed: !hasFallback('gemini-3-flash') && getFallbackModel('gemini-3-flash') === null };
+    });
+
+    await test('Models without a chain have no fallback', async () => {
+        return { passed: !hasFallback('some-other-model') && getFallbackChain('some-other-model').length === 0 };
+    });
+
+    await test('Aliases resolve for the primary model and the chain entries', async () => {
+        config.modelMapping = { 'gemini-3-flash': { alias: 'fast' }, 'claude-sonnet-4-5': { alias: 'sonnet' } };
+        config.fallback = { chains: { 'gemini-3-flash': ['sonnet', 'claude-sonnet-4-5', 'fast', 'gemini-3-pro-high'] } };
+        const chain = getFallbackChain('fast');
+        return {
+            passed: chain.join() === 'claude-sonnet-4-5,gemini-3-pro-high' && getFallbackChain('sonnet').join() === 'gemini-3-flash',
+            message: chain.join(', ')
+        };
+    });
+
+    console.log('\n--- Triggers ---');
+
+    await test('Errors are classified by trigger', async () => {
+        const cases = [
+            [new RateLimitError('Rate limited'), 'quota'],
+            [new Error('RESOURCE_EXHAUSTED: quota'), 'quota'],
+            [new Error('No accounts available for gemini-3-flash'), 'quota'],
+            [new Error('API error 503: unavailable'), 'server_error'],
+            [new Error('Max retries exceeded'), 'server_error'],
+            [new Error('API error 400: Prompt is too long: 250000 tokens'), 'context_length'],
+            [new Error('The input token count exceeds the maximum number of tokens allowed'), 'context_length'],
+            [new Error('API error 400: invalid argument'), null],
+            [new Error('invalid_request_error: prompt is too long for this model'), null]
+        ];
+        const wrong = cases.filter(([error, expected]) => getFallbackTrigger(error) !== expected);
+        return { passed: wrong.length === 0, message: wrong.map(([error]) => error.message).join(' | ') };
+    });
+
+    await test('Only configured triggers fall back', async () => {
+        config.fallback = { triggers: ['quota'] };
+        return {
+            passed: getFallbackTrigger(new Error('No accounts available')) === 'quota' &&
+                getFallbackTrigger(new Error('API error 500: internal')) === null &&
+                getFallbackTrigger(new Error('Prompt is too long')) === null
+        };
+    });
+
+    console.log('\n--- Context window ---');
+
+    await test('Quota and server errors can fall back to any model', async () => {
+        return {
+            passed: canFallBackTo('quota', 'gemini-3-flash', 'claude-sonnet-4-5') &&
+                canFallBackTo('server_error', 'gemini-3-flash', 'some-other-model')
+        };
+    });
+
+    await test('Context length failures only move to a larger context window', async () => {
+        return {
+            passed: canFallBackTo('context_length', 'claude-sonnet-4-5', 'gemini-3-flash') &&
+                !canFallBackTo('context_length', 'gemini-3-flash', 'claude-sonnet-4-5') &&
+                !canFallBackTo('context_length', 'claude-sonnet-4-5', 'claude-opus-4-5-thinking')
+        };
+    });
+
+    await test('Context length failures do not move to models with an unknown window', async () => {
+        return {
+            passed: !canFallBackTo('context_length', 'claude-sonnet-4-5', 'some-other-model') &&
+                !canFallBackTo('context_length', 'some-other-model', 'gemini-3-flash')
+        };
+    });
+
+    await test('The context window guard follows aliases and configured capabilities', async () => {
+        config.modelMapping = { 'gemini-3-flash': { alias: 'fast' } };
+        config.modelCapabilities = { 'claude-sonnet-4-5': { contextWindow: 2000000 } };
+        try {
+            return {
+                passed: canFallBackTo('context_length', 'fast', 'claude-sonnet-4-5') &&
+                    !canFallBackTo('context_length', 'claude-sonnet-4-5', 'fast')
+            };
+        } finally {
+            config.modelCapabilities = {};
+        }
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
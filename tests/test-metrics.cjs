@@ -0,0 +1,318 @@
+/**
+ * Metrics Unit Tests
+ *
+ * Tests the Prometheus metrics: the text exposition format, per-request
+ * labels (route pattern, model and account filled in during the request,
+ * status), time to first token on streamed responses, token counts, and the
+ * point-in-time gauges (accounts, admission queue, cached quotas).
+ *
+ * Requests go to a small in-process express app; no accounts or network are needed.
+ *
+ * Run: node tests/test-metrics.cjs
+ */
+
+const express = require('express');
+
+/**
+ * Parse the samples of a Prometheus text body
+ * @returns {Map<string, number>} "name{labels}" -> value
+ */
+function parseSamples(text) {
+    const samples = new Map();
+    for (const line of text.split('\n')) {
+        if (!line || line.startsWith('#')) continue;
+        const index = line.lastIndexOf(' ');
+        samples.set(line.slice(0, index), Number(line.slice(index + 1)));
+    }
+    return samples;
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('METRICS UNIT TESTS');
+    console.log('Testing: Prometheus format, request labels, gauges');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { GatewayMetrics, MetricsRegistry, Counter, Gauge, Histogram } = await import('../src/metrics/index.js');
+    const { createMetricsMiddleware, createModelLabelMiddleware } = await import('../src/metrics/middleware.js');
+    const { usageFromAnthropic, usageFromGemini } = await import('../src/budgets/index.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Start an app with the metrics middleware in front of the given routes
+     */
+    async function startApp(metrics, addRoutes) {
+        const app = express();
+        app.use(express.json());
+        app.use(createMetricsMiddleware(metrics));
+        app.use((req, res, next) => {
+            // Stands in for the API key middleware
+            if (req.headers['x-reject']) return res.status(401).json({ error: 'rejected' });
+            next();
+        });
+        app.use(createModelLabelMiddleware(metrics));
+        app.use((req, res, next) => {
+            // Stands in for the budget middleware
+            if (req.headers['x-over-budget']) return res.status(429).json({ error: 'over budget' });
+            next();
+        });
+        addRoutes(app);
+        const server = await new Promise(resolve => {
+            const s = app.listen(0, () => resolve(s));
+        });
+        const baseUrl = `http://localhost:${server.address().port}`;
+        return { baseUrl, close: () => server.close() };
+    }
+
+    /**
+     * Let the response 'close' handlers run
+     */
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    console.log('--- Text format ---');
+
+    await test('Counters and gauges render with escaped labels', async () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.register(new Counter('test_total', 'A counter', ['name']));
+        const gauge = registry.register(new Gauge('test_gauge', 'A gauge'));
+        counter.inc({ name: 'a"b\\c' });
+        counter.inc({ name: 'a"b\\c' }, 2);
+        counter.inc({ name: 'x' }, -1); // Ignored: counters only go up
+        gauge.set({}, 0.5);
+        const text = registry.render();
+        return {
+            passed: text.includes('# TYPE test_total counter') && text.includes('test_total{name="a\\"b\\\\c"} 3') &&
+                !text.includes('name="x"') && text.includes('test_gauge 0.5'),
+            message: text.split('\n').filter(line => !line.startsWith('#')).join(' | ')
+        };
+    });
+
+    await test('Histogram buckets are cumulative with +Inf, sum and count', async () => {
+        const registry = new MetricsRegistry();
+        const histogram = registry.register(new Histogram('test_seconds', 'A histogram', ['route'], [0.1, 1]));
+        for (const value of [0.05, 0.5, 5]) histogram.observe({ route: '/a' }, value);
+        const samples = parseSamples(registry.render());
+        return {
+            passed: samples.get('test_seconds_bucket{route="/a",le="0.1"}') === 1 &&
+                samples.get('test_seconds_bucket{route="/a",le="1"}') === 2 &&
+                samples.get('test_seconds_bucket{route="/a",le="+Inf"}') === 3 &&
+                samples.get('test_seconds_sum{route="/a"}') === 5.55 &&
+                samples.get('test_seconds_count{route="/a"}') === 3,
+            message: [...samples.entries()].map(([k, v]) => `${k}=${v}`).join(', ')
+        };
+    });
+
+    console.log('\n--- Requests ---');
+
+    const metrics = new GatewayMetrics({ getSettings: () => ({ quotaRefreshMs: 1000 }) });
+    const app = await startApp(metrics, (a) => {
+        a.post('/v1/messages', async (req, res) => {
+            // Labels are set deep inside the handler, after awaits
+            await new Promise(resolve => setTimeout(resolve, 5));
+            metrics.setModel('claude-sonnet-4-5');
+            metrics.setAccount('a@example.com');
+            metrics.recordTokens(usageFromAnthropic({ input_tokens: 10, cache_read_input_tokens: 90, output_tokens: 5 }));
+            if (req.body.stream) {
+                res.setHeader('Content-Type', 'text/event-stream');
+                res.write('event: message_start\n\n');
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return res.end('event: message_stop\n\n');
+            }
+            res.json({ ok: true });
+        });
+        a.get('/v1/files/:id', (req, res) => res.status(404).json({ error: 'not found' }));
+    });
+
+    await test('Requests are labeled with route, model, account and status', async () => {
+        await fetch(`${app.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: 'other-model' })
+        });
+        await fetch(`${app.baseUrl}/v1/files/file-123`);
+        await settle();
+        const samples = parseSamples(metrics.render());
+        return {
+            passed: samples.get('agw_http_requests_total{route="/v1/messages",model="claude-sonnet-4-5",account="a@example.com",status="200"}') === 1 &&
+                samples.get('agw_http_requests_total{route="/v1/files/:id",model="",account="",status="404"}') === 1 &&
+                samples.get('agw_http_request_duration_seconds_count{route="/v1/messages",model="claude-sonnet-4-5",account="a@example.com",status="200"}') === 1,
+            message: [...samples.keys()].filter(key => key.startsWith('agw_http_requests_total')).join(', ')
+        };
+    });
+
+    await test('Requests rejected before routing keep bounded route and model labels', async () => {
+        await fetch(`${app.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-reject': '1' },
+            body: JSON.stringify({ model: 'gemini-3-flash' })
+        });
+        await fetch(`${app.baseUrl}/v1/files/file-456`, { headers: { 'x-reject': '1' } });
+        await settle();
+        const samples = parseSamples(metrics.render());
+        return {
+            passed: samples.get('agw_http_requests_total{route="/v1/messages",model="",account="",status="401"}') === 1 &&
+                samples.get('agw_http_requests_total{route="unmatched",model="",account="",status="401"}') === 1 &&
+                ![...samples.keys()].some(key => key.includes('file-456')),
+            message: [...samples.keys()].filter(key => key.startsWith('agw_http_requests_total') && key.includes('status="401"')).join(', ')
+        };
+    });
+
+    await test('Authenticated requests rejected before upstream are labeled with a known requested model', async () => {
+        await fetch(`${app.baseUrl}/V1/Messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-over-budget': '1' },
+            body: JSON.stringify({ model: 'gemini-3-flash' })
+        });
+        await fetch(`${app.baseUrl}/v1beta/models/gemini-3-flash:generateContent`, { method: 'POST', headers: { 'x-over-budget': '1' } });
+        await settle();
+        const samples = parseSamples(metrics.render());
+        return {
+            passed: samples.get('agw_http_requests_total{route="/v1/messages",model="gemini-3-flash",account="",status="429"}') === 1 &&
+                samples.get('agw_http_requests_total{route="/v1beta/models/*",model="gemini-3-flash",account="",status="429"}') === 1,
+            message: [...samples.keys()].filter(key => key.startsWith('agw_http_requests_total') && key.includes('status="429"')).join(', ')
+        };
+    });
+
+    await test('Unknown models are labeled "other"', async () => {
+        for (let i = 0; i < 3; i++) {
+            await fetch(`${app.baseUrl}/v1/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-over-budget': '1' },
+                body: JSON.stringify({ model: `made-up-model-${i}` })
+            });
+        }
+        await settle();
+        metrics.recordTokens({ inputTokens: 1, outputTokens: 1 }, { model: 'made-up-model-0' });
+        const samples = parseSamples(metrics.render());
+        return {
+            passed: samples.get('agw_http_requests_total{route="/v1/messages",model="other",account="",status="429"}') === 3 &&
+                samples.get('agw_tokens_total{model="other",account="",type="input"}') === 1 &&
+                ![...samples.keys()].some(key => key.includes('made-up-model')),
+            message: [...samples.keys()].filter(key => key.startsWith('agw_http_requests_total') && key.includes('model="other"')).join(', ')
+        };
+    });
+
+    await test('Time to first token is recorded for streamed responses only', async () => {
+        const response = await fetch(`${app.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: 'claude-sonnet-4-5', stream: true })
+        });
+        await response.text();
+        await settle();
+        const samples = parseSamples(metrics.render());
+        const count = samples.get('agw_time_to_first_token_seconds_count{route="/v1/messages",model="claude-sonnet-4-5",account="a@example.com"}');
+        const sum = samples.get('agw_time_to_first_token_seconds_sum{route="/v1/messages",model="claude-sonnet-4-5",account="a@example.com"}');
+        return { passed: count === 1 && sum > 0 && sum < 1, message: `count=${count}, sum=${sum}` };
+    });
+
+    await test('Tokens are split into input, output and cached', async () => {
+        const samples = parseSamples(metrics.render());
+        const get = (type) => samples.get(`agw_tokens_total{model="claude-sonnet-4-5",account="a@example.com",type="${type}"}`);
+        // Two requests reached the handler, each 10 input + 90 cached + 5 output
+        return { passed: get('input') === 20 && get('cached') === 180 && get('output') === 10, message: `input=${get('input')}, cached=${get('cached')}, output=${get('output')}` };
+    });
+
+    await test('Usage outside a request (batches) uses the given labels', async () => {
+        metrics.recordTokens(usageFromGemini({ promptTokenCount: 100, cachedContentTokenCount: 40, candidatesTokenCount: 7 }), { model: 'gemini-3-flash' });
+        const samples = parseSamples(metrics.render());
+        const get = (type) => samples.get(`agw_tokens_total{model="gemini-3-flash",account="",type="${type}"}`);
+        return { passed: get('input') === 60 && get('cached') === 40 && get('output') === 7 };
+    });
+
+    app.close();
+
+    console.log('\n--- Events and gauges ---');
+
+    await test('Rate limits, invalid accounts and fallbacks are counted', async () => {
+        metrics.recordRateLimit('a@example.com', 'gemini-3-flash');
+        metrics.recordRateLimit('a@example.com', 'gemini-3-flash');
+        metrics.recordInvalidAccount('b@example.com');
+        metrics.recordFallback('gemini-3-pro-high', 'gemini-3-flash', 'quota');
+        const samples = parseSamples(metrics.render());
+        return {
+            passed: samples.get('agw_rate_limit_events_total{account="a@example.com",model="gemini-3-flash"}') === 2 &&
+                samples.get('agw_account_invalidations_total{account="b@example.com"}') === 1 &&
+                samples.get('agw_fallback_activations_total{from="gemini-3-pro-high",to="gemini-3-flash",trigger="quota"}') === 1
+        };
+    });
+
+    await test('Account and admission gauges reflect the state passed at scrape time', async () => {
+        const state = {
+            accounts: { total: 3, available: 1, rateLimited: 1, invalid: 1, accounts: [] },
+            admission: { inFlight: { 'gemini-3-flash': 2 }, queued: 4 }
+        };
+        let samples = parseSamples(metrics.render(state));
+        const first = samples.get('agw_accounts{state="rate_limited"}') === 1 && samples.get('agw_admission_queue_depth') === 4 &&
+            samples.get('agw_admission_in_flight{model="gemini-3-flash"}') === 2;
+        samples = parseSamples(metrics.render({ ...state, admission: { inFlight: {}, queued: 0 } }));
+        return {
+            passed: first && samples.get('agw_admission_queue_depth') === 0 && !samples.has('agw_admission_in_flight{model="gemini-3-flash"}')
+        };
+    });
+
+    await test('Cached quotas are reported for accounts still in the pool', async () => {
+        metrics.setQuotas('a@example.com', { 'gemini-3-flash': { remainingFraction: 0.25 }, 'gemini-2.5-pro': { remainingFraction: null } });
+        metrics.setQuotas('gone@example.com', { 'gemini-3-flash': { remainingFraction: 1 } });
+        const accounts = { total: 1, available: 1, rateLimited: 0, invalid: 0, accounts: [{ email: 'a@example.com' }] };
+        const samples = parseSamples(metrics.render({ accounts }));
+        return {
+            passed: samples.get('agw_account_quota_remaining_fraction{account="a@example.com",model="gemini-3-flash"}') === 0.25 &&
+                !samples.has('agw_account_quota_remaining_fraction{account="a@example.com",model="gemini-2.5-pro"}') &&
+                ![...samples.keys()].some(key => key.includes('gone@example.com')) &&
+                samples.get('agw_account_quota_refreshed_timestamp_seconds{account="a@example.com"}') > 0
+        };
+    });
+
+    await test('Quotas are refreshed once older than quotaRefreshMs', async () => {
+        const fresh = metrics.needsQuotaRefresh(['a@example.com']);
+        const missing = metrics.needsQuotaRefresh(['a@example.com', 'new@example.com']);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const stale = metrics.needsQuotaRefresh(['a@example.com']);
+        return { passed: !fresh && missing && stale, message: `fresh=${fresh}, missing=${missing}, stale=${stale}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,290 @@
+/**
+ * Mock Upstream Unit Tests
+ *
+ * Tests the mock Cloud Code server ("agw mock-upstream"): token issuance,
+ * project discovery, model quotas, scripted rules (429 with reset delays,
+ * 401, 5xx, thinking signatures, tool calls) and the runtime control
+ * endpoints, then drives sendMessageStream against it to check that a
+ * rate-limited account is rotated out, and checks that project discovery
+ * and model listing report to endpoint health.
+ *
+ * The mock runs in-process on a free port and the gateway is pointed at it
+ * with CLOUDCODE_ENDPOINTS; no accounts or network are needed.
+ *
+ * Run: node tests/test-mock-upstream.cjs
+ */
+
+const MODEL = 'gemini-3-flash';
+const REQUEST = { model: MODEL, max_tokens: 256, messages: [{ role: 'user', content: 'hi' }] };
+
+/**
+ * Minimal account manager whose tokens are the account names
+ */
+function createAccountManager(names) {
+    const limited = new Map(); // name -> resetMs
+    let current = 0;
+    const next = () => {
+        for (let i = 0; i < names.length; i++) {
+            const name = names[(current + i) % names.length];
+            if (!limited.has(name)) {
+                current = names.indexOf(name);
+                return { email: name };
+            }
+        }
+        return null;
+    };
+    return {
+        limited,
+        getAccountCount: () => names.length,
+        pickStickyAccount: () => ({ account: next(), waitMs: 0 }),
+        getCurrentStickyAccount: () => next(),
+        pickNext: () => { current++; return next(); },
+        clearExpiredLimits: () => {},
+        isAllRateLimited: () => limited.size === names.length,
+        getMinWaitTimeMs: () => 0,
+        getTokenForAccount: async (account) => account.email,
+        getProjectForAccount: async () => 'project',
+        clearTokenCache: () => {},
+        clearProjectCache: () => {},
+        markRateLimited: (email, resetMs) => limited.set(email, resetMs),
+        beginRequest: () => () => {}
+    };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('MOCK UPSTREAM UNIT TESTS');
+    console.log('Testing: scripted Cloud Code behaviors, account rotation end-to-end');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { createMockUpstream, MockScenario } = await import('../src/mock-upstream/index.js');
+    const app = createMockUpstream();
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, () => resolve(s));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    // Point the gateway at the mock before its constants are loaded
+    process.env.CLOUDCODE_ENDPOINTS = baseUrl;
+    const { sendMessageStream } = await import('../src/cloudcode/index.js');
+    const { parseResetTime } = await import('../src/cloudcode/rate-limit-parser.js');
+    const { ANTIGRAVITY_ENDPOINT_FALLBACKS, MIN_SIGNATURE_LENGTH } = await import('../src/constants.js');
+    const { endpointHealth } = await import('../src/cloudcode/endpoint-health.js');
+    const { fetchAvailableModels } = await import('../src/cloudcode/model-api.js');
+    const { discoverProject } = await import('../src/account-manager/credentials.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Replace the mock's scenario
+     */
+    async function setScenario(scenario) {
+        const response = await fetch(`${baseUrl}/mock/scenario`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(scenario)
+        });
+        if (!response.ok) throw new Error(`Scenario rejected: ${await response.text()}`);
+    }
+
+    /**
+     * Call a v1internal method as an account
+     */
+    function call(method, token, body = {}) {
+        return fetch(`${baseUrl}/v1internal:${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Parse the data events of an SSE body
+     */
+    async function sseEvents(response) {
+        const text = await response.text();
+        return text.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+    }
+
+    console.log('--- Endpoints ---');
+
+    await test('Gateway constants point at the mock', async () => ({
+        passed: ANTIGRAVITY_ENDPOINT_FALLBACKS.length === 1 && ANTIGRAVITY_ENDPOINT_FALLBACKS[0] === baseUrl,
+        message: ANTIGRAVITY_ENDPOINT_FALLBACKS.join(', ')
+    }));
+
+    await test('Token endpoint issues tokens that identify the account', async () => {
+        await setScenario({ rules: [{ when: { method: 'loadCodeAssist', account: 'refresh-a' }, respond: { project: 'project-a' } }] });
+        const token = await (await fetch(`${baseUrl}/token`, {
+            method: 'POST',
+            body: new URLSearchParams({ refresh_token: 'refresh-a', grant_type: 'refresh_token' })
+        })).json();
+        const project = await (await call('loadCodeAssist', token.access_token)).json();
+        return {
+            passed: !!token.access_token && token.expires_in > 0 && project.cloudaicompanionProject === 'project-a',
+            message: `project=${project.cloudaicompanionProject}`
+        };
+    });
+
+    await test('Token endpoint can answer invalid_grant', async () => {
+        await setScenario({ rules: [{ when: { method: 'token' }, respond: { status: 400 } }] });
+        const response = await fetch(`${baseUrl}/token`, { method: 'POST', body: new URLSearchParams({ refresh_token: 'x' }) });
+        const body = await response.json();
+        return { passed: response.status === 400 && body.error === 'invalid_grant', message: JSON.stringify(body) };
+    });
+
+    await test('fetchAvailableModels reports scripted quotas', async () => {
+        await setScenario({ quota: { [MODEL]: 0.25 } });
+        const { models } = await (await call('fetchAvailableModels', 'acct-a')).json();
+        return {
+            passed: models[MODEL].quotaInfo.remainingFraction === 0.25 && models['gemini-2.5-pro'].quotaInfo.remainingFraction === 1,
+            message: `${Object.keys(models).length} models`
+        };
+    });
+
+    await test('Requests without a token get 401', async () => {
+        const response = await call('streamGenerateContent', null, { model: MODEL });
+        return { passed: response.status === 401 };
+    });
+
+    console.log('\n--- Scripted behaviors ---');
+
+    await test('429 carries a reset delay the gateway can parse', async () => {
+        await setScenario({ rules: [{ when: { method: 'streamGenerateContent' }, respond: { status: 429, resetAfter: '42s' } }] });
+        const response = await call('streamGenerateContent', 'acct-a', { model: MODEL });
+        const text = await response.text();
+        const resetMs = parseResetTime(response, text);
+        return { passed: response.status === 429 && resetMs === 42000, message: `resetMs=${resetMs}` };
+    });
+
+    await test('Rules match on account and stop after times', async () => {
+        await setScenario({ rules: [{ when: { account: 'acct-a' }, times: 2, respond: { status: 503 } }] });
+        const statuses = [];
+        for (const token of ['acct-a', 'acct-b', 'acct-a', 'acct-a']) {
+            const response = await call('streamGenerateContent', token, { model: MODEL });
+            await response.text();
+            statuses.push(response.status);
+        }
+        return { passed: statuses.join(',') === '503,200,503,200', message: statuses.join(',') };
+    });
+
+    await test('Errors can be sent inside a 200 stream', async () => {
+        await setScenario({ rules: [{ respond: { status: 429, inStream: true } }] });
+        const response = await call('streamGenerateContent', 'acct-a', { model: MODEL });
+        const events = await sseEvents(response);
+        return { passed: response.status === 200 && events[0]?.error?.code === 429 };
+    });
+
+    await test('Thinking and tool calls carry thought signatures', async () => {
+        await setScenario({ rules: [{ respond: { thinking: 'Let me check.', toolCall: { name: 'get_weather', args: { city: 'Paris' } } } }] });
+        const response = await call('streamGenerateContent', 'acct-a', { model: MODEL, request: { contents: [] } });
+        const parts = (await sseEvents(response)).flatMap(event => event.response.candidates[0].content.parts);
+        const thought = parts.find(part => part.thought);
+        const toolCall = parts.find(part => part.functionCall);
+        return {
+            passed: thought?.text === 'Let me check.' && thought.thoughtSignature.length >= MIN_SIGNATURE_LENGTH &&
+                toolCall?.functionCall.args.city === 'Paris' && toolCall.thoughtSignature.length >= MIN_SIGNATURE_LENGTH,
+            message: parts.map(part => Object.keys(part).join('+')).join(', ')
+        };
+    });
+
+    await test('Invalid scenarios are rejected', async () => {
+        const errors = [];
+        for (const scenario of [{ rules: [{ when: { method: 'nope' }, respond: {} }] }, { rules: [{}] }, { rules: 'x' }]) {
+            try {
+                new MockScenario(scenario);
+                errors.push(null);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        return { passed: errors.every(Boolean), message: errors.join(' | ') };
+    });
+
+    console.log('\n--- Gateway against the mock ---');
+
+    await test('A rate-limited account is marked and the next account answers', async () => {
+        await setScenario({ rules: [{ when: { method: 'streamGenerateContent', account: 'acct-a' }, respond: { status: 429, resetAfter: '30s' } }] });
+        const accountManager = createAccountManager(['acct-a', 'acct-b']);
+        const events = [];
+        for await (const event of sendMessageStream(REQUEST, accountManager)) events.push(event);
+        const text = events
+            .filter(e => e.type === 'content_block_delta' && e.delta.type === 'text_delta')
+            .map(e => e.delta.text)
+            .join('');
+        const { requests } = await (await fetch(`${baseUrl}/mock/requests`)).json();
+        return {
+            passed: text === `Mock reply from ${MODEL}.` && accountManager.limited.get('acct-a') === 30000 &&
+                requests.map(r => `${r.account}:${r.status}`).join(',') === 'acct-a:429,acct-b:200',
+            message: `text=${JSON.stringify(text)}, requests=${requests.map(r => `${r.account}:${r.status}`).join(',')}`
+        };
+    });
+
+    await test('Project discovery and model listing report to endpoint health', async () => {
+        await setScenario({ rules: [{ when: { method: 'fetchAvailableModels' }, respond: { status: 500 } }] });
+        endpointHealth.reset();
+        const project = await discoverProject('acct-a');
+        const listed = await fetchAvailableModels('acct-a', project).then(() => true, () => false);
+        const [status] = endpointHealth.getStatus();
+        return {
+            passed: !listed && status?.endpoint === baseUrl && status.requests === 2 &&
+                status.consecutiveFailures === 1 && status.lastError === 'HTTP 500',
+            message: JSON.stringify(status)
+        };
+    });
+
+    await test('Reset clears the request log and rule counters', async () => {
+        await setScenario({ rules: [{ times: 1, respond: { status: 500 } }] });
+        await (await call('streamGenerateContent', 'acct-a', { model: MODEL })).text();
+        await fetch(`${baseUrl}/mock/reset`, { method: 'POST' });
+        const response = await call('streamGenerateContent', 'acct-a', { model: MODEL });
+        await response.text();
+        const { requests } = await (await fetch(`${baseUrl}/mock/requests`)).json();
+        return { passed: response.status === 500 && requests.length === 1, message: `status=${response.status}, logged=${requests.length}` };
+    });
+
+    server.close();
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * Model Limit Tests
+ *
+ * Tests how max_tokens and thinking budgets are fitted to the model
+ * registry's limits:
+ *   - max_tokens above maxOutputTokens is capped by the request converter
+ *   - a thinking budget that no longer fits under the capped max_tokens is
+ *     lowered (Claude and Gemini)
+ *   - max_tokens above the context window is rejected by validation
+ *
+ * Conversion only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-model-limits.cjs
+ */
+
+const CLAUDE_MODEL = 'claude-opus-4-5-thinking';
+const GEMINI_MODEL = 'gemini-3-flash';
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('MODEL LIMIT TESTS');
+    console.log('Testing: max_tokens cap, thinking budget, context window');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { modelRegistry, assertModelCapabilities, getModelCapabilities } = await import('../src/models/index.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const messages = [{ role: 'user', content: 'Hello' }];
+    const claudeLimits = getModelCapabilities(CLAUDE_MODEL);
+    const geminiLimits = getModelCapabilities(GEMINI_MODEL);
+
+    console.log('--- Output cap and thinking budget ---');
+
+    await test('max_tokens above the output limit is capped', async () => {
+        const { generationConfig } = convertAnthropicToGoogle({ model: GEMINI_MODEL, max_tokens: 100000, messages });
+        return {
+            passed: generationConfig.maxOutputTokens === geminiLimits.maxOutputTokens,
+            message: `maxOutputTokens=${generationConfig.maxOutputTokens}`
+        };
+    });
+
+    await test('Claude thinking budget stays below the capped max_tokens', async () => {
+        const { generationConfig } = convertAnthropicToGoogle({
+            model: CLAUDE_MODEL,
+            max_tokens: 4096,
+            thinking: { type: 'enabled', budget_tokens: claudeLimits.maxOutputTokens },
+            messages
+        });
+        const { maxOutputTokens, thinkingConfig } = generationConfig;
+        return {
+            passed: maxOutputTokens === claudeLimits.maxOutputTokens && thinkingConfig.thinking_budget < maxOutputTokens &&
+                thinkingConfig.thinking_budget === maxOutputTokens - 8192,
+            message: `maxOutputTokens=${maxOutputTokens}, thinking_budget=${thinkingConfig.thinking_budget}`
+        };
+    });
+
+    await test('Gemini thinking budget stays below the capped max_tokens', async () => {
+        const { generationConfig } = convertAnthropicToGoogle({
+            model: GEMINI_MODEL,
+            max_tokens: 100000,
+            thinking: { type: 'enabled', budget_tokens: 32000 },
+            messages
+        });
+        const { maxOutputTokens, thinkingConfig } = generationConfig;
+        return {
+            passed: maxOutputTokens === geminiLimits.maxOutputTokens && thinkingConfig.thinkingBudget > 0 &&
+                thinkingConfig.thinkingBudget < maxOutputTokens,
+            message: `maxOutputTokens=${maxOutputTokens}, thinkingBudget=${thinkingConfig.thinkingBudget}`
+        };
+    });
+
+    await test('Budgets that fit are left alone', async () => {
+        const { generationConfig } = convertAnthropicToGoogle({
+            model: CLAUDE_MODEL,
+            max_tokens: 20000,
+            thinking: { type: 'enabled', budget_tokens: 10000 },
+            messages
+        });
+        return {
+            passed: generationConfig.maxOutputTokens === 20000 && generationConfig.thinkingConfig.thinking_budget === 10000
+        };
+    });
+
+    console.log('\n--- Validation ---');
+
+    await test('max_tokens above the output limit is accepted (clamped, not rejected)', async () => {
+        const error = modelRegistry.validate({ model: CLAUDE_MODEL, max_tokens: claudeLimits.maxOutputTokens + 1, messages });
+        return { passed: error === null, message: error || undefined };
+    });
+
+    await test('max_tokens above the context window is rejected with invalid_request_error', async () => {
+        const maxTokens = claudeLimits.contextWindow + 1;
+        const error = modelRegistry.validate({ model: CLAUDE_MODEL, max_tokens: maxTokens, messages });
+        let thrown = null;
+        try {
+            assertModelCapabilities({ model: CLAUDE_MODEL, max_tokens: maxTokens, messages });
+        } catch (e) {
+            thrown = e.message;
+        }
+        return {
+            passed: error?.includes('context window') && thrown?.startsWith('invalid_request_error:'),
+            message: thrown
+        };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,202 @@
+/**
+ * Model Mapping Tests
+ *
+ * Tests the per-model settings saved from the WebUI Models tab
+ * (config.modelMapping):
+ *   - aliases resolve to the model ID they name; other names are unchanged
+ *   - hidden models are left out of the model list, pinned models come first
+ *   - requests by alias are sent upstream as the model ID, and the response
+ *     (streaming and non-streaming) keeps the alias the client asked for
+ *
+ * The upstream is the mock Cloud Code server, run in-process and pointed at
+ * with CLOUDCODE_ENDPOINTS; no accounts or network are needed.
+ *
+ * Run: node tests/test-model-mapping.cjs
+ */
+
+const MODEL = 'gemini-3-flash';
+const ALIAS = 'fast';
+
+/**
+ * Account manager with a single account whose token is its name
+ */
+function createAccountManager() {
+    const account = { email: 'acct-a' };
+    return {
+        getAccountCount: () => 1,
+        pickStickyAccount: () => ({ account, waitMs: 0 }),
+        getCurrentStickyAccount: () => account,
+        pickNext: () => account,
+        clearExpiredLimits: () => {},
+        isAllRateLimited: () => false,
+        getMinWaitTimeMs: () => 0,
+        getTokenForAccount: async () => account.email,
+        getProjectForAccount: async () => 'project',
+        clearTokenCache: () => {},
+        clearProjectCache: () => {},
+        markRateLimited: () => {},
+        beginRequest: () => () => {}
+    };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('MODEL MAPPING TESTS');
+    console.log('Testing: aliases, hidden and pinned models, alias in responses');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { createMockUpstream } = await import('../src/mock-upstream/index.js');
+    const app = createMockUpstream();
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, () => resolve(s));
+    });
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    // Point the gateway at the mock before its constants are loaded
+    process.env.CLOUDCODE_ENDPOINTS = baseUrl;
+    const { config } = await import('../src/config.js');
+    const { resolveModelAlias, applyModelMapping, getModelCapabilities } = await import('../src/models/index.js');
+    const { sendMessage, sendMessageStream, listModels } = await import('../src/cloudcode/index.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        } finally {
+            config.modelMapping = {};
+        }
+    }
+
+    /**
+     * Models the mock received requests for, in order
+     */
+    async function requestedModels() {
+        const { requests } = await (await fetch(`${baseUrl}/mock/requests`)).json();
+        return requests.filter(r => r.method === 'streamGenerateContent').map(r => r.model);
+    }
+
+    const ids = models => models.map(m => m.id).join(',');
+    const models = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+
+    console.log('--- Aliases ---');
+
+    await test('Aliases resolve to the model they name', async () => {
+        config.modelMapping = { [MODEL]: { alias: ` ${ALIAS} ` }, 'claude-sonnet-4-5': { alias: 'sonnet' } };
+        return {
+            passed: resolveModelAlias(ALIAS) === MODEL && resolveModelAlias('sonnet') === 'claude-sonnet-4-5' &&
+                getModelCapabilities(ALIAS).id === MODEL,
+            message: `${ALIAS} -> ${resolveModelAlias(ALIAS)}`
+        };
+    });
+
+    await test('Model IDs, unknown names and empty names are unchanged', async () => {
+        config.modelMapping = { [MODEL]: { alias: ALIAS }, 'gemini-3-pro-high': { hidden: true }, 'gemini-3-pro-low': { alias: '' } };
+        return {
+            passed: resolveModelAlias(MODEL) === MODEL && resolveModelAlias('unknown-model') === 'unknown-model' &&
+                resolveModelAlias('') === '' && resolveModelAlias(undefined) === undefined
+        };
+    });
+
+    console.log('\n--- Model list ---');
+
+    await test('Hidden models are left out', async () => {
+        config.modelMapping = { b: { hidden: true }, c: { hidden: false } };
+        return { passed: ids(applyModelMapping(models)) === 'a,c,d', message: ids(applyModelMapping(models)) };
+    });
+
+    await test('Pinned models come first, otherwise in list order', async () => {
+        config.modelMapping = { c: { pinned: true }, d: { pinned: true }, a: { pinned: false } };
+        return { passed: ids(applyModelMapping(models)) === 'c,d,a,b', message: ids(applyModelMapping(models)) };
+    });
+
+    await test('A hidden pinned model stays hidden', async () => {
+        config.modelMapping = { b: { pinned: true, hidden: true }, d: { pinned: true } };
+        return { passed: ids(applyModelMapping(models)) === 'd,a,c', message: ids(applyModelMapping(models)) };
+    });
+
+    await test('The upstream model list applies the mapping', async () => {
+        config.modelMapping = { 'gemini-3-pro-low': { hidden: true }, 'gemini-2.5-pro': { pinned: true } };
+        const { data } = await listModels('acct-a');
+        const listed = data.map(m => m.id);
+        return {
+            passed: listed[0] === 'gemini-2.5-pro' && !listed.includes('gemini-3-pro-low') && listed.includes(MODEL),
+            message: listed.join(', ')
+        };
+    });
+
+    console.log('\n--- Responses ---');
+
+    const request = model => ({ model, max_tokens: 256, messages: [{ role: 'user', content: 'hi' }] });
+
+    await test('Non-streaming responses keep the alias; upstream gets the model ID', async () => {
+        config.modelMapping = { [MODEL]: { alias: ALIAS } };
+        await fetch(`${baseUrl}/mock/reset`, { method: 'POST' });
+        const response = await sendMessage(request(ALIAS), createAccountManager());
+        const sent = await requestedModels();
+        const text = response.content.filter(b => b.type === 'text').map(b => b.text).join('');
+        return {
+            passed: response.model === ALIAS && sent.join() === MODEL && text === `Mock reply from ${MODEL}.`,
+            message: `model=${response.model}, upstream=${sent.join(',')}`
+        };
+    });
+
+    await test('Streaming responses keep the alias; upstream gets the model ID', async () => {
+        config.modelMapping = { [MODEL]: { alias: ALIAS } };
+        await fetch(`${baseUrl}/mock/reset`, { method: 'POST' });
+        let startModel = null;
+        for await (const event of sendMessageStream(request(ALIAS), createAccountManager())) {
+            if (event.type === 'message_start') startModel = event.message.model;
+        }
+        const sent = await requestedModels();
+        return {
+            passed: startModel === ALIAS && sent.join() === MODEL,
+            message: `model=${startModel}, upstream=${sent.join(',')}`
+        };
+    });
+
+    await test('Requests by model ID are answered with the model ID', async () => {
+        config.modelMapping = { [MODEL]: { alias: ALIAS } };
+        const response = await sendMessage(request(MODEL), createAccountManager());
+        return { passed: response.model === MODEL, message: response.model };
+    });
+
+    server.close();
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
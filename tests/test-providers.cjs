@@ -0,0 +1,344 @@
+/**
+ * Upstream Provider Tests
+ *
+ * Tests the Anthropic and OpenAI-compatible providers against a local
+ * stand-in server, routing by model through sendMessage/sendMessageStream,
+ * fallback chains that cross providers, and the provider registry.
+ *
+ * The stand-in server is started on a random local port; no accounts or
+ * network access are needed.
+ *
+ * Run: node tests/test-providers.cjs
+ */
+
+const http = require('http');
+
+/**
+ * Start a stand-in upstream that answers like the Anthropic Messages API
+ * under /anthropic and like an OpenAI-compatible server under /openai.
+ * Paths under /down always fail with 503.
+ */
+function startStandIn() {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => (raw += chunk));
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            requests.push({ path: req.url, headers: req.headers, body });
+
+            if (req.url.startsWith('/down')) {
+                res.writeHead(503, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: { message: 'upstream unavailable' } }));
+            }
+
+            if (req.url === '/anthropic/v1/messages') {
+                if (body.max_tokens > 100000) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'max_tokens too large' } }));
+                }
+                res.setHeader('anthropic-ratelimit-requests-limit', '50');
+                res.setHeader('anthropic-ratelimit-requests-remaining', '49');
+                const message = {
+                    id: 'msg_standin', type: 'message', role: 'assistant', model: body.model,
+                    content: [{ type: 'text', text: 'Hello from Anthropic' }],
+                    stop_reason: 'end_turn', stop_sequence: null, usage: { input_tokens: 5, output_tokens: 4 }
+                };
+                if (!body.stream) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify(message));
+                }
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                const events = [
+                    { type: 'message_start', message: { ...message, content: [], usage: { input_tokens: 5, output_tokens: 0 } } },
+                    { type: 'ping' },
+                    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hello from Anthropic' } },
+                    { type: 'content_block_stop', index: 0 },
+                    { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 4 } },
+                    { type: 'message_stop' }
+                ];
+                for (const event of events) res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                return res.end();
+            }
+
+            if (req.url === '/openai/v1/chat/completions') {
+                const wantsTool = (body.tools || []).length > 0;
+                if (!body.stream) {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({
+                        id: 'chatcmpl-standin', object: 'chat.completion', model: body.model,
+                        choices: [{
+                            index: 0,
+                            message: wantsTool
+                                ? { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] }
+                                : { role: 'assistant', content: 'Hello from OpenAI' },
+                            finish_reason: wantsTool ? 'tool_calls' : 'stop'
+                        }],
+                        usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 }
+                    }));
+                }
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                const chunks = [
+                    { choices: [{ index: 0, delta: { role: 'assistant', content: 'Hello' } }] },
+                    { choices: [{ index: 0, delta: { content: ' from OpenAI' } }] },
+                    { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+                    { choices: [], usage: { prompt_tokens: 7, completion_tokens: 3 } }
+                ];
+                for (const chunk of chunks) res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                res.write('data: [DONE]\n\n');
+                return res.end();
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+const REQUEST = { max_tokens: 256, messages: [{ role: 'user', content: 'hi' }] };
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('UPSTREAM PROVIDER TESTS');
+    console.log('Testing: Anthropic and OpenAI-compatible providers, routing, fallback');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const standIn = await startStandIn();
+    const { config, getPublicConfig } = await import('../src/config.js');
+    config.providers = {
+        anthropic: {
+            type: 'anthropic',
+            baseUrl: `${standIn.baseUrl}/anthropic`,
+            apiKey: 'sk-ant-test',
+            models: { 'direct-claude': 'claude-sonnet-4-5' }
+        },
+        local: {
+            type: 'openai',
+            baseUrl: `${standIn.baseUrl}/openai/v1`,
+            apiKey: 'local-key',
+            models: ['local-llama']
+        },
+        down: {
+            type: 'openai',
+            baseUrl: `${standIn.baseUrl}/down/v1`,
+            models: ['down-model']
+        },
+        broken: { type: 'carrier-pigeon', models: ['pigeon'] }
+    };
+    config.fallback = { chains: { 'down-model': ['direct-claude'] } };
+
+    const { sendMessage, sendMessageStream } = await import('../src/cloudcode/index.js');
+    const { providerRegistry } = await import('../src/providers/index.js');
+
+    // Provider models never touch the account pool
+    const accountManager = {};
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Collect a stream's events and its text
+     */
+    async function collect(stream) {
+        const events = [];
+        for await (const event of stream) events.push(event);
+        const text = events
+            .filter(e => e.type === 'content_block_delta' && e.delta.type === 'text_delta')
+            .map(e => e.delta.text)
+            .join('');
+        return { events, text, types: events.map(e => e.type) };
+    }
+
+    const lastRequest = () => standIn.requests.at(-1);
+
+    console.log('--- Anthropic provider ---');
+
+    await test('Non-streaming request is sent with the upstream model and API key', async () => {
+        const response = await sendMessage({ ...REQUEST, model: 'direct-claude' }, accountManager);
+        const { body, headers } = lastRequest();
+        return {
+            passed: response.content[0].text === 'Hello from Anthropic' && response.model === 'direct-claude' &&
+                body.model === 'claude-sonnet-4-5' && headers['x-api-key'] === 'sk-ant-test' && Boolean(headers['anthropic-version']),
+            message: `upstream model=${body.model}, response model=${response.model}`
+        };
+    });
+
+    await test('Streaming request passes events through without pings', async () => {
+        const { text, types, events } = await collect(sendMessageStream({ ...REQUEST, model: 'direct-claude' }, accountManager));
+        return {
+            passed: text === 'Hello from Anthropic' && !types.includes('ping') && types[0] === 'message_start' &&
+                types.at(-1) === 'message_stop' && events[0].message.model === 'direct-claude',
+            message: `events=${types.join(',')}`
+        };
+    });
+
+    await test('Upstream 400 surfaces as an invalid request without fallback', async () => {
+        try {
+            await sendMessage({ ...REQUEST, max_tokens: 200000, model: 'direct-claude' }, accountManager, true);
+            return { passed: false, message: 'expected an error' };
+        } catch (error) {
+            return { passed: error.message.startsWith('API error 400') && error.message.includes('invalid_request_error'), message: error.message.slice(0, 80) };
+        }
+    });
+
+    await test('Rate-limit headers are reported as quota', async () => {
+        const quota = await providerRegistry.resolve('direct-claude').getQuota();
+        return { passed: quota?.requests?.remaining === 49 && quota.requests.limit === 50, message: JSON.stringify(quota?.requests) };
+    });
+
+    console.log('\n--- OpenAI-compatible provider ---');
+
+    await test('Non-streaming request converts system prompt, tools and tool calls', async () => {
+        const response = await sendMessage({
+            ...REQUEST,
+            model: 'local-llama',
+            system: 'Be brief.',
+            tools: [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+            tool_choice: { type: 'any' }
+        }, accountManager);
+        const { body, headers } = lastRequest();
+        const toolUse = response.content.find(b => b.type === 'tool_use');
+        return {
+            passed: body.messages[0].role === 'system' && body.tools[0].function.name === 'get_weather' && body.tool_choice === 'required' &&
+                headers.authorization === 'Bearer local-key' && toolUse?.input?.city === 'Paris' &&
+                response.stop_reason === 'tool_use' && response.usage.input_tokens === 7,
+            message: `stop_reason=${response.stop_reason}, tool input=${JSON.stringify(toolUse?.input)}`
+        };
+    });
+
+    await test('Tool results become tool messages', async () => {
+        await sendMessage({
+            model: 'local-llama',
+            max_tokens: 64,
+            messages: [
+                { role: 'user', content: 'Weather in Paris?' },
+                { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+                { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'Sunny' }] }
+            ]
+        }, accountManager);
+        const roles = lastRequest().body.messages.map(m => m.role).join(',');
+        const toolMessage = lastRequest().body.messages.find(m => m.role === 'tool');
+        return {
+            passed: roles === 'user,assistant,tool' && toolMessage.tool_call_id === 'call_1' && toolMessage.content === 'Sunny',
+            message: `roles=${roles}`
+        };
+    });
+
+    await test('Streaming chunks become Anthropic events with usage', async () => {
+        const { text, types, events } = await collect(sendMessageStream({ ...REQUEST, model: 'local-llama' }, accountManager));
+        const delta = events.find(e => e.type === 'message_delta');
+        return {
+            passed: text === 'Hello from OpenAI' && types[0] === 'message_start' && types.at(-1) === 'message_stop' &&
+                delta.delta.stop_reason === 'end_turn' && delta.usage.output_tokens === 3 && lastRequest().body.stream_options?.include_usage,
+            message: `events=${types.join(',')}`
+        };
+    });
+
+    console.log('\n--- Routing and fallback ---');
+
+    await test('Fallback chain crosses providers (non-streaming)', async () => {
+        const response = await sendMessage({ ...REQUEST, model: 'down-model' }, accountManager, true);
+        return {
+            passed: response.content[0].text === 'Hello from Anthropic' && response.model === 'direct-claude',
+            message: `answered by ${response.model}`
+        };
+    });
+
+    await test('Fallback chain crosses providers (streaming)', async () => {
+        const { text, events } = await collect(sendMessageStream({ ...REQUEST, model: 'down-model' }, accountManager, true));
+        return {
+            passed: text === 'Hello from Anthropic' && events[0].message.model === 'direct-claude',
+            message: `answered by ${events[0].message.model}`
+        };
+    });
+
+    await test('Without fallback the provider error surfaces', async () => {
+        try {
+            await sendMessage({ ...REQUEST, model: 'down-model' }, accountManager, false);
+            return { passed: false, message: 'expected an error' };
+        } catch (error) {
+            return { passed: error.message.startsWith('API error 503'), message: error.message.slice(0, 60) };
+        }
+    });
+
+    await test('Unknown provider types are ignored and unlisted models stay on Cloud Code', () => {
+        const routes = ['direct-claude', 'local-llama', 'pigeon', 'gemini-3-flash'].map(m => providerRegistry.resolve(m)?.name || 'cloudcode');
+        return { passed: routes.join(',') === 'anthropic,local,cloudcode,cloudcode', message: `routes=${routes.join(',')}` };
+    });
+
+    await test('Model list merges providers, preferring the routed provider', async () => {
+        providerRegistry.setDefaultProvider({
+            name: 'cloudcode',
+            type: 'cloudcode',
+            listModels: async () => [{ id: 'gemini-3-flash', owned_by: 'anthropic' }, { id: 'local-llama', owned_by: 'anthropic' }],
+            getQuota: async () => null
+        });
+        const { data } = await providerRegistry.listModels();
+        const owners = Object.fromEntries(data.map(m => [m.id, m.owned_by]));
+        return {
+            passed: owners['gemini-3-flash'] === 'anthropic' && owners['local-llama'] === 'local' && owners['direct-claude'] === 'anthropic' &&
+                data.filter(m => m.id === 'local-llama').length === 1,
+            message: `models=${data.map(m => `${m.id}(${m.owned_by})`).join(', ')}`
+        };
+    });
+
+    await test('Public config masks provider API keys', () => {
+        const { providers } = getPublicConfig();
+        return {
+            passed: providers.anthropic.apiKey === '********' && providers.local.apiKey === '********' && config.providers.anthropic.apiKey === 'sk-ant-test',
+            message: `anthropic apiKey=${providers.anthropic.apiKey}`
+        };
+    });
+
+    standIn.server.close();
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,142 @@
+/**
+ * Stored Response Tests
+ *
+ * Tests the Responses API store: history for previous_response_id, input
+ * item listing, retention, and ownership (a response created with one API
+ * key is not found for another key, so its history can't be continued,
+ * read or deleted).
+ *
+ * Records are stored in a temporary directory; no server, accounts or
+ * network are needed.
+ *
+ * Run: node tests/test-response-store.cjs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('STORED RESPONSE TESTS');
+    console.log('Testing: history, input items, retention, ownership');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { ResponseStore } = await import('../src/responses/index.js');
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agw-responses-'));
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const store = new ResponseStore({ baseDir: tmpDir, retentionMs: 60 * 1000 });
+
+    /**
+     * Store a one-turn conversation
+     */
+    async function saveTurn(id, text, ownerId) {
+        await store.save({
+            response: { id, object: 'response', output: [{ id: `msg_${id}`, type: 'message', role: 'assistant', content: [] }] },
+            inputItems: [{ id: `in_${id}`, type: 'message', role: 'user', content: text }],
+            messages: [
+                { role: 'user', content: text },
+                { role: 'assistant', content: [{ type: 'text', text: 'ok' }] }
+            ],
+            ownerId
+        });
+    }
+
+    await saveTurn('resp_a1', 'secret of key a', 'key_a');
+    await saveTurn('resp_b1', 'secret of key b', 'key_b');
+    await saveTurn('resp_0a', 'no key');
+
+    console.log('--- History ---');
+
+    await test('History includes earlier input and the previous output', async () => {
+        const history = await store.getHistory('resp_a1', 'key_a');
+        return {
+            passed: history.messages.length === 2 && history.inputItems.map(i => i.id).join() === 'in_resp_a1,msg_resp_a1'
+        };
+    });
+
+    await test('Input items are listed newest first with cursors', async () => {
+        const list = await store.listInputItems('resp_a1', { order: 'desc' }, 'key_a');
+        return { passed: list.object === 'list' && list.first_id === 'in_resp_a1' && !list.has_more };
+    });
+
+    await test('Expired responses are not found', async () => {
+        const expired = new ResponseStore({ baseDir: tmpDir, retentionMs: -1 });
+        return { passed: await expired.get('resp_a1', 'key_a') === null };
+    });
+
+    console.log('\n--- Ownership ---');
+
+    await test('Another key\'s response is not found', async () => {
+        const asOther = await store.get('resp_a1', 'key_b');
+        const withoutKey = await store.get('resp_a1');
+        const asOwner = await store.get('resp_a1', 'key_a');
+        const openAsKey = await store.get('resp_0a', 'key_a');
+        return { passed: asOther === null && withoutKey === null && openAsKey === null && asOwner?.response.id === 'resp_a1' };
+    });
+
+    await test('Another key\'s history can\'t be continued', async () => {
+        const asOther = await store.getHistory('resp_a1', 'key_b');
+        return { passed: asOther === null };
+    });
+
+    await test('Another key can\'t list input items', async () => {
+        return { passed: await store.listInputItems('resp_a1', {}, 'key_b') === null };
+    });
+
+    await test('Another key can\'t delete a response', async () => {
+        const asOther = await store.delete('resp_b1', 'key_a');
+        const kept = await store.get('resp_b1', 'key_b');
+        const asOwner = await store.delete('resp_b1', 'key_b');
+        const gone = await store.get('resp_b1', 'key_b');
+        return { passed: asOther === false && kept !== null && asOwner === true && gone === null };
+    });
+
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
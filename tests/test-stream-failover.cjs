@@ -0,0 +1,218 @@
+/**
+ * Stream Failover Unit Tests
+ *
+ * Tests that sendMessageStream moves to the next endpoint or account when the
+ * upstream stream fails before the first content event, without the client
+ * seeing a duplicate or broken message, and that failures after content has
+ * been sent surface as an error instead of being replayed.
+ *
+ * Upstream responses are faked by replacing global fetch; no server or
+ * accounts are needed.
+ *
+ * Run: node tests/test-stream-failover.cjs
+ */
+
+const MODEL = 'gemini-2.5-flash';
+const REQUEST = { model: MODEL, max_tokens: 256, messages: [{ role: 'user', content: 'hi' }] };
+
+/**
+ * Build an SSE body from chunks; a chunk that is an Error fails the stream there
+ */
+function sseBody(chunks) {
+    const encoder = new TextEncoder();
+    const queue = [...chunks];
+    return new ReadableStream({
+        pull(controller) {
+            const chunk = queue.shift();
+            if (chunk === undefined) {
+                controller.close();
+            } else if (chunk instanceof Error) {
+                controller.error(chunk);
+            } else {
+                controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+            }
+        }
+    });
+}
+
+const textChunk = (text) => ({ response: { candidates: [{ content: { parts: [{ text }] } }] } });
+const finishChunk = { response: { candidates: [{ content: { parts: [] }, finishReason: 'STOP' }] } };
+const quotaError = { error: { code: 429, message: 'Resource has been exhausted', status: 'RESOURCE_EXHAUSTED' } };
+
+/**
+ * Minimal account manager with two healthy accounts
+ */
+function createAccountManager() {
+    const accounts = [{ email: 'first@example.com' }, { email: 'second@example.com' }];
+    const limited = new Set();
+    let current = 0;
+    const next = () => {
+        for (let i = 0; i < accounts.length; i++) {
+            const account = accounts[(current + i) % accounts.length];
+            if (!limited.has(account.email)) {
+                current = accounts.indexOf(account);
+                return account;
+            }
+        }
+        return null;
+    };
+    return {
+        limited,
+        getAccountCount: () => accounts.length,
+        pickStickyAccount: () => ({ account: next(), waitMs: 0 }),
+        getCurrentStickyAccount: () => next(),
+        pickNext: () => { current++; return next(); },
+        clearExpiredLimits: () => {},
+        isAllRateLimited: () => limited.size === accounts.length,
+        getMinWaitTimeMs: () => 0,
+        getTokenForAccount: async () => 'token',
+        getProjectForAccount: async () => 'project',
+        clearTokenCache: () => {},
+        clearProjectCache: () => {},
+        markRateLimited: (email) => limited.add(email),
+        beginRequest: () => () => {}
+    };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('STREAM FAILOVER UNIT TESTS');
+    console.log('Testing: upstream failures before and after the first content event');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { sendMessageStream } = await import('../src/cloudcode/index.js');
+    const { StreamInterruptedError } = await import('../src/errors.js');
+    const { ANTIGRAVITY_ENDPOINT_FALLBACKS } = await import('../src/constants.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Serve the given SSE bodies to successive upstream requests and collect the client's events
+     * @param {Array<Array>} bodies - Chunks for each upstream request in order
+     */
+    async function runStream(bodies) {
+        let calls = 0;
+        globalThis.fetch = async () => {
+            const chunks = bodies[Math.min(calls++, bodies.length - 1)];
+            return new Response(sseBody(chunks), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        };
+        const accountManager = createAccountManager();
+        const events = [];
+        let error = null;
+        try {
+            for await (const event of sendMessageStream(REQUEST, accountManager)) {
+                events.push(event);
+            }
+        } catch (e) {
+            error = e;
+        }
+        const text = events
+            .filter(e => e.type === 'content_block_delta' && e.delta.type === 'text_delta')
+            .map(e => e.delta.text)
+            .join('');
+        const starts = events.filter(e => e.type === 'message_start').length;
+        return { calls, events, error, text, starts, accountManager };
+    }
+
+    console.log('--- Failures before content ---');
+
+    await test('Connection reset before content moves on silently', async () => {
+        const { calls, error, text, starts } = await runStream([
+            [new Error('read ECONNRESET')],
+            [textChunk('Hello'), finishChunk]
+        ]);
+        return {
+            passed: !error && text === 'Hello' && starts === 1 && calls === 2,
+            message: `upstream calls=${calls}, message_start=${starts}, text=${JSON.stringify(text)}${error ? `, error=${error.message}` : ''}`
+        };
+    });
+
+    await test('Quota error inside the stream moves on silently', async () => {
+        const { calls, error, text, starts } = await runStream([
+            [quotaError],
+            [textChunk('Hello'), finishChunk]
+        ]);
+        return {
+            passed: !error && text === 'Hello' && starts === 1 && calls === 2,
+            message: `upstream calls=${calls}, message_start=${starts}, text=${JSON.stringify(text)}${error ? `, error=${error.message}` : ''}`
+        };
+    });
+
+    await test('Quota errors at every endpoint mark the account and switch accounts', async () => {
+        const { calls, error, text, accountManager } = await runStream([
+            ...ANTIGRAVITY_ENDPOINT_FALLBACKS.map(() => [quotaError]),
+            [textChunk('Hello'), finishChunk]
+        ]);
+        return {
+            passed: !error && text === 'Hello' && accountManager.limited.has('first@example.com'),
+            message: `upstream calls=${calls}, limited=${[...accountManager.limited].join(',')}${error ? `, error=${error.message}` : ''}`
+        };
+    });
+
+    console.log('\n--- Failures after content ---');
+
+    await test('Connection reset after content surfaces an error without replaying', async () => {
+        const { calls, error, text, starts } = await runStream([
+            [textChunk('Hel'), new Error('read ECONNRESET')],
+            [textChunk('Hello'), finishChunk]
+        ]);
+        return {
+            passed: error instanceof StreamInterruptedError && text === 'Hel' && starts === 1 && calls === 1,
+            message: `upstream calls=${calls}, text=${JSON.stringify(text)}, error=${error?.name}`
+        };
+    });
+
+    await test('Healthy stream is passed through unchanged', async () => {
+        const { calls, error, events, text } = await runStream([
+            [textChunk('Hello'), textChunk(' world'), finishChunk]
+        ]);
+        const types = events.map(e => e.type);
+        return {
+            passed: !error && calls === 1 && text === 'Hello world' && types[0] === 'message_start' && types.at(-1) === 'message_stop',
+            message: `events=${types.join(',')}`
+        };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,244 @@
+/**
+ * Structured Output Tests
+ *
+ * Tests how response_format / text.format reach the Cloud Code request and
+ * how the answer comes back:
+ *   - OpenAI formats become an Anthropic-request output_format
+ *   - Gemini models use JSON mode, except when the request has tools
+ *     (Gemini rejects JSON mode with function calling)
+ *   - Claude models get the reserved tool, forced unless thinking or other
+ *     tools are present
+ *   - Reserved tool calls are turned into JSON text only for requests with
+ *     an output_format (streaming and non-streaming)
+ *
+ * Conversion only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-structured-output.cjs
+ */
+
+const SCHEMA = {
+    type: 'object',
+    properties: { name: { type: 'string' }, born: { type: 'integer' } },
+    required: ['name', 'born']
+};
+const TOOLS = [
+    { name: 'get_weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }
+];
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('STRUCTURED OUTPUT TESTS');
+    console.log('Testing: response formats, JSON mode, reserved tool');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { convertResponseFormat, STRUCTURED_OUTPUT_TOOL_NAME } = await import('../src/format/structured-output.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai-compat.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { parseThinkingSSEResponse } = await import('../src/cloudcode/sse-parser.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Build a fake upstream SSE response with the given parts
+     */
+    function fakeSSEResponse(parts) {
+        const data = { response: { candidates: [{ content: { parts }, finishReason: 'STOP' }] } };
+        return new Response(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Convert an Anthropic request with a json_schema output_format
+     */
+    function convertWithSchema(model, extra = {}) {
+        return convertAnthropicToGoogle({
+            model,
+            max_tokens: 1024,
+            messages: [{ role: 'user', content: 'Extract: Ada Lovelace, born 1815' }],
+            output_format: { type: 'json_schema', name: 'person', schema: SCHEMA },
+            ...extra
+        });
+    }
+
+    const declaredNames = request => (request.tools?.[0]?.functionDeclarations || []).map(f => f.name);
+    const systemText = request => (request.systemInstruction?.parts || []).map(p => p.text).join('\n');
+
+    console.log('--- Response formats ---');
+
+    await test('Chat Completions and Responses API formats convert to output_format', async () => {
+        const chat = convertResponseFormat({ type: 'json_schema', json_schema: { name: 'person', schema: SCHEMA, strict: true } });
+        const responses = convertResponseFormat({ type: 'json_schema', name: 'person', schema: SCHEMA });
+        const jsonObject = convertResponseFormat({ type: 'json_object' });
+        return {
+            passed: chat.name === 'person' && chat.schema === SCHEMA && chat.strict === true &&
+                responses.name === 'person' && responses.strict === false &&
+                jsonObject.type === 'json_object' && convertResponseFormat({ type: 'text' }) === null
+        };
+    });
+
+    await test('Invalid formats are rejected with invalid_request_error', async () => {
+        const errors = [];
+        for (const format of [{ type: 'json_schema', json_schema: { name: 'x' } }, { type: 'xml' }]) {
+            try {
+                convertResponseFormat(format);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        }
+        return { passed: errors.length === 2 && errors.every(m => m.startsWith('invalid_request_error:')), message: errors.join(' | ') };
+    });
+
+    await test('response_format reaches the Anthropic request', async () => {
+        const request = convertOpenAIToAnthropic({
+            model: 'gemini-3-flash',
+            messages: [{ role: 'user', content: 'hi' }],
+            response_format: { type: 'json_schema', json_schema: { name: 'person', schema: SCHEMA } }
+        });
+        return { passed: request.output_format?.type === 'json_schema' && request.output_format.name === 'person' };
+    });
+
+    console.log('\n--- Gemini ---');
+
+    await test('Gemini without tools uses JSON mode with the schema', async () => {
+        const { generationConfig, tools } = convertWithSchema('gemini-2.5-flash');
+        return {
+            passed: generationConfig.responseMimeType === 'application/json' &&
+                generationConfig.responseSchema?.properties?.born !== undefined && !tools,
+            message: `responseMimeType=${generationConfig.responseMimeType}`
+        };
+    });
+
+    await test('Gemini with tools uses the reserved tool instead of JSON mode', async () => {
+        const request = convertWithSchema('gemini-2.5-flash', { tools: TOOLS });
+        const { generationConfig } = request;
+        return {
+            passed: generationConfig.responseMimeType === undefined && generationConfig.responseSchema === undefined &&
+                declaredNames(request).join() === `get_weather,${STRUCTURED_OUTPUT_TOOL_NAME}` &&
+                systemText(request).includes(STRUCTURED_OUTPUT_TOOL_NAME) && !request.toolConfig,
+            message: `tools=${declaredNames(request).join(',')}`
+        };
+    });
+
+    await test('Gemini json_object with tools is requested through the system prompt', async () => {
+        const request = convertAnthropicToGoogle({
+            model: 'gemini-2.5-flash',
+            max_tokens: 1024,
+            messages: [{ role: 'user', content: 'hi' }],
+            tools: TOOLS,
+            output_format: { type: 'json_object' }
+        });
+        return {
+            passed: request.generationConfig.responseMimeType === undefined &&
+                declaredNames(request).join() === 'get_weather' && systemText(request).includes('JSON object')
+        };
+    });
+
+    console.log('\n--- Claude ---');
+
+    await test('Claude gets the reserved tool, forced', async () => {
+        const request = convertWithSchema('claude-sonnet-4-5');
+        return {
+            passed: declaredNames(request).join() === STRUCTURED_OUTPUT_TOOL_NAME &&
+                request.toolConfig?.functionCallingConfig?.mode === 'ANY' &&
+                request.generationConfig.responseMimeType === undefined,
+            message: JSON.stringify(request.toolConfig)
+        };
+    });
+
+    await test('Claude with thinking is asked for the tool instead of forced', async () => {
+        const request = convertWithSchema('claude-sonnet-4-5-thinking', { thinking: { type: 'enabled', budget_tokens: 512 } });
+        return {
+            passed: declaredNames(request).includes(STRUCTURED_OUTPUT_TOOL_NAME) && !request.toolConfig &&
+                systemText(request).includes(STRUCTURED_OUTPUT_TOOL_NAME)
+        };
+    });
+
+    console.log('\n--- Responses ---');
+
+    const answer = { name: 'Ada Lovelace', born: 1815 };
+    const reservedCall = [{ functionCall: { name: STRUCTURED_OUTPUT_TOOL_NAME, args: answer } }];
+
+    await test('Reserved tool call becomes JSON text with an output_format', async () => {
+        const response = convertGoogleToAnthropic({ candidates: [{ content: { parts: reservedCall } }] }, 'claude-sonnet-4-5', { structuredOutput: true });
+        const [block] = response.content;
+        return { passed: block.type === 'text' && JSON.parse(block.text).born === 1815, message: JSON.stringify(response.content) };
+    });
+
+    await test('Same-named client tool calls are kept without an output_format', async () => {
+        const response = convertGoogleToAnthropic({ candidates: [{ content: { parts: reservedCall } }] }, 'claude-sonnet-4-5');
+        const [block] = response.content;
+        return { passed: block.type === 'tool_use' && block.name === STRUCTURED_OUTPUT_TOOL_NAME };
+    });
+
+    await test('Non-streaming SSE unwraps only with an output_format', async () => {
+        const unwrapped = await parseThinkingSSEResponse(fakeSSEResponse(reservedCall), 'claude-sonnet-4-5', { structuredOutput: true });
+        const kept = await parseThinkingSSEResponse(fakeSSEResponse(reservedCall), 'claude-sonnet-4-5');
+        return {
+            passed: unwrapped.content[0].type === 'text' && JSON.parse(unwrapped.content[0].text).name === 'Ada Lovelace' &&
+                kept.content[0].type === 'tool_use',
+            message: `with=${unwrapped.content[0].type}, without=${kept.content[0].type}`
+        };
+    });
+
+    await test('Streaming unwraps only with an output_format', async () => {
+        const blockTypes = async (options) => {
+            const types = [];
+            let text = '';
+            for await (const event of streamSSEResponse(fakeSSEResponse(reservedCall), 'claude-sonnet-4-5', options)) {
+                if (event.type === 'content_block_start') types.push(event.content_block.type);
+                if (event.delta?.type === 'text_delta') text += event.delta.text;
+            }
+            return { types, text };
+        };
+        const unwrapped = await blockTypes({ structuredOutput: true });
+        const kept = await blockTypes();
+        return {
+            passed: unwrapped.types.join() === 'text' && JSON.parse(unwrapped.text).born === 1815 && kept.types.join() === 'tool_use',
+            message: `with=${unwrapped.types.join(',')}, without=${kept.types.join(',')}`
+        };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
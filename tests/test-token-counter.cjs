@@ -0,0 +1,183 @@
+/**
+ * Token Counter Tests
+ *
+ * Tests /v1/messages/count_tokens counting:
+ *   - the countTokens payload folds the system instruction and tool
+ *     declarations into the counted contents
+ *   - the upstream count is used when it answers, the local estimate when
+ *     it fails or no account is idle
+ *   - the count uses an idle account without moving the sticky selection,
+ *     and holds one of its concurrency slots while it runs
+ *
+ * The upstream is a small in-process server the gateway is pointed at with
+ * CLOUDCODE_ENDPOINTS; no accounts or network are needed.
+ *
+ * Run: node tests/test-token-counter.cjs
+ */
+
+const http = require('http');
+
+const MODEL = 'gemini-3-flash';
+const REQUEST = {
+    model: MODEL,
+    system: 'You are a weather assistant.',
+    tools: [{ name: 'get_weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+    messages: [{ role: 'user', content: 'Weather in Paris?' }]
+};
+
+/**
+ * Account manager with one account that fails the test if selection state is touched
+ */
+function createAccountManager({ idle = true } = {}) {
+    const account = { email: 'acct-a' };
+    const calls = { began: 0, finished: 0, stateChanged: false };
+    return {
+        calls,
+        getIdleAccount: () => (idle ? account : null),
+        getCurrentStickyAccount: () => { calls.stateChanged = true; return account; },
+        pickNext: () => { calls.stateChanged = true; return account; },
+        getTokenForAccount: async () => 'token',
+        beginRequest: () => {
+            calls.began++;
+            return () => { calls.finished++; };
+        }
+    };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('TOKEN COUNTER TESTS');
+    console.log('Testing: countTokens payload, upstream count, local estimate');
+    console.log('='.repeat(60));
+    console.log('');
+
+    // Stand-in countTokens endpoint: answers with a count or fails
+    const upstream = { status: 200, lastBody: null, inFlight: null };
+    let accountManager = null;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            upstream.lastBody = JSON.parse(body);
+            upstream.inFlight = accountManager ? accountManager.calls.began - accountManager.calls.finished : null;
+            res.writeHead(upstream.status, { 'Content-Type': 'application/json' });
+            res.end(upstream.status === 200 ? JSON.stringify({ totalTokens: 42 }) : '{"error":{"code":500}}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    // Point the gateway at the stand-in before its constants are loaded
+    process.env.CLOUDCODE_ENDPOINTS = `http://localhost:${server.address().port}`;
+    const { countTokens, buildCountTokensPayload, estimateTokens } = await import('../src/cloudcode/token-counter.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/index.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    const googleRequest = convertAnthropicToGoogle(REQUEST);
+
+    console.log('--- Payload ---');
+
+    await test('System instruction and tools are folded into a leading user turn', async () => {
+        const { request } = buildCountTokensPayload(MODEL, googleRequest);
+        const [preamble, ...rest] = request.contents;
+        const preambleText = preamble.parts.map(p => p.text).join('\n');
+        return {
+            passed: request.model === `models/${MODEL}` && preamble.role === 'user' &&
+                preambleText.includes('You are a weather assistant.') && preambleText.includes('get_weather') &&
+                rest.length === googleRequest.contents.length,
+            message: `contents=${request.contents.length}`
+        };
+    });
+
+    await test('Requests without system or tools are counted as they are', async () => {
+        const plain = { contents: [{ role: 'user', parts: [{ text: 'hi' }] }] };
+        const { request } = buildCountTokensPayload(MODEL, plain);
+        return { passed: request.contents === plain.contents };
+    });
+
+    console.log('\n--- Counting ---');
+
+    await test('The upstream count is used when it answers', async () => {
+        upstream.status = 200;
+        accountManager = createAccountManager();
+        const result = await countTokens(REQUEST, accountManager);
+        const counted = JSON.stringify(upstream.lastBody.request.contents);
+        return {
+            passed: result.source === 'upstream' && result.input_tokens === 42 && counted.includes('weather assistant'),
+            message: JSON.stringify(result)
+        };
+    });
+
+    await test('The local estimate is used when the upstream count fails', async () => {
+        upstream.status = 500;
+        accountManager = createAccountManager();
+        const result = await countTokens(REQUEST, accountManager);
+        return {
+            passed: result.source === 'estimate' && result.input_tokens === estimateTokens(googleRequest) && result.input_tokens > 0,
+            message: JSON.stringify(result)
+        };
+    });
+
+    await test('The local estimate is used when no account is idle', async () => {
+        upstream.status = 200;
+        upstream.lastBody = null;
+        accountManager = createAccountManager({ idle: false });
+        const result = await countTokens(REQUEST, accountManager);
+        return { passed: result.source === 'estimate' && upstream.lastBody === null && accountManager.calls.began === 0 };
+    });
+
+    await test('Counting holds a concurrency slot and leaves the sticky account alone', async () => {
+        upstream.status = 200;
+        accountManager = createAccountManager();
+        await countTokens(REQUEST, accountManager);
+        const { began, finished, stateChanged } = accountManager.calls;
+        return {
+            passed: began === 1 && finished === 1 && upstream.inFlight === 1 && !stateChanged,
+            message: `began=${began}, finished=${finished}, inFlightDuringCount=${upstream.inFlight}`
+        };
+    });
+
+    server.close();
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
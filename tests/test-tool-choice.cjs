@@ -0,0 +1,214 @@
+/**
+ * Tool Choice Unit Tests
+ *
+ * Tests that tool_choice and parallel tool call settings from every API
+ * dialect reach the Cloud Code request as toolConfig.functionCallingConfig,
+ * and that extra tool calls are dropped when parallel calls are disabled.
+ *
+ * DIALECTS:
+ *   - Anthropic Messages:  tool_choice {type: auto|any|tool|none}, disable_parallel_tool_use
+ *   - OpenAI Chat:         tool_choice "auto"|"required"|"none"|{function: {name}}, parallel_tool_calls
+ *   - OpenAI Responses:    tool_choice "auto"|"required"|"none"|{type: "function", name}, parallel_tool_calls
+ *
+ * Run: node tests/test-tool-choice.cjs
+ */
+
+const TOOLS_ANTHROPIC = [
+    { name: 'get_weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } },
+    { name: 'get_time', description: 'Get time', input_schema: { type: 'object', properties: { zone: { type: 'string' } } } }
+];
+const TOOLS_OPENAI_CHAT = TOOLS_ANTHROPIC.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+}));
+const TOOLS_OPENAI_RESPONSES = TOOLS_ANTHROPIC.map(tool => ({
+    type: 'function', name: tool.name, description: tool.description, parameters: tool.input_schema
+}));
+
+// Non-thinking models so no thinking config interferes
+const MODELS = ['claude-sonnet-4-5', 'gemini-2.5-flash'];
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('TOOL CHOICE UNIT TESTS');
+    console.log('Testing: tool_choice -> toolConfig.functionCallingConfig');
+    console.log('='.repeat(60));
+    console.log('');
+
+    // Import the ESM modules
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai-compat.js');
+    const { convertResponsesAPIToAnthropic } = await import('../src/format/openai-responses.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { parseThinkingSSEResponse } = await import('../src/cloudcode/sse-parser.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Compare the functionCallingConfig of a converted request
+     */
+    function expectConfig(googleRequest, expected) {
+        const actual = googleRequest.toolConfig?.functionCallingConfig || null;
+        const passed = JSON.stringify(actual) === JSON.stringify(expected);
+        return { passed, message: `functionCallingConfig=${JSON.stringify(actual)}` };
+    }
+
+    /**
+     * Build a fake upstream SSE response with the given parts
+     */
+    function fakeSSEResponse(parts) {
+        const data = { response: { candidates: [{ content: { parts }, finishReason: 'STOP' }] } };
+        return new Response(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    const twoCalls = [
+        { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+        { functionCall: { name: 'get_time', args: { zone: 'CET' } } }
+    ];
+
+    // ===== Test Group 1: Anthropic Messages =====
+    console.log('\n--- Anthropic Messages ---');
+
+    for (const model of MODELS) {
+        const convert = (tool_choice) => convertAnthropicToGoogle({
+            model, max_tokens: 1024, messages: [{ role: 'user', content: 'hi' }], tools: TOOLS_ANTHROPIC, tool_choice
+        });
+
+        await test(`${model}: no tool_choice leaves the upstream default`, () =>
+            expectConfig(convert(undefined), null));
+        await test(`${model}: {type: auto} -> AUTO`, () =>
+            expectConfig(convert({ type: 'auto' }), { mode: 'AUTO' }));
+        await test(`${model}: {type: any} -> ANY`, () =>
+            expectConfig(convert({ type: 'any' }), { mode: 'ANY' }));
+        await test(`${model}: {type: tool, name} -> ANY with allowedFunctionNames`, () =>
+            expectConfig(convert({ type: 'tool', name: 'get_time' }), { mode: 'ANY', allowedFunctionNames: ['get_time'] }));
+        await test(`${model}: {type: none} -> NONE`, () =>
+            expectConfig(convert({ type: 'none' }), { mode: 'NONE' }));
+    }
+
+    await test('disable_parallel_tool_use adds a single-call instruction', () => {
+        const googleRequest = convertAnthropicToGoogle({
+            model: 'claude-sonnet-4-5', max_tokens: 1024, messages: [{ role: 'user', content: 'hi' }],
+            tools: TOOLS_ANTHROPIC, tool_choice: { type: 'auto', disable_parallel_tool_use: true }
+        });
+        const passed = googleRequest.systemInstruction.parts.some(p => p.text.includes('at most one tool'));
+        return { passed, message: `system parts=${googleRequest.systemInstruction.parts.length}` };
+    });
+
+    await test('tool_choice without tools writes no toolConfig', () =>
+        expectConfig(convertAnthropicToGoogle({
+            model: 'claude-sonnet-4-5', max_tokens: 1024, messages: [{ role: 'user', content: 'hi' }], tool_choice: { type: 'any' }
+        }), null));
+
+    // ===== Test Group 2: OpenAI Chat Completions =====
+    console.log('\n--- OpenAI Chat Completions ---');
+
+    const convertChat = (extra) => convertAnthropicToGoogle(convertOpenAIToAnthropic({
+        model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'hi' }], tools: TOOLS_OPENAI_CHAT, ...extra
+    }));
+
+    await test('"auto" -> AUTO', () => expectConfig(convertChat({ tool_choice: 'auto' }), { mode: 'AUTO' }));
+    await test('"required" -> ANY', () => expectConfig(convertChat({ tool_choice: 'required' }), { mode: 'ANY' }));
+    await test('"none" -> NONE', () => expectConfig(convertChat({ tool_choice: 'none' }), { mode: 'NONE' }));
+    await test('{type: function, function: {name}} -> ANY with allowedFunctionNames', () =>
+        expectConfig(convertChat({ tool_choice: { type: 'function', function: { name: 'get_weather' } } }),
+            { mode: 'ANY', allowedFunctionNames: ['get_weather'] }));
+
+    await test('parallel_tool_calls: false sets disable_parallel_tool_use', () => {
+        const anthropicRequest = convertOpenAIToAnthropic({
+            model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'hi' }], tools: TOOLS_OPENAI_CHAT,
+            tool_choice: 'required', parallel_tool_calls: false
+        });
+        const choice = anthropicRequest.tool_choice;
+        return { passed: choice.type === 'any' && choice.disable_parallel_tool_use === true, message: JSON.stringify(choice) };
+    });
+
+    // ===== Test Group 3: OpenAI Responses =====
+    console.log('\n--- OpenAI Responses ---');
+
+    const convertResponses = (extra) => convertAnthropicToGoogle(convertResponsesAPIToAnthropic({
+        model: 'gemini-2.5-flash', input: 'hi', tools: TOOLS_OPENAI_RESPONSES, ...extra
+    }));
+
+    await test('"auto" -> AUTO', () => expectConfig(convertResponses({ tool_choice: 'auto' }), { mode: 'AUTO' }));
+    await test('"required" -> ANY', () => expectConfig(convertResponses({ tool_choice: 'required' }), { mode: 'ANY' }));
+    await test('"none" -> NONE', () => expectConfig(convertResponses({ tool_choice: 'none' }), { mode: 'NONE' }));
+    await test('{type: function, name} -> ANY with allowedFunctionNames', () =>
+        expectConfig(convertResponses({ tool_choice: { type: 'function', name: 'get_time' } }),
+            { mode: 'ANY', allowedFunctionNames: ['get_time'] }));
+
+    await test('parallel_tool_calls: false without tool_choice -> auto + disable_parallel_tool_use', () => {
+        const anthropicRequest = convertResponsesAPIToAnthropic({
+            model: 'gemini-2.5-flash', input: 'hi', tools: TOOLS_OPENAI_RESPONSES, parallel_tool_calls: false
+        });
+        const choice = anthropicRequest.tool_choice;
+        return { passed: choice.type === 'auto' && choice.disable_parallel_tool_use === true, message: JSON.stringify(choice) };
+    });
+
+    // ===== Test Group 4: Parallel tool calls in responses =====
+    console.log('\n--- Parallel Tool Calls ---');
+
+    await test('Streaming keeps both calls by default', async () => {
+        const names = [];
+        for await (const event of streamSSEResponse(fakeSSEResponse(twoCalls), 'gemini-2.5-flash')) {
+            if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') names.push(event.content_block.name);
+        }
+        return { passed: names.length === 2, message: `tool calls=${names.join(',')}` };
+    });
+
+    await test('Streaming drops extra calls when parallel calls are disabled', async () => {
+        const names = [];
+        for await (const event of streamSSEResponse(fakeSSEResponse(twoCalls), 'gemini-2.5-flash', { parallelToolCalls: false })) {
+            if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') names.push(event.content_block.name);
+        }
+        return { passed: names.length === 1 && names[0] === 'get_weather', message: `tool calls=${names.join(',')}` };
+    });
+
+    await test('Non-streaming drops extra calls when parallel calls are disabled', async () => {
+        const response = await parseThinkingSSEResponse(fakeSSEResponse(twoCalls), 'gemini-2.5-flash', { parallelToolCalls: false });
+        const names = response.content.filter(b => b.type === 'tool_use').map(b => b.name);
+        return { passed: names.length === 1 && names[0] === 'get_weather', message: `tool calls=${names.join(',')}` };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,202 @@
+/**
+ * Tool Name Tests
+ *
+ * Tests the rewriting of tool names the upstream does not accept:
+ *   - invalid characters and leading digits are replaced
+ *   - names over 64 characters are truncated with a hash suffix
+ *   - declared names that sanitize alike don't collide
+ *   - rewritten names are restored in streaming and non-streaming responses,
+ *     and rewritten again in the conversation history
+ *
+ * Conversion only; no server, accounts or network are needed.
+ *
+ * Run: node tests/test-tool-names.cjs
+ */
+
+const MODEL = 'gemini-2.5-flash';
+const LONG_NAME = `mcp__${'very_long_server_name_'.repeat(3)}__create_issue`;
+
+/**
+ * Anthropic tool with an empty object schema
+ */
+function tool(name) {
+    return { name, description: `Tool ${name}`, input_schema: { type: 'object', properties: {} } };
+}
+
+async function runTests() {
+    console.log('='.repeat(60));
+    console.log('TOOL NAME TESTS');
+    console.log('Testing: sanitizing, truncation, collisions, restoring');
+    console.log('='.repeat(60));
+    console.log('');
+
+    const { sanitizeFunctionName, ToolNameMap } = await import('../src/format/tool-names.js');
+    const { convertAnthropicToGoogle } = await import('../src/format/request-converter.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { parseThinkingSSEResponse } = await import('../src/cloudcode/sse-parser.js');
+
+    let allPassed = true;
+    const results = [];
+
+    /**
+     * Helper to run a single test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function that returns { passed, message }
+     */
+    async function test(name, testFn) {
+        try {
+            const { passed, message } = await testFn();
+            results.push({ name, passed, message });
+            const status = passed ? 'PASS' : 'FAIL';
+            console.log(`  [${status}] ${name}`);
+            if (message) console.log(`         ${message}`);
+            if (!passed) allPassed = false;
+        } catch (error) {
+            results.push({ name, passed: false, message: error.message });
+            console.log(`  [FAIL] ${name}`);
+            console.log(`         Error: ${error.message}`);
+            allPassed = false;
+        }
+    }
+
+    /**
+     * Build a fake upstream SSE response with the given parts
+     */
+    function fakeSSEResponse(parts) {
+        const data = { response: { candidates: [{ content: { parts }, finishReason: 'STOP' }] } };
+        return new Response(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    const isValid = name => /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/.test(name);
+
+    console.log('--- Sanitizing ---');
+
+    await test('Invalid characters are replaced', async () => {
+        const names = ['github.create-issue', 'fs/read file', 'ümlaut:tool'].map(sanitizeFunctionName);
+        return {
+            passed: names[0] === 'github_create-issue' && names[1] === 'fs_read_file' && names.every(isValid),
+            message: names.join(', ')
+        };
+    });
+
+    await test('Names must start with a letter or underscore', async () => {
+        const name = sanitizeFunctionName('3d-render');
+        return { passed: name === '_3d-render', message: name };
+    });
+
+    await test('Valid names are left alone', async () => {
+        return { passed: ['get_weather', 'Read', 'web-search'].every(name => sanitizeFunctionName(name) === name) };
+    });
+
+    await test('Long names are truncated to 64 characters with a hash suffix', async () => {
+        const name = sanitizeFunctionName(LONG_NAME);
+        const other = sanitizeFunctionName(`${LONG_NAME}_v2`);
+        const exact = 'a'.repeat(64);
+        return {
+            passed: name.length === 64 && isValid(name) && name.startsWith(LONG_NAME.slice(0, 55)) &&
+                other.length === 64 && other !== name && sanitizeFunctionName(exact) === exact &&
+                sanitizeFunctionName(`${exact}b`).length === 64,
+            message: name
+        };
+    });
+
+    console.log('\n--- Collisions ---');
+
+    await test('Names that sanitize alike get distinct upstream names', async () => {
+        const map = new ToolNameMap([tool('a.b'), tool('a_b'), tool('a/b')]);
+        const upstream = ['a.b', 'a_b', 'a/b'].map(name => map.toUpstream(name));
+        return {
+            passed: new Set(upstream).size === 3 && upstream[1] === 'a_b' && upstream.every(isValid) &&
+                ['a.b', 'a_b', 'a/b'].every((name, i) => map.toOriginal(upstream[i]) === name),
+            message: upstream.join(', ')
+        };
+    });
+
+    await test('Declaration order does not matter', async () => {
+        const map = new ToolNameMap([tool('a_b'), tool('a.b')]);
+        return { passed: map.toUpstream('a_b') === 'a_b' && map.toUpstream('a.b') !== 'a_b', message: map.toUpstream('a.b') };
+    });
+
+    await test('Unknown upstream names are returned unchanged', async () => {
+        const map = new ToolNameMap([tool('github.create-issue')]);
+        return { passed: map.toOriginal('something_else') === 'something_else' };
+    });
+
+    console.log('\n--- Round trip ---');
+
+    const tools = [tool('github.create-issue'), tool(LONG_NAME), tool('get_weather')];
+    const anthropicRequest = {
+        model: MODEL,
+        max_tokens: 1024,
+        tools,
+        messages: [
+            { role: 'user', content: 'Open an issue' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'github.create-issue', input: {} }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'done' }] }
+        ]
+    };
+    const toolNames = new ToolNameMap(tools);
+    const googleRequest = convertAnthropicToGoogle(anthropicRequest);
+    const declared = googleRequest.tools[0].functionDeclarations.map(f => f.name);
+    const calls = declared.map((name, i) => ({ functionCall: { name, args: {}, id: `toolu_${i}` } }));
+
+    await test('Requests declare valid upstream names and rewrite the history', async () => {
+        const historyCall = googleRequest.contents
+            .flatMap(content => content.parts)
+            .find(part => part.functionCall)?.functionCall.name;
+        return {
+            passed: declared.every(isValid) && declared[0] === 'github_create-issue' && declared[2] === 'get_weather' &&
+                historyCall === declared[0],
+            message: `declared=${declared.join(', ')}; history=${historyCall}`
+        };
+    });
+
+    await test('Non-streaming responses restore the declared names', async () => {
+        const response = await parseThinkingSSEResponse(fakeSSEResponse(calls), MODEL);
+        const names = toolNames.restoreContent(response.content).filter(b => b.type === 'tool_use').map(b => b.name);
+        return {
+            passed: names.join('|') === tools.map(t => t.name).join('|'),
+            message: names.join(', ')
+        };
+    });
+
+    await test('Streaming responses restore the declared names', async () => {
+        const names = [];
+        for await (const event of streamSSEResponse(fakeSSEResponse(calls), MODEL)) {
+            const restored = toolNames.restoreEvent(event);
+            if (restored.type === 'content_block_start' && restored.content_block.type === 'tool_use') {
+                names.push(restored.content_block.name);
+            }
+        }
+        return {
+            passed: names.join('|') === tools.map(t => t.name).join('|'),
+            message: names.join(', ')
+        };
+    });
+
+    await test('Other events and content blocks pass through unchanged', async () => {
+        const text = { type: 'text', text: 'hi' };
+        const event = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'hi' } };
+        return { passed: toolNames.restoreContent([text])[0] === text && toolNames.restoreEvent(event) === event };
+    });
+
+    // ===== Summary =====
+    console.log('\n' + '='.repeat(60));
+    console.log('SUMMARY');
+    console.log('='.repeat(60));
+
+    const passed = results.filter(r => r.passed).length;
+    const failed = results.filter(r => !r.passed).length;
+    console.log(`  Total: ${results.length} | Passed: ${passed} | Failed: ${failed}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(allPassed ? 'ALL TESTS PASSED' : 'SOME TESTS FAILED');
+    console.log('='.repeat(60));
+
+    process.exit(allPassed ? 0 : 1);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});